@@ -3,6 +3,7 @@
  * すべてのタスクタイプの基底クラスとして機能します
  */
 const EventEmitter = require('events');
+const { runFFmpegWithProgress } = require('../services/ffmpeg/utils');
 
 class BaseTask {
   constructor(params = {}) {
@@ -19,6 +20,9 @@ class BaseTask {
     this.cancellable = true;
     this.events = new EventEmitter();
     
+    // 実行中のFFmpegプロセス（キャンセル用）
+    this.ffmpegProcess = null;
+    
     // リトライ関連
     this.retryCount = params.retryCount || 0;
     this.maxRetries = params.maxRetries || 3;
@@ -125,10 +129,36 @@ class BaseTask {
   }
 
   /**
-   * タスクキャンセル
+   * FFmpegを実行し、実行中のプロセスをキャンセルできるように保持する
+   * @param {string[]} args - FFmpegの引数
+   * @param {Object} options - runFFmpegWithProgress のオプション（duration / onProgress / onLine / label）
+   * @returns {Promise<string>} 標準エラー出力の末尾
+   */
+  async runFFmpeg(args, options = {}) {
+    try {
+      return await runFFmpegWithProgress(args, {
+        ...options,
+        onSpawn: (process) => { this.ffmpegProcess = process; }
+      });
+    } finally {
+      this.ffmpegProcess = null;
+    }
+  }
+
+  /**
+   * タスクキャンセル（実行中のFFmpegプロセスも終了する）
    * @returns {boolean} キャンセル成功の場合true
    */
   cancel() {
+    if (this.ffmpegProcess) {
+      try {
+        this.ffmpegProcess.kill('SIGTERM');
+      } catch (err) {
+        console.error('FFmpegプロセスの終了に失敗:', err);
+      }
+      this.ffmpegProcess = null;
+    }
+    
     if (!this.cancellable || 
         (this.status !== 'processing' && 
          this.status !== 'pending' && 
@@ -2,14 +2,16 @@
  * app-lifecycle.js
  * アプリケーションのライフサイクル（起動・終了）管理
  */
-const { app, BrowserWindow, protocol } = require('electron');
+const { app, BrowserWindow, protocol, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const storageService = require('../services/storage-service');
-const { getFFmpegService, utils } = require('../services/ffmpeg/index');
+const sessionService = require('../services/session-service');
+const { getFFmpegService } = require('../services/ffmpeg/index');
 const ffmpegService = getFFmpegService();
-const { checkVideoToolboxSupport } = utils;
+const encoderCapabilities = require('../services/ffmpeg/encoder-capabilities');
 const { initializeTaskSystem } = require('../task-init');
+const { runExportTask } = require('./export-runner');
 
 // グローバル参照
 let mainWindow = null;
@@ -77,6 +79,9 @@ async function initializeApp() {
     workDirs = storageService.ensureWorkDirectories('Super Watarec', ['thumbnails']);
     console.log('作業ディレクトリの確認完了');
     
+    // セッションの自動保存を開始（前回の異常終了を検出）
+    sessionService.start();
+    
     // メインウィンドウを作成
     console.log('メインウィンドウを作成します...');
     const window = createWindow();
@@ -96,13 +101,22 @@ async function initializeApp() {
       setupTaskEventListeners();
     }
     
+    // 前回のセッションが復旧可能なら、画面の読み込み後に復元を提案
+    if (sessionService.getRecoverableSession()) {
+      window.webContents.once('did-finish-load', () => {
+        offerSessionRestore(window, taskManager).catch(error => {
+          console.error('セッション復元エラー:', error);
+        });
+      });
+    }
+    
     // FFmpegサービスを初期化
     console.log('FFmpegサービスを初期化します...');
     
-    // FFmpegハードウェアエンコード対応確認を実行
-    console.log('ハードウェアエンコード対応確認を実行します。');
-    checkVideoToolboxSupport().then(hwaccelSupport => {
-      global.hwaccelSupport = hwaccelSupport;
+    // エンコーダー・ハードウェアアクセラレーションの対応状況を確認してキャッシュ（書き出し時のエンコーダー選択に使用）
+    console.log('エンコーダー対応確認を実行します。');
+    encoderCapabilities.probe().catch(error => {
+      console.error('エンコーダー対応確認エラー:', error);
     });
     
     // ダウンロードを防止（セキュリティ対策）
@@ -121,6 +135,55 @@ async function initializeApp() {
   }
 }
 
+/**
+ * 前回異常終了したセッションの復元を提案
+ * 編集状態はレンダラーに通知し、中断された書き出しは再度キューに登録する
+ * @param {BrowserWindow} window メインウィンドウ
+ * @param {TaskManager} taskManager タスクマネージャー
+ */
+async function offerSessionRestore(window, taskManager) {
+  const { snapshot, exports } = sessionService.getRecoverableSession();
+  const clipCount = snapshot ? snapshot.mediaFiles.length : 0;
+
+  const { response } = await dialog.showMessageBox(window, {
+    type: 'question',
+    buttons: ['復元する', '破棄する'],
+    defaultId: 0,
+    cancelId: 1,
+    title: 'セッションの復元',
+    message: '前回のセッションは正常に終了しませんでした。編集内容を復元しますか？',
+    detail: `クリップ: ${clipCount}件\n中断された書き出し: ${exports.length}件`
+  });
+
+  if (response !== 0) {
+    console.log('前回のセッションを破棄しました');
+    return;
+  }
+
+  if (snapshot) {
+    sessionService.setPendingRestore(snapshot);
+    sessionService.updateSnapshot(snapshot);
+    if (!window.isDestroyed()) {
+      window.webContents.send('session-restore-available');
+    }
+  }
+
+  // 中断された書き出しを再実行
+  if (taskManager) {
+    exports.forEach(item => {
+      console.log(`中断された書き出しを再実行します: ${item.outputPath} (元タスクID: ${item.taskId})`);
+      runExportTask(window, taskManager, {
+        mediaFiles: item.mediaFiles,
+        musicTrack: item.musicTrack || null,
+        outputPath: item.outputPath,
+        settings: item.settings
+      }).then(result => {
+        console.log('再実行した書き出しの結果:', result);
+      });
+    });
+  }
+}
+
 /**
  * アプリケーションの終了処理
  */
@@ -136,6 +199,9 @@ async function cleanupApp() {
       });
     }
     
+    // 正常終了を記録（次回起動時に復元を提案しない）
+    sessionService.markCleanExit();
+    
     // FFmpegサービスは自動的にクリーンアップされます...
     console.log('FFmpegサービスは自動的にクリーンアップされます...');
   } catch (error) {
@@ -0,0 +1,156 @@
+/**
+ * export-runner.js
+ * 書き出しタスクの実行と進捗通知を管理
+ */
+const sessionService = require('../services/session-service');
+
+/**
+ * 書き出しタスクを作成し、完了まで進捗をレンダラーに通知する
+ * @param {BrowserWindow} win 進捗を送信するウィンドウ
+ * @param {TaskManager} taskManager タスクマネージャー
+ * @param {Object} options 書き出しパラメータ（mediaFiles, outputPath, settings）
+ * @returns {Promise<Object>} 書き出し結果
+ */
+async function runExportTask(win, taskManager, options) {
+  try {
+    console.log('書き出しリクエスト受信:', JSON.stringify({
+      mediaFilesCount: options.mediaFiles ? options.mediaFiles.length : 0,
+      outputPath: options.outputPath,
+      settings: options.settings
+    }));
+    
+    // 進捗更新用の関数を定義
+    const updateProgress = (data) => {
+      // ログ出力
+      console.log(`進捗情報送信: ${JSON.stringify(data)}`);
+      
+      // 直接メインウィンドウに送信（IPC通信）
+      if (win && win.webContents) {
+        win.webContents.send('export-progress', data);
+      } else {
+        console.error('メインウィンドウが利用できないため進捗情報を送信できません');
+      }
+    };
+    
+    // タスク完了後も進捗情報が送信されるように100%の状態を明示的に送信
+    const sendCompletionProgress = () => {
+      updateProgress({
+        percentage: 100,
+        current: options.mediaFiles.length,
+        total: options.mediaFiles.length,
+        stage: 'completed',
+        phase: 'completed',
+        phaseName: '完了',
+        message: 'エクスポートが完了しました',
+        currentStep: 1,
+        totalSteps: 1
+      });
+    };
+    
+    // 直接FFmpegの進捗をモニターする関数
+    const monitorFFmpegProgress = () => {
+      // 1秒ごとにタスクの進捗を確認して送信
+      const progressInterval = setInterval(() => {
+        // getTaskメソッドではなくgetTaskByIdメソッドを使用
+        const task = taskManager.getTaskById(taskId);
+        if (!task) {
+          clearInterval(progressInterval);
+          return;
+        }
+        
+        const taskData = task.toJSON();
+        
+        // 詳細な進捗情報を取得して送信
+        if (taskData.details) {
+          updateProgress({
+            ...taskData.details,
+            percentage: taskData.progress || 0,
+            current: taskData.details.currentFile || 0,
+            total: options.mediaFiles.length,
+            stage: taskData.details.phase || 'converting'
+          });
+        } else {
+          // 基本的な進捗情報を送信
+          updateProgress({
+            current: taskData.processedFiles || 0,
+            total: options.mediaFiles.length,
+            percentage: taskData.progress || 0,
+            stage: 'converting'
+          });
+        }
+        
+        // タスクが完了または失敗した場合、インターバルをクリア
+        if (taskData.status === 'completed' || taskData.status === 'failed' || taskData.status === 'cancelled') {
+          if (taskData.status === 'completed') {
+            sendCompletionProgress();
+          }
+          clearInterval(progressInterval);
+        }
+      }, 500); // 500msごとに更新（より滑らかな進捗表示）
+    };
+    
+    // ExportTaskを作成して実行
+    const taskId = taskManager.createTask({
+      type: 'export',
+      mediaFiles: options.mediaFiles,
+      musicTrack: options.musicTrack || null,
+      outputPath: options.outputPath,
+      settings: options.settings,
+      priority: 'HIGH'
+    });
+    
+    console.log(`書き出しタスクを作成しました: ${taskId}`);
+    
+    // 異常終了時に再実行できるよう書き出し中のタスクを記録
+    sessionService.recordExportStarted(taskId, {
+      mediaFiles: options.mediaFiles,
+      musicTrack: options.musicTrack || null,
+      outputPath: options.outputPath,
+      settings: options.settings
+    });
+    
+    // 進捗モニタリングを開始
+    monitorFFmpegProgress();
+    
+    // タスク完了を待機
+    const waitForCompletion = () => new Promise((resolve) => {
+      const completionListener = (task) => {
+        if (task.id === taskId) {
+          const result = task.data;
+          taskManager.eventEmitter.off('taskCompleted', completionListener);
+          taskManager.eventEmitter.off('taskFailed', failureListener);
+          resolve(result);
+        }
+      };
+      
+      const failureListener = (task) => {
+        if (task.id === taskId) {
+          const error = task.error || '書き出しに失敗しました';
+          taskManager.eventEmitter.off('taskCompleted', completionListener);
+          taskManager.eventEmitter.off('taskFailed', failureListener);
+          resolve({ success: false, error });
+        }
+      };
+      
+      taskManager.eventEmitter.on('taskCompleted', completionListener);
+      taskManager.eventEmitter.on('taskFailed', failureListener);
+    });
+    
+    // タスク完了を待機して結果を返す
+    const taskResult = await waitForCompletion();
+    console.log('書き出しタスク結果:', taskResult);
+    sessionService.recordExportFinished(taskId);
+    
+    // 完了時に100%の進捗を送信
+    sendCompletionProgress();
+    
+    return taskResult || { success: false, error: '不明なエラーが発生しました' };
+  } catch (error) {
+    console.error('動画結合処理エラー:', error);
+    return { success: false, error: error.message || '書き出し中にエラーが発生しました' };
+  }
+}
+
+module.exports = {
+  runExportTask
+};
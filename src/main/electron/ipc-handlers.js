@@ -2,21 +2,28 @@
  * ipc-handlers.js
  * IPCハンドラーの登録を管理
  */
-const { ipcMain, app } = require('electron');
+const { ipcMain, app, shell } = require('electron');
 const { 
   openFileDialog, 
+  openAudioFileDialog,
   openDirectoryDialog, 
   getDesktopPath,
-  openFileOrDirectoryDialog
+  openFileOrDirectoryDialog,
+  openProjectDialog,
+  saveProjectDialog
 } = require('../services/dialog-service');
-const { getFFmpegService, utils } = require('../services/ffmpeg/index');
+const projectService = require('../services/project-service');
+const sessionService = require('../services/session-service');
+const { getFFmpegService } = require('../services/ffmpeg/index');
 const ffmpegService = getFFmpegService();
 const { 
   getMainWindow, 
   getTaskManager 
 } = require('./app-lifecycle');
 const { registerHandler } = require('../ipc-registry');
-const { checkVideoToolboxSupport } = utils;
+const { runExportTask } = require('./export-runner');
+const { listCodecProfiles, listAudioCodecs } = require('../tasks/export/codec-profiles');
+const encoderCapabilities = require('../services/ffmpeg/encoder-capabilities');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -32,6 +39,11 @@ function registerIpcHandlers() {
     return win ? await openFileDialog(win) : [];
   });
   
+  registerHandler(ipcMain, 'open-audio-file-dialog', async () => {
+    const win = getMainWindow();
+    return win ? await openAudioFileDialog(win) : [];
+  });
+  
   registerHandler(ipcMain, 'open-directory-dialog', async () => {
     const win = getMainWindow();
     return win ? await openDirectoryDialog(win) : [];
@@ -131,21 +143,117 @@ function registerIpcHandlers() {
     }
   });
   
+  // プロジェクトファイル関連のハンドラー
+  registerHandler(ipcMain, 'save-project', async (_, { project, filePath, saveAs } = {}) => {
+    try {
+      if (!project) {
+        return { success: false, error: 'プロジェクトデータが指定されていません' };
+      }
+
+      // 保存先が未定、または「別名で保存」の場合はダイアログで選択
+      let targetPath = filePath;
+      if (!targetPath || saveAs) {
+        const win = getMainWindow();
+        if (!win) {
+          return { success: false, error: 'ウィンドウが見つかりません' };
+        }
+        targetPath = await saveProjectDialog(win, filePath || projectService.getDefaultFilePath(project.name));
+        if (!targetPath) {
+          return { success: false, canceled: true };
+        }
+      }
+
+      const saved = projectService.saveProject(project, targetPath);
+      return { success: true, ...saved };
+    } catch (error) {
+      console.error('プロジェクト保存エラー:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(ipcMain, 'open-project', async (_, filePath) => {
+    try {
+      // パス未指定の場合はダイアログで選択
+      let targetPath = filePath;
+      if (!targetPath) {
+        const win = getMainWindow();
+        if (!win) {
+          return { success: false, error: 'ウィンドウが見つかりません' };
+        }
+        targetPath = await openProjectDialog(win, projectService.getDefaultDirectory());
+        if (!targetPath) {
+          return { success: false, canceled: true };
+        }
+      }
+
+      const project = projectService.loadProject(targetPath);
+      return { success: true, project };
+    } catch (error) {
+      console.error('プロジェクト読み込みエラー:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(ipcMain, 'get-recent-projects', async () => {
+    try {
+      return { success: true, projects: projectService.getRecentProjects() };
+    } catch (error) {
+      console.error('最近使ったプロジェクトの取得エラー:', error);
+      return { success: false, error: error.message, projects: [] };
+    }
+  });
+  
+  // 書き出しファイルやレポートをFinder/エクスプローラーで表示
+  registerHandler(ipcMain, 'show-item-in-folder', async (_, filePath) => {
+    try {
+      await fs.access(filePath);
+      shell.showItemInFolder(filePath);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: `ファイルが見つかりません: ${filePath}` };
+    }
+  });
+  
+  // セッション自動保存関連のハンドラー
+  registerHandler(ipcMain, 'update-session-snapshot', async (_, snapshot) => {
+    if (!snapshot || !Array.isArray(snapshot.mediaFiles)) {
+      return { success: false, error: 'スナップショットの形式が正しくありません' };
+    }
+    sessionService.updateSnapshot(snapshot);
+    return { success: true };
+  });
+
+  registerHandler(ipcMain, 'take-restored-session', async () => {
+    return { success: true, snapshot: sessionService.takePendingRestore() };
+  });
+  
   // FFmpeg関連のハンドラー
   registerHandler(ipcMain, 'check-ffmpeg', async () => {
     // FFmpegサービスのヘルスチェック
     try {
-      // 新しいFFmpegServiceCoreは直接利用可能
-      const hwAccel = await checkVideoToolboxSupport();
+      // エンコーダーの対応状況は起動時に確認したキャッシュを使用
+      const capabilities = await encoderCapabilities.probe();
+      const hwAccel = capabilities.isHardwareAccelerated ? capabilities.hardwareEncoders.join(', ') : '無効';
       return { 
         success: true, 
-        version: `FFmpeg: ${ffmpegService.utils ? ffmpegService.utils.getFFmpegVersion() || 'N/A' : 'N/A'} (HW: ${hwAccel ? '有効' : '無効'})` 
+        version: `FFmpeg: ${ffmpegService.utils ? ffmpegService.utils.getFFmpegVersion() || 'N/A' : 'N/A'} (HW: ${hwAccel})`,
+        encoders: capabilities.selected
       };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
   
+  // 書き出し設定画面のコーデック・音声コーデック一覧（コーデックプロファイルから作成）
+  registerHandler(ipcMain, 'get-codec-profiles', async () => {
+    try {
+      return { success: true, profiles: await listCodecProfiles(), audioCodecs: listAudioCodecs() };
+    } catch (error) {
+      console.error('コーデック一覧の取得エラー:', error);
+      return { success: false, error: error.message, profiles: [], audioCodecs: [] };
+    }
+  });
+  
   // FFmpegタスク関連のハンドラー
   registerHandler(ipcMain, 'ffmpeg-task-status', async (_, taskId) => {
     return ffmpegService.getTaskStatus(taskId);
@@ -190,133 +298,7 @@ function registerExportHandlers() {
       return { success: false, error: 'タスクマネージャーが利用できません' };
     }
     
-    try {
-      console.log('書き出しリクエスト受信:', JSON.stringify({
-        mediaFilesCount: options.mediaFiles ? options.mediaFiles.length : 0,
-        outputPath: options.outputPath,
-        settings: options.settings
-      }));
-      
-      // 進捗更新用の関数を定義
-      const updateProgress = (data) => {
-        // ログ出力
-        console.log(`進捗情報送信: ${JSON.stringify(data)}`);
-        
-        // 直接メインウィンドウに送信（IPC通信）
-        if (win && win.webContents) {
-          win.webContents.send('export-progress', data);
-        } else {
-          console.error('メインウィンドウが利用できないため進捗情報を送信できません');
-        }
-      };
-      
-      // タスク完了後も進捗情報が送信されるように100%の状態を明示的に送信
-      const sendCompletionProgress = () => {
-        updateProgress({
-          percentage: 100,
-          current: options.mediaFiles.length,
-          total: options.mediaFiles.length,
-          stage: 'completed',
-          phase: 'completed',
-          phaseName: '完了',
-          message: 'エクスポートが完了しました',
-          currentStep: 1,
-          totalSteps: 1
-        });
-      };
-      
-      // 直接FFmpegの進捗をモニターする関数
-      const monitorFFmpegProgress = () => {
-        // 1秒ごとにタスクの進捗を確認して送信
-        const progressInterval = setInterval(() => {
-          // getTaskメソッドではなくgetTaskByIdメソッドを使用
-          const task = taskManager.getTaskById(taskId);
-          if (!task) {
-            clearInterval(progressInterval);
-            return;
-          }
-          
-          const taskData = task.toJSON();
-          
-          // 詳細な進捗情報を取得して送信
-          if (taskData.details) {
-            updateProgress({
-              ...taskData.details,
-              percentage: taskData.progress || 0,
-              current: taskData.details.currentFile || 0,
-              total: options.mediaFiles.length,
-              stage: taskData.details.phase || 'converting'
-            });
-          } else {
-            // 基本的な進捗情報を送信
-            updateProgress({
-              current: taskData.processedFiles || 0,
-              total: options.mediaFiles.length,
-              percentage: taskData.progress || 0,
-              stage: 'converting'
-            });
-          }
-          
-          // タスクが完了または失敗した場合、インターバルをクリア
-          if (taskData.status === 'completed' || taskData.status === 'failed' || taskData.status === 'cancelled') {
-            if (taskData.status === 'completed') {
-              sendCompletionProgress();
-            }
-            clearInterval(progressInterval);
-          }
-        }, 500); // 500msごとに更新（より滑らかな進捗表示）
-      };
-      
-      // ExportTaskを作成して実行
-      const taskId = taskManager.createTask({
-        type: 'export',
-        mediaFiles: options.mediaFiles,
-        outputPath: options.outputPath,
-        settings: options.settings,
-        priority: 'HIGH'
-      });
-      
-      console.log(`書き出しタスクを作成しました: ${taskId}`);
-      
-      // 進捗モニタリングを開始
-      monitorFFmpegProgress();
-      
-      // タスク完了を待機
-      const waitForCompletion = () => new Promise((resolve) => {
-        const completionListener = (task) => {
-          if (task.id === taskId) {
-            const result = task.data;
-            taskManager.eventEmitter.off('taskCompleted', completionListener);
-            taskManager.eventEmitter.off('taskFailed', failureListener);
-            resolve(result);
-          }
-        };
-        
-        const failureListener = (task) => {
-          if (task.id === taskId) {
-            const error = task.error || '書き出しに失敗しました';
-            taskManager.eventEmitter.off('taskCompleted', completionListener);
-            taskManager.eventEmitter.off('taskFailed', failureListener);
-            resolve({ success: false, error });
-          }
-        };
-        
-        taskManager.eventEmitter.on('taskCompleted', completionListener);
-        taskManager.eventEmitter.on('taskFailed', failureListener);
-      });
-      
-      // タスク完了を待機して結果を返す
-      const taskResult = await waitForCompletion();
-      console.log('書き出しタスク結果:', taskResult);
-      
-      // 完了時に100%の進捗を送信
-      sendCompletionProgress();
-      
-      return taskResult || { success: false, error: '不明なエラーが発生しました' };
-    } catch (error) {
-      console.error('動画結合処理エラー:', error);
-      return { success: false, error: error.message || '書き出し中にエラーが発生しました' };
-    }
+    return runExportTask(win, taskManager, options);
   });
   
   console.log('エクスポート関連ハンドラーの登録が完了しました');
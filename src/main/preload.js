@@ -27,10 +27,12 @@ try {
   // 許可するチャンネルリスト
   const validInvokeChannels = [
     'open-file-dialog',
+    'open-audio-file-dialog', // BGM用の音声ファイル選択ダイアログ
     'open-directory-dialog',
     'open-file-or-directory-dialog', // 新しいファイル/フォルダー選択ダイアログ
     'get-desktop-path',
     'check-ffmpeg',
+    'get-codec-profiles', // 書き出しコーデック一覧
     'get-media-info',
     'generate-waveform',
     'generate-thumbnail',
@@ -54,7 +56,19 @@ try {
     
     // フォルダ再帰検索用API（追加）
     'get-path-stats',      // パス情報取得（ファイルかフォルダかの判定）
-    'scan-folder-for-media' // フォルダ内のメディアファイルを再帰的に検索
+    'scan-folder-for-media', // フォルダ内のメディアファイルを再帰的に検索
+    
+    // プロジェクトファイル用API
+    'save-project',        // プロジェクトの保存
+    'open-project',        // プロジェクトの読み込み
+    'get-recent-projects', // 最近使ったプロジェクト一覧
+    
+    // セッション自動保存用API
+    'update-session-snapshot', // 編集状態のスナップショット送信
+    'take-restored-session',   // 復元するセッションの取得
+    
+    // ファイル表示用API
+    'show-item-in-folder'  // Finder/エクスプローラーでファイルを表示
   ];
   
   const validEventChannels = [
@@ -71,7 +85,10 @@ try {
     'task-progress',        // 個別タスクの進捗通知
     'task-completed',       // タスク完了通知
     'task-failed',          // タスク失敗通知
-    'task-cancelled'        // タスクキャンセル通知
+    'task-cancelled',       // タスクキャンセル通知
+    
+    // セッション復元通知
+    'session-restore-available'
   ];
   
   // 統合されたAPIオブジェクトを作成
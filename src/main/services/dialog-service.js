@@ -7,9 +7,14 @@ const { dialog, app } = require('electron');
 // サポートされている拡張子
 const SUPPORTED_EXTENSIONS = {
   video: ['mp4', 'mov', 'avi', 'webm', 'mkv', 'mts', 'm2ts', 'mpg', 'mpeg', 'hevc', 'h265', 'h264'],
-  image: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'tiff', 'webp']
+  image: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'tiff', 'webp'],
+  audio: ['mp3', 'wav', 'm4a', 'aac', 'flac', 'ogg', 'aiff', 'aif']
 };
 
+// プロジェクトファイルの拡張子と表示名
+const PROJECT_EXTENSION = 'swproj';
+const PROJECT_FILTER_NAME = 'Super Watarec プロジェクト';
+
 class DialogService {
   constructor() {
     this.SUPPORTED_EXTENSIONS = SUPPORTED_EXTENSIONS;
@@ -33,6 +38,24 @@ class DialogService {
     return result.canceled ? [] : result.filePaths;
   }
 
+  /**
+   * BGM用の音声ファイル選択ダイアログを開く
+   * @param {BrowserWindow} win ブラウザウィンドウインスタンス
+   * @returns {Promise<string[]>} 選択されたファイルパスの配列
+   */
+  async openAudioFileDialog(win) {
+    const result = await dialog.showOpenDialog(win, {
+      properties: ['openFile', 'multiSelections'],
+      title: 'BGMを選択',
+      filters: [
+        { name: '音声ファイル', extensions: SUPPORTED_EXTENSIONS.audio },
+        { name: 'すべてのファイル', extensions: ['*'] }
+      ]
+    });
+    
+    return result.canceled ? [] : result.filePaths;
+  }
+
   /**
    * ディレクトリ選択ダイアログを開く
    * @param {BrowserWindow} win ブラウザウィンドウインスタンス
@@ -97,6 +120,43 @@ class DialogService {
     };
   }
 
+  /**
+   * プロジェクトファイルを開くダイアログ
+   * @param {BrowserWindow} win ブラウザウィンドウインスタンス
+   * @param {string} defaultPath 初期表示するディレクトリ
+   * @returns {Promise<string|null>} 選択されたプロジェクトファイルのパス
+   */
+  async openProjectDialog(win, defaultPath) {
+    const result = await dialog.showOpenDialog(win, {
+      properties: ['openFile'],
+      defaultPath,
+      filters: [
+        { name: PROJECT_FILTER_NAME, extensions: [PROJECT_EXTENSION] }
+      ],
+      title: 'プロジェクトを開く'
+    });
+
+    return result.canceled || result.filePaths.length === 0 ? null : result.filePaths[0];
+  }
+
+  /**
+   * プロジェクトファイルの保存先を選択するダイアログ
+   * @param {BrowserWindow} win ブラウザウィンドウインスタンス
+   * @param {string} defaultPath 初期表示するファイルパス
+   * @returns {Promise<string|null>} 保存先のファイルパス
+   */
+  async saveProjectDialog(win, defaultPath) {
+    const result = await dialog.showSaveDialog(win, {
+      defaultPath,
+      filters: [
+        { name: PROJECT_FILTER_NAME, extensions: [PROJECT_EXTENSION] }
+      ],
+      title: 'プロジェクトを保存'
+    });
+
+    return result.canceled || !result.filePath ? null : result.filePath;
+  }
+
   /**
    * デスクトップのパスを取得
    * @returns {string} デスクトップのパス
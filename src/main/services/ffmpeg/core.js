@@ -105,38 +105,21 @@ class FFmpegServiceCore extends EventEmitter {
     
     const args = [
       '-v', 'error',
+      '-print_format', 'json',
       '-show_format',
       '-show_streams',
-      '-of', 'json',
       filePath
     ];
     
-    const taskId = uuidv4();
-    
+    // ffprobeで取得する（ffmpegではストリーム情報をJSONで出力できないため）
+    let probeResult;
     try {
-      await this.taskManager.createTask(args, {
-        taskId,
-        type: 'mediainfo',
-        details: { filePath }
-      });
-      
-      // タスク情報を取得
-      const task = this.taskManager.getTaskStatus(taskId);
-      
-      if (task.status === 'error') {
-        throw new Error(`メディア情報の取得に失敗しました: ${task.error}`);
-      }
-      
-      // JSON結果をパース
-      try {
-        const mediaInfo = JSON.parse(task.stdout);
-        return this._processMediaInfo(mediaInfo, filePath);
-      } catch (error) {
-        throw new Error(`メディア情報のパースに失敗しました: ${error.message}`);
-      }
+      probeResult = await utils.runFFprobeCommand(args);
     } catch (error) {
-      throw error;
+      throw new Error(`メディア情報の取得に失敗しました: ${error.error || error.message || error}`);
     }
+    
+    return this._processMediaInfo(probeResult.data, filePath);
   }
   
   /**
@@ -151,6 +134,7 @@ class FFmpegServiceCore extends EventEmitter {
       path: filePath,
       filename: path.basename(filePath),
       duration: 0,
+      startTime: 0,
       format: '',
       width: 0,
       height: 0,
@@ -167,6 +151,8 @@ class FFmpegServiceCore extends EventEmitter {
     if (mediaInfo.format) {
       result.format = mediaInfo.format.format_name;
       result.duration = parseFloat(mediaInfo.format.duration) || 0;
+      // MOV/MTSなどは先頭のタイムスタンプが0ではない（-ssはこの位置からの相対時間）
+      result.startTime = parseFloat(mediaInfo.format.start_time) || 0;
       result.bitrate = parseInt(mediaInfo.format.bit_rate) || 0;
     }
     
@@ -181,6 +167,16 @@ class FFmpegServiceCore extends EventEmitter {
             width: stream.width,
             height: stream.height,
             frameRate: this._parseFrameRate(stream.r_frame_rate),
+            frameRateRaw: stream.r_frame_rate || '',
+            profile: stream.profile || '',
+            level: stream.level > 0 ? stream.level : null,
+            pixFmt: stream.pix_fmt || '',
+            colorRange: stream.color_range || '',
+            colorSpace: stream.color_space || '',
+            colorTransfer: stream.color_transfer || '',
+            colorPrimaries: stream.color_primaries || '',
+            timeBase: stream.time_base || '',
+            sampleAspectRatio: stream.sample_aspect_ratio || '1:1',
             duration: parseFloat(stream.duration) || result.duration
           });
           
@@ -198,6 +194,7 @@ class FFmpegServiceCore extends EventEmitter {
             index: stream.index,
             codec: stream.codec_name,
             channels: stream.channels,
+            channelLayout: stream.channel_layout || '',
             sampleRate: parseInt(stream.sample_rate) || 0,
             duration: parseFloat(stream.duration) || result.duration
           });
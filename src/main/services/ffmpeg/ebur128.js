@@ -0,0 +1,178 @@
+/**
+ * ebur128フィルタの実行と出力解析ユーティリティ
+ * 全区間を1パスで測定し、統合ラウドネス・LRA・トゥルーピークと
+ * モーメンタリー/ショートタームの時系列を取得する
+ */
+const { runFFmpegWithProgress, parseTimeString } = require('./utils');
+
+// フレームログ1行（100msごと）の形式
+// t: 1.2  TARGET:-23 LUFS  M: -20.1 S: -21.3  I: -20.5 LUFS  LRA: 3.2 LU  FTPK: -3.1 dBFS  TPK: -2.9 dBFS
+const FRAME_PATTERN = /t:\s*([\d.]+)\s+TARGET:.*?M:\s*(-?[\d.]+|-?inf|nan)\s+S:\s*(-?[\d.]+|-?inf|nan)/;
+
+// フレームごとのトゥルーピーク（チャンネルごとの値が並ぶ）
+const FRAME_PEAK_PATTERN = /FTPK:\s*([-\d.\sinfa]+?)\s*dBFS/;
+
+/**
+ * ebur128フィルタの文字列を作成
+ * @returns {string}
+ */
+function buildEbur128Filter() {
+  // peak=true でトゥルーピークを測定、framelog=info でフレームごとの値を出力
+  return 'ebur128=peak=true:framelog=info';
+}
+
+/**
+ * 数値に変換（-inf などの測定不能値はnull）
+ * @param {string} value
+ * @returns {number|null}
+ */
+function toLoudness(value) {
+  const number = parseFloat(value);
+  return isFinite(number) ? number : null;
+}
+
+/**
+ * フレームログの1行を解析
+ * @param {string} line - FFmpegの出力行
+ * @returns {{time: number, momentary: number|null, shortTerm: number|null, truePeak: number|null}|null}
+ */
+function parseEbur128Frame(line) {
+  if (!line.includes('Parsed_ebur128')) return null;
+
+  const match = line.match(FRAME_PATTERN);
+  if (!match) return null;
+
+  // 全チャンネルのうち最大のトゥルーピーク
+  const peakMatch = line.match(FRAME_PEAK_PATTERN);
+  const peaks = peakMatch
+    ? peakMatch[1].trim().split(/\s+/).map(toLoudness).filter(value => value !== null)
+    : [];
+
+  return {
+    time: parseFloat(match[1]),
+    momentary: toLoudness(match[2]),
+    shortTerm: toLoudness(match[3]),
+    truePeak: peaks.length > 0 ? Math.max(...peaks) : null
+  };
+}
+
+/**
+ * 測定終了時のサマリーを解析
+ * @param {string} output - サマリー部分を含むFFmpegの出力
+ * @returns {{integrated: number|null, threshold: number|null, lra: number|null, lraLow: number|null, lraHigh: number|null, truePeak: number|null}|null}
+ */
+function parseEbur128Summary(output) {
+  const index = output.lastIndexOf('Summary:');
+  if (index === -1) return null;
+
+  const summary = output.slice(index);
+  const pick = (pattern) => {
+    const match = summary.match(pattern);
+    return match ? toLoudness(match[1]) : null;
+  };
+
+  return {
+    integrated: pick(/Integrated loudness:\s*I:\s*(-?[\d.]+|-?inf)/),
+    threshold: pick(/Integrated loudness:\s*I:[^\n]*\n\s*Threshold:\s*(-?[\d.]+|-?inf)/),
+    lra: pick(/LRA:\s*(-?[\d.]+|-?inf)\s*LU/),
+    lraLow: pick(/LRA low:\s*(-?[\d.]+|-?inf)/),
+    lraHigh: pick(/LRA high:\s*(-?[\d.]+|-?inf)/),
+    truePeak: pick(/True peak:\s*Peak:\s*(-?[\d.]+|-?inf)/)
+  };
+}
+
+/**
+ * ebur128でファイル全体のラウドネスを測定
+ * -nostats のため time= による進捗は出ないので、フレームログの時刻から進捗を通知する
+ * @param {string} inputPath - 入力ファイルのパス
+ * @param {Object} options - オプション
+ * @param {number} options.seriesInterval - 時系列を記録する間隔（秒）。0の場合は記録しない
+ * @param {Function} options.onProgress - 進捗コールバック（0〜1）
+ * @param {Function} options.onSpawn - FFmpegプロセス起動時のコールバック（キャンセル用）
+ * @param {Function} options.runFFmpeg - FFmpegの実行関数（タスク・ステップの runFFmpeg を渡すとキャンセルを共有できる）
+ * @returns {Promise<{summary: Object, momentary: Array, shortTerm: Array, truePeak: Array, maxMomentary: number|null, maxShortTerm: number|null, duration: number}>}
+ */
+async function runEbur128(inputPath, options = {}) {
+  const {
+    seriesInterval = 0,
+    onProgress = () => {},
+    onSpawn,
+    runFFmpeg = runFFmpegWithProgress
+  } = options;
+
+  const args = [
+    '-hide_banner',
+    '-nostats',
+    '-i', inputPath,
+    '-vn',
+    '-af', buildEbur128Filter(),
+    '-f', 'null',
+    '-'
+  ];
+
+  const momentary = [];
+  const shortTerm = [];
+  const truePeak = [];
+  let maxMomentary = null;
+  let maxShortTerm = null;
+  let nextSampleTime = 0;
+  let duration = 0;
+
+  const onLine = (line) => {
+    const durationMatch = !duration && line.match(/Duration: (\d+:\d+:\d+\.\d+)/);
+    if (durationMatch) {
+      duration = parseTimeString(durationMatch[1]);
+    }
+
+    const frame = parseEbur128Frame(line);
+    if (!frame) return;
+
+    if (frame.momentary !== null && (maxMomentary === null || frame.momentary > maxMomentary)) {
+      maxMomentary = frame.momentary;
+    }
+    if (frame.shortTerm !== null && (maxShortTerm === null || frame.shortTerm > maxShortTerm)) {
+      maxShortTerm = frame.shortTerm;
+    }
+
+    // 一定間隔ごとに時系列を記録（トゥルーピークは間隔内の最大値）
+    if (seriesInterval > 0) {
+      if (frame.time >= nextSampleTime) {
+        momentary.push(frame.momentary);
+        shortTerm.push(frame.shortTerm);
+        truePeak.push(frame.truePeak);
+        nextSampleTime += seriesInterval;
+      } else if (frame.truePeak !== null) {
+        const last = truePeak.length - 1;
+        if (last >= 0 && (truePeak[last] === null || frame.truePeak > truePeak[last])) {
+          truePeak[last] = frame.truePeak;
+        }
+      }
+    }
+
+    if (duration > 0) {
+      onProgress(Math.min(1, frame.time / duration));
+    }
+  };
+
+  // サマリーは測定終了時に出力されるため、標準エラー出力の末尾から解析する
+  const stderrTail = await runFFmpeg(args, {
+    onLine,
+    onSpawn,
+    onProgress,
+    label: 'ラウドネス測定(ebur128)'
+  });
+
+  const summary = parseEbur128Summary(stderrTail);
+  if (!summary) {
+    throw new Error('ラウドネス測定(ebur128)の結果を解析できませんでした');
+  }
+
+  return { summary, momentary, shortTerm, truePeak, maxMomentary, maxShortTerm, duration };
+}
+
+module.exports = {
+  runEbur128,
+  buildEbur128Filter,
+  parseEbur128Frame,
+  parseEbur128Summary
+};
@@ -0,0 +1,249 @@
+/**
+ * エンコーダー対応状況の確認サービス
+ * 起動時に ffmpeg -encoders / -hwaccels を一度だけ実行して結果をキャッシュし、
+ * H.264/H.265 を利用可能な中で最適なエンコーダー（ハードウェア優先、ソフトウェアで代替）に割り当てる
+ */
+const { runFFmpegCommand } = require('./utils');
+
+// VA-APIで使用するデバイス（Linuxの既定のレンダーノード）
+const VAAPI_DEVICE = '/dev/dri/renderD128';
+
+// ハードウェアエンコーダーの試験エンコードのタイムアウト（ミリ秒）
+const TEST_ENCODE_TIMEOUT = 10000;
+
+// 論理コーデックごとのエンコーダー候補（優先順、最後のソフトウェアエンコーダーが代替）
+// hwaccel: -hwaccels に含まれている必要がある方式 / deviceArgs: 入力より前に指定する引数 / uploadFilter: GPUへの転送フィルタ
+// rateControl: レート制御の引数の種類（tasks/export/encoding-options.js で書き出し設定から引数を作成）
+const VIDEO_ENCODERS = {
+  h264: [
+    {
+      name: 'h264_videotoolbox',
+      hwaccel: 'videotoolbox',
+      rateControl: 'videotoolbox',
+      args: ['-profile:v', 'high', '-pix_fmt', 'yuv420p']
+    },
+    {
+      name: 'h264_nvenc',
+      hwaccel: 'cuda',
+      rateControl: 'nvenc',
+      args: ['-preset', 'p5', '-profile:v', 'high', '-pix_fmt', 'yuv420p']
+    },
+    {
+      name: 'h264_vaapi',
+      hwaccel: 'vaapi',
+      deviceArgs: ['-vaapi_device', VAAPI_DEVICE],
+      uploadFilter: 'format=nv12,hwupload',
+      rateControl: 'vaapi',
+      args: ['-profile:v', 'high']
+    },
+    {
+      name: 'libx264',
+      rateControl: 'x264',
+      args: ['-preset', 'medium', '-profile:v', 'high', '-pix_fmt', 'yuv420p']
+    }
+  ],
+  // iOSとの互換性のためにHEVCのタグを指定
+  hevc: [
+    {
+      name: 'hevc_videotoolbox',
+      hwaccel: 'videotoolbox',
+      rateControl: 'videotoolbox',
+      args: ['-tag:v', 'hvc1', '-pix_fmt', 'yuv420p']
+    },
+    {
+      name: 'hevc_nvenc',
+      hwaccel: 'cuda',
+      rateControl: 'nvenc',
+      args: ['-preset', 'p5', '-tag:v', 'hvc1', '-pix_fmt', 'yuv420p']
+    },
+    {
+      name: 'hevc_vaapi',
+      hwaccel: 'vaapi',
+      deviceArgs: ['-vaapi_device', VAAPI_DEVICE],
+      uploadFilter: 'format=nv12,hwupload',
+      rateControl: 'vaapi',
+      args: ['-tag:v', 'hvc1']
+    },
+    {
+      name: 'libx265',
+      rateControl: 'x265',
+      args: ['-preset', 'medium', '-tag:v', 'hvc1', '-pix_fmt', 'yuv420p']
+    }
+  ]
+};
+
+/**
+ * ffmpeg -encoders の出力からエンコーダー名の一覧を取得
+ * @param {string} output - 標準出力
+ * @returns {string[]} エンコーダー名
+ */
+function parseEncoderList(output) {
+  return output.split('\n')
+    .map(line => line.trim().match(/^[VAS][A-Z.]{5}\s+(\S+)/))
+    .filter(match => match && match[1] !== '=')
+    .map(match => match[1]);
+}
+
+/**
+ * ffmpeg -hwaccels の出力からハードウェアアクセラレーション方式の一覧を取得
+ * @param {string} output - 標準出力
+ * @returns {string[]} 方式名
+ */
+function parseHwaccelList(output) {
+  return output.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.endsWith(':'));
+}
+
+class EncoderCapabilities {
+  constructor() {
+    this.probePromise = null;
+    this.capabilities = null;
+  }
+
+  /**
+   * エンコーダーの対応状況を確認（初回のみ実行し、以降はキャッシュを返す）
+   * @returns {Promise<Object>} 対応状況
+   */
+  probe() {
+    if (!this.probePromise) {
+      this.probePromise = this._probe().then(capabilities => {
+        this.capabilities = capabilities;
+        return capabilities;
+      });
+    }
+    return this.probePromise;
+  }
+
+  /**
+   * キャッシュ済みの対応状況を取得
+   * @returns {Object|null} 対応状況（確認前はnull）
+   */
+  getCapabilities() {
+    return this.capabilities;
+  }
+
+  /**
+   * 論理コーデックに使用するエンコーダーを取得
+   * @param {string} codec - 論理コーデック（h264 / hevc）
+   * @returns {Promise<{name: string, hardware: boolean, rateControl: string, args: string[], deviceArgs: string[], uploadFilter: string|null}>} エンコーダー
+   */
+  async selectVideoEncoder(codec) {
+    const capabilities = await this.probe();
+    const candidates = VIDEO_ENCODERS[codec];
+    if (!candidates) {
+      throw new Error(`未対応のコーデックです: ${codec}`);
+    }
+
+    const name = capabilities.selected[codec];
+    const encoder = candidates.find(candidate => candidate.name === name) || candidates[candidates.length - 1];
+    return {
+      name: encoder.name,
+      hardware: Boolean(encoder.hwaccel),
+      rateControl: encoder.rateControl,
+      args: encoder.args,
+      deviceArgs: encoder.deviceArgs || [],
+      uploadFilter: encoder.uploadFilter || null
+    };
+  }
+
+  /**
+   * エンコーダー・ハードウェアアクセラレーションの一覧を取得し、コーデックごとにエンコーダーを選択
+   * @returns {Promise<Object>} 対応状況
+   * @private
+   */
+  async _probe() {
+    console.log('エンコーダーの対応状況を確認します');
+    const encoders = await this._listCommand('-encoders', parseEncoderList);
+    const hwaccels = await this._listCommand('-hwaccels', parseHwaccelList);
+
+    const selected = {};
+    for (const [codec, candidates] of Object.entries(VIDEO_ENCODERS)) {
+      selected[codec] = await this._selectEncoder(candidates, encoders, hwaccels);
+      console.log(`${codec} のエンコーダー: ${selected[codec]}`);
+    }
+
+    const hardwareEncoders = Object.values(VIDEO_ENCODERS).flat()
+      .filter(candidate => candidate.hwaccel && Object.values(selected).includes(candidate.name))
+      .map(candidate => candidate.name);
+
+    return {
+      encoders,
+      hwaccels,
+      selected,
+      hardwareEncoders,
+      isHardwareAccelerated: hardwareEncoders.length > 0
+    };
+  }
+
+  /**
+   * FFmpegの一覧表示コマンドを実行
+   * @param {string} option - -encoders / -hwaccels
+   * @param {Function} parse - 出力の解析関数
+   * @returns {Promise<string[]>} 一覧（取得できない場合は空）
+   * @private
+   */
+  async _listCommand(option, parse) {
+    try {
+      const result = await runFFmpegCommand(['-hide_banner', option]);
+      return parse(result.stdout);
+    } catch (error) {
+      console.warn(`${option} での確認に失敗しました:`, error.error || error.message);
+      return [];
+    }
+  }
+
+  /**
+   * 候補の中から実際に使用できる最初のエンコーダーを選択
+   * ハードウェアエンコーダーはビルドに含まれていてもデバイスがない場合があるため、1フレームの試験エンコードで確認する
+   * @param {Array<Object>} candidates - エンコーダー候補
+   * @param {string[]} encoders - ffmpeg -encoders の一覧
+   * @param {string[]} hwaccels - ffmpeg -hwaccels の一覧
+   * @returns {Promise<string>} エンコーダー名
+   * @private
+   */
+  async _selectEncoder(candidates, encoders, hwaccels) {
+    const software = candidates[candidates.length - 1];
+    for (const candidate of candidates.slice(0, -1)) {
+      if (!encoders.includes(candidate.name) || !hwaccels.includes(candidate.hwaccel)) {
+        continue;
+      }
+      if (await this._testEncode(candidate)) {
+        return candidate.name;
+      }
+    }
+    return software.name;
+  }
+
+  /**
+   * 1フレームの試験エンコードでエンコーダーが使用できるか確認
+   * @param {Object} candidate - エンコーダー候補
+   * @returns {Promise<boolean>} 使用できるかどうか
+   * @private
+   */
+  async _testEncode(candidate) {
+    const args = [
+      '-hide_banner',
+      '-loglevel', 'error',
+      ...(candidate.deviceArgs || []),
+      '-f', 'lavfi',
+      '-i', 'color=c=black:s=256x256:r=30:d=0.1',
+      ...(candidate.uploadFilter ? ['-vf', candidate.uploadFilter] : []),
+      '-frames:v', '1',
+      '-c:v', candidate.name,
+      ...candidate.args,
+      '-f', 'null',
+      '-'
+    ];
+
+    try {
+      await runFFmpegCommand(args, { timeout: TEST_ENCODE_TIMEOUT });
+      return true;
+    } catch (error) {
+      console.log(`${candidate.name} は使用できません: ${(error.stderr || error.error || '').trim()}`);
+      return false;
+    }
+  }
+}
+
+module.exports = new EncoderCapabilities();
@@ -5,8 +5,12 @@
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const crypto = require('crypto');
 const { spawn } = require('child_process');
 
+// FFmpegの実行結果として保持する標準エラー出力の末尾の長さ（文字数）
+const STDERR_TAIL_LENGTH = 10000;
+
 /**
  * 作業ディレクトリの初期化
  * @returns {Object} - 作業ディレクトリのパス情報
@@ -46,6 +50,42 @@ function initializeWorkDirectories() {
   return directories;
 }
 
+/**
+ * 入力ファイルごとの作業ファイル名のキーを作成（同じファイルの以前の作業ファイルを見つけるため）
+ * @param {string} filePath - 入力ファイルのパス
+ * @returns {string} - キー（16進数12文字）
+ */
+function getWorkFileKey(filePath) {
+  return crypto.createHash('md5').update(filePath).digest('hex').slice(0, 12);
+}
+
+/**
+ * 作業ディレクトリ内の不要になったファイルを削除
+ * @param {string} dir - 対象ディレクトリ
+ * @param {Function} shouldRemove - 削除するか判定する関数 (fileName, stat) => boolean
+ * @returns {number} - 削除したファイル数
+ */
+function removeWorkFiles(dir, shouldRemove) {
+  if (!fs.existsSync(dir)) {
+    return 0;
+  }
+
+  let count = 0;
+  for (const fileName of fs.readdirSync(dir)) {
+    const filePath = path.join(dir, fileName);
+    try {
+      const stat = fs.statSync(filePath);
+      if (stat.isFile() && shouldRemove(fileName, stat)) {
+        fs.unlinkSync(filePath);
+        count++;
+      }
+    } catch (error) {
+      console.warn(`作業ファイルの削除に失敗しました: ${filePath}`, error.message);
+    }
+  }
+  return count;
+}
+
 /**
  * 時間文字列をパース
  * @param {string} timeStr - hh:mm:ss.ms 形式の時間文字列
@@ -157,9 +197,11 @@ function getFFmpegVersion() {
 /**
  * FFmpegコマンドを実行する関数
  * @param {string[]} args FFmpegコマンドの引数配列
+ * @param {Object} options オプション
+ * @param {number} options.timeout タイムアウト（ミリ秒、超えた場合はプロセスを終了して失敗扱い）
  * @returns {Promise<Object>} 実行結果
  */
-function runFFmpegCommand(args) {
+function runFFmpegCommand(args, options = {}) {
   return new Promise((resolve, reject) => {
     const ffmpegPath = getFFmpegPath();
     console.log('Running FFmpeg command:', `${ffmpegPath} ${args.join(' ')}`);
@@ -168,6 +210,11 @@ function runFFmpegCommand(args) {
     let stdoutData = '';
     let stderrData = '';
     
+    const timer = options.timeout ? setTimeout(() => {
+      console.warn(`FFmpegコマンドがタイムアウトしました (${options.timeout}ms)`);
+      ffmpegProcess.kill('SIGKILL');
+    }, options.timeout) : null;
+    
     ffmpegProcess.stdout.on('data', (data) => {
       stdoutData += data.toString();
     });
@@ -178,6 +225,7 @@ function runFFmpegCommand(args) {
     });
     
     ffmpegProcess.on('close', (code) => {
+      clearTimeout(timer);
       if (code === 0) {
         resolve({
           success: true, 
@@ -196,6 +244,7 @@ function runFFmpegCommand(args) {
     });
     
     ffmpegProcess.on('error', (err) => {
+      clearTimeout(timer);
       reject({
         success: false,
         error: err.message
@@ -204,6 +253,81 @@ function runFFmpegCommand(args) {
   });
 }
 
+/**
+ * FFmpegを実行し、標準エラー出力の処理位置（time=）から進捗を通知する
+ * 処理対象の長さを指定しない場合は、最初の入力の Duration を処理対象の長さとする
+ * @param {string[]} args - FFmpegの引数
+ * @param {Object} options - オプション
+ * @param {number} options.duration - 処理対象の長さ（秒）
+ * @param {Function} options.onProgress - 進捗コールバック（0〜1）
+ * @param {Function} options.onLine - 標準エラー出力の1行ごとのコールバック（検出結果の解析用）
+ * @param {Function} options.onSpawn - FFmpegプロセス起動時のコールバック（キャンセル用）
+ * @param {string} options.label - ログ用の処理名
+ * @returns {Promise<string>} 標準エラー出力の末尾（loudnormの測定結果などの解析用）
+ */
+function runFFmpegWithProgress(args, options = {}) {
+  const { onProgress = () => {}, onLine = () => {}, onSpawn = () => {}, label = 'FFmpeg' } = options;
+
+  return new Promise((resolve, reject) => {
+    const ffmpegPath = getFFmpegPath();
+    console.log(`${label}コマンド: ${ffmpegPath} ${args.join(' ')}`);
+
+    const ffmpegProcess = spawn(ffmpegPath, args);
+    onSpawn(ffmpegProcess);
+    // 標準出力は使用しないが、バッファが詰まらないように読み捨てる
+    ffmpegProcess.stdout.resume();
+
+    let duration = options.duration > 0 ? options.duration : 0;
+    let lineBuffer = '';
+    let stderrTail = '';
+
+    const handleLine = (line) => {
+      if (!duration) {
+        const durationMatch = line.match(/Duration: (\d+:\d+:\d+\.\d+)/);
+        if (durationMatch) {
+          duration = parseTimeString(durationMatch[1]);
+        }
+      }
+
+      const timeMatch = line.match(/time=(\d+:\d+:\d+\.\d+)/);
+      if (timeMatch && duration > 0) {
+        onProgress(Math.min(1, parseTimeString(timeMatch[1]) / duration));
+      }
+
+      onLine(line);
+    };
+
+    ffmpegProcess.stderr.on('data', (data) => {
+      const output = data.toString();
+      stderrTail = (stderrTail + output).slice(-STDERR_TAIL_LENGTH);
+
+      // 進捗行は\rで区切られるため改行と合わせて行に分割
+      const lines = (lineBuffer + output).split(/[\r\n]/);
+      lineBuffer = lines.pop();
+      lines.forEach(handleLine);
+    });
+
+    ffmpegProcess.on('error', (err) => {
+      console.error(`${label}プロセスエラー:`, err);
+      reject(err);
+    });
+
+    ffmpegProcess.on('close', (code, signal) => {
+      if (lineBuffer) {
+        handleLine(lineBuffer);
+      }
+
+      if (code === 0) {
+        onProgress(1);
+        resolve(stderrTail);
+      } else {
+        console.error(`${label}エラー出力:`, stderrTail);
+        reject(new Error(`${label}プロセスが${signal ? `シグナル ${signal}` : `終了コード ${code}`} で終了しました`));
+      }
+    });
+  });
+}
+
 /**
  * FFprobeコマンドを実行する関数（メタデータ取得用）
  * @param {string[]} args FFprobeコマンドの引数配列
@@ -269,90 +393,16 @@ function runFFprobeCommand(args) {
   });
 }
 
-/**
- * HWアクセラレーション（VideoToolbox）のサポート状況を確認
- * @returns {Promise<Object>} ハードウェアアクセラレーションのサポート情報
- */
-async function checkVideoToolboxSupport() {
-  try {
-    let hasVideoToolbox = false;
-    
-    // 方法1: -hwaccelsで確認
-    try {
-      const hwaccelsResult = await runFFmpegCommand([
-        '-hide_banner',
-        '-loglevel', 'error',
-        '-hwaccels'
-      ]);
-      const hwaccelList = hwaccelsResult.stdout.split('\n').map(line => line.trim()).filter(Boolean);
-      
-      if (hwaccelList.includes('videotoolbox')) {
-        console.log('VideoToolbox対応を-hwaccelsで確認しました');
-        hasVideoToolbox = true;
-      }
-    } catch (error) {
-      console.warn('-hwaccelsでの確認に失敗:', error);
-    }
-    
-    // 方法2: エンコーダー一覧で確認（VideoToolboxが見つからない場合）
-    if (!hasVideoToolbox) {
-      try {
-        const encodersResult = await runFFmpegCommand([
-          '-hide_banner',
-          '-loglevel', 'error',
-          '-encoders'
-        ]);
-        const encodersList = encodersResult.stdout;
-        
-        if (encodersList.includes('h264_videotoolbox') || encodersList.includes('hevc_videotoolbox')) {
-          console.log('VideoToolbox対応をエンコーダー一覧で確認しました');
-          hasVideoToolbox = true;
-        }
-      } catch (error) {
-        console.warn('エンコーダー一覧での確認に失敗:', error);
-      }
-    }
-    
-    // 方法3: OSによる判定（最終手段）
-    const isMac = process.platform === 'darwin';
-    if (!hasVideoToolbox && isMac) {
-      // macOSなら基本的にVideoToolboxが使える
-      console.log('OS検出によりmacOSを検出、VideoToolboxが利用可能と仮定します');
-      hasVideoToolbox = true;
-    }
-    
-    // 結果を返す
-    return {
-      h264: hasVideoToolbox,
-      hevc: hasVideoToolbox,
-      isHardwareAccelerated: hasVideoToolbox,
-      supportedCodecs: hasVideoToolbox ? ['h264_videotoolbox', 'hevc_videotoolbox'] : [],
-      hwaccelEngine: hasVideoToolbox ? 'videotoolbox' : null,
-      detectionMethod: hasVideoToolbox ? 'composite' : 'none'
-    };
-  } catch (error) {
-    console.warn('ハードウェアエンコード対応確認エラー:', error);
-    // macOSのデフォルト値
-    const isMac = process.platform === 'darwin';
-    return { 
-      h264: isMac, 
-      hevc: isMac, 
-      isHardwareAccelerated: isMac,
-      supportedCodecs: isMac ? ['h264_videotoolbox', 'hevc_videotoolbox'] : [],
-      hwaccelEngine: isMac ? 'videotoolbox' : null,
-      detectionMethod: 'fallback'
-    };
-  }
-}
-
 module.exports = {
   initializeWorkDirectories,
+  getWorkFileKey,
+  removeWorkFiles,
   parseTimeString,
   formatTimeString,
   extractProgressInfo,
   getFFmpegPath,
   getFFmpegVersion,
   runFFmpegCommand,
-  runFFprobeCommand,
-  checkVideoToolboxSupport
+  runFFmpegWithProgress,
+  runFFprobeCommand
 };
@@ -0,0 +1,72 @@
+/**
+ * 音声のクリーンアップ（ボイスエンハンス）のフィルタ定義
+ * スマートフォンやノートPCのマイクで録音した声向けに、
+ * ノイズ除去・低域カット・ディエッサー・コンプレッサー・リミッターを順に掛ける
+ */
+
+// プリセットごとのフィルタ設定（値はFFmpegの各フィルタのパラメータ）
+const VOICE_ENHANCE_PRESETS = {
+  light: {
+    highpass: 80,
+    denoise: { nr: 6, nf: -50 },
+    deess: 0,
+    compressor: { threshold: 0.1, ratio: 2, attack: 20, release: 250, makeup: 1 },
+    limit: 0.891
+  },
+  medium: {
+    highpass: 90,
+    denoise: { nr: 12, nf: -45 },
+    deess: 0.3,
+    compressor: { threshold: 0.089, ratio: 3, attack: 15, release: 200, makeup: 1.5 },
+    limit: 0.891
+  },
+  strong: {
+    highpass: 100,
+    denoise: { nr: 20, nf: -40, tn: 1 },
+    deess: 0.5,
+    compressor: { threshold: 0.063, ratio: 4, attack: 10, release: 150, makeup: 2 },
+    limit: 0.891
+  }
+};
+
+/**
+ * クリップのボイスエンハンス設定からプリセット名を取得
+ * @param {Object|string|null} clipOrPreset - クリップ（voiceEnhanceを持つ）またはプリセット名
+ * @returns {string|null} プリセット名（無効・オフの場合はnull）
+ */
+function getVoiceEnhancePreset(clipOrPreset) {
+  const preset = clipOrPreset && typeof clipOrPreset === 'object' ? clipOrPreset.voiceEnhance : clipOrPreset;
+  return Object.prototype.hasOwnProperty.call(VOICE_ENHANCE_PRESETS, preset) ? preset : null;
+}
+
+/**
+ * プリセットのフィルタチェーンを作成
+ * @param {string} preset - プリセット名
+ * @returns {string|null} -af に渡すフィルタ文字列（無効なプリセットの場合はnull）
+ */
+function buildVoiceEnhanceFilter(preset) {
+  const config = VOICE_ENHANCE_PRESETS[preset];
+  if (!config) {
+    return null;
+  }
+
+  const { denoise, compressor } = config;
+  const filters = [
+    `highpass=f=${config.highpass}`,
+    `afftdn=nr=${denoise.nr}:nf=${denoise.nf}${denoise.tn ? `:tn=${denoise.tn}` : ''}`
+  ];
+  if (config.deess > 0) {
+    filters.push(`deesser=i=${config.deess}`);
+  }
+  filters.push(
+    `acompressor=threshold=${compressor.threshold}:ratio=${compressor.ratio}:attack=${compressor.attack}:release=${compressor.release}:makeup=${compressor.makeup}`,
+    `alimiter=limit=${config.limit}`
+  );
+  return filters.join(',');
+}
+
+module.exports = {
+  VOICE_ENHANCE_PRESETS,
+  getVoiceEnhancePreset,
+  buildVoiceEnhanceFilter
+};
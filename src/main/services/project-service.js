@@ -0,0 +1,204 @@
+/**
+ * project-service.js
+ * プロジェクトファイル（.swproj）の保存・読み込みを担当するサービス
+ */
+const fs = require('fs');
+const path = require('path');
+const storageService = require('./storage-service');
+
+// プロジェクトファイルの形式バージョン
+const PROJECT_VERSION = 1;
+
+// プロジェクトファイルの拡張子
+const PROJECT_EXTENSION = '.swproj';
+
+// 最近使ったプロジェクトの保存キーと最大件数
+const RECENT_PROJECTS_KEY = 'recent-projects';
+const MAX_RECENT_PROJECTS = 10;
+
+// プロジェクトに保存するクリップの項目
+const PROJECT_MEDIA_KEYS = [
+  'id',
+  'name',
+  'type',
+  'size',
+  'duration',
+  'trimStart',
+  'trimEnd',
+  'segments',
+  'silentRanges',
+  'scenes',
+  'audioCrossfade',
+  'transition',
+  'audioEnvelope',
+  'voiceEnhance',
+  'reframe',
+  'loudnessNormalization',
+  'lufs',
+  'lufsGain',
+  'waveformTaskId',
+  'thumbnailTaskId'
+];
+
+// プロジェクトに保存するBGMクリップの項目
+const PROJECT_MUSIC_CLIP_KEYS = [
+  'id',
+  'name',
+  'duration',
+  'start',
+  'trimStart',
+  'trimEnd',
+  'loop',
+  'fadeIn',
+  'fadeOut',
+  'gain'
+];
+
+class ProjectService {
+  /**
+   * プロジェクトの既定の保存先ディレクトリを取得
+   * @returns {string} ディレクトリパス
+   */
+  getDefaultDirectory() {
+    return storageService.ensureWorkDirectories('Super Watarec', ['projects']).projects;
+  }
+
+  /**
+   * 新規保存時の既定のファイルパスを取得
+   * @param {string} name プロジェクト名
+   * @returns {string} ファイルパス
+   */
+  getDefaultFilePath(name) {
+    const baseName = (name || '名称未設定').replace(/[\\/:*?"<>|]/g, '_');
+    return path.join(this.getDefaultDirectory(), `${baseName}${PROJECT_EXTENSION}`);
+  }
+
+  /**
+   * プロジェクトをファイルに保存
+   * @param {Object} project プロジェクトデータ（mediaFiles, musicTrack, exportSettings）
+   * @param {string} filePath 保存先のファイルパス
+   * @returns {Object} 保存結果
+   */
+  saveProject(project, filePath) {
+    if (!filePath.endsWith(PROJECT_EXTENSION)) {
+      filePath += PROJECT_EXTENSION;
+    }
+
+    const projectDir = path.dirname(filePath);
+    const name = path.basename(filePath, PROJECT_EXTENSION);
+
+    // メディアのパスはプロジェクトファイルからの相対パスで保存
+    const mediaFiles = (project.mediaFiles || []).map(media => {
+      const entry = { path: path.relative(projectDir, media.path) };
+      PROJECT_MEDIA_KEYS.forEach(key => {
+        if (media[key] !== undefined) {
+          entry[key] = media[key];
+        }
+      });
+      return entry;
+    });
+
+    // BGMトラックも同様に相対パスで保存
+    const musicTrack = project.musicTrack ? {
+      ducking: project.musicTrack.ducking,
+      clips: (project.musicTrack.clips || []).map(clip => {
+        const entry = { path: path.relative(projectDir, clip.path) };
+        PROJECT_MUSIC_CLIP_KEYS.forEach(key => {
+          if (clip[key] !== undefined) {
+            entry[key] = clip[key];
+          }
+        });
+        return entry;
+      })
+    } : null;
+
+    const document = {
+      version: PROJECT_VERSION,
+      name,
+      savedAt: new Date().toISOString(),
+      mediaFiles,
+      musicTrack,
+      exportSettings: project.exportSettings || null
+    };
+
+    fs.mkdirSync(projectDir, { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(document, null, 2), 'utf8');
+    console.log(`プロジェクトを保存しました: ${filePath} (${mediaFiles.length}クリップ)`);
+
+    this.addRecentProject(filePath, name);
+    return { filePath, name };
+  }
+
+  /**
+   * プロジェクトファイルを読み込み
+   * @param {string} filePath プロジェクトファイルのパス
+   * @returns {Object} 読み込んだプロジェクト（メディアのパスは絶対パスに解決済み）
+   */
+  loadProject(filePath) {
+    const document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (!document || !Array.isArray(document.mediaFiles)) {
+      throw new Error('プロジェクトファイルの形式が正しくありません');
+    }
+    if (document.version > PROJECT_VERSION) {
+      throw new Error(`未対応のプロジェクト形式です (version ${document.version})`);
+    }
+
+    const projectDir = path.dirname(filePath);
+    const name = document.name || path.basename(filePath, PROJECT_EXTENSION);
+
+    const mediaFiles = document.mediaFiles.map(media => {
+      const absolutePath = path.resolve(projectDir, media.path);
+      return {
+        ...media,
+        path: absolutePath,
+        missing: !fs.existsSync(absolutePath)
+      };
+    });
+
+    const musicTrack = document.musicTrack && Array.isArray(document.musicTrack.clips) ? {
+      ...document.musicTrack,
+      clips: document.musicTrack.clips.map(clip => {
+        const absolutePath = path.resolve(projectDir, clip.path);
+        return { ...clip, path: absolutePath, missing: !fs.existsSync(absolutePath) };
+      })
+    } : null;
+
+    const missingCount = mediaFiles.filter(media => media.missing).length;
+    console.log(`プロジェクトを読み込みました: ${filePath} (${mediaFiles.length}クリップ, 見つからない素材: ${missingCount}件)`);
+
+    this.addRecentProject(filePath, name);
+    return {
+      filePath,
+      name,
+      mediaFiles,
+      musicTrack,
+      exportSettings: document.exportSettings || null
+    };
+  }
+
+  /**
+   * 最近使ったプロジェクトの一覧を取得（存在しないファイルは除外）
+   * @returns {Array<{filePath: string, name: string, openedAt: string}>}
+   */
+  getRecentProjects() {
+    const recent = storageService.loadJson('settings', RECENT_PROJECTS_KEY, []);
+    return Array.isArray(recent) ? recent.filter(item => item && fs.existsSync(item.filePath)) : [];
+  }
+
+  /**
+   * 最近使ったプロジェクトの先頭に追加
+   * @param {string} filePath プロジェクトファイルのパス
+   * @param {string} name プロジェクト名
+   */
+  addRecentProject(filePath, name) {
+    const recent = this.getRecentProjects().filter(item => item.filePath !== filePath);
+    recent.unshift({ filePath, name, openedAt: new Date().toISOString() });
+    storageService.saveJson('settings', RECENT_PROJECTS_KEY, recent.slice(0, MAX_RECENT_PROJECTS));
+  }
+}
+
+// シングルトンインスタンスの作成
+const projectService = new ProjectService();
+
+module.exports = projectService;
@@ -0,0 +1,140 @@
+/**
+ * session-service.js
+ * 編集中セッションの自動保存とクラッシュ復旧を担当するサービス
+ */
+const storageService = require('./storage-service');
+
+// 自動保存の間隔（ミリ秒）
+const AUTOSAVE_INTERVAL_MS = 30 * 1000;
+
+// 保存キー（スナップショットはcache、起動状態と書き出し中タスクはsettings）
+const SNAPSHOT_KEY = 'session-snapshot';
+const STATE_KEY = 'session-state';
+
+class SessionService {
+  constructor() {
+    this.snapshot = null;
+    this.dirty = false;
+    this.timer = null;
+    this.state = { cleanExit: true, exports: [] };
+    this.recoverable = null;
+    this.pendingRestore = null;
+  }
+
+  /**
+   * セッション管理を開始
+   * 前回が異常終了だった場合は復旧可能なセッションを保持する
+   */
+  start() {
+    const previous = storageService.loadJson('settings', STATE_KEY, null);
+
+    if (previous && previous.cleanExit === false) {
+      const snapshot = storageService.loadJson('cache', SNAPSHOT_KEY, null);
+      const exports = Array.isArray(previous.exports) ? previous.exports : [];
+      const hasMedia = snapshot && Array.isArray(snapshot.mediaFiles) && snapshot.mediaFiles.length > 0;
+
+      if (hasMedia || exports.length > 0) {
+        this.recoverable = { snapshot: hasMedia ? snapshot : null, exports };
+        console.log(`前回のセッションは正常に終了しませんでした (クリップ: ${hasMedia ? snapshot.mediaFiles.length : 0}件, 中断された書き出し: ${exports.length}件)`);
+      }
+    }
+
+    this.state = { cleanExit: false, startedAt: new Date().toISOString(), exports: [] };
+    this._saveState();
+
+    this.timer = setInterval(() => this.flush(), AUTOSAVE_INTERVAL_MS);
+  }
+
+  /**
+   * 復旧可能なセッションを取得
+   * @returns {{snapshot: Object|null, exports: Array}|null}
+   */
+  getRecoverableSession() {
+    return this.recoverable;
+  }
+
+  /**
+   * レンダラーから受け取ったスナップショットを更新（保存は定期的に行う）
+   * @param {Object} snapshot メディア一覧と書き出し設定
+   */
+  updateSnapshot(snapshot) {
+    this.snapshot = { ...snapshot, updatedAt: new Date().toISOString() };
+    this.dirty = true;
+  }
+
+  /**
+   * 未保存のスナップショットを書き込む
+   */
+  flush() {
+    if (!this.dirty || !this.snapshot) return;
+
+    if (storageService.saveJson('cache', SNAPSHOT_KEY, this.snapshot)) {
+      this.dirty = false;
+      console.log(`セッションを自動保存しました (クリップ: ${(this.snapshot.mediaFiles || []).length}件)`);
+    }
+  }
+
+  /**
+   * 書き出しタスクの開始を記録
+   * @param {string} taskId タスクID
+   * @param {Object} params 書き出しパラメータ（mediaFiles, outputPath, settings）
+   */
+  recordExportStarted(taskId, params) {
+    this.state.exports.push({ taskId, startedAt: new Date().toISOString(), ...params });
+    this._saveState();
+  }
+
+  /**
+   * 書き出しタスクの終了を記録
+   * @param {string} taskId タスクID
+   */
+  recordExportFinished(taskId) {
+    this.state.exports = this.state.exports.filter(item => item.taskId !== taskId);
+    this._saveState();
+  }
+
+  /**
+   * 復元を選択されたスナップショットを設定
+   * @param {Object} snapshot 復元するスナップショット
+   */
+  setPendingRestore(snapshot) {
+    this.pendingRestore = snapshot;
+  }
+
+  /**
+   * 復元待ちのスナップショットを取り出す（一度だけ返す）
+   * @returns {Object|null}
+   */
+  takePendingRestore() {
+    const snapshot = this.pendingRestore;
+    this.pendingRestore = null;
+    return snapshot;
+  }
+
+  /**
+   * 正常終了を記録
+   */
+  markCleanExit() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    this.flush();
+    this.state = { ...this.state, cleanExit: true, exports: [] };
+    this._saveState();
+  }
+
+  /**
+   * 起動状態を保存
+   * @private
+   */
+  _saveState() {
+    storageService.saveJson('settings', STATE_KEY, this.state);
+  }
+}
+
+// シングルトンインスタンスの作成
+const sessionService = new SessionService();
+
+module.exports = sessionService;
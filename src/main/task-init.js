@@ -13,6 +13,9 @@ const TaskManager = require(path.join(__dirname, 'core/task-manager'));
 const WaveformTask = require(path.join(__dirname, 'tasks/waveform-task'));
 const LoudnessTask = require(path.join(__dirname, 'tasks/loudness-task'));
 const ThumbnailTask = require(path.join(__dirname, 'tasks/thumbnail-task'));
+const SilenceTask = require(path.join(__dirname, 'tasks/silence-task'));
+const SceneDetectTask = require(path.join(__dirname, 'tasks/scene-detect-task'));
+const VoiceEnhancePreviewTask = require(path.join(__dirname, 'tasks/voice-enhance-preview-task'));
 const ExportTask = require(path.join(__dirname, 'tasks/export-task'));
 const ffmpegService = require(path.join(__dirname, 'services/ffmpeg/index'));
 const storageService = require(path.join(__dirname, 'services/storage-service'));
@@ -95,6 +98,45 @@ function registerTaskTypes(registry) {
     task => task.data
   );
 
+  // 無音検出タスク
+  registry.registerTaskType(
+    'silence',
+    {
+      name: '無音検出',
+      description: 'オーディオの無音区間を検出します',
+      icon: 'silence-icon',
+      allowedMediaTypes: ['audio', 'video']
+    },
+    params => new SilenceTask(params),
+    task => task.data
+  );
+
+  // シーン検出タスク
+  registry.registerTaskType(
+    'scenedetect',
+    {
+      name: 'シーン検出',
+      description: '映像の切り替わりを検出し、シーンごとのサムネイルを生成します',
+      icon: 'scenedetect-icon',
+      allowedMediaTypes: ['video']
+    },
+    params => new SceneDetectTask(params),
+    task => task.data
+  );
+
+  // ボイスエンハンスのA/B試聴タスク
+  registry.registerTaskType(
+    'voice-enhance-preview',
+    {
+      name: 'ボイスエンハンス試聴',
+      description: '短い区間の元の音声とボイスエンハンス後の音声を書き出します',
+      icon: 'voice-enhance-icon',
+      allowedMediaTypes: ['audio', 'video']
+    },
+    params => new VoiceEnhancePreviewTask(params),
+    task => task.data
+  );
+
   // サムネイル生成タスク
   registry.registerTaskType(
     'thumbnail',
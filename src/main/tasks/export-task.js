@@ -13,8 +13,14 @@ const storageService = require('../services/storage-service');
 const ExportContext = require('./export/ExportContext');
 const ExportTaskPipeline = require('./export/ExportTaskPipeline');
 const TrimStep = require('./export/TrimStep');
+const AudioEnhanceStep = require('./export/AudioEnhanceStep');
 const NormalizeLoudnessStep = require('./export/NormalizeLoudnessStep');
+const MusicBedStep = require('./export/MusicBedStep');
 const CombineStep = require('./export/CombineStep');
+const NormalizeProgramLoudnessStep = require('./export/NormalizeProgramLoudnessStep');
+const LoudnessReportStep = require('./export/LoudnessReportStep');
+const { getAudioEncoderArgs } = require('./export/codec-profiles');
+const { buildEncodingOptions } = require('./export/encoding-options');
 
 /**
  * 動画書き出しタスク
@@ -30,6 +36,7 @@ class ExportTask extends BaseTask {
 
     // タスクパラメータを設定
     this.mediaFiles = params.mediaFiles || [];
+    this.musicTrack = params.musicTrack || null;
     this.outputPath = params.outputPath || '';
     this.settings = params.settings || {
       resolution: '1080p',
@@ -38,6 +45,9 @@ class ExportTask extends BaseTask {
       format: 'mp4'
     };
 
+    // レート制御・音声コーデック（コンテキスト経由で結合ステップに渡す）
+    this.encoding = buildEncodingOptions(this.settings);
+
     // 作業ディレクトリを共通のstorageServiceから取得
     const workDirs = storageService.ensureWorkDirectories('Super Watarec', ['export']);
     
@@ -52,8 +62,10 @@ class ExportTask extends BaseTask {
     // コンテキストの初期化
     this.context = new ExportContext({
       mediaFiles: this.mediaFiles,
+      musicTrack: this.musicTrack,
       outputPath: this.outputPath,
       settings: this.settings,
+      encoding: this.encoding,
       tempDir: this.tempDir
     });
 
@@ -88,16 +100,23 @@ class ExportTask extends BaseTask {
     
     // トリミングステップを追加（設定で無効化されていなければ）
     if (this.settings.enableTrimming !== false) {
-      pipeline.addStep(new TrimStep());
+      pipeline.addStep(new TrimStep({
+        trimMode: this.settings.trimMode
+      }));
     }
     
+    // ボイスエンハンス（クリップごとのvoiceEnhanceプリセット）はラウドネス調整の前に適用
+    pipeline.addStep(new AudioEnhanceStep());
+    
     // ラウドネス調整ステップは常に追加
-    // 実際にラウドネス調整するかはステップのcanExecuteで判断
-    pipeline.addStep(new NormalizeLoudnessStep({
-      targetLoudness: this.settings.targetLoudness || -14 // YouTube推奨値
-    }));
+    // 実際にラウドネス調整するかはステップのcanExecuteで判断（loudnessScopeがclip/bothの場合）
+    // 目標値（プリセット）は書き出し設定の targetLoudness / targetTruePeak / targetLra から取得する
+    pipeline.addStep(new NormalizeLoudnessStep());
     
-    // 結合ステップは常に追加（必須・最後に実行）
+    // BGMトラックがある場合は全体の長さの1本の音声にまとめる（結合時にダッキングしながらミックス）
+    pipeline.addStep(new MusicBedStep());
+    
+    // 結合ステップは常に追加（必須）
     pipeline.addStep(new CombineStep({
       codec: this.settings.codec,
       resolution: this.settings.resolution,
@@ -105,6 +124,15 @@ class ExportTask extends BaseTask {
       format: this.settings.format
     }));
     
+    // 結合後の全体のラウドネス調整（loudnessScopeがprogram/bothの場合に実行）
+    // 音声は書き出し設定の音声コーデックでエンコード
+    pipeline.addStep(new NormalizeProgramLoudnessStep({
+      audioArgs: getAudioEncoderArgs(this.encoding.audio)
+    }));
+    
+    // 書き出したファイルのラウドネスレポート（JSON/CSV）を出力先の隣に保存
+    pipeline.addStep(new LoudnessReportStep());
+    
     return pipeline;
   }
 
@@ -239,7 +267,11 @@ class ExportTask extends BaseTask {
         // フェーズ名を日本語に変換
         let phaseName = details.phase;
         if (details.phase === 'trimming') phaseName = 'トリミング';
+        else if (details.phase === 'audio_enhance') phaseName = 'ボイスエンハンス';
         else if (details.phase === 'loudness_normalization') phaseName = 'ラウドネス調整';
+        else if (details.phase === 'music_bed') phaseName = 'BGM作成';
+        else if (details.phase === 'program_loudness_normalization') phaseName = '全体のラウドネス調整';
+        else if (details.phase === 'loudness_report') phaseName = 'ラウドネスレポート作成';
         else if (details.phase === 'combining') phaseName = '動画結合';
         else if (details.phase === 'combining_init') phaseName = '結合準備';
         else if (details.phase === 'combining_complete') phaseName = '結合完了';
@@ -257,8 +289,14 @@ class ExportTask extends BaseTask {
             message = '書き出し処理を準備しています...';
           } else if (details.phase === 'trimming') {
             message = 'ファイルをトリミングしています...';
+          } else if (details.phase === 'audio_enhance') {
+            message = '音声のノイズ除去・補正を行っています...';
           } else if (details.phase === 'loudness_normalization') {
             message = 'ラウドネス調整を行っています...';
+          } else if (details.phase === 'music_bed') {
+            message = 'BGMを作成しています...';
+          } else if (details.phase === 'program_loudness_normalization') {
+            message = '書き出し全体のラウドネスを調整しています...';
           } else if (details.phase === 'combining') {
             message = '動画を結合しています...';
           } else if (details.phase === 'combining_complete') {
@@ -293,7 +331,17 @@ class ExportTask extends BaseTask {
       // 結果を取得
       const result = {
         success: true,
-        outputPath: resultContext.result?.outputPath || ''
+        outputPath: resultContext.result?.outputPath || '',
+        // 結合方法（stream_copy: 無劣化結合 / reencode: 再エンコード）
+        combineMode: resultContext.getMetadata('combining')?.mode || null,
+        // 再エンコードに使用した映像エンコーダー（codec, encoder, hardware）
+        videoEncoder: resultContext.getMetadata('video_encoder') || null,
+        // レート制御と音声コーデック（目標ファイルサイズの場合は計算した映像ビットレートを含む）
+        rateControl: resultContext.getMetadata('rate_control') || null,
+        // 結合時に無音を作成した入力・音声フォーマットを揃えた入力
+        audioConform: resultContext.getMetadata('audio_conform'),
+        // ラウドネスレポート（jsonPath, csvPath, report または error）
+        loudnessReport: resultContext.getMetadata('loudness_report')
       };
       
       // 出力ファイルの存在確認
@@ -314,8 +362,24 @@ class ExportTask extends BaseTask {
       console.log(`タスクID: ${this.id}`);
       console.log(`出力パス: ${result.outputPath}`);
       console.log(`ファイルサイズ: ${result.fileSizeFormatted || '不明'}`);
+      if (result.videoEncoder) {
+        console.log(`映像エンコーダー: ${result.videoEncoder.encoder}（${result.videoEncoder.hardware ? 'ハードウェア' : 'ソフトウェア'}）`);
+      }
+      if (result.rateControl) {
+        console.log(`レート制御: ${result.rateControl.mode}, 音声: ${result.rateControl.audio.codec}`);
+      }
+      if (result.audioConform) {
+        result.audioConform.changes.forEach(change => {
+          console.log(`音声の変更: ${change.fileName} → ${change.action === 'silence' ? '無音を作成' : 'フォーマット変換'}`);
+        });
+      }
       console.log(`============================`);
       
+      // タスク一覧から参照できるようにラウドネスレポートをメタデータに保持
+      if (result.loudnessReport) {
+        this.setMetadata('loudnessReport', result.loudnessReport);
+      }
+      
       // 一時ディレクトリの削除
       this._cleanupTempDir();
       
@@ -0,0 +1,101 @@
+/**
+ * クリップごとの音声クリーンアップ（ボイスエンハンス）を行うステップクラス
+ * ラウドネス正規化の前に実行し、ノイズ除去・コンプレッサー後の音声を正規化の対象にする
+ */
+const fs = require('fs');
+const path = require('path');
+const ExportStep = require('./ExportStep');
+const { getVoiceEnhancePreset, buildVoiceEnhanceFilter } = require('../../services/ffmpeg/voice-enhance');
+const { probeHasAudio } = require('./audio-conform');
+
+class AudioEnhanceStep extends ExportStep {
+  constructor(options = {}) {
+    super({ name: 'audio_enhance', ...options });
+  }
+
+  /**
+   * ボイスエンハンスが設定されたクリップがある場合のみ実行
+   * @param {ExportContext} context
+   * @returns {boolean} 実行可能かどうか
+   */
+  canExecute(context) {
+    return context.mediaFiles.some(file => getVoiceEnhancePreset(file));
+  }
+
+  /**
+   * ボイスエンハンスを適用
+   * @param {ExportContext} context - コンテキスト
+   * @param {Function} progressCallback - 進捗コールバック
+   * @returns {Promise<ExportContext>} - 更新されたコンテキスト
+   */
+  async execute(context, progressCallback) {
+    console.log('ボイスエンハンスステップ開始');
+    progressCallback(0, { phase: 'audio_enhance_init' });
+
+    const enhancedFiles = [];
+    const results = [];
+    const totalFiles = context.mediaFiles.length;
+
+    for (let i = 0; i < totalFiles; i++) {
+      const file = context.mediaFiles[i];
+      const preset = getVoiceEnhancePreset(file);
+      const filePath = file && typeof file === 'object' ? file.path || file.filePath || '' : '';
+
+      if (!preset || !filePath || !fs.existsSync(filePath)) {
+        enhancedFiles.push(file);
+        continue;
+      }
+      if (!(await probeHasAudio(filePath))) {
+        console.log(`ファイル ${path.basename(filePath)} は音声がないためボイスエンハンスをスキップします`);
+        enhancedFiles.push(file);
+        continue;
+      }
+
+      const fileName = path.basename(filePath);
+      // 中間ファイルはどのコーデックの映像もコピーでき、音声を劣化させないMatroska（PCM）にする
+      // （元の拡張子のままだとWebMにAACを入れるなど、コンテナが対応しない組み合わせになる）
+      const outputPath = path.join(context.tempDir, `enhanced_${i}_${path.basename(filePath, path.extname(filePath))}.mkv`);
+      const args = [
+        '-y',
+        '-hide_banner',
+        '-i', filePath,
+        '-map', '0:v:0?',
+        '-map', '0:a:0?',
+        '-af', buildVoiceEnhanceFilter(preset),
+        '-c:v', 'copy',
+        '-c:a', 'pcm_s16le',
+        outputPath
+      ];
+
+      console.log(`ファイル ${fileName} にボイスエンハンス（${preset}）を適用中...`);
+      await this.runFFmpeg(args, {
+        label: 'ボイスエンハンス',
+        onProgress: progress => {
+          progressCallback(((i + progress) / totalFiles) * 100, {
+            currentFile: i + 1,
+            totalFiles,
+            fileProgress: progress,
+            fileName
+          });
+        }
+      });
+
+      enhancedFiles.push({ ...file, path: outputPath });
+      context.addWorkingFile(outputPath, { originalFile: filePath, type: 'enhanced', preset });
+      results.push({ fileName, clipId: file.id || null, preset });
+    }
+
+    context.mediaFiles = enhancedFiles;
+    context.setMetadata('audio_enhance', {
+      completed: true,
+      timestamp: new Date().toISOString(),
+      files: results
+    });
+
+    progressCallback(100, { phase: 'audio_enhance_complete' });
+    console.log(`ボイスエンハンスステップ完了: ${results.length}ファイル`);
+    return context;
+  }
+}
+
+module.exports = AudioEnhanceStep;
@@ -6,6 +6,14 @@ const path = require('path');
 const { spawn } = require('child_process');
 const ExportStep = require('./ExportStep');
 const { getFFmpegPath } = require('../../services/ffmpeg/utils');
+const { getFFmpegService } = require('../../services/ffmpeg');
+const { buildCombineFilterGraph, buildEnvelopeFilter, normalizeAudioEnvelope, resolveJoin } = require('./filter-graph');
+const { checkStreamCopyCompatibility } = require('./stream-compat');
+const { buildDuckingFilter } = require('./music-bed');
+const { AUDIO_SAMPLE_RATE, AUDIO_CHANNEL_LAYOUT, hasAudioStream, describeAudioConform } = require('./audio-conform');
+const { getCanvasSize, getFitMode, getFrameRate, normalizeReframe, describeVideoConform } = require('./video-conform');
+const { DEFAULT_CODEC, resolveOutputFormat, resolveVideoEncoder, getAudioEncoderArgs } = require('./codec-profiles');
+const { planRateControl, buildPassArgs } = require('./encoding-options');
 
 class CombineStep extends ExportStep {
   /**
@@ -13,7 +21,7 @@ class CombineStep extends ExportStep {
    */
   constructor(options = {}) {
     super({ name: 'combining', ...options });
-    this.codec = options.codec || 'h265';
+    this.codec = options.codec || DEFAULT_CODEC;
     this.resolution = options.resolution || '1080p';
     this.fps = options.fps || '30';
     this.format = options.format || 'mp4';
@@ -50,13 +58,20 @@ class CombineStep extends ExportStep {
         });
       }
       
-      // 入力ファイルリストを作成
-      const inputFiles = await this._createInputFileList(context);
+      // 入力ファイルを収集し、リストを作成
+      const inputFiles = this._collectInputs(context);
       
       if (inputFiles.length === 0) {
         throw new Error('結合する入力ファイルがありません');
       }
       
+      const inputListPath = this._createInputFileList(inputFiles, context.tempDir);
+      
+      // 重なり計算と無劣化結合の判定のため、実際の長さとストリーム構成を取得
+      await this._probeInputs(inputFiles);
+      this._reportVideoConform(inputFiles, context);
+      this._reportAudioConform(inputFiles, context);
+      
       // 出力パスを取得
       const outputPath = this._getOutputFilePath(context);
       console.log(`結合出力先: ${outputPath}`);
@@ -70,13 +85,12 @@ class CombineStep extends ExportStep {
         });
       }
       
-      // 結合処理を実行
-      if (inputFiles.length === 1) {
-        // 単一ファイルの場合はコピー
-        await this._copySingleFile(inputFiles[0], outputPath, context, progressCallback);
+      // 結合処理を実行（条件を満たせば無劣化結合、単一ファイルの場合は内部で単純コピー）
+      if (this._canStreamCopy(inputFiles, context)) {
+        await this._concatWithDemuxer(inputListPath, inputFiles, outputPath, context, progressCallback);
       } else {
-        // 複数ファイルの場合は結合
-        await this._combineVideos(inputFiles, outputPath, context, progressCallback);
+        const videoEncoder = await this._resolveVideoEncoder(context);
+        await this._combineVideos(inputFiles, outputPath, context, progressCallback, videoEncoder);
       }
       
       // 結果を設定
@@ -101,209 +115,6 @@ class CombineStep extends ExportStep {
     }
   }
   
-  /**
-   * 単一ファイルをコピー
-   * @private
-   */
-  async _copySingleFile(inputFile, outputPath, context, progressCallback) {
-    // FFmpegを使用して単純なコピー処理（再エンコードなし）
-    return new Promise((resolve, reject) => {
-      const ffmpegPath = getFFmpegPath();
-      const args = [
-        '-i', inputFile,
-        '-c', 'copy',  // コーデックはコピー（再エンコードなし）
-        '-y',  // 出力ファイルが存在する場合は上書き
-        outputPath
-      ];
-      
-      console.log(`単一ファイルコピーコマンド: ${ffmpegPath} ${args.join(' ')}`);
-      
-      const ffmpegProcess = spawn(ffmpegPath, args);
-      let duration = 0;
-      let currentTime = 0;
-      
-      ffmpegProcess.stderr.on('data', (data) => {
-        const output = data.toString();
-        
-        // 動画の長さを検出（Duration: 00:00:30.57）
-        const durationMatch = output.match(/Duration: (\d+):(\d+):(\d+\.\d+)/);
-        if (durationMatch) {
-          const hours = parseInt(durationMatch[1]);
-          const minutes = parseInt(durationMatch[2]);
-          const seconds = parseFloat(durationMatch[3]);
-          duration = (hours * 3600) + (minutes * 60) + seconds;
-        }
-        
-        // 現在の処理位置を検出（time=00:00:14.43）
-        const timeMatch = output.match(/time=(\d+):(\d+):(\d+\.\d+)/);
-        if (timeMatch && progressCallback) {
-          const hours = parseInt(timeMatch[1]);
-          const minutes = parseInt(timeMatch[2]);
-          const seconds = parseFloat(timeMatch[3]);
-          currentTime = (hours * 3600) + (minutes * 60) + seconds;
-          
-          // 進捗率を計算
-          const progress = duration > 0 ? Math.min(Math.round((currentTime / duration) * 100), 100) : 0;
-          
-          // 時間を mm:ss 形式に変換
-          const currentTimeFormatted = this._formatTime(currentTime);
-          const durationFormatted = this._formatTime(duration);
-          
-          progressCallback(progress, {
-            phase: 'combining',
-            message: `ファイルを処理中: ${currentTimeFormatted} / ${durationFormatted}`,
-            currentTime: currentTimeFormatted,
-            totalDuration: durationFormatted,
-            currentFile: 1,
-            totalFiles: 1,
-            fileName: path.basename(inputFile)
-          });
-        }
-      });
-      
-      ffmpegProcess.on('close', (code) => {
-        if (code === 0) {
-          console.log(`単一ファイルのコピーが成功しました: ${outputPath}`);
-          resolve();
-        } else {
-          console.error(`FFmpegプロセスがコード ${code} で終了しました`);
-          reject(new Error(`FFmpegプロセスがコード ${code} で終了しました`));
-        }
-      });
-      
-      ffmpegProcess.on('error', (err) => {
-        console.error('FFmpegプロセスでエラーが発生しました:', err);
-        reject(err);
-      });
-    });
-  }
-  
-  /**
-   * 複数の動画を結合
-   * @private
-   */
-  async _combineVideos(inputFiles, outputPath, context, progressCallback) {
-    return new Promise((resolve, reject) => {
-      const ffmpegPath = getFFmpegPath();
-      
-      // 入力ファイルの引数を構築
-      const inputArgs = [];
-      inputFiles.forEach(file => {
-        inputArgs.push('-i', file);
-      });
-      
-      // フィルタコンプレックスを構築
-      const filterComplex = [];
-      for (let i = 0; i < inputFiles.length; i++) {
-        filterComplex.push(`[${i}:v:0][${i}:a:0]`);
-      }
-      
-      // ffmpegコマンド引数
-      const args = [
-        ...inputArgs,
-        '-filter_complex', `${filterComplex.join('')}concat=n=${inputFiles.length}:v=1:a=1[outv][outa]`,
-        '-map', '[outv]',
-        '-map', '[outa]'
-      ];
-      
-      // 解像度が指定されている場合
-      if (this.resolution && this.resolution !== 'original') {
-        if (this.resolution === '1080p') {
-          args.push('-vf', 'scale=-1:1080');
-        } else if (this.resolution === '720p') {
-          args.push('-vf', 'scale=-1:720');
-        } else if (this.resolution === '4k') {
-          args.push('-vf', 'scale=-1:2160');
-        }
-      }
-      
-      // コーデックが指定されている場合
-      if (this.codec) {
-        if (this.codec === 'h265') {
-          args.push('-c:v', 'libx265', '-crf', '23');
-        } else if (this.codec === 'h264') {
-          args.push('-c:v', 'libx264', '-crf', '23');
-        } else if (this.codec === 'copy') {
-          args.push('-c:v', 'copy');
-        }
-      } else {
-        // デフォルトコーデック
-        args.push('-c:v', 'libx264', '-crf', '23');
-      }
-      
-      // 音声コーデック
-      args.push('-c:a', 'aac', '-b:a', '192k');
-      
-      // フレームレート
-      if (this.fps && this.fps !== 'original') {
-        args.push('-r', this.fps);
-      }
-      
-      // 出力ファイル
-      args.push('-y', outputPath);
-      
-      console.log(`FFmpeg結合コマンド: ${ffmpegPath} ${args.join(' ')}`);
-      
-      const ffmpegProcess = spawn(ffmpegPath, args);
-      let duration = 0;
-      let currentTime = 0;
-      
-      ffmpegProcess.stderr.on('data', (data) => {
-        const output = data.toString();
-        
-        // 動画の長さを検出（Duration: 00:00:30.57）
-        const durationMatch = output.match(/Duration: (\d+):(\d+):(\d+\.\d+)/);
-        if (durationMatch) {
-          const hours = parseInt(durationMatch[1]);
-          const minutes = parseInt(durationMatch[2]);
-          const seconds = parseFloat(durationMatch[3]);
-          duration = (hours * 3600) + (minutes * 60) + seconds;
-        }
-        
-        // 現在の処理位置を検出（time=00:00:14.43）
-        const timeMatch = output.match(/time=(\d+):(\d+):(\d+\.\d+)/);
-        if (timeMatch && progressCallback) {
-          const hours = parseInt(timeMatch[1]);
-          const minutes = parseInt(timeMatch[2]);
-          const seconds = parseFloat(timeMatch[3]);
-          currentTime = (hours * 3600) + (minutes * 60) + seconds;
-          
-          // 進捗率を計算
-          const progress = duration > 0 ? Math.min(Math.round((currentTime / duration) * 100), 100) : 0;
-          
-          // 時間を mm:ss 形式に変換
-          const currentTimeFormatted = this._formatTime(currentTime);
-          const durationFormatted = this._formatTime(duration);
-          
-          progressCallback(progress, {
-            phase: 'combining',
-            message: `複数ファイルを結合中: ${currentTimeFormatted} / ${durationFormatted}`,
-            currentTime: currentTimeFormatted,
-            totalDuration: durationFormatted,
-            currentFile: progress,
-            totalFiles: 100,
-            fileCount: inputFiles.length
-          });
-        }
-      });
-      
-      ffmpegProcess.on('close', (code) => {
-        if (code === 0) {
-          console.log(`動画結合が成功しました: ${outputPath}`);
-          resolve();
-        } else {
-          console.error(`FFmpegプロセスがコード ${code} で終了しました`);
-          reject(new Error(`FFmpegプロセスがコード ${code} で終了しました`));
-        }
-      });
-      
-      ffmpegProcess.on('error', (err) => {
-        console.error('FFmpegプロセスでエラーが発生しました:', err);
-        reject(err);
-      });
-    });
-  }
-  
   /**
    * 時間を mm:ss 形式にフォーマット
    * @param {number} timeInSeconds - 秒単位の時間
@@ -317,16 +128,15 @@ class CombineStep extends ExportStep {
   }
   
   /**
-   * 入力ファイルリストの作成
+   * 結合対象の入力ファイルを収集
    * @param {ExportContext} context - コンテキスト
-   * @returns {Promise<string>} - 入力ファイルリストのパス
+   * @returns {Array<{id: string|null, path: string, duration: number}>} - 有効な入力ファイル情報
    * @private
    */
-  async _createInputFileList(context) {
-    const inputListPath = path.join(context.tempDir, 'input_list.txt');
+  _collectInputs(context) {
     const mediaFiles = context.mediaFiles;
     
-    console.log('入力ファイルリスト作成開始');
+    console.log('入力ファイル収集開始');
     console.log('mediaFilesの型:', typeof mediaFiles);
     console.log('mediaFilesは配列か:', Array.isArray(mediaFiles));
     
@@ -356,21 +166,24 @@ class CombineStep extends ExportStep {
           fileDuration = parseFloat(file.duration);
         }
 
+        // クリップ内の区間はIDを共有するため、ID単位の処理済みファイルは区間以外にのみ適用
+        const isSegment = file.segmentIndex != null;
+
         // 1. Normalized(ラウドネスノーマライズ)済みファイルを確認
-        if (context.normalizedFiles && context.normalizedFiles[file.id]) {
+        if (!isSegment && context.normalizedFiles && context.normalizedFiles[file.id]) {
           processedFilePath = context.normalizedFiles[file.id];
           console.log(`ラウドネスノーマライズ済みファイルを使用: ${processedFilePath}`);
         } 
         // 2. Trimmed(トリム)済みファイルを確認
-        else if (context.trimmedFiles && context.trimmedFiles[file.id]) {
+        else if (!isSegment && context.trimmedFiles && context.trimmedFiles[file.id]) {
           processedFilePath = context.trimmedFiles[file.id];
           console.log(`トリム済みファイルを使用: ${processedFilePath}`);
-          
-          // トリムされたファイルの場合、時間情報を調整
-          if (file.trimStart !== undefined && file.trimEnd !== undefined) {
-            fileDuration = file.trimEnd - file.trimStart;
-            console.log(`トリム調整後の時間: ${fileDuration}秒`);
-          }
+        }
+
+        // トリム情報が残っている場合は時間情報を調整
+        if (file.trimStart != null && file.trimEnd != null && file.trimEnd > file.trimStart) {
+          fileDuration = file.trimEnd - file.trimStart;
+          console.log(`トリム調整後の時間: ${fileDuration}秒`);
         }
 
         // 処理済みファイルがある場合はそれを使用
@@ -402,7 +215,16 @@ class CombineStep extends ExportStep {
       }
       
       console.log(`有効なメディアファイル: ${filePath}, 長さ: ${fileDuration}秒`);
-      validMediaFiles.push({ path: filePath, duration: fileDuration });
+      validMediaFiles.push({
+        id: typeof file === 'object' ? file.id || null : null,
+        segmentIndex: typeof file === 'object' && file.segmentIndex != null ? file.segmentIndex : null,
+        path: filePath,
+        duration: fileDuration,
+        // クリップごとの音量・フェード（変化がない場合はnull）
+        envelope: typeof file === 'object' ? normalizeAudioEnvelope(file.audioEnvelope) : null,
+        // クリップごとのリフレーム（書き出し設定の収め方を使う場合はnull）
+        reframe: typeof file === 'object' ? normalizeReframe(file.reframe) : null
+      });
     }
     
     // 有効なファイルが1つもない場合はエラー
@@ -411,9 +233,68 @@ class CombineStep extends ExportStep {
     }
     
     console.log(`有効なメディアファイル数: ${validMediaFiles.length}`);
+    return this._orderSegments(validMediaFiles);
+  }
+  
+  /**
+   * クリップ内の区間をクリップの位置にまとめ、区間番号順に並べる
+   * クリップ同士の順番はタイムラインの順番のまま維持する
+   * @param {Array<{id: string, segmentIndex: number|null}>} inputFiles - 入力ファイル情報
+   * @returns {Array<Object>} 並べ替えた入力ファイル情報
+   * @private
+   */
+  _orderSegments(inputFiles) {
+    const ordered = [];
+    const segmentGroups = new Map();
+    
+    inputFiles.forEach(input => {
+      if (input.segmentIndex == null || !input.id) {
+        ordered.push(input);
+        return;
+      }
+      if (!segmentGroups.has(input.id)) {
+        segmentGroups.set(input.id, []);
+        ordered.push(segmentGroups.get(input.id));
+      }
+      segmentGroups.get(input.id).push(input);
+    });
+    
+    return ordered.flatMap(entry => Array.isArray(entry)
+      ? this._splitEnvelope([...entry].sort((a, b) => a.segmentIndex - b.segmentIndex))
+      : [entry]);
+  }
+  
+  /**
+   * クリップ内の区間に音量・フェードを振り分ける
+   * 音量は全区間に適用し、フェードインは最初の区間、フェードアウトは最後の区間にのみ適用する
+   * @param {Array<Object>} segments - 区間番号順の同一クリップの入力ファイル情報
+   * @returns {Array<Object>} 音量・フェードを振り分けた入力ファイル情報
+   * @private
+   */
+  _splitEnvelope(segments) {
+    return segments.map((input, index) => {
+      if (!input.envelope) return input;
+      const envelope = {
+        gain: input.envelope.gain,
+        fadeIn: index === 0 ? input.envelope.fadeIn : 0,
+        fadeOut: index === segments.length - 1 ? input.envelope.fadeOut : 0
+      };
+      return { ...input, envelope: normalizeAudioEnvelope(envelope) };
+    });
+  }
+  
+  /**
+   * 入力ファイルリストの作成
+   * @param {Array<{path: string}>} inputFiles - 入力ファイル情報
+   * @param {string} tempDir - 一時ディレクトリ
+   * @returns {string} - 入力ファイルリストのパス
+   * @private
+   */
+  _createInputFileList(inputFiles, tempDir) {
+    const inputListPath = path.join(tempDir, 'input_list.txt');
     
     // ファイルリストを作成
-    const fileContent = validMediaFiles
+    const fileContent = inputFiles
       .map(fileInfo => {
         // ファイルパスに含まれる特殊文字をエスケープ
         return `file '${fileInfo.path.replace(/'/g, "'\\''")}'`;
@@ -427,90 +308,146 @@ class CombineStep extends ExportStep {
   }
   
   /**
-   * 解像度文字列から幅と高さを取得
-   * @param {string} resolution - 解像度文字列
-   * @returns {{width: number, height: number}} 解像度情報
+   * 各入力ファイルのメディア情報を取得
+   * 実際の長さとストリーム構成を取得し、失敗した場合はタイムライン上の長さをそのまま使用する
+   * @param {Array<{path: string, duration: number}>} inputFiles - 入力ファイル情報
+   * @returns {Promise<void>}
    * @private
    */
-  _getResolutionDimensions(resolution) {
-    const resolutionStr = resolution || this.resolution || '1080p';
-    
-    switch (resolutionStr) {
-      case '720p':
-        return { width: 1280, height: 720 };
-      case '1080p':
-        return { width: 1920, height: 1080 };
-      case '2k':
-        return { width: 2560, height: 1440 };
-      case '4k':
-        return { width: 3840, height: 2160 };
-      default:
-        return { width: 1920, height: 1080 }; // デフォルトは1080p
+  async _probeInputs(inputFiles) {
+    const ffmpegService = getFFmpegService();
+    for (const input of inputFiles) {
+      try {
+        input.mediaInfo = await ffmpegService.getMediaInfo(input.path);
+        if (input.mediaInfo.duration > 0) {
+          input.duration = input.mediaInfo.duration;
+        }
+      } catch (error) {
+        input.mediaInfo = null;
+        console.warn(`メディア情報の取得に失敗したため、タイムラインの値を使用します: ${input.path}`, error.message);
+      }
+      input.hasAudio = hasAudioStream(input.mediaInfo);
     }
   }
   
   /**
-   * コーデックに基づいたFFmpegのエンコードパラメータを取得
-   * @param {Object} settings - エンコード設定
-   * @returns {string[]} FFmpegコマンドライン引数の配列
+   * キャンバスサイズ・SAR・フレームレートを揃える入力をログとメタデータに記録
+   * @param {Array<{path: string, mediaInfo: Object|null}>} inputFiles - 入力ファイル情報
+   * @param {ExportContext} context - コンテキスト
    * @private
    */
-  _getEncoderParams(settings = {}) {
-    const codec = settings.codec || this.codec || 'h265';
-    const fps = settings.fps || this.fps || '30';
-    const resolution = settings.resolution || this.resolution || '1080p';
-    const { width, height } = this._getResolutionDimensions(resolution);
-    
-    let codecParams = [];
-    
-    switch (codec) {
-      case 'h264':
-        // H.264 (VideoToolbox ハードウェアアクセラレーション)
-        codecParams = [
-          '-c:v', 'h264_videotoolbox',
-          '-b:v', '150M', // 150Mbps
-          '-profile:v', 'high',
-          '-r', fps,
-          '-pix_fmt', 'yuv420p'
-        ];
-        break;
-      
-      case 'h265': 
-        // H.265/HEVC (VideoToolbox ハードウェアアクセラレーション)
-        codecParams = [
-          '-c:v', 'hevc_videotoolbox',
-          '-b:v', '100M', // 100Mbps
-          '-tag:v', 'hvc1', // iOSとの互換性のためにHEVCのタグを指定
-          '-r', fps,
-          '-pix_fmt', 'yuv420p'
-        ];
-        break;
-      
-      case 'prores_hq':
-        // Apple ProRes HQ (VideoToolbox ハードウェアアクセラレーション利用)
-        codecParams = [
-          '-c:v', 'prores_videotoolbox',
-          '-profile:v', '3', // 3=HQ
-          '-r', fps,
-          '-pix_fmt', 'yuv422p10le'
-        ];
-        break;
-      
-      default:
-        // デフォルトはH.265
-        codecParams = [
-          '-c:v', 'hevc_videotoolbox',
-          '-b:v', '100M', // 100Mbps
-          '-tag:v', 'hvc1',
-          '-r', fps,
-          '-pix_fmt', 'yuv420p'
-        ];
-    }
+  _reportVideoConform(inputFiles, context) {
+    const settings = context.settings || {};
+    const canvas = getCanvasSize(settings);
+    const fitMode = getFitMode(settings);
+    const fps = getFrameRate(settings);
+    
+    const changes = [];
+    inputFiles.forEach((input, index) => {
+      const differences = describeVideoConform(input.mediaInfo, canvas, fps, input.reframe);
+      input.needsVideoConform = differences.length > 0;
+      if (!input.needsVideoConform) return;
+      
+      const fileName = path.basename(input.path);
+      console.log(`映像をキャンバスに揃えます（${fitMode}）: [${index}] ${fileName} (${differences.join(', ')})`);
+      changes.push({ index, fileName, clipId: input.id, differences });
+    });
+    
+    context.setMetadata('video_conform', { canvas, fitMode, fps, changes });
+  }
+  
+  /**
+   * 音声のない入力と、結合用のフォーマットに変換する入力をログとメタデータに記録
+   * @param {Array<{path: string, mediaInfo: Object|null}>} inputFiles - 入力ファイル情報
+   * @param {ExportContext} context - コンテキスト
+   * @private
+   */
+  _reportAudioConform(inputFiles, context) {
+    const changes = [];
+    inputFiles.forEach((input, index) => {
+      const change = describeAudioConform(input.mediaInfo);
+      if (!change) return;
+      
+      const fileName = path.basename(input.path);
+      if (change.action === 'silence') {
+        console.log(`音声のない入力に無音を作成します: [${index}] ${fileName} (${(input.duration || 0).toFixed(2)}秒)`);
+      } else {
+        console.log(`音声フォーマットを揃えます: [${index}] ${fileName} (${change.from.sampleRate}Hz ${change.from.channelLayout} → ${AUDIO_SAMPLE_RATE}Hz ${AUDIO_CHANNEL_LAYOUT})`);
+      }
+      changes.push({ index, fileName, clipId: input.id, ...change });
+    });
     
-    // 解像度パラメータを追加
-    codecParams.push('-s', `${width}x${height}`);
+    if (changes.length > 0) {
+      context.setMetadata('audio_conform', {
+        sampleRate: AUDIO_SAMPLE_RATE,
+        channelLayout: AUDIO_CHANNEL_LAYOUT,
+        changes
+      });
+    }
+  }
+  
+  /**
+   * 書き出しコーデックの映像エンコーダーを決定（H.264/H.265はハードウェア優先で選択）
+   * @param {ExportContext} context - コンテキスト
+   * @returns {Promise<Object>} エンコーダー
+   * @private
+   */
+  async _resolveVideoEncoder(context) {
+    const codec = context.settings.codec || this.codec;
+    const encoder = await resolveVideoEncoder(codec);
+    console.log(`映像エンコーダー: ${encoder.name}（${encoder.hardware ? 'ハードウェア' : 'ソフトウェア'}）`);
+    context.setMetadata('video_encoder', { codec, encoder: encoder.name, hardware: encoder.hardware });
+    return encoder;
+  }
+  
+  /**
+   * 書き出し全体の長さとエンコーダーからレート制御を決定
+   * @param {Object} videoEncoder - 映像エンコーダー（_resolveVideoEncoder の結果）
+   * @param {ExportContext} context - コンテキスト
+   * @param {number} totalDuration - 出力予定の長さ（秒）
+   * @returns {{mode: string, args: string[], twoPass: boolean, bitrate: number|null}} レート制御
+   * @private
+   */
+  _planRateControl(videoEncoder, context, totalDuration) {
+    const { rateControl, audio } = context.encoding;
+    const plan = planRateControl(rateControl, audio, videoEncoder.rateControl, totalDuration);
     
-    return codecParams;
+    if (plan.mode === 'profile') {
+      console.log('中間コーデックのため、レート制御の設定は使用しません');
+    } else {
+      console.log(`レート制御: ${plan.mode}${plan.bitrate ? `（映像 ${plan.bitrate}kbps）` : `（CRF ${rateControl.quality}）`}${plan.twoPass ? ' 2パス' : ''}`);
+    }
+    context.setMetadata('rate_control', {
+      mode: plan.mode,
+      quality: plan.mode === 'quality' ? rateControl.quality : null,
+      videoBitrate: plan.bitrate,
+      targetSize: rateControl.mode === 'target_size' ? rateControl.targetSize : null,
+      twoPass: plan.twoPass,
+      audio
+    });
+    return plan;
+  }
+  
+  /**
+   * エンコーダーに基づいたFFmpegのエンコードパラメータを取得
+   * @param {Object} videoEncoder - 映像エンコーダー（_resolveVideoEncoder の結果）
+   * @param {Object} rateControl - レート制御（_planRateControl の結果）
+   * @param {Object} settings - エンコード設定
+   * @returns {string[]} FFmpegコマンドライン引数の配列
+   * @private
+   */
+  _getEncoderParams(videoEncoder, rateControl, settings = {}) {
+    return ['-c:v', videoEncoder.name, ...videoEncoder.args, ...rateControl.args, '-r', getFrameRate(settings)];
+  }
+  
+  /**
+   * 書き出し設定の音声コーデックに基づいたエンコードパラメータを取得
+   * @param {ExportContext} context - コンテキスト
+   * @returns {string[]} FFmpegコマンドライン引数の配列
+   * @private
+   */
+  _getAudioEncoderParams(context) {
+    return getAudioEncoderArgs(context.encoding.audio);
   }
   
   /**
@@ -520,7 +457,12 @@ class CombineStep extends ExportStep {
    * @private
    */
   _getOutputFilePath(context) {
-    const format = context.settings.format || this.format || 'mp4';
+    // コーデックが対応していないコンテナの場合は対応するコンテナに変更（ProResはMOVのみなど）
+    const requestedFormat = context.settings.format || this.format;
+    const format = resolveOutputFormat(context.settings.codec || this.codec, requestedFormat, context.encoding.audio.codec);
+    if (format !== requestedFormat) {
+      console.log(`コーデックが${requestedFormat}に対応していないため、${format}で書き出します`);
+    }
     const date = new Date();
     const timestamp = `${date.getFullYear()}${(date.getMonth() + 1).toString().padStart(2, '0')}${date.getDate().toString().padStart(2, '0')}_${date.getHours().toString().padStart(2, '0')}${date.getMinutes().toString().padStart(2, '0')}${date.getSeconds().toString().padStart(2, '0')}`;
     
@@ -579,19 +521,231 @@ class CombineStep extends ExportStep {
   }
   
   /**
-   * FFmpegを使って動画を結合
+   * ストリームコピー（無劣化結合）が可能かを判定
+   * つなぎ目に重なりがなく、全入力のストリーム構成が書き出し設定と一致する場合のみ可能
+   * @param {Array<Object>} inputs - 入力ファイル情報（mediaInfo付き）
+   * @param {ExportContext} context - コンテキスト
+   * @returns {boolean} ストリームコピーが可能かどうか
+   * @private
+   */
+  _canStreamCopy(inputs, context) {
+    let reason = '';
+    
+    if (inputs.length < 2) {
+      reason = '入力が1つのみです';
+    } else if (inputs.some((input, i) => i < inputs.length - 1 &&
+        resolveJoin(context.getJoin(input.id, inputs[i + 1].id), input.duration, inputs[i + 1].duration).overlap > 0)) {
+      reason = 'クロスフェードまたはトランジションが設定されています';
+    } else if (context.getMetadata('music_bed')) {
+      reason = 'BGMが設定されています';
+    } else if (inputs.some(input => input.envelope)) {
+      reason = 'クリップの音量またはフェードが設定されています';
+    } else if (inputs.some(input => input.reframe)) {
+      reason = 'クリップのリフレームが設定されています';
+    } else if (inputs.some(input => !input.hasAudio)) {
+      reason = '音声のないクリップがあります';
+    } else if (context.encoding.rateControl.mode !== 'quality') {
+      reason = 'ビットレートまたは目標ファイルサイズが指定されています';
+    } else {
+      const result = checkStreamCopyCompatibility(inputs.map(input => input.mediaInfo), context.settings || {});
+      reason = result.reason;
+      if (result.compatible) {
+        console.log(`無劣化結合を使用します: ${reason}`);
+        context.setMetadata('combining', { mode: 'stream_copy', reason });
+        return true;
+      }
+    }
+    
+    console.log(`再エンコードで結合します: ${reason}`);
+    context.setMetadata('combining', { mode: 'reencode', reason });
+    return false;
+  }
+  
+  /**
+   * concat demuxer を使って再エンコードなしで結合
    * @param {string} inputListPath - 入力ファイルリストのパス
+   * @param {Array<{duration: number, mediaInfo: Object}>} inputs - 入力ファイル情報
+   * @param {string} outputPath - 出力先ファイルパス
+   * @param {ExportContext} context - コンテキスト
+   * @param {Function} progressCallback - 進捗コールバック
+   * @returns {Promise<void>}
+   * @private
+   */
+  _concatWithDemuxer(inputListPath, inputs, outputPath, context, progressCallback) {
+    const args = [
+      '-y',
+      '-f', 'concat',
+      '-safe', '0',
+      '-i', inputListPath,
+      '-map', '0:v:0',
+      '-map', '0:a:0',
+      '-c', 'copy'
+    ];
+    
+    // iOSとの互換性のためにHEVCのタグを指定
+    if (inputs[0].mediaInfo?.videoCodec === 'hevc') {
+      args.push('-tag:v', 'hvc1');
+    }
+    
+    args.push('-movflags', '+faststart', outputPath);
+    
+    const totalDuration = inputs.reduce((sum, input) => sum + (input.duration || 0), 0);
+    return this._runFFmpeg(args, outputPath, context, progressCallback, totalDuration, '無劣化結合');
+  }
+  
+  /**
+   * FFmpegを使って動画を結合
+   * @param {Array<{id: string|null, path: string, duration: number}>} inputs - 入力ファイル情報
    * @param {string} outputPath - 出力先ファイルパス
    * @param {ExportContext} context - コンテキスト
    * @param {Function} progressCallback - 進捗コールバック
+   * @param {Object} videoEncoder - 映像エンコーダー（_resolveVideoEncoder の結果）
    * @returns {Promise<void>}
    * @private
    */
-  _combineVideos(inputListPath, outputPath, context, progressCallback) {
+  _combineVideos(inputs, outputPath, context, progressCallback, videoEncoder) {
+    const settings = context.settings || {};
+    const inputFiles = inputs.map(input => input.path);
+    console.log(`入力ファイル数: ${inputFiles.length}`);
+    
+    if (inputFiles.length === 0) {
+      return Promise.reject(new Error('有効な入力ファイルがありません'));
+    }
+    
+    // BGMがある場合・音声がない場合・キャンバスに揃える必要がある場合・コーデックやレート制御が設定と異なる場合は、
+    // 入力が1つでもフィルタ複合で処理する
+    const musicBed = context.getMetadata('music_bed');
+    const isSingleInput = inputFiles.length === 1 && !musicBed && inputs[0].hasAudio && !inputs[0].needsVideoConform &&
+      context.encoding.rateControl.mode === 'quality' &&
+      checkStreamCopyCompatibility([inputs[0].mediaInfo], settings).compatible;
+    
+    // 1ファイルのみで音量・フェードがある場合は音声のみ再エンコード
+    const singleEnvelope = isSingleInput ? buildEnvelopeFilter(inputs[0].envelope, inputs[0].duration) : null;
+    if (singleEnvelope) {
+      console.log(`入力ファイルが1つのみのため、音声のみ再エンコードします: ${singleEnvelope}`);
+      const args = [
+        '-y',
+        '-i', inputFiles[0],
+        '-map', '0:v:0',
+        '-map', '0:a:0',
+        '-c:v', 'copy',
+        '-af', singleEnvelope,
+        ...this._getAudioEncoderParams(context),
+        '-movflags', '+faststart',
+        outputPath
+      ];
+      return this._runFFmpeg(args, outputPath, context, progressCallback, inputs[0].duration, '音量・フェード適用');
+    }
+    
+    // 1ファイルのみの場合は単純コピー
+    if (isSingleInput) {
+      console.log('入力ファイルが1つのみのため、単純コピーを実行します');
+      const args = [
+        '-y',
+        '-i', inputFiles[0],
+        '-c', 'copy',
+        outputPath
+      ];
+      return this._runFFmpeg(args, outputPath, context, progressCallback, inputs[0].duration, '単純コピー');
+    }
+    
+    // 安全な結合方法：フィルタ複合（filtercomplex）を使用
+    // つなぎ目ごとのクロスフェード・トランジション設定はコンテキストのジョイン情報から取得
+    const { filterComplex, totalDuration, crossfadeCount, transitionCount } = buildCombineFilterGraph(
+      inputs,
+      (from, to) => context.getJoin(from.id, to.id),
+      { fps: getFrameRate(settings), canvas: getCanvasSize(settings), fitMode: getFitMode(settings), pixFmt: videoEncoder.pixFmt }
+    );
+    console.log(`つなぎ目の重なり: ${crossfadeCount}箇所（映像トランジション: ${transitionCount}箇所）, 出力予定の長さ: ${totalDuration.toFixed(2)}秒`);
+    
+    // VA-APIなどのハードウェアエンコーダーはデバイスの指定を入力より前に追加
+    const args = ['-y', ...videoEncoder.deviceArgs];
+    
+    // 入力ファイルを追加
+    for (const file of inputFiles) {
+      args.push('-i', file);
+    }
+    
+    // BGMは最後の入力として追加し、結合した音声の下にミックス
+    let filterGraph = filterComplex;
+    let audioLabel = '[outa]';
+    if (musicBed) {
+      args.push('-i', musicBed.path);
+      filterGraph += ';' + buildDuckingFilter('[outa]', `[${inputFiles.length}:a:0]`, musicBed.ducking, '[outm]');
+      audioLabel = '[outm]';
+      console.log(`BGMをミックスします（ダッキング: ${musicBed.ducking}）`);
+    }
+    
+    // GPUで処理するエンコーダーの場合は結合した映像をGPUに転送
+    let videoLabel = '[outv]';
+    if (videoEncoder.uploadFilter) {
+      filterGraph += `;[outv]${videoEncoder.uploadFilter}[outhw]`;
+      videoLabel = '[outhw]';
+    }
+    
+    // 目標ファイルサイズの場合は書き出し全体の長さからビットレートを計算
+    const rateControl = this._planRateControl(videoEncoder, context, totalDuration);
+    
+    // フィルタ複合を追加
+    args.push(
+      '-filter_complex', filterGraph,
+      '-map', videoLabel,
+      '-map', audioLabel,
+      ...this._getEncoderParams(videoEncoder, rateControl, settings),
+      '-max_muxing_queue_size', '1024',
+      ...this._getAudioEncoderParams(context)
+    );
+    
+    if (rateControl.twoPass) {
+      return this._runTwoPass(args, videoEncoder, outputPath, context, progressCallback, totalDuration);
+    }
+    
+    return this._runFFmpeg([...args, outputPath], outputPath, context, progressCallback, totalDuration, 'フィルタ複合');
+  }
+  
+  /**
+   * 2パスエンコードで書き出し（1パス目で解析し、2パス目で目標のビットレートに合わせてエンコード）
+   * @param {string[]} args - 出力先を除いたFFmpegの引数
+   * @param {Object} videoEncoder - 映像エンコーダー（_resolveVideoEncoder の結果）
+   * @param {string} outputPath - 出力先ファイルパス
+   * @param {ExportContext} context - コンテキスト
+   * @param {Function} progressCallback - 進捗コールバック
+   * @param {number} totalDuration - 出力予定の長さ（秒）
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _runTwoPass(args, videoEncoder, outputPath, context, progressCallback, totalDuration) {
+    // 解析結果は一時ディレクトリに保存（書き出し完了後に一時ディレクトリごと削除される）
+    const passLogFile = path.join(context.tempDir, 'ffmpeg2pass');
+    
+    const firstPass = [...args, ...buildPassArgs(videoEncoder.rateControl, 1, passLogFile), '-f', 'null', '-'];
+    await this._runFFmpeg(firstPass, outputPath, context, (progress, details) => {
+      progressCallback(progress / 2, details);
+    }, totalDuration, '2パスエンコード 1パス目', { verifyOutput: false });
+    
+    const secondPass = [...args, ...buildPassArgs(videoEncoder.rateControl, 2, passLogFile), outputPath];
+    await this._runFFmpeg(secondPass, outputPath, context, (progress, details) => {
+      progressCallback(50 + progress / 2, details);
+    }, totalDuration, '2パスエンコード 2パス目');
+  }
+  
+  /**
+   * FFmpegを実行し、進捗の通知と出力ファイルの検証を行う
+   * @param {string[]} args - FFmpegの引数
+   * @param {string} outputPath - 出力先ファイルパス
+   * @param {ExportContext} context - コンテキスト
+   * @param {Function} progressCallback - 進捗コールバック
+   * @param {number} totalDuration - 出力予定の長さ（秒）
+   * @param {string} label - ログ表示用の処理名
+   * @param {Object} options - オプション
+   * @param {boolean} options.verifyOutput - 出力ファイルを検証するか（2パスエンコードの1パス目など出力しない場合はfalse）
+   * @returns {Promise<void>}
+   * @private
+   */
+  _runFFmpeg(args, outputPath, context, progressCallback, totalDuration, label, options = {}) {
+    const { verifyOutput = true } = options;
     return new Promise((resolve, reject) => {
       const ffmpegPath = getFFmpegPath();
-      const settings = context.settings || {};
-      const encoderParams = this._getEncoderParams(settings);
       
       // 出力先ディレクトリの存在確認
       const outputDir = path.dirname(outputPath);
@@ -605,121 +759,8 @@ class CombineStep extends ExportStep {
         }
       }
       
-      // 安全な結合方法：一時ファイルを作成し、それを結合
-      // 入力ファイルリストから実際のファイルパスを取得
-      let inputFiles = [];
-      try {
-        const fileListContent = fs.readFileSync(inputListPath, 'utf8');
-        const lines = fileListContent.split('\n');
-        for (const line of lines) {
-          const match = line.match(/file ['"](.+)['"]/);
-          if (match && match[1]) {
-            inputFiles.push(match[1]);
-          }
-        }
-        console.log(`入力ファイル数: ${inputFiles.length}`);
-      } catch (err) {
-        console.error('入力ファイルリスト読み込みエラー:', err);
-        return reject(err);
-      }
-      
-      if (inputFiles.length === 0) {
-        return reject(new Error('有効な入力ファイルがありません'));
-      }
-      
-      // 1ファイルのみの場合は単純コピー
-      if (inputFiles.length === 1) {
-        console.log('入力ファイルが1つのみのため、単純コピーを実行します');
-        const args = [
-          '-y',
-          '-i', inputFiles[0],
-          '-c', 'copy',
-          outputPath
-        ];
-        
-        const ffmpegCmd = `${ffmpegPath} ${args.join(' ')}`;
-        console.log('=== FFmpeg実行コマンド（単純コピー） ===');
-        console.log(ffmpegCmd);
-        console.log('========================');
-        
-        progressCallback(10, { phase: 'combining' });
-        
-        this.ffmpegProcess = spawn(ffmpegPath, args);
-        
-        this.ffmpegProcess.stdout.on('data', (data) => {
-          console.log(`FFmpeg stdout: ${data.toString()}`);
-        });
-        
-        this.ffmpegProcess.stderr.on('data', (data) => {
-          console.log(`FFmpeg stderr: ${data.toString()}`);
-        });
-        
-        this.ffmpegProcess.on('error', (err) => {
-          console.error('FFmpegプロセスエラー:', err);
-          this.ffmpegProcess = null;
-          reject(err);
-        });
-        
-        this.ffmpegProcess.on('close', (code) => {
-          this.ffmpegProcess = null;
-          if (code === 0) {
-            console.log('単純コピーが正常に完了しました');
-            try {
-              if (fs.existsSync(outputPath)) {
-                const stats = fs.statSync(outputPath);
-                if (stats.size === 0) {
-                  reject(new Error('出力ファイルのサイズが0です'));
-                  return;
-                }
-                
-                let fileSizeFormatted = this._formatFileSize(stats.size);
-                context.fileSizeFormatted = fileSizeFormatted;
-                progressCallback(100, { phase: 'combining_complete' });
-                resolve();
-              } else {
-                reject(new Error('出力ファイルが作成されませんでした'));
-              }
-            } catch (error) {
-              console.error('出力ファイル確認エラー:', error);
-              reject(error);
-            }
-          } else {
-            const error = new Error(`単純コピーが終了コード ${code} で失敗しました`);
-            console.error(error.message);
-            reject(error);
-          }
-        });
-        
-        return;
-      }
-      
-      // 安全な結合方法：フィルタ複合（filtercomplex）を使用
-      const filterComplex = [];
-      for (let i = 0; i < inputFiles.length; i++) {
-        filterComplex.push(`[${i}:v:0][${i}:a:0]`);
-      }
-      
-      const args = ['-y'];
-      
-      // 入力ファイルを追加
-      for (const file of inputFiles) {
-        args.push('-i', file);
-      }
-      
-      // フィルタ複合を追加
-      args.push(
-        '-filter_complex', `${filterComplex.join('')}concat=n=${inputFiles.length}:v=1:a=1[outv][outa]`,
-        '-map', '[outv]',
-        '-map', '[outa]',
-        ...encoderParams,
-        '-max_muxing_queue_size', '1024',
-        '-c:a', 'aac',
-        '-b:a', '192k',
-        outputPath
-      );
-      
       const ffmpegCmd = `${ffmpegPath} ${args.join(' ')}`;
-      console.log('=== FFmpeg実行コマンド（フィルタ複合） ===');
+      console.log(`=== FFmpeg実行コマンド（${label}） ===`);
       console.log(ffmpegCmd);
       console.log('========================');
       
@@ -742,19 +783,6 @@ class CombineStep extends ExportStep {
           const seconds = parseFloat(timeMatch[3]);
           const totalSeconds = hours * 3600 + minutes * 60 + seconds;
           
-          console.log(`FFmpeg進捗: ${timeMatch[0]}`);
-          
-          let totalDuration = 0;
-          context.mediaFiles.forEach(file => {
-            if (file.duration) {
-              if (file.trimStart !== undefined && file.trimEnd !== undefined) {
-                totalDuration += (file.trimEnd - file.trimStart);
-              } else {
-                totalDuration += parseFloat(file.duration);
-              }
-            }
-          });
-          
           console.log(`FFmpeg進捗: ${hours}:${minutes}:${seconds} (合計秒数: ${totalSeconds.toFixed(2)}秒)`);
           
           if (totalDuration > 0) {
@@ -787,7 +815,12 @@ class CombineStep extends ExportStep {
         this.ffmpegProcess = null;
         
         if (code === 0) {
-          console.log('FFmpeg処理が正常に完了しました');
+          console.log(`FFmpeg処理（${label}）が正常に完了しました`);
+          if (!verifyOutput) {
+            progressCallback(100, { phase: 'combining' });
+            resolve();
+            return;
+          }
           try {
             if (fs.existsSync(outputPath)) {
               const stats = fs.statSync(outputPath);
@@ -798,9 +831,7 @@ class CombineStep extends ExportStep {
                 return;
               }
               
-              let fileSizeFormatted = this._formatFileSize(stats.size);
-              context.fileSizeFormatted = fileSizeFormatted;
-              
+              context.fileSizeFormatted = this._formatFileSize(stats.size);
             } else {
               reject(new Error('出力ファイルが作成されませんでした'));
               return;
@@ -813,7 +844,7 @@ class CombineStep extends ExportStep {
             reject(error);
           }
         } else {
-          const error = new Error(`FFmpegプロセスが終了コード ${code} で終了しました`);
+          const error = new Error(`FFmpegプロセス（${label}）が終了コード ${code} で終了しました`);
           console.error(error.message);
           reject(error);
         }
@@ -2,22 +2,65 @@
  * 書き出しパイプラインのコンテキストクラス
  * 各ステップ間でデータを共有・伝播するために使用する
  */
+const { buildEncodingOptions } = require('./encoding-options');
+
 class ExportContext {
   /**
    * @param {Object} params - コンテキストの初期化パラメータ
    * @param {Array} params.mediaFiles - メディアファイルの配列
+   * @param {Object|null} params.musicTrack - BGMトラック（{ clips, ducking }）
    * @param {string} params.outputPath - 出力先パス
    * @param {Object} params.settings - 書き出し設定
+   * @param {Object} params.encoding - エンコード設定（レート制御・音声コーデック、encoding-options.js の buildEncodingOptions で作成）
    * @param {string} params.tempDir - 一時ディレクトリのパス
    */
   constructor(params = {}) {
     this.mediaFiles = params.mediaFiles || [];
+    this.musicTrack = params.musicTrack || null;
     this.outputPath = params.outputPath || '';
     this.settings = params.settings || {};
+    this.encoding = params.encoding || buildEncodingOptions(this.settings);
     this.tempDir = params.tempDir || '';
     this.workingFiles = []; // 処理中の一時ファイル
     this.metadata = {}; // メタデータ（各ステップで追加可能）
     this.result = null; // 最終結果
+    this.joins = this._buildJoins(this.mediaFiles); // クリップ間のつなぎ目情報
+  }
+
+  /**
+   * タイムライン上の隣接クリップからつなぎ目情報を作成
+   * つなぎ目の設定は前側のクリップ（audioCrossfade, transition）に保持されている
+   * @param {Array} mediaFiles - メディアファイルの配列
+   * @returns {Array<{fromId: string, toId: string, audioCrossfade: Object|null, transition: Object|null}>} つなぎ目の配列
+   * @private
+   */
+  _buildJoins(mediaFiles) {
+    const joins = [];
+    for (let i = 0; i < mediaFiles.length - 1; i++) {
+      const from = mediaFiles[i];
+      const to = mediaFiles[i + 1];
+      if (!from || !to || typeof from !== 'object' || typeof to !== 'object' || !from.id || !to.id) {
+        continue;
+      }
+      joins.push({
+        fromId: from.id,
+        toId: to.id,
+        audioCrossfade: from.audioCrossfade || null,
+        transition: from.transition || null
+      });
+    }
+    return joins;
+  }
+
+  /**
+   * 2つのクリップ間のつなぎ目情報を取得
+   * 途中のクリップが除外された場合など、隣接していなかったクリップ同士はnullを返す
+   * @param {string} fromId - 前側のクリップID
+   * @param {string} toId - 後側のクリップID
+   * @returns {Object|null} つなぎ目情報
+   */
+  getJoin(fromId, toId) {
+    return this.joins.find(join => join.fromId === fromId && join.toId === toId) || null;
   }
 
   /**
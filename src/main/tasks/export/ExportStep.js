@@ -2,6 +2,8 @@
  * 書き出しパイプラインの基底ステップクラス
  * 各処理ステップはこのクラスを継承して実装する
  */
+const { runFFmpegWithProgress } = require('../../services/ffmpeg/utils');
+
 class ExportStep {
   /**
    * @param {Object} options - ステップのオプション
@@ -9,6 +11,8 @@ class ExportStep {
    */
   constructor(options = {}) {
     this.name = options.name || this.constructor.name;
+    this.ffmpegProcess = null;
+    this.cancelled = false;
   }
 
   /**
@@ -31,11 +35,37 @@ class ExportStep {
   }
 
   /**
-   * ステップをキャンセルする
+   * FFmpegを実行し、実行中のプロセスをキャンセルできるように保持する
+   * @param {string[]} args - FFmpegの引数
+   * @param {Object} options - runFFmpegWithProgress のオプション（duration / onProgress / onLine / label）
+   * @returns {Promise<string>} - 標準エラー出力の末尾
+   */
+  async runFFmpeg(args, options = {}) {
+    try {
+      return await runFFmpegWithProgress(args, {
+        ...options,
+        onSpawn: (process) => { this.ffmpegProcess = process; }
+      });
+    } finally {
+      this.ffmpegProcess = null;
+    }
+  }
+
+  /**
+   * ステップをキャンセルする（実行中のFFmpegプロセスを終了）
    * @returns {Promise<void>}
    */
   async cancel() {
-    // サブクラスでオーバーライド可能
+    this.cancelled = true;
+    if (this.ffmpegProcess) {
+      try {
+        this.ffmpegProcess.kill('SIGKILL');
+        this.ffmpegProcess = null;
+        console.log(`${this.name} のFFmpegプロセスがキャンセルされました`);
+      } catch (error) {
+        console.error(`${this.name} のFFmpegプロセスのキャンセルに失敗しました:`, error);
+      }
+    }
   }
 }
 
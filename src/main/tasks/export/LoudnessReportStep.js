@@ -0,0 +1,131 @@
+/**
+ * 書き出したファイルのラウドネスを測定し、レポートを作成するステップクラス
+ * 配信先への適合を示すため、最終的な書き出しファイルをebur128で全区間測定する
+ * クリップごとの補正前後も、正規化の対象（クリップ/全体）に関わらず各クリップを測定して記録する
+ */
+const fs = require('fs');
+const path = require('path');
+const ExportStep = require('./ExportStep');
+const { runEbur128 } = require('../../services/ffmpeg/ebur128');
+const { buildLoudnessReport, writeLoudnessReport } = require('./loudness-report');
+
+class LoudnessReportStep extends ExportStep {
+  /**
+   * @param {Object} options - オプション
+   */
+  constructor(options = {}) {
+    super({ name: 'loudness_report', ...options });
+  }
+
+  /**
+   * 書き出しファイルが存在し、レポートが無効化されていない場合に実行
+   * @param {ExportContext} context
+   * @returns {boolean} 実行可能かどうか
+   */
+  canExecute(context) {
+    const outputPath = context.result && context.result.outputPath;
+    return context.settings.loudnessReport !== false && Boolean(outputPath) && fs.existsSync(outputPath);
+  }
+
+  /**
+   * 測定してレポートを保存
+   * レポートの作成に失敗しても書き出し自体は成功として扱う
+   * @param {ExportContext} context - コンテキスト
+   * @param {Function} progressCallback - 進捗コールバック
+   * @returns {Promise<ExportContext>} - 更新されたコンテキスト
+   */
+  async execute(context, progressCallback) {
+    const outputPath = context.result.outputPath;
+    const clips = this._getClipSources(context);
+    // 進捗はクリップの測定と書き出しファイルの測定を1回ずつ同じ重みで数える
+    const totalMeasurements = clips.reduce((total, clip) => total + (clip.afterPath ? 2 : 1), 1);
+    let measuredCount = 0;
+    const measureProgress = (message) => (ratio) => {
+      progressCallback(((measuredCount + ratio) / totalMeasurements) * 95, { message });
+    };
+
+    try {
+      const clipMeasurements = [];
+      for (const clip of clips) {
+        const message = `クリップのラウドネスを測定しています: ${clip.name}`;
+        const before = await this._measureClip(clip.beforePath, measureProgress(message));
+        measuredCount++;
+
+        let after = null;
+        if (clip.afterPath) {
+          after = await this._measureClip(clip.afterPath, measureProgress(message));
+          measuredCount++;
+        }
+
+        clipMeasurements.push({ clipId: clip.clipId, name: clip.name, mode: clip.mode, before, after });
+      }
+
+      const measurement = await runEbur128(outputPath, {
+        runFFmpeg: (args, options) => this.runFFmpeg(args, options),
+        onProgress: measureProgress('書き出したファイルのラウドネスを測定しています')
+      });
+
+      const report = buildLoudnessReport({ outputPath, measurement, clipMeasurements, context });
+      const files = writeLoudnessReport(report, outputPath);
+      console.log(`ラウドネスレポートを保存しました: ${files.jsonPath}, ${files.csvPath}`);
+
+      context.setMetadata('loudness_report', { ...files, report });
+      progressCallback(100, { message: 'ラウドネスレポートを保存しました' });
+    } catch (error) {
+      if (this.cancelled) throw error;
+      console.error('ラウドネスレポートの作成に失敗しました:', error);
+      context.setMetadata('loudness_report', { error: error.message });
+      progressCallback(100, { message: `ラウドネスレポートの作成に失敗しました: ${error.message}` });
+    }
+
+    return context;
+  }
+
+  /**
+   * 結合したクリップごとに、正規化前と正規化後のファイルを取得
+   * クリップごとの正規化を行ったファイルは作業ファイルの記録から正規化前のファイルを辿る
+   * @param {ExportContext} context
+   * @returns {Array<{clipId: string|null, name: string, mode: string, beforePath: string, afterPath: string|null}>}
+   * @private
+   */
+  _getClipSources(context) {
+    const normalizedFiles = context.getLatestWorkingFiles().filter(file => file.metadata.type === 'normalized');
+
+    return context.mediaFiles
+      .filter(file => typeof file === 'object' && file !== null && file.path && fs.existsSync(file.path))
+      .map(file => {
+        const normalized = normalizedFiles.find(workingFile => workingFile.path === file.path);
+        const name = file.name || path.basename(file.path);
+        return {
+          clipId: file.id || null,
+          name: typeof file.segmentIndex === 'number' ? `${name} (${file.segmentIndex + 1})` : name,
+          mode: normalized ? normalized.metadata.loudnessMode : 'none',
+          beforePath: normalized ? normalized.metadata.originalFile : file.path,
+          afterPath: normalized ? file.path : null
+        };
+      });
+  }
+
+  /**
+   * クリップのラウドネスを測定（音声がないなどで測定できない場合はnull）
+   * @param {string} filePath - 測定するファイル
+   * @param {Function} onProgress - 進捗コールバック（0〜1）
+   * @returns {Promise<Object|null>} ebur128のサマリー
+   * @private
+   */
+  async _measureClip(filePath, onProgress) {
+    try {
+      const { summary } = await runEbur128(filePath, {
+        runFFmpeg: (args, options) => this.runFFmpeg(args, options),
+        onProgress
+      });
+      return summary;
+    } catch (error) {
+      if (this.cancelled) throw error;
+      console.warn(`クリップのラウドネスを測定できませんでした: ${path.basename(filePath)}`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = LoudnessReportStep;
@@ -0,0 +1,79 @@
+/**
+ * BGMトラックを書き出し全体の長さの1本の音声にまとめるステップクラス
+ * 作成したBGMはCombineStepでセリフの下にダッキングしながらミックスされる
+ */
+const path = require('path');
+const ExportStep = require('./ExportStep');
+const {
+  getMusicClips,
+  getDucking,
+  estimateProgramDuration,
+  placeMusicClips,
+  buildMusicBedFilterGraph
+} = require('./music-bed');
+
+class MusicBedStep extends ExportStep {
+  constructor(options = {}) {
+    super({ name: 'music_bed', ...options });
+  }
+
+  /**
+   * BGMトラックにクリップがある場合のみ実行
+   * @param {ExportContext} context
+   * @returns {boolean} 実行可能かどうか
+   */
+  canExecute(context) {
+    return getMusicClips(context.musicTrack).length > 0;
+  }
+
+  /**
+   * BGMを作成
+   * @param {ExportContext} context - コンテキスト
+   * @param {Function} progressCallback - 進捗コールバック
+   * @returns {Promise<ExportContext>} - 更新されたコンテキスト
+   */
+  async execute(context, progressCallback) {
+    console.log('BGM作成ステップ開始');
+    progressCallback(0, { phase: 'music_bed_init' });
+
+    const programDuration = estimateProgramDuration(context);
+    const placements = placeMusicClips(getMusicClips(context.musicTrack), programDuration);
+    if (placements.length === 0) {
+      console.log('書き出し範囲内に再生されるBGMがないためスキップします');
+      return context;
+    }
+
+    const outputPath = path.join(context.tempDir, 'music_bed.wav');
+    const args = ['-y'];
+    placements.forEach(clip => args.push('-i', clip.path));
+    args.push(
+      '-filter_complex', buildMusicBedFilterGraph(placements, programDuration),
+      '-map', '[bed]',
+      '-c:a', 'pcm_s16le',
+      outputPath
+    );
+
+    await this.runFFmpeg(args, {
+      duration: programDuration,
+      label: 'BGM作成',
+      onProgress: progress => progressCallback(progress * 100, { phase: 'music_bed' })
+    });
+    context.addWorkingFile(outputPath, { type: 'music_bed' });
+
+    const ducking = getDucking(context.musicTrack);
+    context.setMetadata('music_bed', {
+      completed: true,
+      timestamp: new Date().toISOString(),
+      path: outputPath,
+      duration: programDuration,
+      ducking,
+      clips: placements.map(clip => ({ id: clip.id, name: clip.name, start: clip.start, length: clip.length, loop: clip.loop }))
+    });
+
+    progressCallback(100, { phase: 'music_bed_complete' });
+    console.log(`BGM作成ステップ完了: ${placements.length}クリップ, ${programDuration.toFixed(2)}秒, ダッキング: ${ducking}`);
+    return context;
+  }
+}
+
+module.exports = MusicBedStep;
@@ -3,19 +3,30 @@
  */
 const fs = require('fs');
 const path = require('path');
-const { spawn } = require('child_process');
 const ExportStep = require('./ExportStep');
-const { getFFmpegPath } = require('../../services/ffmpeg/utils');
+const {
+  LOUDNESS_TOLERANCE_LU,
+  getLoudnessScope,
+  getLoudnessTarget,
+  parseLoudnormOutput,
+  isMeasurable,
+  planLoudnorm,
+  buildLoudnormFilter,
+  verifyLoudness
+} = require('./loudnorm');
+const { probeHasAudio } = require('./audio-conform');
 
 class NormalizeLoudnessStep extends ExportStep {
   /**
    * @param {Object} options - オプション
-   * @param {number} options.targetLoudness - 目標ラウドネス値（LUFS）デフォルトは-14 LUFS（YouTube推奨）
+   * @param {string[]} options.outputArgs - 出力ファイルに追加するFFmpegの引数
+   * @param {string[]} options.audioArgs - 音声のエンコード引数（省略時はAAC 192kbps）
+   * 目標値は書き出し設定の targetLoudness / targetTruePeak / targetLra（配信先プリセット）で指定する
    */
   constructor(options = {}) {
     super({ name: 'loudness_normalization', ...options });
-    this.targetLoudness = options.targetLoudness || -14; // YouTube推奨値
-    this.ffmpegProcess = null;
+    this.outputArgs = options.outputArgs || [];
+    this.audioArgs = options.audioArgs || ['-c:a', 'aac', '-b:a', '192k'];
   }
   
   /**
@@ -25,7 +36,12 @@ class NormalizeLoudnessStep extends ExportStep {
    */
   canExecute(context) {
     console.log('ラウドネス調整の実行判定...');
-    console.log('グローバル設定:', context.settings.normalizeLoudness, context.settings.targetLoudness);
+    console.log('グローバル設定:', context.settings.normalizeLoudness, context.settings.loudnessPreset, context.settings.targetLoudness, getLoudnessScope(context.settings));
+    
+    // 全体のみを正規化する設定の場合はクリップごとの調整を行わない
+    if (getLoudnessScope(context.settings) === 'program') {
+      return false;
+    }
     
     // メディアファイルのnormalizeLoudnessフラグを確認
     // 注意: UIでは loudnessNormalization という名前で管理されているため、両方確認する
@@ -48,12 +64,13 @@ class NormalizeLoudnessStep extends ExportStep {
     progressCallback(0, { phase: 'loudness_init' });
     
     const normalizedFiles = [];
+    const results = [];
     const totalFiles = context.mediaFiles.length;
     let processedCount = 0;
     
-    // 目標ラウドネス値を設定（コンテキストから取得するか、デフォルト値を使用）
-    const targetLoudness = context.settings.targetLoudness || this.targetLoudness;
-    console.log(`目標ラウドネス: ${targetLoudness} LUFS（YouTube推奨: -14 LUFS）`);
+    // 目標値を設定（コンテキストから取得するか、デフォルト値を使用）
+    const target = getLoudnessTarget(context.settings);
+    console.log(`目標ラウドネス: ${target.integrated} LUFS, トゥルーピーク上限: ${target.truePeak} dBTP, LRA: ${target.lra} LU`);
     
     for (let i = 0; i < totalFiles; i++) {
       const file = context.mediaFiles[i];
@@ -86,37 +103,38 @@ class NormalizeLoudnessStep extends ExportStep {
         continue;
       }
       
+      // 音声のないクリップは結合時に無音を作成するため、そのまま渡す
+      if (!(await probeHasAudio(filePath))) {
+        console.log(`ファイル ${path.basename(filePath)} は音声がないためラウドネス調整をスキップします`);
+        normalizedFiles.push(file);
+        processedCount++;
+        continue;
+      }
+      
       // 出力ファイル名を設定
-      const outputPath = path.join(context.tempDir, `normalized_${i}_${path.basename(filePath)}`);
+      const fileName = path.basename(filePath);
+      const outputPath = path.join(context.tempDir, `normalized_${i}_${fileName}`);
       
-      try {
-        console.log(`ファイル ${path.basename(filePath)} のラウドネスを調整中...`);
-        
-        // まずファイルのラウドネスを測定
-        const loudnessInfo = await this._measureLoudness(filePath, (progress) => {
-          // 測定は全体の20%とする
-          const fileWeight = 1 / totalFiles;
-          const overallProgress = ((processedCount * fileWeight) + (progress * fileWeight * 0.2)) * 100;
-          progressCallback(overallProgress, {
-            currentFile: i + 1,
-            totalFiles,
-            fileProgress: progress,
-            fileName: path.basename(filePath)
-          });
+      // 単一ファイルの進捗（0〜1）を全体の進捗に変換
+      const reportProgress = (fileProgress, details = {}) => {
+        const fileWeight = 1 / totalFiles;
+        progressCallback(((processedCount + fileProgress) * fileWeight) * 100, {
+          currentFile: i + 1,
+          totalFiles,
+          fileProgress,
+          fileName,
+          ...details
         });
-        console.log(`ラウドネス測定結果:`, loudnessInfo);
-        
-        // 次にラウドネスを正規化
-        await this._normalizeLoudness(filePath, outputPath, loudnessInfo, targetLoudness, (progress) => {
-          // 単一ファイルの進捗を全体の進捗に変換
-          const fileWeight = 1 / totalFiles;
-          const overallProgress = ((processedCount * fileWeight) + (progress * fileWeight * 0.8) + (fileWeight * 0.2)) * 100;
-          progressCallback(overallProgress, {
-            currentFile: i + 1,
-            totalFiles,
-            fileProgress: progress,
-            fileName: path.basename(filePath)
-          });
+      };
+      
+      try {
+        console.log(`ファイル ${fileName} のラウドネスを調整中...`);
+        const result = await this._normalizeFile(filePath, outputPath, target, reportProgress);
+        results.push({
+          fileName,
+          clipId: typeof file === 'object' ? file.id || null : null,
+          clipName: typeof file === 'object' && file.name ? file.name : fileName,
+          ...result
         });
         
         // 正規化後のファイル情報を追加
@@ -129,13 +147,14 @@ class NormalizeLoudnessStep extends ExportStep {
         context.addWorkingFile(outputPath, { 
           originalFile: filePath,
           type: 'normalized',
-          originalLoudness: loudnessInfo.integrated,
-          targetLoudness: targetLoudness
+          originalLoudness: result.inputIntegrated,
+          targetLoudness: target.integrated,
+          loudnessMode: result.mode
         });
         
-        console.log(`ファイル ${path.basename(filePath)} のラウドネス調整が完了しました: ${outputPath}`);
+        console.log(`ファイル ${fileName} のラウドネス調整が完了しました: ${outputPath}`);
       } catch (error) {
-        console.error(`ファイル ${path.basename(filePath)} のラウドネス調整中にエラーが発生しました:`, error);
+        console.error(`ファイル ${fileName} のラウドネス調整中にエラーが発生しました:`, error);
         throw error;
       }
       
@@ -147,7 +166,10 @@ class NormalizeLoudnessStep extends ExportStep {
     context.setMetadata('loudness_normalization', { 
       completed: true,
       timestamp: new Date().toISOString(),
-      targetLoudness: targetLoudness
+      targetLoudness: target.integrated,
+      target,
+      tolerance: LOUDNESS_TOLERANCE_LU,
+      files: results
     });
     
     progressCallback(100, { phase: 'loudness_complete' });
@@ -157,277 +179,165 @@ class NormalizeLoudnessStep extends ExportStep {
   }
   
   /**
-   * ファイルのラウドネスを測定
+   * 1ファイルを2パスで正規化
+   * 1パス目で測定し、2パス目に測定値を渡してリニアモード（不可能ならダイナミックモード）で正規化する
    * @param {string} filePath - 入力ファイルパス
-   * @param {Function} progressCallback - 進捗コールバック
-   * @returns {Promise<Object>} - ラウドネス情報
+   * @param {string} outputPath - 出力ファイルパス
+   * @param {Object} target - 目標値（integrated, truePeak, lra）
+   * @param {Function} reportProgress - 進捗コールバック (progress, details) => void
+   * @returns {Promise<Object>} - 測定値・適用したモード・検証結果
    * @private
    */
-  async _measureLoudness(filePath, progressCallback) {
-    return new Promise((resolve, reject) => {
-      const ffmpegPath = getFFmpegPath();
-      
-      // FFmpegでラウドネス分析
-      const args = [
-        '-i', filePath,
-        '-af', 'loudnorm=I=-16:TP=-1.5:LRA=11:print_format=json',
-        '-f', 'null',
-        '-'
-      ];
-      
-      console.log(`ラウドネス測定コマンド: ${ffmpegPath} ${args.join(' ')}`);
-      
-      const process = spawn(ffmpegPath, args);
-      
-      let stderr = '';
-      
-      process.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
-      
-      process.on('close', (code) => {
-        if (code === 0) {
-          // ラウドネス情報を抽出
-          try {
-            // JSONデータを抽出（stderr内の最後のJSONブロック）
-            const jsonMatch = stderr.match(/\{[\s\S]*?\}(?!\s*[\},])/g);
-            let loudnessData = null;
-            
-            if (jsonMatch && jsonMatch.length > 0) {
-              // 最後のJSONブロックを使用
-              const jsonStr = jsonMatch[jsonMatch.length - 1];
-              loudnessData = JSON.parse(jsonStr);
-              
-              const result = {
-                integrated: parseFloat(loudnessData.input_i || '-24'),
-                truePeak: parseFloat(loudnessData.input_tp || '-1'),
-                lra: parseFloat(loudnessData.input_lra || '0'),
-                threshold: parseFloat(loudnessData.input_thresh || '-34'),
-                raw: loudnessData
-              };
-              
-              console.log(`ラウドネス分析結果: 統合ラウドネス=${result.integrated} LUFS, トゥルーピーク=${result.truePeak} dB`);
-              resolve(result);
-            } else {
-              console.warn('ラウドネス分析結果からJSONデータを抽出できませんでした');
-              // デフォルト値を使用
-              resolve({
-                integrated: -24,
-                truePeak: -1,
-                lra: 0,
-                threshold: -34
-              });
-            }
-          } catch (error) {
-            console.error('ラウドネス分析結果の解析に失敗しました:', error);
-            reject(error);
-          }
-        } else {
-          console.error(`ラウドネス分析が終了コード ${code} で失敗しました`);
-          reject(new Error(`ラウドネス分析プロセスが終了コード ${code} で終了しました`));
-        }
-      });
-      
-      process.on('error', (err) => {
-        console.error('ラウドネス分析プロセスエラー:', err);
-        reject(err);
-      });
+  async _normalizeFile(filePath, outputPath, target, reportProgress) {
+    // 1パス目: 測定（全体の20%とする）
+    const measured = await this._measureLoudness(filePath, target, (progress) => {
+      reportProgress(progress * 0.2, { loudnessPass: 1 });
+    });
+    console.log('ラウドネス測定結果（1パス目）:', measured && measured.raw);
+    
+    // 無音などで測定できない場合はそのままコピー
+    if (!isMeasurable(measured)) {
+      const reason = 'ラウドネスを測定できないため（無音など）';
+      console.warn(`${path.basename(filePath)}: ${reason}、変更なしでコピーします`);
+      await this._copyFile(filePath, outputPath, (progress) => reportProgress(0.2 + progress * 0.8));
+      return { mode: 'copy', fallbackReason: reason, inputIntegrated: null, withinTolerance: false };
+    }
+    
+    const summary = {
+      inputIntegrated: measured.inputIntegrated,
+      inputTruePeak: measured.inputTruePeak,
+      inputLra: measured.inputLra,
+      inputThreshold: measured.inputThreshold
+    };
+    
+    // 既に目標の許容範囲内でピークも上限以下なら再エンコードせずコピー
+    const inputCheck = verifyLoudness(measured.inputIntegrated, target);
+    if (inputCheck.withinTolerance && measured.inputTruePeak <= target.truePeak) {
+      console.log(`ラウドネスが目標の±${LOUDNESS_TOLERANCE_LU} LU以内のため、変更なしでコピーします`);
+      await this._copyFile(filePath, outputPath, (progress) => reportProgress(0.2 + progress * 0.8));
+      return {
+        ...summary,
+        mode: 'copy',
+        fallbackReason: null,
+        outputIntegrated: measured.inputIntegrated,
+        outputTruePeak: measured.inputTruePeak,
+        ...inputCheck
+      };
+    }
+    
+    // リニアモードで目標に届くか判定し、届かない場合は理由を添えてダイナミックモードにする
+    const plan = planLoudnorm(measured, target);
+    const modeDetails = {
+      loudnessPass: 2,
+      loudnessMode: plan.linear ? 'linear' : 'dynamic',
+      fallbackReason: plan.reason
+    };
+    if (!plan.linear) {
+      modeDetails.message = `${path.basename(filePath)}: ダイナミックモードで正規化します（${plan.reason}）`;
+      console.log(modeDetails.message);
+    }
+    
+    // 2パス目: 測定値を渡して正規化（全体の80%とする）
+    const output = await this._applyLoudnorm(filePath, outputPath, target, measured, plan.linear, (progress) => {
+      reportProgress(0.2 + progress * 0.8, modeDetails);
     });
+    
+    // FFmpeg側でリニアモードを適用できなかった場合
+    let mode = modeDetails.loudnessMode;
+    let fallbackReason = plan.reason;
+    if (plan.linear && output && output.normalizationType === 'dynamic') {
+      mode = 'dynamic';
+      fallbackReason = 'FFmpegがリニアモードを適用できなかったため';
+    }
+    
+    // 正規化後のラウドネスが目標の許容範囲に収まっているか確認
+    const outputIntegrated = output ? output.outputIntegrated : NaN;
+    const check = verifyLoudness(outputIntegrated, target);
+    if (check.withinTolerance) {
+      console.log(`正規化結果: ${outputIntegrated} LUFS（目標との差 ${check.deviation.toFixed(2)} LU, ${mode}）`);
+    } else {
+      const message = `${path.basename(filePath)}: 正規化後のラウドネス(${outputIntegrated} LUFS)が目標(${target.integrated} LUFS)の±${LOUDNESS_TOLERANCE_LU} LUに収まりませんでした`;
+      console.warn(message);
+      reportProgress(1, { ...modeDetails, loudnessMode: mode, fallbackReason, message });
+    }
+    
+    return {
+      ...summary,
+      mode,
+      fallbackReason,
+      outputIntegrated,
+      outputTruePeak: output ? output.outputTruePeak : null,
+      ...check
+    };
   }
   
   /**
-   * ラウドネスを正規化
-   * @param {string} inputPath - 入力ファイルパス
-   * @param {string} outputPath - 出力ファイルパス
-   * @param {Object} loudnessInfo - ラウドネス測定情報
-   * @param {number} targetLoudness - 目標ラウドネス値
+   * ファイルのラウドネスを測定（loudnormの1パス目）
+   * @param {string} filePath - 入力ファイルパス
+   * @param {Object} target - 目標値
    * @param {Function} progressCallback - 進捗コールバック
-   * @returns {Promise<void>}
+   * @returns {Promise<Object|null>} - 測定結果（JSONを取得できない場合はnull）
    * @private
    */
-  async _normalizeLoudness(inputPath, outputPath, loudnessInfo, targetLoudness, progressCallback) {
-    return new Promise((resolve, reject) => {
-      const ffmpegPath = getFFmpegPath();
-      
-      // 調整量を計算 (現在のラウドネスと目標ラウドネスの差)
-      const currentLoudness = loudnessInfo.integrated;
-      const adjustmentDB = targetLoudness - currentLoudness;
-      
-      console.log(`ラウドネス調整量: ${adjustmentDB.toFixed(2)} dB（${currentLoudness.toFixed(2)} LUFS → ${targetLoudness.toFixed(2)} LUFS）`);
-      
-      // ラウドネス調整が必要ない場合 (差が±0.5dB以内)
-      if (Math.abs(adjustmentDB) < 0.5) {
-        console.log('ラウドネス調整量が小さいため、変更なしでコピーします');
-        // 単純コピー
-        const copyArgs = [
-          '-y',
-          '-i', inputPath,
-          '-c', 'copy',
-          outputPath
-        ];
-        
-        this.ffmpegProcess = spawn(ffmpegPath, copyArgs);
-        
-        this.ffmpegProcess.on('close', (code) => {
-          this.ffmpegProcess = null;
-          if (code === 0) {
-            console.log('ファイルコピーが完了しました');
-            progressCallback(1);
-            resolve();
-          } else {
-            reject(new Error(`ファイルコピーが終了コード ${code} で失敗しました`));
-          }
-        });
-        
-        return;
-      }
-      
-      // FFmpegでラウドネス正規化
-      // loudnormフィルタを2パス目で使用（測定値をもとに正規化）
-      const args = [
-        '-y',
-        '-i', inputPath,
-        '-af', `volume=${adjustmentDB}dB`,
-        '-c:v', 'copy', // ビデオをそのままコピー
-        '-c:a', 'aac', // 音声はAACにエンコード
-        '-b:a', '192k', // 音声ビットレート
-        outputPath
-      ];
-      
-      console.log(`ラウドネス正規化コマンド: ${ffmpegPath} ${args.join(' ')}`);
-      
-      this.ffmpegProcess = spawn(ffmpegPath, args);
-      
-      // 標準出力をログに記録
-      this.ffmpegProcess.stdout.on('data', (data) => {
-        console.log(`FFmpeg stdout: ${data.toString()}`);
-      });
-      
-      // 進捗情報を解析
-      let duration = 0;
-      this.ffmpegProcess.stderr.on('data', (data) => {
-        const output = data.toString();
-        
-        // 動画の総時間を取得
-        const durationMatch = output.match(/Duration: (\d{2}):(\d{2}):(\d{2}\.\d{2})/);
-        if (durationMatch) {
-          const hours = parseInt(durationMatch[1], 10);
-          const minutes = parseInt(durationMatch[2], 10);
-          const seconds = parseFloat(durationMatch[3]);
-          duration = hours * 3600 + minutes * 60 + seconds;
-        }
-        
-        // 進捗情報を解析して更新
-        const timeMatch = output.match(/time=(\d{2}):(\d{2}):(\d{2}\.\d{2})/);
-        if (timeMatch && duration > 0) {
-          const hours = parseInt(timeMatch[1], 10);
-          const minutes = parseInt(timeMatch[2], 10);
-          const seconds = parseFloat(timeMatch[3]);
-          const currentTime = hours * 3600 + minutes * 60 + seconds;
-          
-          // 進捗率を計算
-          const progress = Math.min(1, currentTime / duration);
-          progressCallback(progress);
-        }
-      });
-      
-      // エラーハンドリング
-      this.ffmpegProcess.on('error', (err) => {
-        console.error('ラウドネス正規化プロセスエラー:', err);
-        this.ffmpegProcess = null;
-        reject(err);
-      });
-      
-      // 完了ハンドリング
-      this.ffmpegProcess.on('close', (code) => {
-        this.ffmpegProcess = null;
-        
-        if (code === 0) {
-          console.log('ラウドネス正規化処理が正常に完了しました');
-          progressCallback(1);
-          resolve();
-        } else {
-          const error = new Error(`ラウドネス正規化プロセスが終了コード ${code} で終了しました`);
-          console.error(error.message);
-          reject(error);
-        }
-      });
-    });
+  async _measureLoudness(filePath, target, progressCallback) {
+    const args = [
+      '-hide_banner',
+      '-i', filePath,
+      '-vn',
+      '-af', buildLoudnormFilter(target),
+      '-f', 'null',
+      '-'
+    ];
+    
+    const stderr = await this.runFFmpeg(args, { label: 'ラウドネス測定', onProgress: progressCallback });
+    const measured = parseLoudnormOutput(stderr);
+    if (!measured) {
+      console.warn('ラウドネス分析結果からJSONデータを抽出できませんでした');
+    }
+    return measured;
   }
   
   /**
-   * 個別ファイルのラウドネス調整を実行
-   * @param {object} file メディアファイル情報
-   * @param {string} inputPath 入力ファイルパス
-   * @param {string} outputPath 出力ファイルパス
-   * @param {function} progressCallback 進捗コールバック
-   * @returns {Promise<boolean>} 処理が完了したらtrue、スキップされたらfalse
+   * 測定値を使ってラウドネスを正規化（loudnormの2パス目）
+   * @param {string} inputPath - 入力ファイルパス
+   * @param {string} outputPath - 出力ファイルパス
+   * @param {Object} target - 目標値
+   * @param {Object} measured - 1パス目の測定値
+   * @param {boolean} linear - リニアモードを使用するか
+   * @param {Function} progressCallback - 進捗コールバック
+   * @returns {Promise<Object|null>} - 2パス目の出力統計
+   * @private
    */
-  async _normalizeFileWithCustomTarget(file, inputPath, outputPath, progressCallback) {
-    // ファイルのラウドネス調整が有効かどうか確認
-    // 注意: UIでは loudnessNormalization という名前で管理されているため、両方確認する
-    if (file.normalizeLoudness !== true && file.loudnessNormalization === false) {
-      console.log(`ファイル "${file.name}" のラウドネス調整はスキップされます（無効設定）`);
-      return false;
-    }
+  async _applyLoudnorm(inputPath, outputPath, target, measured, linear, progressCallback) {
+    const args = [
+      '-y',
+      '-hide_banner',
+      '-i', inputPath,
+      '-af', buildLoudnormFilter(target, measured, linear),
+      '-c:v', 'copy', // ビデオをそのままコピー
+      ...this.audioArgs,
+      '-ar', '48000', // loudnormは内部で192kHzにするため元のサンプルレートに戻す
+      ...this.outputArgs,
+      outputPath
+    ];
     
-    try {
-      console.log(`ファイル "${file.name}" のラウドネス測定を開始...`);
-      // ターゲットラウドネス値を決定（デフォルトは-14 LUFS）
-      const targetLoudness = this.targetLoudness;
-      console.log(`目標ラウドネス: ${targetLoudness} LUFS`);
-      
-      // 既に測定済みのラウドネス値があるか確認
-      if (file.lufs !== undefined) {
-        console.log(`既存のラウドネス測定値: ${file.lufs} LUFS`);
-        
-        // 測定値を使用してラウドネス調整
-        const loudnessInfo = {
-          integrated: file.lufs,
-          truePeak: file.truePeak || -1,
-          lra: file.lra || 1,
-          threshold: file.threshold || -24
-        };
-        
-        await this._normalizeLoudness(inputPath, outputPath, loudnessInfo, targetLoudness, progressCallback);
-        return true;
-      } else {
-        // ラウドネス値がない場合は測定してから調整
-        console.log(`ファイル "${file.name}" にラウドネス値がありません。測定を行います。`);
-        const loudnessInfo = await this._measureLoudness(inputPath, (progress) => {
-          // 測定は全体の20%とする
-          progressCallback(progress * 0.2);
-        });
-        
-        console.log(`測定結果: ${loudnessInfo.integrated} LUFS`);
-        
-        // 測定値を使用してラウドネス調整
-        await this._normalizeLoudness(inputPath, outputPath, loudnessInfo, targetLoudness, (progress) => {
-          // 調整は全体の80%とする
-          progressCallback(0.2 + progress * 0.8);
-        });
-        return true;
-      }
-    } catch (error) {
-      console.error(`ファイル "${file.name}" のラウドネス調整中にエラーが発生しました:`, error);
-      throw error;
-    }
+    const stderr = await this.runFFmpeg(args, { label: 'ラウドネス正規化', onProgress: progressCallback });
+    return parseLoudnormOutput(stderr);
   }
   
   /**
-   * ステップをキャンセル
+   * ファイルを変更なしでコピー
+   * @param {string} inputPath - 入力ファイルパス
+   * @param {string} outputPath - 出力ファイルパス
+   * @param {Function} progressCallback - 進捗コールバック
    * @returns {Promise<void>}
+   * @private
    */
-  async cancel() {
-    if (this.ffmpegProcess) {
-      try {
-        this.ffmpegProcess.kill('SIGKILL');
-        this.ffmpegProcess = null;
-        console.log('ラウドネス正規化プロセスがキャンセルされました');
-      } catch (error) {
-        console.error('ラウドネス正規化プロセスのキャンセルに失敗しました:', error);
-      }
-    }
+  async _copyFile(inputPath, outputPath, progressCallback) {
+    await this.runFFmpeg(['-y', '-i', inputPath, '-c', 'copy', ...this.outputArgs, outputPath], {
+      label: 'ファイルコピー',
+      onProgress: progressCallback
+    });
   }
 }
 
@@ -0,0 +1,96 @@
+/**
+ * 結合後の書き出しファイル全体のラウドネスを正規化するステップクラス
+ * クリップごとの正規化だけでは結合後の統合ラウドネスが目標に一致しないため、最後に全体を調整する
+ */
+const fs = require('fs');
+const path = require('path');
+const NormalizeLoudnessStep = require('./NormalizeLoudnessStep');
+const { LOUDNESS_TOLERANCE_LU, getLoudnessScope, getLoudnessTarget } = require('./loudnorm');
+
+class NormalizeProgramLoudnessStep extends NormalizeLoudnessStep {
+  /**
+   * @param {Object} options - オプション（NormalizeLoudnessStepと同じ）
+   */
+  constructor(options = {}) {
+    super({
+      name: 'program_loudness_normalization',
+      outputArgs: ['-movflags', '+faststart'],
+      ...options
+    });
+  }
+
+  /**
+   * 全体の正規化が必要かどうか判定
+   * @param {ExportContext} context
+   * @returns {boolean} 実行可能かどうか
+   */
+  canExecute(context) {
+    const scope = getLoudnessScope(context.settings);
+    const outputPath = context.result && context.result.outputPath;
+    return scope !== 'clip' && Boolean(outputPath) && fs.existsSync(outputPath);
+  }
+
+  /**
+   * 結合済みのファイルを一時ディレクトリに移動し、正規化して元の出力先に書き出す
+   * @param {ExportContext} context - コンテキスト
+   * @param {Function} progressCallback - 進捗コールバック
+   * @returns {Promise<ExportContext>} - 更新されたコンテキスト
+   */
+  async execute(context, progressCallback) {
+    console.log('全体のラウドネス正規化ステップ開始');
+    progressCallback(0, { phase: 'program_loudness_init', message: '書き出し全体のラウドネスを測定しています' });
+
+    const outputPath = context.result.outputPath;
+    const fileName = path.basename(outputPath);
+    const combinedPath = path.join(context.tempDir, `combined_${fileName}`);
+    const target = getLoudnessTarget(context.settings);
+
+    this._moveFile(outputPath, combinedPath);
+    context.addWorkingFile(combinedPath, { type: 'combined' });
+
+    let result;
+    try {
+      result = await this._normalizeFile(combinedPath, outputPath, target, (progress, details = {}) => {
+        progressCallback(progress * 100, { fileName, ...details });
+      });
+    } catch (error) {
+      // 失敗した場合は結合済みのファイルを出力先に戻す
+      console.error('全体のラウドネス正規化中にエラーが発生しました:', error);
+      this._moveFile(combinedPath, outputPath);
+      throw error;
+    }
+
+    context.setMetadata('program_loudness_normalization', {
+      completed: true,
+      timestamp: new Date().toISOString(),
+      scope: getLoudnessScope(context.settings),
+      targetLoudness: target.integrated,
+      target,
+      tolerance: LOUDNESS_TOLERANCE_LU,
+      result: { fileName, ...result }
+    });
+
+    progressCallback(100, { phase: 'program_loudness_complete' });
+    console.log(`全体のラウドネス正規化ステップ完了: ${result.outputIntegrated ?? result.inputIntegrated} LUFS (${result.mode})`);
+
+    return context;
+  }
+
+  /**
+   * ファイルを移動（別ボリュームの場合はコピーして削除）
+   * @param {string} from - 移動元
+   * @param {string} to - 移動先
+   * @private
+   */
+  _moveFile(from, to) {
+    try {
+      fs.renameSync(from, to);
+    } catch (error) {
+      if (error.code !== 'EXDEV') throw error;
+      fs.copyFileSync(from, to);
+      fs.unlinkSync(from);
+    }
+  }
+}
+
+module.exports = NormalizeProgramLoudnessStep;
@@ -3,9 +3,15 @@
  */
 const fs = require('fs');
 const path = require('path');
-const { spawn } = require('child_process');
 const ExportStep = require('./ExportStep');
-const { getFFmpegPath } = require('../../services/ffmpeg/utils');
+const { getFFmpegService } = require('../../services/ffmpeg');
+const { probeKeyframes, planSmartCut, getPartEncoderArgs, executeSmartCut } = require('./smart-cut');
+
+// トリミング方式
+// fast: ストリームコピー（高速だがキーフレーム単位でずれる）
+// smart: 境界のGOPのみ再エンコードし中間はコピー（フレーム精度）
+// accurate: 範囲全体を再エンコード（フレーム精度・低速）
+const TRIM_MODES = ['fast', 'smart', 'accurate'];
 
 class TrimStep extends ExportStep {
   /**
@@ -13,7 +19,7 @@ class TrimStep extends ExportStep {
    */
   constructor(options = {}) {
     super({ name: 'trimming', ...options });
-    this.ffmpegProcess = null;
+    this.trimMode = TRIM_MODES.includes(options.trimMode) ? options.trimMode : 'fast';
   }
   
   /**
@@ -24,10 +30,28 @@ class TrimStep extends ExportStep {
   canExecute(context) {
     // トリミングが必要なメディアファイルがあるか確認
     return context.mediaFiles.some(file => 
+      this._getSegments(file).length > 0 ||
       (file.trimStart !== undefined && file.trimStart > 0) || 
       (file.trimEnd !== undefined && file.trimEnd > 0));
   }
   
+  /**
+   * クリップ内で残す区間（セグメント）を取得
+   * @param {Object|string} file - メディアファイル情報
+   * @returns {Array<{start: number, end: number}>} 開始位置順の区間（未設定の場合は空配列）
+   * @private
+   */
+  _getSegments(file) {
+    if (typeof file !== 'object' || !file || !Array.isArray(file.segments)) {
+      return [];
+    }
+    
+    return file.segments
+      .map(segment => ({ start: parseFloat(segment.start), end: parseFloat(segment.end) }))
+      .filter(segment => isFinite(segment.start) && isFinite(segment.end) && segment.end > segment.start)
+      .sort((a, b) => a.start - b.start);
+  }
+  
   /**
    * トリミング処理を実行
    * @param {ExportContext} context - コンテキスト
@@ -41,6 +65,8 @@ class TrimStep extends ExportStep {
     const trimmedFiles = [];
     const totalFiles = context.mediaFiles.length;
     let processedCount = 0;
+    const trimMode = TRIM_MODES.includes(context.settings.trimMode) ? context.settings.trimMode : this.trimMode;
+    console.log(`トリミング方式: ${trimMode}`);
     
     for (let i = 0; i < totalFiles; i++) {
       const file = context.mediaFiles[i];
@@ -65,6 +91,23 @@ class TrimStep extends ExportStep {
         continue;
       }
       
+      // 複数区間が設定されている場合は区間ごとに中間ファイルを作成
+      const segments = this._getSegments(file);
+      if (segments.length > 0) {
+        const segmentFiles = await this._trimSegments(file, filePath, segments, i, context, trimMode, progress => {
+          const fileWeight = 1 / totalFiles;
+          progressCallback(((processedCount * fileWeight) + (progress * fileWeight)) * 100, {
+            currentFile: i + 1,
+            totalFiles,
+            fileProgress: progress,
+            fileName: path.basename(filePath)
+          });
+        });
+        trimmedFiles.push(...segmentFiles);
+        processedCount++;
+        continue;
+      }
+      
       // トリミングが必要ない場合は元のファイルを使用
       if ((file.trimStart === undefined || file.trimStart <= 0) && 
           (file.trimEnd === undefined || file.trimEnd <= 0)) {
@@ -79,7 +122,7 @@ class TrimStep extends ExportStep {
       try {
         console.log(`ファイル ${path.basename(filePath)} をトリミング中...`);
         // FFmpegでトリミング処理を実行
-        await this._trimFile(file, filePath, outputPath, progress => {
+        await this._trimFile(file, filePath, outputPath, trimMode, progress => {
           // 単一ファイルの進捗を全体の進捗に変換
           const fileWeight = 1 / totalFiles;
           const overallProgress = ((processedCount * fileWeight) + (progress * fileWeight)) * 100;
@@ -92,9 +135,12 @@ class TrimStep extends ExportStep {
         });
         
         // トリミング後のファイル情報を追加
+        const trimEnd = file.trimEnd > 0 ? file.trimEnd : parseFloat(file.duration);
         const trimmedFile = { 
           ...(typeof file === 'object' ? file : {}), 
           path: outputPath, 
+          // 後続のステップ（BGMの長さの見積もりなど）のためにトリム後の長さを設定
+          duration: isFinite(trimEnd) ? trimEnd - (file.trimStart || 0) : file.duration,
           // トリミング情報はクリア（既に適用済み）
           trimStart: undefined,
           trimEnd: undefined
@@ -105,7 +151,8 @@ class TrimStep extends ExportStep {
           originalFile: filePath,
           type: 'trimmed',
           trimStart: file.trimStart,
-          trimEnd: file.trimEnd
+          trimEnd: file.trimEnd,
+          trimMode
         });
         
         console.log(`ファイル ${path.basename(filePath)} のトリミングが完了しました: ${outputPath}`);
@@ -130,60 +177,114 @@ class TrimStep extends ExportStep {
     return context;
   }
   
+  /**
+   * クリップ内の各区間をそれぞれ中間ファイルに切り出す
+   * 出力は区間の開始位置順で、全て元クリップと同じIDを持つ（区間同士のつなぎ目はカットになる）
+   * @param {Object} file - メディアファイル情報
+   * @param {string} filePath - 入力ファイルパス
+   * @param {Array<{start: number, end: number}>} segments - 開始位置順の区間
+   * @param {number} fileIndex - クリップのインデックス
+   * @param {ExportContext} context - コンテキスト
+   * @param {string} trimMode - トリミング方式
+   * @param {Function} progressCallback - 進捗コールバック（0〜1）
+   * @returns {Promise<Array<Object>>} 区間ごとのファイル情報
+   * @private
+   */
+  async _trimSegments(file, filePath, segments, fileIndex, context, trimMode, progressCallback) {
+    const segmentFiles = [];
+    console.log(`ファイル ${path.basename(filePath)} を${segments.length}区間に切り出します`);
+    
+    for (let s = 0; s < segments.length; s++) {
+      const { start, end } = segments[s];
+      const outputPath = path.join(context.tempDir, `trimmed_${fileIndex}_${s}_${path.basename(filePath)}`);
+      
+      await this._trimFile({ trimStart: start, trimEnd: end }, filePath, outputPath, trimMode, progress => {
+        progressCallback((s + progress) / segments.length);
+      });
+      
+      segmentFiles.push({
+        ...file,
+        path: outputPath,
+        duration: end - start,
+        // トリミング情報はクリア（既に適用済み）
+        trimStart: undefined,
+        trimEnd: undefined,
+        segments: undefined,
+        segmentIndex: s
+      });
+      context.addWorkingFile(outputPath, {
+        originalFile: filePath,
+        type: 'trimmed',
+        trimStart: start,
+        trimEnd: end,
+        segmentIndex: s,
+        trimMode
+      });
+      
+      console.log(`区間${s + 1}/${segments.length} (${start}秒 - ${end}秒) の切り出しが完了しました: ${outputPath}`);
+    }
+    
+    return segmentFiles;
+  }
+  
   /**
    * 単一ファイルのトリミング処理
    * @param {Object|string} fileInfo - ファイル情報
    * @param {string} inputPath - 入力ファイルパス
    * @param {string} outputPath - 出力ファイルパス
+   * @param {string} trimMode - トリミング方式（fast / smart / accurate）
    * @param {Function} progressCallback - 進捗コールバック
    * @returns {Promise<void>}
    * @private
    */
-  async _trimFile(fileInfo, inputPath, outputPath, progressCallback) {
-    return new Promise((resolve, reject) => {
-      const trimStart = typeof fileInfo === 'object' ? fileInfo.trimStart : 0;
-      const trimEnd = typeof fileInfo === 'object' ? fileInfo.trimEnd : 0;
-      
-      const ffmpegPath = getFFmpegPath();
-      const args = ['-y']; // 出力ファイルを上書き
-      
-      // 入力ファイルのプロパティを取得し、動画のフォーマットを保持
-      args.push('-i', inputPath);
-      
-      // メタデータを取得
-      let fileDuration = 0;
-      const probeProcess = spawn(ffmpegPath, [
-        '-i', inputPath,
-        '-hide_banner'
-      ]);
-      
-      let probeOutput = '';
-      probeProcess.stderr.on('data', (data) => {
-        probeOutput += data.toString();
-      });
-      
-      probeProcess.on('close', (code) => {
-        // 動画の総時間を正確に取得
-        const durationMatch = probeOutput.match(/Duration: (\d{2}):(\d{2}):(\d{2}\.\d{2})/);
-        if (durationMatch) {
-          const hours = parseInt(durationMatch[1], 10);
-          const minutes = parseInt(durationMatch[2], 10);
-          const seconds = parseFloat(durationMatch[3]);
-          fileDuration = hours * 3600 + minutes * 60 + seconds;
-          console.log(`ファイルの長さ: ${fileDuration}秒`);
+  async _trimFile(fileInfo, inputPath, outputPath, trimMode, progressCallback) {
+    const trimStart = typeof fileInfo === 'object' ? fileInfo.trimStart : 0;
+    const trimEnd = typeof fileInfo === 'object' ? fileInfo.trimEnd : 0;
+    
+    // メタデータを取得
+    const mediaInfo = await this._probeMediaInfo(inputPath);
+    const fileDuration = mediaInfo ? mediaInfo.duration : 0;
+    
+    if (trimMode === 'fast') {
+      return this._executeFFmpegTrim(inputPath, outputPath, trimStart, trimEnd, fileDuration, progressCallback);
+    }
+    
+    const start = trimStart && trimStart > 0 ? trimStart : 0;
+    const end = trimEnd && trimEnd > 0 ? trimEnd : fileDuration;
+    
+    if (trimMode === 'smart' && mediaInfo) {
+      try {
+        return await this._executeSmartTrim(inputPath, outputPath, start, end, mediaInfo, progressCallback);
+      } catch (error) {
+        if (this.cancelled) {
+          throw error;
         }
-        
-        // 実際のトリミングを開始
-        this._executeFFmpegTrim(ffmpegPath, inputPath, outputPath, trimStart, trimEnd, fileDuration, progressCallback)
-          .then(resolve)
-          .catch(reject);
-      });
-    });
+        console.warn(`スマートカットに失敗したため、全体を再エンコードします: ${error.message}`);
+      }
+    }
+    
+    return this._executeAccurateTrim(inputPath, outputPath, start, end, mediaInfo, progressCallback);
+  }
+  
+  /**
+   * ファイルのメディア情報を取得
+   * @param {string} inputPath - 入力ファイルパス
+   * @returns {Promise<Object|null>} メディア情報（取得できない場合はnull）
+   * @private
+   */
+  async _probeMediaInfo(inputPath) {
+    try {
+      const mediaInfo = await getFFmpegService().getMediaInfo(inputPath);
+      console.log(`ファイルの長さ: ${mediaInfo.duration}秒`);
+      return mediaInfo;
+    } catch (error) {
+      console.warn(`メディア情報を取得できませんでした: ${error.message}`);
+      return null;
+    }
   }
   
   /**
    * 実際のFFmpegトリミング処理を実行
-   * @param {string} ffmpegPath - FFmpegの実行パス
    * @param {string} inputPath - 入力ファイルパス
    * @param {string} outputPath - 出力ファイルパス
    * @param {number} trimStart - 開始時間（秒）
@@ -193,104 +294,108 @@ class TrimStep extends ExportStep {
    * @returns {Promise<void>}
    * @private
    */
-  async _executeFFmpegTrim(ffmpegPath, inputPath, outputPath, trimStart, trimEnd, fileDuration, progressCallback) {
-    return new Promise((resolve, reject) => {
-      const args = ['-y']; // 出力ファイルを上書き
-      
-      // FFmpegの-ssオプションを入力前に配置して、より高速でおおよそのシークを実現
-      if (trimStart && trimStart > 0) {
-        args.push('-ss', trimStart.toString());
-      }
+  async _executeFFmpegTrim(inputPath, outputPath, trimStart, trimEnd, fileDuration, progressCallback) {
+    const args = ['-y']; // 出力ファイルを上書き
+    
+    // FFmpegの-ssオプションを入力前に配置して、より高速でおおよそのシークを実現
+    if (trimStart && trimStart > 0) {
+      args.push('-ss', trimStart.toString());
+    }
 
-      // 入力ファイル
-      args.push('-i', inputPath);
-      
-      // 継続時間の指定（秒）
-      let trimDuration = 0;
-      if (trimEnd && trimEnd > 0) {
-        trimDuration = trimEnd - (trimStart || 0);
-        if (trimDuration > 0) {
-          args.push('-t', trimDuration.toString());
-        }
+    // 入力ファイル
+    args.push('-i', inputPath);
+    
+    // 継続時間の指定（秒）
+    let trimDuration = 0;
+    if (trimEnd && trimEnd > 0) {
+      trimDuration = trimEnd - (trimStart || 0);
+      if (trimDuration > 0) {
+        args.push('-t', trimDuration.toString());
       }
+    }
 
-      // コーデックをコピー（トランスコードせず高速処理）
-      args.push('-c', 'copy');
-      
-      // メタデータを保持
-      args.push('-map_metadata', '0');
-      
-      // 出力ファイル
-      args.push(outputPath);
-      
-      console.log(`FFmpeg トリミングコマンド: ${ffmpegPath} ${args.join(' ')}`);
-      
-      this.ffmpegProcess = spawn(ffmpegPath, args);
-      
-      // 標準出力をログに記録
-      this.ffmpegProcess.stdout.on('data', (data) => {
-        console.log(`FFmpeg stdout: ${data.toString()}`);
-      });
-      
-      // 実際のトリミング時間を計算（進捗計算用）
-      const processDuration = trimDuration > 0 ? trimDuration : (fileDuration - (trimStart || 0));
-      
-      // 進捗情報を解析
-      this.ffmpegProcess.stderr.on('data', (data) => {
-        const output = data.toString();
-        
-        // 進捗情報を解析して更新（time=00:00:00.00 形式のパターン）
-        const timeMatch = output.match(/time=(\d{2}):(\d{2}):(\d{2}\.\d{2})/);
-        if (timeMatch && processDuration > 0) {
-          const hours = parseInt(timeMatch[1], 10);
-          const minutes = parseInt(timeMatch[2], 10);
-          const seconds = parseFloat(timeMatch[3]);
-          const currentTime = hours * 3600 + minutes * 60 + seconds;
-          
-          // 進捗率を計算（0〜1の範囲）
-          const progress = Math.min(1, currentTime / processDuration);
-          progressCallback(progress);
-        }
-      });
-      
-      // エラーハンドリング
-      this.ffmpegProcess.on('error', (err) => {
-        console.error('FFmpegプロセスエラー:', err);
-        this.ffmpegProcess = null;
-        reject(err);
-      });
-      
-      // 完了ハンドリング
-      this.ffmpegProcess.on('close', (code) => {
-        this.ffmpegProcess = null;
-        
-        if (code === 0) {
-          console.log('FFmpegトリミング処理が正常に完了しました');
-          progressCallback(1); // 100%完了
-          resolve();
-        } else {
-          const error = new Error(`FFmpegプロセスが終了コード ${code} で終了しました`);
-          console.error(error.message);
-          reject(error);
-        }
-      });
-    });
+    // コーデックをコピー（トランスコードせず高速処理）
+    args.push('-c', 'copy');
+    
+    // メタデータを保持
+    args.push('-map_metadata', '0');
+    
+    // 出力ファイル
+    args.push(outputPath);
+    
+    // 実際のトリミング時間を計算（進捗計算用）
+    const processDuration = trimDuration > 0 ? trimDuration : (fileDuration - (trimStart || 0));
+    await this.runFFmpeg(args, { duration: processDuration, onProgress: progressCallback, label: 'FFmpeg トリミング' });
   }
   
   /**
-   * ステップをキャンセル
+   * 範囲全体を再エンコードしてフレーム精度でトリミング
+   * @param {string} inputPath - 入力ファイルパス
+   * @param {string} outputPath - 出力ファイルパス
+   * @param {number} start - 開始時間（秒）
+   * @param {number} end - 終了時間（秒）
+   * @param {Object|null} mediaInfo - ソースのメディア情報（あれば同じコーデックで再エンコード）
+   * @param {Function} progressCallback - 進捗コールバック
    * @returns {Promise<void>}
+   * @private
    */
-  async cancel() {
-    if (this.ffmpegProcess) {
-      try {
-        this.ffmpegProcess.kill('SIGKILL');
-        this.ffmpegProcess = null;
-        console.log('トリミングプロセスがキャンセルされました');
-      } catch (error) {
-        console.error('トリミングプロセスのキャンセルに失敗しました:', error);
-      }
+  async _executeAccurateTrim(inputPath, outputPath, start, end, mediaInfo, progressCallback) {
+    const duration = end - start;
+    const videoArgs = getPartEncoderArgs(mediaInfo) || ['-c:v', 'libx264', '-preset', 'fast', '-crf', '18'];
+    const args = [
+      '-y',
+      '-ss', start.toString(),
+      '-i', inputPath,
+      '-t', duration.toString(),
+      '-map', '0:v:0?',
+      '-map', '0:a:0?',
+      ...videoArgs,
+      '-c:a', 'aac',
+      '-b:a', '192k',
+      '-map_metadata', '0',
+      outputPath
+    ];
+    
+    await this.runFFmpeg(args, { duration, onProgress: progressCallback, label: 'FFmpeg 再エンコードトリミング' });
+  }
+  
+  /**
+   * キーフレームを考慮したスマートカット
+   * カット位置のキーフレームを調べて分割方法を決め、実際の切り出しと結合は smart-cut.js で行う
+   * @param {string} inputPath - 入力ファイルパス
+   * @param {string} outputPath - 出力ファイルパス
+   * @param {number} start - 開始時間（秒）
+   * @param {number} end - 終了時間（秒）
+   * @param {Object} mediaInfo - ソースのメディア情報
+   * @param {Function} progressCallback - 進捗コールバック
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _executeSmartTrim(inputPath, outputPath, start, end, mediaInfo, progressCallback) {
+    if (!getPartEncoderArgs(mediaInfo)) {
+      // 再エンコードで同じ形式を作れないコーデックは全体を再エンコード
+      console.log(`スマートカット非対応のコーデックです: ${mediaInfo.videoCodec || '映像なし'}`);
+      return this._executeAccurateTrim(inputPath, outputPath, start, end, mediaInfo, progressCallback);
+    }
+    
+    const keyframes = await probeKeyframes(inputPath, start, end, mediaInfo.startTime);
+    const parts = planSmartCut(keyframes, start, end);
+    console.log(`スマートカット計画 (${path.basename(inputPath)}):`, parts);
+    
+    if (!parts.some(part => part.mode === 'copy')) {
+      return this._executeAccurateTrim(inputPath, outputPath, start, end, mediaInfo, progressCallback);
     }
+    
+    await executeSmartCut({
+      inputPath,
+      outputPath,
+      start,
+      end,
+      mediaInfo,
+      parts,
+      run: (args, options) => this.runFFmpeg(args, options),
+      onProgress: progressCallback
+    });
   }
 }
 
@@ -0,0 +1,62 @@
+const { buildEncodingOptions, computeTargetBitrate, planRateControl } = require('../encoding-options');
+
+const aac = { codec: 'aac', bitrate: 192 };
+
+describe('computeTargetBitrate', () => {
+  test('目標サイズからコンテナのオーバーヘッドと音声のビットレートを引いて計算する', () => {
+    // 100MB * 8000 * 0.98 / 60秒 - 192kbps
+    expect(computeTargetBitrate(100, 60, aac)).toBe(12874);
+  });
+
+  test('PCMは固定のビットレートを音声分として引く', () => {
+    expect(computeTargetBitrate(100, 60, { codec: 'pcm', bitrate: 192 })).toBe(11530);
+  });
+
+  test('目標サイズが小さすぎる場合は下限のビットレートにする', () => {
+    expect(computeTargetBitrate(1, 600, aac)).toBe(100);
+  });
+
+  test('長さが不明な場合はエラー', () => {
+    expect(() => computeTargetBitrate(100, 0, aac)).toThrow('書き出しの長さが不明');
+    expect(() => computeTargetBitrate(100, NaN, aac)).toThrow();
+  });
+});
+
+describe('planRateControl', () => {
+  const plan = (settings, family, duration = 60) => {
+    const { rateControl, audio } = buildEncodingOptions(settings);
+    return planRateControl(rateControl, audio, family, duration);
+  };
+
+  test('エンコーダーを指定できないコーデックはプロファイルの設定のまま', () => {
+    expect(plan({ rateControl: 'cbr' }, null)).toEqual({ mode: 'profile', args: [], twoPass: false, bitrate: null });
+  });
+
+  test('画質優先はエンコーダーごとの品質指定にする', () => {
+    expect(plan({ rateControl: 'quality', quality: 20 }, 'x264').args).toEqual(['-crf', '20']);
+    expect(plan({ rateControl: 'quality', quality: 20 }, 'nvenc').args).toEqual(['-rc', 'vbr', '-cq', '20', '-b:v', '0']);
+    expect(plan({ rateControl: 'quality', quality: 23 }, 'videotoolbox').args).toEqual(['-q:v', '55']);
+  });
+
+  test('CBRはビットレートを固定する', () => {
+    const result = plan({ rateControl: 'cbr', videoBitrate: 8 }, 'x264');
+
+    expect(result).toMatchObject({ mode: 'cbr', twoPass: false, bitrate: 8000 });
+    expect(result.args).toEqual(['-b:v', '8000k', '-minrate', '8000k', '-maxrate', '8000k', '-bufsize', '16000k', '-x264-params', 'nal-hrd=cbr']);
+  });
+
+  test('2パスVBRはx264/x265のみ2回に分けて実行する', () => {
+    expect(plan({ rateControl: 'vbr_2pass', videoBitrate: 8 }, 'x265')).toMatchObject({ args: ['-b:v', '8000k'], twoPass: true });
+    expect(plan({ rateControl: 'vbr_2pass', videoBitrate: 8 }, 'nvenc')).toMatchObject({
+      args: ['-rc', 'vbr', '-multipass', 'fullres', '-b:v', '8000k'],
+      twoPass: false
+    });
+  });
+
+  test('目標ファイルサイズは計算したビットレートの2パスVBRにする', () => {
+    const result = plan({ rateControl: 'target_size', targetSize: 100, audioBitrate: 192 }, 'x264', 60);
+
+    expect(result).toMatchObject({ mode: 'target_size', twoPass: true, bitrate: 12874 });
+    expect(result.args).toEqual(['-b:v', '12874k']);
+  });
+});
@@ -0,0 +1,134 @@
+const {
+  normalizeAudioCrossfade,
+  normalizeTransition,
+  resolveJoin,
+  buildCombineFilterGraph
+} = require('../filter-graph');
+
+describe('normalizeAudioCrossfade', () => {
+  test('長さが0以下・数値でない場合はnull', () => {
+    expect(normalizeAudioCrossfade(null)).toBeNull();
+    expect(normalizeAudioCrossfade({ duration: 0 })).toBeNull();
+    expect(normalizeAudioCrossfade({ duration: 'abc' })).toBeNull();
+  });
+
+  test('未知のカーブはデフォルト（tri）にする', () => {
+    expect(normalizeAudioCrossfade({ duration: '0.5', curve: 'unknown' })).toEqual({ duration: 0.5, curve: 'tri' });
+    expect(normalizeAudioCrossfade({ duration: 1, curve: 'qsin' })).toEqual({ duration: 1, curve: 'qsin' });
+  });
+});
+
+describe('normalizeTransition', () => {
+  test('未知の種類・長さが無効な場合はnull', () => {
+    expect(normalizeTransition({ type: 'spin', duration: 1 })).toBeNull();
+    expect(normalizeTransition({ type: 'dissolve', duration: -1 })).toBeNull();
+  });
+
+  test('有効な設定はそのまま返す', () => {
+    expect(normalizeTransition({ type: 'wipe', duration: '0.8' })).toEqual({ type: 'wipe', duration: 0.8 });
+  });
+});
+
+describe('resolveJoin', () => {
+  test('ジョイン情報がない場合は重ならない', () => {
+    expect(resolveJoin(null, 10, 10)).toEqual({ overlap: 0, curve: null, transition: null });
+  });
+
+  test('音声クロスフェードのみの場合はその長さで重ねる', () => {
+    expect(resolveJoin({ audioCrossfade: { duration: 1, curve: 'exp' } }, 10, 10))
+      .toEqual({ overlap: 1, curve: 'exp', transition: null });
+  });
+
+  test('映像トランジションがある場合はトランジションの長さを優先する', () => {
+    const join = { audioCrossfade: { duration: 1 }, transition: { type: 'dissolve', duration: 2 } };
+    expect(resolveJoin(join, 10, 10)).toEqual({ overlap: 2, curve: 'tri', transition: 'fade' });
+  });
+
+  test('重なりは前後どちらのクリップの半分も超えない', () => {
+    const join = { transition: { type: 'slide', duration: 5 } };
+    expect(resolveJoin(join, 10, 3).overlap).toBe(1.5);
+    expect(resolveJoin(join, 4, 10).overlap).toBe(2);
+  });
+
+  test('クリップの長さが不明な場合は重ならない', () => {
+    expect(resolveJoin({ audioCrossfade: { duration: 1 } }, 0, 10).overlap).toBe(0);
+    expect(resolveJoin({ audioCrossfade: { duration: 1 } }, 10, undefined).overlap).toBe(0);
+  });
+});
+
+describe('buildCombineFilterGraph', () => {
+  const inputs = [
+    { id: 'a', duration: 10, hasAudio: true },
+    { id: 'b', duration: 6, hasAudio: true },
+    { id: 'c', duration: 8, hasAudio: true }
+  ];
+
+  test('重なりがない場合は1つのconcatで連結する', () => {
+    const result = buildCombineFilterGraph(inputs, () => null);
+
+    expect(result.filterComplex).toContain('[vc0][ae0][vc1][ae1][vc2][ae2]concat=n=3:v=1:a=1[outv][outa]');
+    expect(result.totalDuration).toBe(24);
+    expect(result.crossfadeCount).toBe(0);
+    expect(result.transitionCount).toBe(0);
+  });
+
+  test('音声クロスフェードのつなぎ目は映像の末尾を重なり分だけ切り詰める', () => {
+    const getJoin = (from) => (from.id === 'a' ? { audioCrossfade: { duration: 1 } } : null);
+    const result = buildCombineFilterGraph(inputs, getJoin);
+
+    expect(result.filterComplex).toContain('[vc0]trim=end=9.000,setpts=PTS-STARTPTS[v0]');
+    expect(result.filterComplex).toContain('[v0][vc1][vc2]concat=n=3:v=1:a=0[outv]');
+    expect(result.filterComplex).toContain('[ae0][ae1]acrossfade=d=1.000:c1=tri:c2=tri[a0]');
+    expect(result.filterComplex).toContain('[a0][ae2]concat=n=2:v=0:a=1[outa]');
+    expect(result.totalDuration).toBe(23);
+    expect(result.crossfadeCount).toBe(1);
+    expect(result.transitionCount).toBe(0);
+  });
+
+  test('映像トランジションはxfadeのoffsetを連結済みの長さから計算する', () => {
+    const getJoin = () => ({ transition: { type: 'dissolve', duration: 2 } });
+    const result = buildCombineFilterGraph(inputs, getJoin);
+
+    expect(result.filterComplex).toContain('[v0][v1]xfade=transition=fade:duration=2.000:offset=8.000[vx0]');
+    expect(result.filterComplex).toContain('[vx0][v2]xfade=transition=fade:duration=2.000:offset=12.000[outv]');
+    expect(result.filterComplex).toContain('[a0][ae2]acrossfade=d=2.000:c1=tri:c2=tri[outa]');
+    expect(result.totalDuration).toBe(20);
+    expect(result.transitionCount).toBe(2);
+  });
+
+  test('音声のない入力は無音で置き換え、音量・フェードを適用する', () => {
+    const result = buildCombineFilterGraph([
+      { id: 'a', duration: 5, hasAudio: true },
+      { id: 'b', duration: 4, hasAudio: false, envelope: { gain: -3, fadeIn: 0, fadeOut: 0 } }
+    ], () => null);
+
+    expect(result.filterComplex).toContain('anullsrc=r=48000:cl=stereo,atrim=end=4.000,volume=-3.00dB[ae1]');
+  });
+
+  test('出力フレームレートとキャンバスサイズに揃える', () => {
+    const result = buildCombineFilterGraph(inputs.slice(0, 1), () => null, {
+      fps: 60,
+      canvas: { width: 1080, height: 1920 }
+    });
+
+    expect(result.filterComplex).toContain('pad=1080:1920');
+    expect(result.filterComplex).toContain('fps=60');
+  });
+
+  test('ピクセルフォーマットの指定がない場合はyuv420pに揃える', () => {
+    const result = buildCombineFilterGraph(inputs.slice(0, 1), () => null);
+
+    expect(result.filterComplex).toContain('format=yuv420p');
+  });
+
+  test('ProRes 4444は4:2:0を経由せず、書き出しコーデックのピクセルフォーマットに揃える', () => {
+    const result = buildCombineFilterGraph([
+      inputs[0],
+      { ...inputs[1], reframe: { mode: 'blur', rect: null } }
+    ], () => ({ transition: { type: 'fade', duration: 1 } }), { pixFmt: 'yuva444p10le' });
+
+    expect(result.filterComplex).not.toMatch(/yuv420|nv12/);
+    expect(result.filterComplex.match(/format=yuva444p10le/g)).toHaveLength(2);
+    expect(result.filterComplex).toContain('overlay=(W-w)/2:(H-h)/2:format=auto');
+  });
+});
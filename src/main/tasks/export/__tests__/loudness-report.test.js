@@ -0,0 +1,82 @@
+const ExportContext = require('../ExportContext');
+const { buildLoudnessReport } = require('../loudness-report');
+
+const createMeasurement = (integrated, truePeak = -1.5) => ({
+  summary: { integrated, truePeak, lra: 5, threshold: integrated - 10 },
+  duration: 60,
+  maxMomentary: integrated + 6,
+  maxShortTerm: integrated + 3
+});
+
+const createClips = () => ([
+  { clipId: 'a', name: 'a.mp4', mode: 'none', before: { integrated: -20, truePeak: -6, lra: 4 }, after: null },
+  { clipId: 'b', name: 'b.mp4', mode: 'linear', before: { integrated: -25, truePeak: -9, lra: 6 }, after: { integrated: -14, truePeak: -2 } }
+]);
+
+const createContext = (settings, programResult) => {
+  const context = new ExportContext({ settings: { targetLoudness: -14, targetTruePeak: -1, ...settings } });
+  if (programResult) {
+    context.setMetadata('program_loudness_normalization', { result: programResult });
+  }
+  return context;
+};
+
+describe('buildLoudnessReport', () => {
+  test('正規化しなかったクリップも補正前の測定値を補正後として記録する', () => {
+    const report = buildLoudnessReport({
+      outputPath: '/tmp/out.mp4',
+      measurement: createMeasurement(-14.2),
+      clipMeasurements: createClips(),
+      context: createContext({ loudnessScope: 'clip' })
+    });
+
+    expect(report.clips).toHaveLength(2);
+    expect(report.clips[0]).toMatchObject({
+      clipId: 'a',
+      mode: 'none',
+      before: { integrated: -20, truePeak: -6, lra: 4 },
+      after: { integrated: -20, truePeak: -6 },
+      withinTolerance: false
+    });
+    expect(report.clips[1]).toMatchObject({ after: { integrated: -14, truePeak: -2 }, withinTolerance: true });
+    expect(report.program.withinTolerance).toBe(true);
+  });
+
+  test('全体をリニアモードで正規化した場合はゲインを補正後に反映する', () => {
+    const report = buildLoudnessReport({
+      outputPath: '/tmp/out.mp4',
+      measurement: createMeasurement(-14),
+      clipMeasurements: createClips(),
+      context: createContext({ loudnessScope: 'program' }, { mode: 'linear', inputIntegrated: -20, outputIntegrated: -14, inputTruePeak: -5, inputLra: 5 })
+    });
+
+    expect(report.clips[0].after).toEqual({ integrated: -14, truePeak: 0 });
+    expect(report.clips[0].withinTolerance).toBe(true);
+    expect(report.program.before).toEqual({ integrated: -20, truePeak: -5, lra: 5 });
+  });
+
+  test('全体をダイナミックモードで正規化した場合はクリップの補正後を算出しない', () => {
+    const report = buildLoudnessReport({
+      outputPath: '/tmp/out.mp4',
+      measurement: createMeasurement(-14),
+      clipMeasurements: createClips(),
+      context: createContext({ loudnessScope: 'both' }, { mode: 'dynamic', inputIntegrated: -20, outputIntegrated: -14 })
+    });
+
+    expect(report.clips[1].before.integrated).toBe(-25);
+    expect(report.clips[1].after).toEqual({ integrated: null, truePeak: null });
+    expect(report.clips[1].withinTolerance).toBe(false);
+  });
+
+  test('測定できなかったクリップはnullで記録する', () => {
+    const report = buildLoudnessReport({
+      outputPath: '/tmp/out.mp4',
+      measurement: createMeasurement(-14),
+      clipMeasurements: [{ clipId: 'c', name: 'c.mp4', mode: 'none', before: null, after: null }],
+      context: createContext({})
+    });
+
+    expect(report.clips[0].before).toEqual({ integrated: null, truePeak: null, lra: null });
+    expect(report.clips[0].after).toEqual({ integrated: null, truePeak: null });
+  });
+});
@@ -0,0 +1,92 @@
+jest.mock('../../../services/ffmpeg/utils', () => ({
+  runFFprobeCommand: jest.fn()
+}));
+
+const { runFFprobeCommand } = require('../../../services/ffmpeg/utils');
+const { probeKeyframes, planSmartCut, getPartEncoderArgs } = require('../smart-cut');
+
+describe('planSmartCut', () => {
+  const keyframes = [0, 2, 4, 6, 8, 10];
+
+  test('境界のGOP断片を再エンコードし、キーフレーム間をコピーする', () => {
+    expect(planSmartCut(keyframes, 1.5, 8.5)).toEqual([
+      { start: 1.5, end: 2, mode: 'encode' },
+      { start: 2, end: 8, mode: 'copy' },
+      { start: 8, end: 8.5, mode: 'encode' }
+    ]);
+  });
+
+  test('トリム位置がキーフレームと一致する場合は再エンコードしない', () => {
+    expect(planSmartCut(keyframes, 2, 8)).toEqual([{ start: 2, end: 8, mode: 'copy' }]);
+  });
+
+  test('キーフレームのわずかに前から開始する場合はキーフレームからコピーする', () => {
+    expect(planSmartCut(keyframes, 1.995, 8)).toEqual([{ start: 2, end: 8, mode: 'copy' }]);
+  });
+
+  test('範囲内にキーフレームが1つ以下の場合は全体を再エンコードする', () => {
+    expect(planSmartCut(keyframes, 2.5, 3.5)).toEqual([{ start: 2.5, end: 3.5, mode: 'encode' }]);
+    expect(planSmartCut(keyframes, 3, 5)).toEqual([{ start: 3, end: 5, mode: 'encode' }]);
+    expect(planSmartCut([], 1, 5)).toEqual([{ start: 1, end: 5, mode: 'encode' }]);
+  });
+});
+
+describe('probeKeyframes', () => {
+  beforeEach(() => {
+    runFFprobeCommand.mockReset();
+  });
+
+  test('キーフレームの時刻をファイルの開始時刻からの相対時間にする', async () => {
+    runFFprobeCommand.mockResolvedValue({
+      data: '11.400000,K_\n11.433333,__\n13.400000,K_\n15.400000,K_\n'
+    });
+
+    await expect(probeKeyframes('/tmp/input.mov', 2, 5, 10.4)).resolves.toEqual([1, 3, 5]);
+
+    // -read_intervals は絶対時刻で指定する
+    const args = runFFprobeCommand.mock.calls[0][0];
+    expect(args[args.indexOf('-read_intervals') + 1]).toBe('12.4%15.4');
+  });
+
+  test('ffprobeの失敗はErrorにして返す', async () => {
+    runFFprobeCommand.mockRejectedValue({ success: false, error: 'FFprobe process exited with code 1' });
+
+    await expect(probeKeyframes('/tmp/input.mov', 0, 5)).rejects.toThrow('FFprobe process exited with code 1');
+    await expect(probeKeyframes('/tmp/input.mov', 0, 5)).rejects.toBeInstanceOf(Error);
+  });
+});
+
+describe('getPartEncoderArgs', () => {
+  const createMediaInfo = (video) => ({ streams: { video: [video] } });
+
+  test('ソースのプロファイル・レベル・ピクセルフォーマット・色情報・フレームレートを引き継ぐ', () => {
+    const args = getPartEncoderArgs(createMediaInfo({
+      codec: 'h264',
+      profile: 'High',
+      level: 41,
+      pixFmt: 'yuv420p',
+      colorRange: 'tv',
+      colorSpace: 'bt709',
+      colorTransfer: 'bt709',
+      colorPrimaries: 'unknown',
+      frameRateRaw: '30000/1001'
+    }));
+
+    expect(args.slice(0, 2)).toEqual(['-c:v', 'libx264']);
+    expect(args.join(' ')).toContain('-profile:v high -level:v 4.1 -pix_fmt yuv420p -color_range tv -colorspace bt709 -color_trc bt709 -r 30000/1001');
+    expect(args).not.toContain('-color_primaries');
+  });
+
+  test('HEVCのレベルはx265のlevel-idcで指定する', () => {
+    const args = getPartEncoderArgs(createMediaInfo({ codec: 'hevc', profile: 'Main 10', level: 153 }));
+
+    expect(args.slice(0, 2)).toEqual(['-c:v', 'libx265']);
+    expect(args.join(' ')).toContain('-profile:v main10 -x265-params level-idc=5.1');
+  });
+
+  test('同じ形式で再エンコードできないコーデックはnull', () => {
+    expect(getPartEncoderArgs(createMediaInfo({ codec: 'prores' }))).toBeNull();
+    expect(getPartEncoderArgs({ streams: { video: [] } })).toBeNull();
+    expect(getPartEncoderArgs(null)).toBeNull();
+  });
+});
@@ -0,0 +1,91 @@
+const { getStreamSignature, checkStreamCopyCompatibility } = require('../stream-compat');
+
+/**
+ * getMediaInfo の結果と同じ形式のメディア情報を作成
+ */
+const createMediaInfo = ({ video = {}, audio = {} } = {}) => ({
+  streams: {
+    video: [{
+      codec: 'hevc',
+      profile: 'Main',
+      width: 1920,
+      height: 1080,
+      pixFmt: 'yuv420p',
+      frameRateRaw: '30/1',
+      timeBase: '1/15360',
+      sampleAspectRatio: '1:1',
+      ...video
+    }],
+    audio: [{
+      codec: 'aac',
+      sampleRate: 48000,
+      channels: 2,
+      ...audio
+    }]
+  }
+});
+
+const settings = { codec: 'h265', resolution: '1080p', fps: '30' };
+
+describe('getStreamSignature', () => {
+  test('映像または音声ストリームがない場合はnull', () => {
+    expect(getStreamSignature(null)).toBeNull();
+    expect(getStreamSignature({ streams: { video: [], audio: [{ codec: 'aac' }] } })).toBeNull();
+  });
+
+  test('比較に使う項目とストリーム数を返す', () => {
+    expect(getStreamSignature(createMediaInfo())).toMatchObject({
+      videoCodec: 'hevc',
+      frameRate: '30/1',
+      audioCodec: 'aac',
+      videoStreams: 1,
+      audioStreams: 1
+    });
+  });
+});
+
+describe('checkStreamCopyCompatibility', () => {
+  test('全入力の構成と書き出し設定が一致する場合はコピーできる', () => {
+    const result = checkStreamCopyCompatibility([createMediaInfo(), createMediaInfo()], settings);
+    expect(result.compatible).toBe(true);
+  });
+
+  test('メディア情報を取得できない入力がある場合はコピーしない', () => {
+    expect(checkStreamCopyCompatibility([], settings).compatible).toBe(false);
+    expect(checkStreamCopyCompatibility([createMediaInfo(), null], settings).compatible).toBe(false);
+  });
+
+  test('入力同士で異なる項目を理由に含める', () => {
+    const result = checkStreamCopyCompatibility([
+      createMediaInfo(),
+      createMediaInfo({ audio: { sampleRate: 44100 } })
+    ], settings);
+
+    expect(result.compatible).toBe(false);
+    expect(result.reason).toContain('入力2のsampleRate');
+  });
+
+  test('コーデックが書き出し設定と異なる場合はコピーしない', () => {
+    const result = checkStreamCopyCompatibility([createMediaInfo()], { ...settings, codec: 'h264' });
+    expect(result.compatible).toBe(false);
+    expect(result.reason).toContain('コーデック');
+  });
+
+  test('音声コーデックが書き出し設定と異なる場合はコピーしない', () => {
+    const result = checkStreamCopyCompatibility([createMediaInfo()], { ...settings, audioCodec: 'opus' });
+    expect(result.compatible).toBe(false);
+    expect(result.reason).toContain('音声コーデック');
+  });
+
+  test('解像度・ピクセルアスペクト比がキャンバスと異なる場合はコピーしない', () => {
+    expect(checkStreamCopyCompatibility([createMediaInfo()], { ...settings, resolution: '4k' }).compatible).toBe(false);
+    expect(checkStreamCopyCompatibility([createMediaInfo({ video: { sampleAspectRatio: '4:3' } })], settings).compatible).toBe(false);
+  });
+
+  test('フレームレートは指定がある場合のみ比較する', () => {
+    const ntsc = [createMediaInfo({ video: { frameRateRaw: '30000/1001' } })];
+    expect(checkStreamCopyCompatibility(ntsc, settings).compatible).toBe(true);
+    expect(checkStreamCopyCompatibility(ntsc, { ...settings, fps: '60' }).compatible).toBe(false);
+    expect(checkStreamCopyCompatibility(ntsc, { ...settings, fps: 'original' }).compatible).toBe(true);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * 結合前の音声フォーマット統一ユーティリティ
+ * 音声のないクリップには無音（anullsrc）を作成し、サンプルレートとチャンネルレイアウトを揃えてからconcatする
+ */
+const { getFFmpegService } = require('../../services/ffmpeg');
+
+// 結合時に揃える音声フォーマット
+const AUDIO_SAMPLE_RATE = 48000;
+const AUDIO_CHANNEL_LAYOUT = 'stereo';
+const AUDIO_CHANNELS = 2;
+
+/**
+ * メディア情報に音声ストリームがあるかを判定
+ * @param {Object|null} mediaInfo - FFmpegServiceCore.getMediaInfo の結果
+ * @returns {boolean} 音声ストリームがあるかどうか（情報がない場合はtrue）
+ */
+function hasAudioStream(mediaInfo) {
+  if (!mediaInfo || !mediaInfo.streams) {
+    return true;
+  }
+  return mediaInfo.streams.audio.length > 0;
+}
+
+/**
+ * ファイルに音声ストリームがあるかを確認
+ * 取得に失敗した場合は音声があるものとして扱い、後続の処理に任せる
+ * @param {string} filePath - ファイルパス
+ * @returns {Promise<boolean>} 音声ストリームがあるかどうか
+ */
+async function probeHasAudio(filePath) {
+  try {
+    return hasAudioStream(await getFFmpegService().getMediaInfo(filePath));
+  } catch (error) {
+    console.warn(`音声ストリームの確認に失敗しました: ${filePath}`, error.message);
+    return true;
+  }
+}
+
+/**
+ * 入力の音声を結合用フォーマットに揃えるための変更内容を取得
+ * @param {Object|null} mediaInfo - FFmpegServiceCore.getMediaInfo の結果
+ * @returns {{action: string, from: Object|null}|null} 変更内容（silence: 無音を作成 / conform: 変換、変更不要の場合はnull）
+ */
+function describeAudioConform(mediaInfo) {
+  if (!hasAudioStream(mediaInfo)) {
+    return { action: 'silence', from: null };
+  }
+
+  const audio = mediaInfo?.streams?.audio?.[0];
+  if (!audio) {
+    return null;
+  }
+  const layout = audio.channelLayout || `${audio.channels}ch`;
+  if (audio.sampleRate === AUDIO_SAMPLE_RATE && audio.channels === AUDIO_CHANNELS && (!audio.channelLayout || audio.channelLayout === AUDIO_CHANNEL_LAYOUT)) {
+    return null;
+  }
+  return { action: 'conform', from: { sampleRate: audio.sampleRate, channels: audio.channels, channelLayout: layout } };
+}
+
+/**
+ * 入力ごとの音声フィルタを作成
+ * 音声がない場合は長さ分の無音を作成し、ある場合はサンプルレートとチャンネルレイアウトを揃える
+ * @param {number} index - 入力番号（-iの順番）
+ * @param {{duration: number, hasAudio: boolean}} input - 入力ファイル情報
+ * @param {string|null} extraFilter - 続けて適用するフィルタ（音量・フェードなど）
+ * @param {string} outLabel - 出力ラベル
+ * @returns {string} フィルタ文字列
+ */
+function buildConformedAudioFilter(index, input, extraFilter, outLabel) {
+  const source = input.hasAudio === false
+    ? `anullsrc=r=${AUDIO_SAMPLE_RATE}:cl=${AUDIO_CHANNEL_LAYOUT},atrim=end=${(input.duration || 0).toFixed(3)}`
+    : `[${index}:a:0]aresample=${AUDIO_SAMPLE_RATE},aformat=sample_fmts=fltp:channel_layouts=${AUDIO_CHANNEL_LAYOUT}`;
+  return `${source}${extraFilter ? `,${extraFilter}` : ''}${outLabel}`;
+}
+
+module.exports = {
+  AUDIO_SAMPLE_RATE,
+  AUDIO_CHANNEL_LAYOUT,
+  hasAudioStream,
+  probeHasAudio,
+  describeAudioConform,
+  buildConformedAudioFilter
+};
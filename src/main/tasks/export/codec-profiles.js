@@ -0,0 +1,213 @@
+/**
+ * 書き出しコーデックのプロファイル定義
+ * エンコーダーの引数・対応コンテナ・音声コーデックをコーデックごとにまとめ、
+ * CombineStep と書き出し設定画面（get-codec-profiles）の両方から参照する
+ * H.264/H.265 のエンコーダーは起動時に確認した対応状況から選択する（encoder-capabilities.js）
+ */
+const encoderCapabilities = require('../../services/ffmpeg/encoder-capabilities');
+
+// 書き出しの音声コーデック（キーは書き出し設定の audioCodec の値）
+// codecName: ffprobeのcodec_name / formats: 対応するコンテナ / bitrate: ビットレートを指定できるか
+// fixedBitrate: 非圧縮の場合のビットレート（kbps、48kHz 16bit ステレオ）
+const AUDIO_CODECS = {
+  aac: { label: 'AAC', encoder: 'aac', codecName: 'aac', formats: ['mp4', 'mov', 'mkv'], bitrate: true },
+  opus: { label: 'Opus', encoder: 'libopus', codecName: 'opus', formats: ['mp4', 'mkv'], bitrate: true },
+  pcm: { label: 'PCM (非圧縮)', encoder: 'pcm_s16le', codecName: 'pcm_s16le', formats: ['mov', 'mkv'], bitrate: false, fixedBitrate: 1536 }
+};
+
+/**
+ * ProResのプロファイルを作成（prores_ks）
+ * @param {string} label - 表示名
+ * @param {number} profile - prores_ksのプロファイル番号（0=Proxy〜4=4444）
+ * @param {string} pixFmt - ピクセルフォーマット
+ * @returns {Object} コーデックプロファイル
+ */
+function proresProfile(label, profile, pixFmt = 'yuv422p10le') {
+  return {
+    label,
+    group: 'ProRes',
+    codecName: 'prores',
+    formats: ['mov'],
+    video: { name: 'prores_ks', pixFmt, args: ['-profile:v', String(profile), '-vendor', 'apl0', '-pix_fmt', pixFmt] },
+    audioCodec: 'pcm'
+  };
+}
+
+/**
+ * DNxHRのプロファイルを作成（dnxhd）
+ * @param {string} label - 表示名
+ * @param {string} profile - dnxhdのプロファイル名
+ * @param {string} pixFmt - ピクセルフォーマット
+ * @returns {Object} コーデックプロファイル
+ */
+function dnxhrProfile(label, profile, pixFmt = 'yuv422p') {
+  return {
+    label,
+    group: 'DNxHR',
+    codecName: 'dnxhd',
+    formats: ['mov', 'mkv'],
+    video: { name: 'dnxhd', pixFmt, args: ['-profile:v', profile, '-pix_fmt', pixFmt] },
+    audioCodec: 'pcm'
+  };
+}
+
+// コーデックプロファイル（キーは書き出し設定の codec の値）
+// videoCodec: 利用可能なエンコーダーから選択する論理コーデック / video: 固定のエンコーダーと引数 / audioCodec: 既定の音声コーデック
+const CODEC_PROFILES = {
+  h264: {
+    label: 'H.264',
+    group: '配信向け',
+    codecName: 'h264',
+    formats: ['mp4', 'mov', 'mkv'],
+    videoCodec: 'h264',
+    audioCodec: 'aac'
+  },
+  h265: {
+    label: 'H.265/HEVC',
+    group: '配信向け',
+    codecName: 'hevc',
+    formats: ['mp4', 'mov', 'mkv'],
+    videoCodec: 'hevc',
+    audioCodec: 'aac'
+  },
+  prores_proxy: proresProfile('ProRes 422 Proxy', 0),
+  prores_lt: proresProfile('ProRes 422 LT', 1),
+  prores_422: proresProfile('ProRes 422', 2),
+  prores_hq: proresProfile('ProRes 422 HQ', 3),
+  prores_4444: proresProfile('ProRes 4444', 4, 'yuva444p10le'),
+  dnxhr_lb: dnxhrProfile('DNxHR LB', 'dnxhr_lb'),
+  dnxhr_sq: dnxhrProfile('DNxHR SQ', 'dnxhr_sq'),
+  dnxhr_hq: dnxhrProfile('DNxHR HQ', 'dnxhr_hq'),
+  dnxhr_hqx: dnxhrProfile('DNxHR HQX (10bit)', 'dnxhr_hqx', 'yuv422p10le'),
+  dnxhr_444: dnxhrProfile('DNxHR 444 (10bit)', 'dnxhr_444', 'yuv444p10le')
+};
+
+const DEFAULT_CODEC = 'h265';
+
+// H.264/H.265 のエンコーダーに渡すピクセルフォーマット（ハードウェアエンコーダーは転送時にnv12に変換する）
+const DELIVERY_PIX_FMT = 'yuv420p';
+
+/**
+ * コーデックのプロファイルを取得
+ * @param {string} codec - 書き出し設定のコーデック
+ * @returns {Object} コーデックプロファイル（不明な場合はデフォルト）
+ */
+function getCodecProfile(codec) {
+  return CODEC_PROFILES[codec] || CODEC_PROFILES[DEFAULT_CODEC];
+}
+
+/**
+ * 映像コーデックと組み合わせられる音声コーデックを決定
+ * @param {string} codec - 書き出し設定のコーデック
+ * @param {string} audioCodec - 書き出し設定の音声コーデック
+ * @returns {string} 音声コーデック（共通のコンテナがない場合は映像コーデックの既定の音声コーデック）
+ */
+function resolveAudioCodec(codec, audioCodec) {
+  const profile = getCodecProfile(codec);
+  const audio = AUDIO_CODECS[audioCodec];
+  return audio && audio.formats.some(format => profile.formats.includes(format)) ? audioCodec : profile.audioCodec;
+}
+
+/**
+ * コーデックが対応するコンテナの中から出力フォーマットを決定
+ * @param {string} codec - 書き出し設定のコーデック
+ * @param {string} format - 書き出し設定のフォーマット
+ * @param {string} audioCodec - 書き出し設定の音声コーデック
+ * @returns {string} 出力フォーマット（非対応の場合は映像・音声コーデックの両方が対応する既定のコンテナ）
+ */
+function resolveOutputFormat(codec, format, audioCodec) {
+  const audio = AUDIO_CODECS[resolveAudioCodec(codec, audioCodec)];
+  const formats = getCodecProfile(codec).formats.filter(item => audio.formats.includes(item));
+  return formats.includes(format) ? format : formats[0];
+}
+
+/**
+ * 音声コーデックのffprobeでのcodec_nameを取得（ストリームコピーの可否判定用）
+ * @param {string} audioCodec - 音声コーデック
+ * @returns {string} codec_name
+ */
+function getAudioCodecName(audioCodec) {
+  return (AUDIO_CODECS[audioCodec] || AUDIO_CODECS.aac).codecName;
+}
+
+/**
+ * 音声のエンコード引数を取得
+ * @param {{codec: string, bitrate: number}} audio - 音声コーデックとビットレート（kbps）
+ * @returns {string[]} FFmpegコマンドライン引数の配列
+ */
+function getAudioEncoderArgs(audio) {
+  const definition = AUDIO_CODECS[audio.codec] || AUDIO_CODECS.aac;
+  return ['-c:a', definition.encoder, ...(definition.bitrate ? ['-b:a', `${audio.bitrate}k`] : [])];
+}
+
+/**
+ * 音声のビットレートを取得（目標ファイルサイズの計算用）
+ * @param {{codec: string, bitrate: number}} audio - 音声コーデックとビットレート（kbps）
+ * @returns {number} ビットレート（kbps）
+ */
+function getAudioBitrate(audio) {
+  const definition = AUDIO_CODECS[audio.codec] || AUDIO_CODECS.aac;
+  return definition.bitrate ? audio.bitrate : definition.fixedBitrate;
+}
+
+/**
+ * コーデックの映像エンコーダーを決定
+ * pixFmt は結合前に映像を揃えるピクセルフォーマット（ProRes・DNxHRはプロファイルのビット深度・クロマサブサンプリング）
+ * @param {string} codec - 書き出し設定のコーデック
+ * @returns {Promise<{name: string, hardware: boolean, pixFmt: string, args: string[], deviceArgs: string[], uploadFilter: string|null}>} エンコーダー
+ */
+async function resolveVideoEncoder(codec) {
+  const profile = getCodecProfile(codec);
+  if (profile.videoCodec) {
+    const encoder = await encoderCapabilities.selectVideoEncoder(profile.videoCodec);
+    return { ...encoder, pixFmt: DELIVERY_PIX_FMT };
+  }
+  return { ...profile.video, hardware: false, rateControl: null, deviceArgs: [], uploadFilter: null };
+}
+
+/**
+ * 書き出し設定画面向けのコーデック一覧を取得
+ * @returns {Promise<Array<{id: string, label: string, group: string, formats: string[], audioCodec: string, encoder: string, hardware: boolean, rateControl: boolean}>>} コーデック一覧
+ */
+async function listCodecProfiles() {
+  return Promise.all(Object.entries(CODEC_PROFILES).map(async ([id, profile]) => {
+    const encoder = await resolveVideoEncoder(id);
+    return {
+      id,
+      label: profile.label,
+      group: profile.group,
+      formats: profile.formats,
+      audioCodec: profile.audioCodec,
+      encoder: encoder.name,
+      hardware: encoder.hardware,
+      rateControl: Boolean(encoder.rateControl)
+    };
+  }));
+}
+
+/**
+ * 書き出し設定画面向けの音声コーデック一覧を取得
+ * @returns {Array<{id: string, label: string, formats: string[], bitrate: boolean}>} 音声コーデック一覧
+ */
+function listAudioCodecs() {
+  return Object.entries(AUDIO_CODECS).map(([id, audio]) => ({
+    id,
+    label: audio.label,
+    formats: audio.formats,
+    bitrate: audio.bitrate
+  }));
+}
+
+module.exports = {
+  CODEC_PROFILES,
+  DEFAULT_CODEC,
+  getCodecProfile,
+  resolveAudioCodec,
+  resolveOutputFormat,
+  getAudioCodecName,
+  getAudioEncoderArgs,
+  getAudioBitrate,
+  resolveVideoEncoder,
+  listCodecProfiles,
+  listAudioCodecs
+};
@@ -0,0 +1,188 @@
+/**
+ * 書き出しのエンコード設定（映像のレート制御と音声コーデック）
+ * 書き出し設定から ExportContext.encoding を作成し、結合時にエンコーダーの種類に合わせた引数に変換する
+ */
+const { resolveAudioCodec, getAudioBitrate } = require('./codec-profiles');
+
+// レート制御の方式
+// quality: 画質優先（CRF） / cbr: 固定ビットレート / abr: 平均ビットレート / vbr_2pass: 2パス可変ビットレート / target_size: 目標ファイルサイズ
+const RATE_CONTROL_MODES = ['quality', 'cbr', 'abr', 'vbr_2pass', 'target_size'];
+
+const DEFAULT_RATE_CONTROL = 'quality';
+const DEFAULT_QUALITY = 23; // CRF（0〜51、小さいほど高画質）
+const DEFAULT_VIDEO_BITRATE = 20; // Mbps
+const DEFAULT_TARGET_SIZE = 100; // MB
+const DEFAULT_AUDIO_BITRATE = 192; // kbps
+
+// 目標ファイルサイズから映像ビットレートを求める際のコンテナのオーバーヘッド（割合）
+const CONTAINER_OVERHEAD = 0.02;
+
+// 目標ファイルサイズが小さすぎる場合の映像ビットレートの下限（kbps）
+const MIN_VIDEO_BITRATE = 100;
+
+/**
+ * 数値の設定値を範囲内に収める
+ * @param {any} value - 設定値
+ * @param {number} min - 最小値
+ * @param {number} max - 最大値
+ * @param {number} defaultValue - 数値でない場合の値
+ * @returns {number} 範囲内の数値
+ */
+function clampNumber(value, min, max, defaultValue) {
+  const number = parseFloat(value);
+  return isFinite(number) ? Math.min(max, Math.max(min, number)) : defaultValue;
+}
+
+/**
+ * 書き出し設定からエンコード設定を作成
+ * @param {Object} settings - 書き出し設定
+ * @returns {{rateControl: Object, audio: {codec: string, bitrate: number}}} エンコード設定
+ */
+function buildEncodingOptions(settings = {}) {
+  return {
+    rateControl: {
+      mode: RATE_CONTROL_MODES.includes(settings.rateControl) ? settings.rateControl : DEFAULT_RATE_CONTROL,
+      quality: Math.round(clampNumber(settings.quality, 0, 51, DEFAULT_QUALITY)),
+      bitrate: Math.round(clampNumber(settings.videoBitrate, 0.1, 500, DEFAULT_VIDEO_BITRATE) * 1000),
+      targetSize: clampNumber(settings.targetSize, 1, 100000, DEFAULT_TARGET_SIZE)
+    },
+    audio: {
+      codec: resolveAudioCodec(settings.codec, settings.audioCodec),
+      bitrate: Math.round(clampNumber(settings.audioBitrate, 32, 512, DEFAULT_AUDIO_BITRATE))
+    }
+  };
+}
+
+/**
+ * 目標ファイルサイズに収まる映像ビットレートを計算
+ * @param {number} targetSize - 目標ファイルサイズ（MB）
+ * @param {number} duration - 書き出し全体の長さ（秒、トリミング・つなぎ目の重なりを反映した長さ）
+ * @param {{codec: string, bitrate: number}} audio - 音声の設定
+ * @returns {number} 映像ビットレート（kbps）
+ */
+function computeTargetBitrate(targetSize, duration, audio) {
+  if (!(duration > 0)) {
+    throw new Error('書き出しの長さが不明なため、目標ファイルサイズからビットレートを計算できません');
+  }
+  // 1MB = 1,000,000バイトとして計算（1,048,576バイトとして扱う環境でも超えないように小さい方に合わせる）
+  const totalKbits = targetSize * 8000 * (1 - CONTAINER_OVERHEAD);
+  return Math.max(MIN_VIDEO_BITRATE, Math.floor(totalKbits / duration - getAudioBitrate(audio)));
+}
+
+/**
+ * 2パスエンコードに対応しているエンコーダーの種類か
+ * NVENCは1回の実行で2パス（multipass）を行うため対象外
+ * @param {string|null} family - エンコーダーのレート制御の種類
+ * @returns {boolean} 2回の実行で2パスエンコードできるかどうか
+ */
+function supportsTwoPass(family) {
+  return family === 'x264' || family === 'x265';
+}
+
+/**
+ * 画質優先（CRF）の引数を作成
+ * @param {string} family - エンコーダーのレート制御の種類
+ * @param {number} quality - CRF（0〜51）
+ * @returns {string[]} FFmpegコマンドライン引数の配列
+ */
+function buildQualityArgs(family, quality) {
+  switch (family) {
+    case 'nvenc':
+      return ['-rc', 'vbr', '-cq', String(quality), '-b:v', '0'];
+    case 'vaapi':
+      return ['-rc_mode', 'CQP', '-qp', String(quality)];
+    case 'videotoolbox':
+      // VideoToolboxの品質は1〜100（大きいほど高画質）のためCRFから換算
+      return ['-q:v', String(Math.round(100 - quality * 99 / 51))];
+    default:
+      return ['-crf', String(quality)];
+  }
+}
+
+/**
+ * ビットレート指定の引数を作成
+ * @param {string} family - エンコーダーのレート制御の種類
+ * @param {string} mode - cbr / abr / vbr_2pass
+ * @param {number} bitrate - 映像ビットレート（kbps）
+ * @returns {string[]} FFmpegコマンドライン引数の配列
+ */
+function buildBitrateArgs(family, mode, bitrate) {
+  const rate = `${bitrate}k`;
+  const buffer = `${bitrate * 2}k`;
+
+  if (mode === 'cbr') {
+    switch (family) {
+      case 'nvenc':
+        return ['-rc', 'cbr', '-b:v', rate, '-maxrate', rate, '-bufsize', buffer];
+      case 'vaapi':
+        return ['-rc_mode', 'CBR', '-b:v', rate, '-maxrate', rate];
+      case 'x264':
+        return ['-b:v', rate, '-minrate', rate, '-maxrate', rate, '-bufsize', buffer, '-x264-params', 'nal-hrd=cbr'];
+      default:
+        return ['-b:v', rate, '-minrate', rate, '-maxrate', rate, '-bufsize', buffer];
+    }
+  }
+
+  switch (family) {
+    case 'nvenc':
+      return mode === 'vbr_2pass'
+        ? ['-rc', 'vbr', '-multipass', 'fullres', '-b:v', rate]
+        : ['-rc', 'vbr', '-b:v', rate];
+    case 'vaapi':
+      return ['-rc_mode', 'VBR', '-b:v', rate];
+    default:
+      return ['-b:v', rate];
+  }
+}
+
+/**
+ * 2パスエンコードの各パスの引数を作成
+ * @param {string} family - エンコーダーのレート制御の種類（x264 / x265）
+ * @param {number} pass - パス番号（1 / 2）
+ * @param {string} passLogFile - 解析結果のファイル（拡張子なし）
+ * @returns {string[]} FFmpegコマンドライン引数の配列
+ */
+function buildPassArgs(family, pass, passLogFile) {
+  if (family === 'x265') {
+    return ['-x265-params', `pass=${pass}:stats=${passLogFile}.log`];
+  }
+  return ['-pass', String(pass), '-passlogfile', passLogFile];
+}
+
+/**
+ * エンコーダーと書き出しの長さからレート制御を決定
+ * @param {Object} rateControl - エンコード設定のレート制御
+ * @param {{codec: string, bitrate: number}} audio - エンコード設定の音声
+ * @param {string|null} family - エンコーダーのレート制御の種類（中間コーデックなど指定できない場合はnull）
+ * @param {number} duration - 書き出し全体の長さ（秒）
+ * @returns {{mode: string, args: string[], twoPass: boolean, bitrate: number|null}} レート制御
+ */
+function planRateControl(rateControl, audio, family, duration) {
+  if (!family) {
+    return { mode: 'profile', args: [], twoPass: false, bitrate: null };
+  }
+
+  if (rateControl.mode === 'quality') {
+    return { mode: 'quality', args: buildQualityArgs(family, rateControl.quality), twoPass: false, bitrate: null };
+  }
+
+  const bitrate = rateControl.mode === 'target_size'
+    ? computeTargetBitrate(rateControl.targetSize, duration, audio)
+    : rateControl.bitrate;
+  const mode = rateControl.mode === 'target_size' ? 'vbr_2pass' : rateControl.mode;
+
+  return {
+    mode: rateControl.mode,
+    args: buildBitrateArgs(family, mode, bitrate),
+    twoPass: mode === 'vbr_2pass' && supportsTwoPass(family),
+    bitrate
+  };
+}
+
+module.exports = {
+  RATE_CONTROL_MODES,
+  buildEncodingOptions,
+  computeTargetBitrate,
+  planRateControl,
+  buildPassArgs
+};
@@ -0,0 +1,308 @@
+/**
+ * 結合処理用のフィルタグラフ構築ユーティリティ
+ * CombineStepから利用され、入力ごとの映像・音声フォーマットの統一、クリップ間のつなぎ目（ジョイン）とクリップごとの音量・フェードの処理を担当する
+ */
+const { buildConformedAudioFilter } = require('./audio-conform');
+const { DEFAULT_FIT_MODE, getCanvasSize, buildVideoConformFilter } = require('./video-conform');
+
+// acrossfadeで利用できるカーブの一覧
+const AUDIO_CROSSFADE_CURVES = ['tri', 'qsin', 'hsin', 'esin', 'log', 'exp', 'par', 'ipar', 'nofade'];
+
+// デフォルトのクロスフェードカーブ
+const DEFAULT_CROSSFADE_CURVE = 'tri';
+
+// 映像トランジションの種類とxfadeのtransition名の対応
+const VIDEO_TRANSITIONS = {
+  dissolve: 'fade',
+  fade_black: 'fadeblack',
+  slide: 'slideleft',
+  wipe: 'wipeleft'
+};
+
+/**
+ * 音声クロスフェード設定を正規化
+ * @param {Object|null} crossfade - { duration, curve } 形式の設定
+ * @returns {{duration: number, curve: string}|null} 正規化された設定（無効な場合はnull）
+ */
+function normalizeAudioCrossfade(crossfade) {
+  if (!crossfade || typeof crossfade !== 'object') {
+    return null;
+  }
+
+  const duration = parseFloat(crossfade.duration);
+  if (!isFinite(duration) || duration <= 0) {
+    return null;
+  }
+
+  const curve = AUDIO_CROSSFADE_CURVES.includes(crossfade.curve) ? crossfade.curve : DEFAULT_CROSSFADE_CURVE;
+  return { duration, curve };
+}
+
+/**
+ * 映像トランジション設定を正規化
+ * @param {Object|null} transition - { type, duration } 形式の設定
+ * @returns {{type: string, duration: number}|null} 正規化された設定（無効な場合はnull）
+ */
+function normalizeTransition(transition) {
+  if (!transition || typeof transition !== 'object' || !VIDEO_TRANSITIONS[transition.type]) {
+    return null;
+  }
+
+  const duration = parseFloat(transition.duration);
+  if (!isFinite(duration) || duration <= 0) {
+    return null;
+  }
+
+  return { type: transition.type, duration };
+}
+
+/**
+ * クリップの音量・フェード設定を正規化
+ * @param {Object|null} envelope - { gain, fadeIn, fadeOut } 形式の設定（gainはdB、フェードは秒）
+ * @returns {{gain: number, fadeIn: number, fadeOut: number}|null} 正規化された設定（変化がない場合はnull）
+ */
+function normalizeAudioEnvelope(envelope) {
+  if (!envelope || typeof envelope !== 'object') {
+    return null;
+  }
+
+  const toNumber = (value) => {
+    const number = parseFloat(value);
+    return isFinite(number) ? number : 0;
+  };
+  const gain = toNumber(envelope.gain);
+  const fadeIn = Math.max(0, toNumber(envelope.fadeIn));
+  const fadeOut = Math.max(0, toNumber(envelope.fadeOut));
+
+  if (gain === 0 && fadeIn === 0 && fadeOut === 0) {
+    return null;
+  }
+  return { gain, fadeIn, fadeOut };
+}
+
+/**
+ * 音量・フェードのフィルタ（volume/afade）を作成
+ * フェードの合計がクリップより長い場合は比率を保って縮める
+ * @param {Object|null} envelope - 正規化済みの設定
+ * @param {number} duration - クリップの長さ（秒）
+ * @returns {string|null} フィルタ文字列（不要な場合はnull）
+ */
+function buildEnvelopeFilter(envelope, duration) {
+  if (!envelope) {
+    return null;
+  }
+
+  const totalFade = envelope.fadeIn + envelope.fadeOut;
+  const scale = duration > 0 && totalFade > duration ? duration / totalFade : 1;
+  const fadeIn = envelope.fadeIn * scale;
+  const fadeOut = envelope.fadeOut * scale;
+
+  const parts = [];
+  if (envelope.gain !== 0) {
+    parts.push(`volume=${envelope.gain.toFixed(2)}dB`);
+  }
+  if (fadeIn > 0) {
+    parts.push(`afade=t=in:st=0:d=${fadeIn.toFixed(3)}`);
+  }
+  if (fadeOut > 0 && duration > 0) {
+    parts.push(`afade=t=out:st=${Math.max(0, duration - fadeOut).toFixed(3)}:d=${fadeOut.toFixed(3)}`);
+  }
+  return parts.length > 0 ? parts.join(',') : null;
+}
+
+/**
+ * 各入力の音声のフォーマットを揃えて音量・フェードを適用し、以降のフィルタで使う音声ラベルを返す
+ * 音声のない入力（hasAudio: false）は無音で置き換える
+ * @param {Array<{duration: number, envelope: Object|null, hasAudio: boolean}>} inputs - 入力ファイル情報
+ * @param {Array<string>} filters - フィルタの追加先
+ * @returns {Array<string>} 入力ごとの音声ラベル
+ * @private
+ */
+function buildInputAudioFilters(inputs, filters) {
+  return inputs.map((input, i) => {
+    const envelopeFilter = buildEnvelopeFilter(input.envelope || null, input.duration);
+    filters.push(buildConformedAudioFilter(i, input, envelopeFilter, `[ae${i}]`));
+    return `[ae${i}]`;
+  });
+}
+
+/**
+ * 各入力の映像をキャンバスサイズ・SAR・フレームレートに揃え、以降のフィルタで使う映像ラベルを返す
+ * クリップごとのリフレーム設定（reframe）がある入力は書き出し設定の収め方より優先する
+ * @param {Array<Object>} inputs - 入力ファイル情報
+ * @param {{canvas: Object, fitMode: string, fps: string, pixFmt: string}} options - 揃える映像フォーマット
+ * @param {Array<string>} filters - フィルタの追加先
+ * @returns {Array<string>} 入力ごとの映像ラベル
+ * @private
+ */
+function buildInputVideoFilters(inputs, options, filters) {
+  return inputs.map((input, i) => {
+    filters.push(buildVideoConformFilter(`[${i}:v:0]`, `[vc${i}]`, options, input.reframe || null, i));
+    return `[vc${i}]`;
+  });
+}
+
+/**
+ * つなぎ目の処理内容を決定
+ * 映像トランジションがある場合はその長さで重ね、音声も同じ長さでクロスフェードする。
+ * 重なりは前後どちらのクリップの半分も超えないように制限する
+ * @param {Object|null} join - ジョイン情報
+ * @param {number} prevDuration - 前のクリップの長さ（秒）
+ * @param {number} nextDuration - 次のクリップの長さ（秒）
+ * @returns {{overlap: number, curve: string|null, transition: string|null}} つなぎ目の処理内容
+ */
+function resolveJoin(join, prevDuration, nextDuration) {
+  const crossfade = join ? normalizeAudioCrossfade(join.audioCrossfade) : null;
+  const transition = join ? normalizeTransition(join.transition) : null;
+  const requested = transition ? transition.duration : (crossfade ? crossfade.duration : 0);
+
+  if (requested <= 0 || !(prevDuration > 0) || !(nextDuration > 0)) {
+    return { overlap: 0, curve: null, transition: null };
+  }
+
+  return {
+    overlap: Math.min(requested, prevDuration / 2, nextDuration / 2),
+    curve: crossfade ? crossfade.curve : DEFAULT_CROSSFADE_CURVE,
+    transition: transition ? VIDEO_TRANSITIONS[transition.type] : null
+  };
+}
+
+/**
+ * 映像部分のフィルタを構築
+ * トランジションのないつなぎ目は前のクリップ末尾を重なり分だけ切り詰めて連結し、
+ * トランジションのあるつなぎ目はxfadeで重ねる
+ * @private
+ */
+function buildVideoFilters(inputs, videoLabels, joins, filters) {
+  const hasTransition = joins.some(join => join.transition);
+
+  // 各入力の映像を準備（xfadeはタイムベースの一致が必要、フレームレートは揃え済み）
+  const lengths = [];
+  const labels = inputs.map((input, i) => {
+    const join = joins[i];
+    const tailTrim = join && join.overlap > 0 && !join.transition ? join.overlap : 0;
+    const parts = [];
+
+    if (tailTrim > 0) {
+      parts.push(`trim=end=${(input.duration - tailTrim).toFixed(3)}`, 'setpts=PTS-STARTPTS');
+    }
+    if (hasTransition) {
+      parts.push('settb=AVTB');
+    }
+
+    lengths.push(input.duration - tailTrim);
+    if (parts.length === 0) {
+      return videoLabels[i];
+    }
+    filters.push(`${videoLabels[i]}${parts.join(',')}[v${i}]`);
+    return `[v${i}]`;
+  });
+
+  if (!hasTransition) {
+    filters.push(`${labels.join('')}concat=n=${inputs.length}:v=1:a=0[outv]`);
+    return;
+  }
+
+  // トランジションがある場合はつなぎ目ごとに順番に結合
+  let currentVideo = labels[0];
+  let currentLength = lengths[0];
+  for (let i = 0; i < joins.length; i++) {
+    const outLabel = i === joins.length - 1 ? '[outv]' : `[vx${i}]`;
+    const { overlap, transition } = joins[i];
+
+    if (transition) {
+      const offset = Math.max(0, currentLength - overlap);
+      filters.push(`${currentVideo}${labels[i + 1]}xfade=transition=${transition}:duration=${overlap.toFixed(3)}:offset=${offset.toFixed(3)}${outLabel}`);
+      currentLength = currentLength - overlap + lengths[i + 1];
+    } else {
+      filters.push(`${currentVideo}${labels[i + 1]}concat=n=2:v=1:a=0${outLabel}`);
+      currentLength += lengths[i + 1];
+    }
+    currentVideo = outLabel;
+  }
+}
+
+/**
+ * 音声部分のフィルタを構築
+ * つなぎ目ごとにacrossfadeまたはconcatで順番に連結する
+ * @private
+ */
+function buildAudioFilters(audioLabels, joins, filters) {
+  let currentAudio = audioLabels[0];
+  for (let i = 0; i < joins.length; i++) {
+    const nextAudio = audioLabels[i + 1];
+    const outLabel = i === joins.length - 1 ? '[outa]' : `[a${i}]`;
+    const { overlap, curve } = joins[i];
+
+    if (overlap > 0) {
+      filters.push(`${currentAudio}${nextAudio}acrossfade=d=${overlap.toFixed(3)}:c1=${curve}:c2=${curve}${outLabel}`);
+    } else {
+      filters.push(`${currentAudio}${nextAudio}concat=n=2:v=0:a=1${outLabel}`);
+    }
+    currentAudio = outLabel;
+  }
+}
+
+/**
+ * 結合用のfilter_complexを構築
+ * @param {Array<{id: string, duration: number, envelope: Object|null, hasAudio: boolean}>} inputs - 入力ファイル情報（-iの順番）
+ * @param {Function} getJoin - (fromInput, toInput) => ジョイン情報 を返す関数
+ * @param {Object} options - オプション
+ * @param {string|number} options.fps - 出力フレームレート
+ * @param {{width: number, height: number}} options.canvas - 出力キャンバスサイズ
+ * @param {string} options.fitMode - キャンバスとアスペクト比が異なる入力の収め方
+ * @param {string} options.pixFmt - 出力ピクセルフォーマット（書き出しコーデックのもの、省略時はyuv420p）
+ * @returns {{filterComplex: string, totalDuration: number, crossfadeCount: number, transitionCount: number}} フィルタ情報
+ */
+function buildCombineFilterGraph(inputs, getJoin, options = {}) {
+  const fps = options.fps && options.fps !== 'original' ? String(options.fps) : '30';
+  const canvas = options.canvas || getCanvasSize();
+  const fitMode = options.fitMode || DEFAULT_FIT_MODE;
+  const joins = [];
+  for (let i = 0; i < inputs.length - 1; i++) {
+    joins.push(resolveJoin(getJoin(inputs[i], inputs[i + 1]), inputs[i].duration, inputs[i + 1].duration));
+  }
+
+  const totalOverlap = joins.reduce((sum, join) => sum + join.overlap, 0);
+  const totalDuration = inputs.reduce((sum, input) => sum + (input.duration || 0), 0) - totalOverlap;
+  const crossfadeCount = joins.filter(join => join.overlap > 0).length;
+  const transitionCount = joins.filter(join => join.transition).length;
+
+  // 映像・音声のフォーマットの統一とクリップごとの音量・フェードを先に適用
+  const filters = [];
+  const videoLabels = buildInputVideoFilters(inputs, { canvas, fitMode, fps, pixFmt: options.pixFmt }, filters);
+  const audioLabels = buildInputAudioFilters(inputs, filters);
+
+  // 重なりがなければ従来通りの単純なconcat
+  if (crossfadeCount === 0) {
+    const streams = inputs.map((_, i) => `${videoLabels[i]}${audioLabels[i]}`).join('');
+    filters.push(`${streams}concat=n=${inputs.length}:v=1:a=1[outv][outa]`);
+    return {
+      filterComplex: filters.join(';'),
+      totalDuration,
+      crossfadeCount,
+      transitionCount
+    };
+  }
+
+  buildVideoFilters(inputs, videoLabels, joins, filters);
+  buildAudioFilters(audioLabels, joins, filters);
+
+  return {
+    filterComplex: filters.join(';'),
+    totalDuration,
+    crossfadeCount,
+    transitionCount
+  };
+}
+
+module.exports = {
+  AUDIO_CROSSFADE_CURVES,
+  VIDEO_TRANSITIONS,
+  normalizeAudioCrossfade,
+  normalizeTransition,
+  normalizeAudioEnvelope,
+  buildEnvelopeFilter,
+  resolveJoin,
+  buildCombineFilterGraph
+};
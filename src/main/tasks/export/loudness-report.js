@@ -0,0 +1,191 @@
+/**
+ * 書き出しファイルのラウドネスレポート（EBU R128）の作成ユーティリティ
+ * 書き出し先と同じディレクトリにJSONとCSVで保存する
+ */
+const fs = require('fs');
+const path = require('path');
+const { LOUDNESS_TOLERANCE_LU, getLoudnessScope, getLoudnessTarget, verifyLoudness } = require('./loudnorm');
+
+// レポートの形式バージョン
+const REPORT_VERSION = 1;
+
+/**
+ * 小数第1位に丸める（測定できない値はnull）
+ * @param {number|null|undefined} value
+ * @returns {number|null}
+ */
+function round(value) {
+  return typeof value === 'number' && isFinite(value) ? Math.round(value * 10) / 10 : null;
+}
+
+/**
+ * 測定値にゲインを加える（どちらかが不明な場合はnull）
+ * @param {number|null|undefined} value
+ * @param {number|null} gain
+ * @returns {number|null}
+ */
+function applyGain(value, gain) {
+  return typeof value === 'number' && isFinite(value) && gain !== null ? value + gain : null;
+}
+
+/**
+ * 全体の正規化で加えられたゲイン（dB）を取得
+ * リニアモードは一定ゲインのためクリップごとの補正後の値を算出できるが、ダイナミックモードでは算出できない
+ * @param {Object|null} programNormalization - 全体の正規化の結果（メタデータ）
+ * @returns {number|null} ゲイン（全体の正規化がない場合は0、算出できない場合はnull）
+ */
+function getProgramGain(programNormalization) {
+  if (!programNormalization) return 0;
+
+  const { mode, inputIntegrated, outputIntegrated } = programNormalization.result;
+  if (mode === 'copy') return 0;
+  if (mode === 'linear' && isFinite(inputIntegrated) && isFinite(outputIntegrated)) {
+    return outputIntegrated - inputIntegrated;
+  }
+  return null;
+}
+
+/**
+ * レポートを作成
+ * @param {Object} params
+ * @param {string} params.outputPath - 書き出したファイルのパス
+ * @param {Object} params.measurement - runEbur128の測定結果
+ * @param {Array<Object>} params.clipMeasurements - クリップごとの測定結果
+ *   { clipId, name, mode, before: 正規化前のサマリー, after: クリップごとの正規化後のサマリー（正規化しなかった場合はnull） }
+ * @param {ExportContext} params.context - 書き出しコンテキスト（正規化の結果を含む）
+ * @returns {Object} レポート
+ */
+function buildLoudnessReport({ outputPath, measurement, clipMeasurements = [], context }) {
+  const target = getLoudnessTarget(context.settings);
+  const { summary } = measurement;
+  const check = verifyLoudness(summary.integrated, target);
+  const programNormalization = context.getMetadata('program_loudness_normalization');
+  const programGain = getProgramGain(programNormalization);
+
+  // 補正後はクリップごとの正規化の結果に、全体の正規化で加えたゲインを反映する
+  const clips = clipMeasurements.map(clip => {
+    const before = clip.before || {};
+    const normalized = clip.after || before;
+    const afterIntegrated = applyGain(normalized.integrated, programGain);
+    return {
+      clipId: clip.clipId || null,
+      name: clip.name,
+      mode: clip.mode,
+      before: {
+        integrated: round(before.integrated),
+        truePeak: round(before.truePeak),
+        lra: round(before.lra)
+      },
+      after: {
+        integrated: round(afterIntegrated),
+        truePeak: round(applyGain(normalized.truePeak, programGain))
+      },
+      withinTolerance: afterIntegrated !== null && verifyLoudness(afterIntegrated, target).withinTolerance
+    };
+  });
+
+  return {
+    version: REPORT_VERSION,
+    standard: 'EBU R128 / ITU-R BS.1770',
+    generatedAt: new Date().toISOString(),
+    outputFile: path.basename(outputPath),
+    target: {
+      preset: context.settings.loudnessPreset || null,
+      integrated: target.integrated,
+      truePeak: target.truePeak,
+      lra: target.lra,
+      tolerance: LOUDNESS_TOLERANCE_LU
+    },
+    normalizationScope: getLoudnessScope(context.settings),
+    program: {
+      duration: round(measurement.duration),
+      integrated: round(summary.integrated),
+      lra: round(summary.lra),
+      truePeak: round(summary.truePeak),
+      maxMomentary: round(measurement.maxMomentary),
+      maxShortTerm: round(measurement.maxShortTerm),
+      threshold: round(summary.threshold),
+      deviation: round(check.deviation),
+      withinTolerance: check.withinTolerance,
+      truePeakWithinLimit: summary.truePeak !== null && summary.truePeak <= target.truePeak,
+      before: programNormalization ? {
+        integrated: round(programNormalization.result.inputIntegrated),
+        truePeak: round(programNormalization.result.inputTruePeak),
+        lra: round(programNormalization.result.inputLra)
+      } : null
+    },
+    clips
+  };
+}
+
+/**
+ * CSVの1行を作成
+ * @param {Array} values
+ * @returns {string}
+ */
+function toCsvRow(values) {
+  return values.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+/**
+ * レポートをCSVに変換（全体の測定値とクリップごとの補正前後）
+ * @param {Object} report
+ * @returns {string}
+ */
+function formatReportCsv(report) {
+  const { program, target } = report;
+  const rows = [
+    ['項目', '値', '単位'],
+    ['ファイル', report.outputFile, ''],
+    ['規格', report.standard, ''],
+    ['測定日時', report.generatedAt, ''],
+    ['目標ラウドネス', target.integrated, 'LUFS'],
+    ['トゥルーピーク上限', target.truePeak, 'dBTP'],
+    ['統合ラウドネス', program.integrated, 'LUFS'],
+    ['ラウドネスレンジ', program.lra, 'LU'],
+    ['最大トゥルーピーク', program.truePeak, 'dBTP'],
+    ['最大モーメンタリー', program.maxMomentary, 'LUFS'],
+    ['最大ショートターム', program.maxShortTerm, 'LUFS'],
+    ['目標との差', program.deviation, 'LU'],
+    ['判定', program.withinTolerance && program.truePeakWithinLimit ? '適合' : '不適合', ''],
+    [],
+    ['クリップ', 'モード', '補正前 統合(LUFS)', '補正前 TP(dBTP)', '補正前 LRA(LU)', '補正後 統合(LUFS)', '補正後 TP(dBTP)'],
+    ...report.clips.map(clip => [
+      clip.name,
+      clip.mode,
+      clip.before.integrated,
+      clip.before.truePeak,
+      clip.before.lra,
+      clip.after.integrated,
+      clip.after.truePeak
+    ])
+  ];
+
+  return rows.map(toCsvRow).join('\n') + '\n';
+}
+
+/**
+ * レポートを書き出し先の隣にJSONとCSVで保存
+ * @param {Object} report
+ * @param {string} outputPath - 書き出したファイルのパス
+ * @returns {{jsonPath: string, csvPath: string}}
+ */
+function writeLoudnessReport(report, outputPath) {
+  const basePath = path.join(path.dirname(outputPath), path.basename(outputPath, path.extname(outputPath)));
+  const jsonPath = `${basePath}.loudness.json`;
+  const csvPath = `${basePath}.loudness.csv`;
+
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2), 'utf8');
+  // 表計算ソフトで文字化けしないようBOM付きで保存
+  fs.writeFileSync(csvPath, '\uFEFF' + formatReportCsv(report), 'utf8');
+
+  return { jsonPath, csvPath };
+}
+
+module.exports = {
+  buildLoudnessReport,
+  writeLoudnessReport
+};
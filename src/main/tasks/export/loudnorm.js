@@ -0,0 +1,157 @@
+/**
+ * loudnormフィルタによる2パスのラウドネス正規化（EBU R128）のユーティリティ
+ * 1パス目の測定値を2パス目に渡し、可能な限りリニアモード（一定ゲイン）で正規化する
+ */
+
+// 目標ラウドネスからの許容誤差（LU）
+const LOUDNESS_TOLERANCE_LU = 0.5;
+
+// 目標値の初期値（書き出し設定に目標値がない場合。YouTubeプリセットと同じ値）
+const DEFAULT_TARGET = {
+  integrated: -14,
+  truePeak: -1,
+  lra: 11
+};
+
+// 正規化の対象（clip: クリップごと、program: 結合後の全体、both: クリップごとに揃えてから全体を調整）
+const LOUDNESS_SCOPES = ['clip', 'program', 'both'];
+
+/**
+ * 書き出し設定から正規化の対象を取得
+ * @param {Object} settings - 書き出し設定
+ * @returns {'clip'|'program'|'both'}
+ */
+function getLoudnessScope(settings = {}) {
+  return LOUDNESS_SCOPES.includes(settings.loudnessScope) ? settings.loudnessScope : 'clip';
+}
+
+/**
+ * 書き出し設定から正規化の目標値を取得
+ * 配信先プリセットの値はレンダラー側で targetLoudness / targetTruePeak / targetLra に展開されている
+ * @param {Object} settings - 書き出し設定
+ * @returns {{integrated: number, truePeak: number, lra: number}}
+ */
+function getLoudnessTarget(settings = {}) {
+  const pick = (value, fallback) => (typeof value === 'number' && isFinite(value) ? value : fallback);
+  return {
+    integrated: pick(settings.targetLoudness, DEFAULT_TARGET.integrated),
+    truePeak: pick(settings.targetTruePeak, DEFAULT_TARGET.truePeak),
+    lra: pick(settings.targetLra, DEFAULT_TARGET.lra)
+  };
+}
+
+/**
+ * FFmpegの出力からloudnormのJSON（最後のブロック）を抽出
+ * @param {string} stderr - FFmpegの標準エラー出力
+ * @returns {Object|null} 数値に変換した測定結果
+ */
+function parseLoudnormOutput(stderr) {
+  const jsonMatch = stderr.match(/\{[\s\S]*?\}(?!\s*[\},])/g);
+  if (!jsonMatch || jsonMatch.length === 0) {
+    return null;
+  }
+
+  const raw = JSON.parse(jsonMatch[jsonMatch.length - 1]);
+  return {
+    inputIntegrated: parseFloat(raw.input_i),
+    inputTruePeak: parseFloat(raw.input_tp),
+    inputLra: parseFloat(raw.input_lra),
+    inputThreshold: parseFloat(raw.input_thresh),
+    outputIntegrated: parseFloat(raw.output_i),
+    outputTruePeak: parseFloat(raw.output_tp),
+    outputLra: parseFloat(raw.output_lra),
+    targetOffset: parseFloat(raw.target_offset),
+    normalizationType: raw.normalization_type || null,
+    raw
+  };
+}
+
+/**
+ * 1パス目の測定値が2パス目に使えるか（無音などで測定できていないか）判定
+ * @param {Object|null} measured - parseLoudnormOutputの結果
+ * @returns {boolean}
+ */
+function isMeasurable(measured) {
+  return Boolean(measured) &&
+    [measured.inputIntegrated, measured.inputTruePeak, measured.inputLra, measured.inputThreshold]
+      .every(value => isFinite(value));
+}
+
+/**
+ * リニアモードで正規化できるか判定し、できない場合はその理由を返す
+ * @param {Object} measured - 1パス目の測定値
+ * @param {Object} target - 目標値
+ * @returns {{linear: boolean, gain: number, reason: string|null}}
+ */
+function planLoudnorm(measured, target) {
+  const gain = target.integrated - measured.inputIntegrated;
+  const peakAfterGain = measured.inputTruePeak + gain;
+
+  if (peakAfterGain > target.truePeak) {
+    return {
+      linear: false,
+      gain,
+      reason: `一定ゲイン(${gain.toFixed(1)} dB)ではトゥルーピークが${peakAfterGain.toFixed(1)} dBTPとなり上限(${target.truePeak} dBTP)を超えるため`
+    };
+  }
+
+  if (measured.inputLra > target.lra) {
+    return {
+      linear: false,
+      gain,
+      reason: `ラウドネスレンジ(${measured.inputLra.toFixed(1)} LU)が目標(${target.lra} LU)より大きいため`
+    };
+  }
+
+  return { linear: true, gain, reason: null };
+}
+
+/**
+ * loudnormフィルタの文字列を作成
+ * @param {Object} target - 目標値
+ * @param {Object|null} measured - 1パス目の測定値（省略時は測定用のフィルタ）
+ * @param {boolean} linear - リニアモードを使用するか
+ * @returns {string}
+ */
+function buildLoudnormFilter(target, measured = null, linear = true) {
+  const base = `loudnorm=I=${target.integrated}:TP=${target.truePeak}:LRA=${target.lra}`;
+  if (!measured) {
+    return `${base}:print_format=json`;
+  }
+
+  return [
+    base,
+    `measured_I=${measured.inputIntegrated}`,
+    `measured_TP=${measured.inputTruePeak}`,
+    `measured_LRA=${measured.inputLra}`,
+    `measured_thresh=${measured.inputThreshold}`,
+    `offset=${isFinite(measured.targetOffset) ? measured.targetOffset : 0}`,
+    `linear=${linear ? 'true' : 'false'}`,
+    'print_format=json'
+  ].join(':');
+}
+
+/**
+ * 正規化結果が目標ラウドネスの許容範囲に収まっているか確認
+ * @param {number} integrated - 正規化後の統合ラウドネス
+ * @param {Object} target - 目標値
+ * @returns {{deviation: number, withinTolerance: boolean}}
+ */
+function verifyLoudness(integrated, target) {
+  const deviation = integrated - target.integrated;
+  return {
+    deviation,
+    withinTolerance: isFinite(deviation) && Math.abs(deviation) <= LOUDNESS_TOLERANCE_LU
+  };
+}
+
+module.exports = {
+  LOUDNESS_TOLERANCE_LU,
+  getLoudnessScope,
+  getLoudnessTarget,
+  parseLoudnormOutput,
+  isMeasurable,
+  planLoudnorm,
+  buildLoudnormFilter,
+  verifyLoudness
+};
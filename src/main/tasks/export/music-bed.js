@@ -0,0 +1,184 @@
+/**
+ * BGM（音楽トラック）の作成とダッキングのユーティリティ
+ * MusicBedStepでBGMを1本の音声に書き出し、CombineStepでセリフの下にミックスする
+ */
+const { buildEnvelopeFilter, normalizeAudioEnvelope, resolveJoin } = require('./filter-graph');
+
+// BGMの作成時に揃えるサンプルレート
+const MUSIC_BED_SAMPLE_RATE = 48000;
+
+// ダッキング（セリフがある間BGMを下げる）の強さとsidechaincompressの設定
+const DUCKING_PRESETS = {
+  off: null,
+  light: { threshold: 0.1, ratio: 3, attack: 20, release: 500 },
+  normal: { threshold: 0.05, ratio: 6, attack: 20, release: 400 },
+  strong: { threshold: 0.025, ratio: 12, attack: 10, release: 300 }
+};
+
+// デフォルトのダッキングの強さ
+const DEFAULT_DUCKING = 'normal';
+
+/**
+ * 数値に変換（不正な値はデフォルト値）
+ * @private
+ */
+function toNumber(value, defaultValue = 0) {
+  const number = parseFloat(value);
+  return isFinite(number) ? number : defaultValue;
+}
+
+/**
+ * BGMトラックのクリップを正規化し、開始位置の順に並べる
+ * @param {Object|null} musicTrack - { clips, ducking } 形式のBGMトラック
+ * @returns {Array<Object>} 有効なクリップ（sourceLengthは切り出し後の長さ）
+ */
+function getMusicClips(musicTrack) {
+  if (!musicTrack || !Array.isArray(musicTrack.clips)) {
+    return [];
+  }
+
+  return musicTrack.clips
+    .filter(clip => clip && typeof clip === 'object' && clip.path)
+    .map(clip => {
+      const duration = toNumber(clip.duration);
+      const trimStart = Math.max(0, toNumber(clip.trimStart));
+      const trimEnd = clip.trimEnd != null && toNumber(clip.trimEnd) > trimStart ? toNumber(clip.trimEnd) : duration;
+      return {
+        id: clip.id || null,
+        path: clip.path,
+        name: clip.name || clip.path,
+        start: Math.max(0, toNumber(clip.start)),
+        trimStart,
+        sourceLength: trimEnd - trimStart,
+        loop: clip.loop === true,
+        envelope: normalizeAudioEnvelope({ gain: clip.gain, fadeIn: clip.fadeIn, fadeOut: clip.fadeOut })
+      };
+    })
+    .filter(clip => clip.sourceLength > 0)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * ダッキングの強さを取得
+ * @param {Object|null} musicTrack
+ * @returns {string} DUCKING_PRESETSのキー
+ */
+function getDucking(musicTrack) {
+  const ducking = musicTrack && musicTrack.ducking;
+  return Object.prototype.hasOwnProperty.call(DUCKING_PRESETS, ducking) ? ducking : DEFAULT_DUCKING;
+}
+
+/**
+ * 結合後の長さを書き出し対象のクリップから見積もる
+ * トリム・区間を反映し、つなぎ目の重なり（クロスフェード・トランジション）を差し引く
+ * @param {ExportContext} context
+ * @returns {number} 秒
+ */
+function estimateProgramDuration(context) {
+  const entries = [];
+  context.mediaFiles.forEach(file => {
+    if (!file || typeof file !== 'object') return;
+    if (Array.isArray(file.segments) && file.segments.length > 0) {
+      file.segments.forEach(segment => entries.push({ id: file.id, duration: segment.end - segment.start }));
+    } else if (file.trimStart != null && file.trimEnd != null && file.trimEnd > file.trimStart) {
+      entries.push({ id: file.id, duration: file.trimEnd - file.trimStart });
+    } else {
+      entries.push({ id: file.id, duration: toNumber(file.duration) });
+    }
+  });
+
+  let total = entries.reduce((sum, entry) => sum + Math.max(0, entry.duration), 0);
+  for (let i = 0; i < entries.length - 1; i++) {
+    if (entries[i].id === entries[i + 1].id) continue;
+    total -= resolveJoin(context.getJoin(entries[i].id, entries[i + 1].id), entries[i].duration, entries[i + 1].duration).overlap;
+  }
+  return Math.max(0, total);
+}
+
+/**
+ * 各クリップのタイムライン上の再生範囲を決める
+ * ループするクリップは次のクリップの開始位置（なければ全体の終わり）まで繰り返す
+ * @param {Array<Object>} clips - getMusicClipsの結果
+ * @param {number} programDuration - 全体の長さ（秒）
+ * @returns {Array<Object>} 再生するクリップ（lengthはタイムライン上の長さ）
+ */
+function placeMusicClips(clips, programDuration) {
+  return clips
+    .map((clip, i) => {
+      const next = clips[i + 1];
+      const end = clip.loop ? (next ? next.start : programDuration) : clip.start + clip.sourceLength;
+      return { ...clip, length: Math.min(end, programDuration) - clip.start };
+    })
+    .filter(clip => clip.length > 0);
+}
+
+/**
+ * BGM作成用のfilter_complexを構築（出力ラベルは[bed]）
+ * @param {Array<Object>} placements - placeMusicClipsの結果（-iの順番）
+ * @param {number} programDuration - 全体の長さ（秒）
+ * @returns {string} filter_complex
+ */
+function buildMusicBedFilterGraph(placements, programDuration) {
+  const filters = placements.map((clip, i) => {
+    const parts = [
+      `aformat=sample_rates=${MUSIC_BED_SAMPLE_RATE}:channel_layouts=stereo`,
+      `atrim=start=${clip.trimStart.toFixed(3)}:end=${(clip.trimStart + clip.sourceLength).toFixed(3)}`,
+      'asetpts=PTS-STARTPTS'
+    ];
+    if (clip.loop && clip.length > clip.sourceLength) {
+      parts.push(`aloop=loop=-1:size=${Math.round(clip.sourceLength * MUSIC_BED_SAMPLE_RATE)}`);
+    }
+    parts.push(`atrim=end=${clip.length.toFixed(3)}`, 'asetpts=PTS-STARTPTS');
+
+    const envelopeFilter = buildEnvelopeFilter(clip.envelope, clip.length);
+    if (envelopeFilter) {
+      parts.push(envelopeFilter);
+    }
+    if (clip.start > 0) {
+      parts.push(`adelay=delays=${Math.round(clip.start * 1000)}:all=1`);
+    }
+    return `[${i}:a:0]${parts.join(',')}[m${i}]`;
+  });
+
+  const labels = placements.map((_, i) => `[m${i}]`).join('');
+  const mix = placements.length > 1
+    ? `amix=inputs=${placements.length}:duration=longest:dropout_transition=0:normalize=0,`
+    : '';
+  filters.push(`${labels}${mix}apad=whole_dur=${programDuration.toFixed(3)},atrim=end=${programDuration.toFixed(3)}[bed]`);
+  return filters.join(';');
+}
+
+/**
+ * セリフとBGMをミックスするフィルタを構築
+ * ダッキングが有効な場合はセリフをサイドチェーンにしてBGMを圧縮する
+ * @param {string} dialogueLabel - セリフ（結合済み音声）のラベル
+ * @param {string} musicLabel - BGMのラベル
+ * @param {string} ducking - ダッキングの強さ
+ * @param {string} outLabel - 出力ラベル
+ * @returns {string} フィルタ文字列
+ */
+function buildDuckingFilter(dialogueLabel, musicLabel, ducking, outLabel) {
+  const mix = `amix=inputs=2:duration=first:dropout_transition=0:normalize=0${outLabel}`;
+  const preset = DUCKING_PRESETS[ducking];
+  if (!preset) {
+    return `${dialogueLabel}${musicLabel}${mix}`;
+  }
+
+  const { threshold, ratio, attack, release } = preset;
+  return [
+    `${dialogueLabel}asplit=2[dlgmix][dlgsc]`,
+    `${musicLabel}[dlgsc]sidechaincompress=threshold=${threshold}:ratio=${ratio}:attack=${attack}:release=${release}[ducked]`,
+    `[dlgmix][ducked]${mix}`
+  ].join(';');
+}
+
+module.exports = {
+  DUCKING_PRESETS,
+  DEFAULT_DUCKING,
+  getMusicClips,
+  getDucking,
+  estimateProgramDuration,
+  placeMusicClips,
+  buildMusicBedFilterGraph,
+  buildDuckingFilter
+};
@@ -0,0 +1,265 @@
+/**
+ * キーフレームを考慮したスマートカットのユーティリティ
+ * トリム位置の前後のGOP断片だけを再エンコードし、中間部分はストリームコピーする
+ */
+const fs = require('fs');
+const path = require('path');
+const { runFFprobeCommand } = require('../../services/ffmpeg/utils');
+
+// この長さ未満の断片は再エンコード対象にしない（秒）
+const MIN_PART_DURATION = 0.01;
+
+// コピー部分のシーク位置をキーフレームより少し後ろにずらす量（秒）
+// 時刻の丸め誤差で1つ前のキーフレームからコピーされるのを防ぐ（1フレームより十分短い）
+const COPY_SEEK_OFFSET = 0.001;
+
+// 再エンコード時に利用するソフトウェアエンコーダー（ソースのコーデック名 → エンコーダー）
+// profiles: ffprobeのプロファイル名 → エンコーダーのプロファイル名 / levelArgs: ffprobeのlevelからレベル指定の引数を作成
+const PART_ENCODERS = {
+  h264: {
+    args: ['-c:v', 'libx264', '-preset', 'fast', '-crf', '18'],
+    profiles: {
+      'Constrained Baseline': 'baseline',
+      'Baseline': 'baseline',
+      'Main': 'main',
+      'High': 'high',
+      'High 10': 'high10',
+      'High 4:2:2': 'high422',
+      'High 4:4:4 Predictive': 'high444'
+    },
+    // H.264のlevelは10倍の値（41 = 4.1）
+    levelArgs: level => ['-level:v', (level / 10).toFixed(1)]
+  },
+  hevc: {
+    args: ['-c:v', 'libx265', '-preset', 'fast', '-crf', '20', '-tag:v', 'hvc1'],
+    profiles: {
+      'Main': 'main',
+      'Main 10': 'main10',
+      'Main Still Picture': 'mainstillpicture'
+    },
+    // HEVCのlevelは30倍の値（123 = 4.1）
+    levelArgs: level => ['-x265-params', `level-idc=${(level / 30).toFixed(1)}`]
+  }
+};
+
+// ソースの色情報をエンコーダーに引き継ぐ引数（メディア情報の項目 → FFmpegのオプション）
+const COLOR_OPTIONS = {
+  colorRange: '-color_range',
+  colorSpace: '-colorspace',
+  colorTransfer: '-color_trc',
+  colorPrimaries: '-color_primaries'
+};
+
+// MP4/MOVのサンプルエントリーはパラメータセット（SPS/PPS）を1組しか持てないため、
+// 再エンコード部分とコピー部分でパラメータセットが異なっても再生できるよう、ストリーム内に持つタグを指定する
+const IN_BAND_TAGS = {
+  h264: 'avc3',
+  hevc: 'hev1'
+};
+const IN_BAND_TAG_EXTENSIONS = ['.mp4', '.m4v', '.mov'];
+
+/**
+ * 時刻をマイクロ秒単位に丸める（ffprobeの出力精度に合わせる）
+ * @param {number} time - 時刻（秒）
+ * @returns {number} 丸めた時刻
+ */
+function roundTime(time) {
+  return Math.round(time * 1e6) / 1e6;
+}
+
+/**
+ * 指定範囲付近のキーフレーム位置をffprobeのパケット情報から取得
+ * ffprobeのpts_timeは絶対時刻のため、ファイルの開始時刻を引いて-ssと同じ相対時刻にする
+ * @param {string} inputPath - 入力ファイルパス
+ * @param {number} start - 範囲の開始（秒、ファイルの開始時刻からの相対時間）
+ * @param {number} end - 範囲の終了（秒、ファイルの開始時刻からの相対時間）
+ * @param {number} startTime - ファイルの開始時刻（format.start_time）
+ * @returns {Promise<number[]>} キーフレームの時刻（秒、相対時間の昇順）
+ */
+async function probeKeyframes(inputPath, start, end, startTime = 0) {
+  let result;
+  try {
+    result = await runFFprobeCommand([
+      '-v', 'error',
+      '-select_streams', 'v:0',
+      '-read_intervals', `${Math.max(0, startTime + start)}%${startTime + end}`,
+      '-show_entries', 'packet=pts_time,flags',
+      '-of', 'csv=print_section=0',
+      inputPath
+    ]);
+  } catch (error) {
+    throw new Error(`キーフレームの取得に失敗しました: ${error.error || error.message || error}`);
+  }
+
+  return String(result.data)
+    .split('\n')
+    .map(line => line.trim().split(','))
+    .filter(([time, flags]) => time && flags && flags.includes('K'))
+    .map(([time]) => roundTime(parseFloat(time) - startTime))
+    .filter(time => isFinite(time))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * トリム範囲を再エンコード部分とコピー部分に分割する
+ * @param {number[]} keyframes - キーフレームの時刻（昇順）
+ * @param {number} start - トリム開始（秒）
+ * @param {number} end - トリム終了（秒）
+ * @returns {Array<{start: number, end: number, mode: 'encode'|'copy'}>} 分割された部分（全体が1GOP内の場合は再エンコード1つ）
+ */
+function planSmartCut(keyframes, start, end) {
+  const firstKey = keyframes.find(time => time >= start - MIN_PART_DURATION && time < end);
+  const lastKey = [...keyframes].reverse().find(time => time <= end && time > start);
+
+  // コピーできる区間がなければ全体を再エンコード
+  if (firstKey === undefined || lastKey === undefined || lastKey - firstKey < MIN_PART_DURATION) {
+    return [{ start, end, mode: 'encode' }];
+  }
+
+  const parts = [];
+  if (firstKey - start >= MIN_PART_DURATION) {
+    parts.push({ start, end: firstKey, mode: 'encode' });
+  }
+  parts.push({ start: Math.max(start, firstKey), end: lastKey, mode: 'copy' });
+  if (end - lastKey >= MIN_PART_DURATION) {
+    parts.push({ start: lastKey, end, mode: 'encode' });
+  }
+  return parts;
+}
+
+/**
+ * ソースと同じ形式（コーデック・プロファイル・レベル・ピクセルフォーマット・色情報・フレームレート）で
+ * 断片を再エンコードするための引数を取得
+ * @param {Object} mediaInfo - FFmpegServiceCore.getMediaInfo の結果
+ * @returns {string[]|null} エンコード引数（対応していないコーデックの場合はnull）
+ */
+function getPartEncoderArgs(mediaInfo) {
+  const video = mediaInfo?.streams?.video?.[0];
+  const encoder = video ? PART_ENCODERS[video.codec] : null;
+  if (!encoder) {
+    return null;
+  }
+
+  const args = [...encoder.args];
+  if (encoder.profiles[video.profile]) {
+    args.push('-profile:v', encoder.profiles[video.profile]);
+  }
+  if (video.level) {
+    args.push(...encoder.levelArgs(video.level));
+  }
+  if (video.pixFmt) {
+    args.push('-pix_fmt', video.pixFmt);
+  }
+  Object.entries(COLOR_OPTIONS).forEach(([key, option]) => {
+    if (video[key] && video[key] !== 'unknown') {
+      args.push(option, video[key]);
+    }
+  });
+  if (video.frameRateRaw) {
+    args.push('-r', video.frameRateRaw);
+  }
+  return args;
+}
+
+/**
+ * 映像の各部分を作成する引数（MPEG-TSにしてパラメータセットを各部分に保持させる）
+ * @private
+ */
+function buildPartArgs(inputPath, part, encoderArgs, partPath) {
+  const seek = part.mode === 'copy' ? part.start + COPY_SEEK_OFFSET : part.start;
+  return [
+    '-y',
+    '-ss', seek.toFixed(6),
+    '-i', inputPath,
+    '-t', (part.end - part.start).toFixed(6),
+    '-map', '0:v:0',
+    '-an',
+    ...(part.mode === 'copy' ? ['-c:v', 'copy'] : encoderArgs),
+    '-avoid_negative_ts', 'make_zero',
+    '-f', 'mpegts',
+    partPath
+  ];
+}
+
+/**
+ * スマートカットを実行
+ * 映像の各部分をconcat demuxerでつなぎ（各部分のタイムスタンプを前の部分の終わりに合わせて振り直す）、
+ * 音声はトリム範囲全体から切り出して再エンコードすることで同期を保つ
+ * @param {Object} options - オプション
+ * @param {string} options.inputPath - 入力ファイルパス
+ * @param {string} options.outputPath - 出力ファイルパス
+ * @param {number} options.start - 開始時間（秒）
+ * @param {number} options.end - 終了時間（秒）
+ * @param {Object} options.mediaInfo - ソースのメディア情報
+ * @param {Array<{start: number, end: number, mode: string}>} options.parts - planSmartCut の結果
+ * @param {Function} options.run - FFmpegの実行関数（ExportStep.runFFmpeg）
+ * @param {Function} options.onProgress - 進捗コールバック（0〜1）
+ * @returns {Promise<void>}
+ */
+async function executeSmartCut({ inputPath, outputPath, start, end, mediaInfo, parts, run, onProgress }) {
+  const encoderArgs = getPartEncoderArgs(mediaInfo);
+  const totalDuration = end - start;
+  const baseName = path.join(path.dirname(outputPath), path.basename(outputPath, path.extname(outputPath)));
+  const listPath = `${baseName}_parts.txt`;
+  const partPaths = [];
+  let doneDuration = 0;
+
+  try {
+    for (let i = 0; i < parts.length; i++) {
+      const part = parts[i];
+      const partPath = `${baseName}_part${i}.ts`;
+      const partDuration = part.end - part.start;
+
+      partPaths.push(partPath);
+      await run(buildPartArgs(inputPath, part, encoderArgs, partPath), {
+        duration: partDuration,
+        label: `スマートカット（${part.mode === 'copy' ? 'コピー' : '再エンコード'}）`,
+        onProgress: progress => onProgress(((doneDuration + progress * partDuration) / totalDuration) * 0.9)
+      });
+      doneDuration += partDuration;
+    }
+
+    fs.writeFileSync(listPath, partPaths.map(partPath => `file '${partPath.replace(/'/g, "'\\''")}'`).join('\n'), 'utf8');
+
+    const videoCodec = mediaInfo.streams.video[0].codec;
+    const inBandTag = IN_BAND_TAG_EXTENSIONS.includes(path.extname(outputPath).toLowerCase()) ? IN_BAND_TAGS[videoCodec] : null;
+    const muxArgs = [
+      '-y',
+      '-f', 'concat',
+      '-safe', '0',
+      '-i', listPath,
+      '-ss', start.toString(),
+      '-i', inputPath,
+      '-t', totalDuration.toString(),
+      '-map', '0:v:0',
+      '-map', '1:a:0?',
+      '-c:v', 'copy',
+      ...(inBandTag ? ['-tag:v', inBandTag] : []),
+      '-c:a', 'aac',
+      '-b:a', '192k',
+      '-map_metadata', '1',
+      '-shortest',
+      outputPath
+    ];
+
+    await run(muxArgs, {
+      duration: totalDuration,
+      label: 'スマートカット結合',
+      onProgress: progress => onProgress(0.9 + progress * 0.1)
+    });
+    onProgress(1);
+  } finally {
+    [...partPaths, listPath].forEach(filePath => {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    });
+  }
+}
+
+module.exports = {
+  probeKeyframes,
+  planSmartCut,
+  getPartEncoderArgs,
+  executeSmartCut
+};
@@ -0,0 +1,111 @@
+/**
+ * ストリームコピー（無劣化結合）の可否判定ユーティリティ
+ * 全入力のストリーム構成が一致し、書き出し設定とも矛盾しない場合のみ
+ * concat demuxer による再エンコードなしの結合を許可する
+ */
+const { getCanvasSize } = require('./video-conform');
+const { getCodecProfile, resolveAudioCodec, getAudioCodecName } = require('./codec-profiles');
+
+/**
+ * ストリームの比較用シグネチャを作成
+ * @param {Object} mediaInfo - FFmpegServiceCore.getMediaInfo の結果
+ * @returns {Object|null} シグネチャ（映像・音声ストリームがない場合はnull）
+ */
+function getStreamSignature(mediaInfo) {
+  const video = mediaInfo?.streams?.video?.[0];
+  const audio = mediaInfo?.streams?.audio?.[0];
+  if (!video || !audio) {
+    return null;
+  }
+
+  return {
+    videoCodec: video.codec,
+    profile: video.profile,
+    width: video.width,
+    height: video.height,
+    pixFmt: video.pixFmt,
+    frameRate: video.frameRateRaw,
+    timeBase: video.timeBase,
+    sampleAspectRatio: video.sampleAspectRatio,
+    audioCodec: audio.codec,
+    sampleRate: audio.sampleRate,
+    channels: audio.channels,
+    videoStreams: mediaInfo.streams.video.length,
+    audioStreams: mediaInfo.streams.audio.length
+  };
+}
+
+/**
+ * 書き出し設定とソースのストリームが一致するか確認
+ * @param {Object} signature - ストリームシグネチャ
+ * @param {Object} settings - 書き出し設定
+ * @returns {string|null} 一致しない理由（一致する場合はnull）
+ * @private
+ */
+function checkSettingsMatch(signature, settings) {
+  // ffprobeのcodec_nameはプロファイルごとに定義（ProResのプロファイル違いなどは区別しない）
+  const expectedCodec = getCodecProfile(settings.codec).codecName;
+  if (signature.videoCodec !== expectedCodec) {
+    return `コーデックが設定と異なります (${signature.videoCodec} ≠ ${expectedCodec})`;
+  }
+  const expectedAudioCodec = getAudioCodecName(resolveAudioCodec(settings.codec, settings.audioCodec));
+  if (signature.audioCodec !== expectedAudioCodec) {
+    return `音声コーデックが設定と異なります (${signature.audioCodec} ≠ ${expectedAudioCodec})`;
+  }
+
+  // 結合時にキャンバスへ揃える必要がある場合はストリームコピーできない
+  const canvas = getCanvasSize(settings);
+  if (signature.width !== canvas.width || signature.height !== canvas.height) {
+    return `解像度が設定と異なります (${signature.width}x${signature.height} ≠ ${canvas.width}x${canvas.height})`;
+  }
+  if (signature.sampleAspectRatio && signature.sampleAspectRatio !== '1:1' && signature.sampleAspectRatio !== '0:1') {
+    return `ピクセルアスペクト比が正方形ではありません (SAR ${signature.sampleAspectRatio})`;
+  }
+
+  if (settings.fps && settings.fps !== 'original') {
+    const [num, den] = String(signature.frameRate).split('/').map(Number);
+    const sourceFps = den ? num / den : num;
+    if (!(Math.abs(sourceFps - parseFloat(settings.fps)) < 0.1)) {
+      return `フレームレートが設定と異なります (${signature.frameRate} ≠ ${settings.fps})`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * ストリームコピーで結合できるかを判定
+ * @param {Array<Object>} mediaInfos - 各入力のメディア情報
+ * @param {Object} settings - 書き出し設定
+ * @returns {{compatible: boolean, reason: string}} 判定結果と理由
+ */
+function checkStreamCopyCompatibility(mediaInfos, settings = {}) {
+  if (!mediaInfos.length || mediaInfos.some(info => !info)) {
+    return { compatible: false, reason: 'メディア情報を取得できない入力があります' };
+  }
+
+  const signatures = mediaInfos.map(getStreamSignature);
+  if (signatures.some(signature => !signature)) {
+    return { compatible: false, reason: '映像または音声ストリームがない入力があります' };
+  }
+
+  const [first, ...rest] = signatures;
+  for (let i = 0; i < rest.length; i++) {
+    const mismatch = Object.keys(first).find(key => first[key] !== rest[i][key]);
+    if (mismatch) {
+      return { compatible: false, reason: `入力${i + 2}の${mismatch}が異なります (${first[mismatch]} ≠ ${rest[i][mismatch]})` };
+    }
+  }
+
+  const settingsMismatch = checkSettingsMatch(first, settings);
+  if (settingsMismatch) {
+    return { compatible: false, reason: settingsMismatch };
+  }
+
+  return { compatible: true, reason: '全ての入力のストリーム構成が一致しています' };
+}
+
+module.exports = {
+  getStreamSignature,
+  checkStreamCopyCompatibility
+};
@@ -0,0 +1,199 @@
+/**
+ * 結合前の映像フォーマット統一ユーティリティ
+ * 解像度・アスペクト比・フレームレートの異なる入力を、書き出し設定のキャンバス（縦長・正方形を含む）に
+ * クリップごとのリフレーム設定に従って揃えてからconcatする
+ */
+
+// 書き出し設定の解像度とキャンバスサイズの対応
+const RESOLUTION_DIMENSIONS = {
+  '720p': { width: 1280, height: 720 },
+  '1080p': { width: 1920, height: 1080 },
+  '2k': { width: 2560, height: 1440 },
+  '4k': { width: 3840, height: 2160 }
+};
+
+const DEFAULT_RESOLUTION = '1080p';
+
+// キャンバスの縦横比（SNS向けの縦長・正方形を含む）、解像度の高さを短辺の長さとして使う
+const CANVAS_ASPECTS = {
+  '16:9': { width: 16, height: 9 },
+  '9:16': { width: 9, height: 16 },
+  '1:1': { width: 1, height: 1 },
+  '4:5': { width: 4, height: 5 }
+};
+
+const DEFAULT_CANVAS_ASPECT = '16:9';
+
+// クリップごとのリフレーム（書き出し設定の収め方より優先）
+// crop: 中央を切り取り / blur: ぼかした背景の上に全体を配置 / manual: 指定した範囲を切り取り
+const REFRAME_MODES = ['crop', 'blur', 'manual'];
+
+// ぼかし背景のぼかしの強さ（boxblurの半径と回数）
+const BLUR_RADIUS = 20;
+const BLUR_POWER = 2;
+
+// キャンバスとアスペクト比が異なる入力の収め方
+// letterbox: キャンバスに合わせて拡大縮小し、余白を黒帯で埋める
+// fill: キャンバス全体を覆うように拡大縮小し、はみ出した部分を中央基準で切り取る
+// fit: 拡大はせず元のサイズのまま中央に配置する（キャンバスより大きい場合のみ縮小）
+const FIT_MODES = ['letterbox', 'fill', 'fit'];
+
+const DEFAULT_FIT_MODE = 'letterbox';
+
+// 書き出し設定でフレームレートが指定されていない場合のフレームレート
+const DEFAULT_FPS = '30';
+
+// エンコーダーのピクセルフォーマットが指定されていない場合のピクセルフォーマット（H.264/H.265向け）
+const DEFAULT_PIX_FMT = 'yuv420p';
+
+/**
+ * 書き出し設定からキャンバスサイズを取得
+ * 解像度の高さを短辺の長さとし、縦横比から長辺の長さを求める（16:9の場合は解像度のまま）
+ * @param {Object} settings - 書き出し設定
+ * @returns {{width: number, height: number}} キャンバスサイズ
+ */
+function getCanvasSize(settings = {}) {
+  const base = RESOLUTION_DIMENSIONS[settings.resolution] || RESOLUTION_DIMENSIONS[DEFAULT_RESOLUTION];
+  const aspect = CANVAS_ASPECTS[settings.aspectRatio] || CANVAS_ASPECTS[DEFAULT_CANVAS_ASPECT];
+  if (aspect === CANVAS_ASPECTS[DEFAULT_CANVAS_ASPECT]) {
+    return base;
+  }
+
+  const shortSide = base.height;
+  const toEven = (value) => Math.round(value / 2) * 2;
+  return aspect.width > aspect.height
+    ? { width: toEven(shortSide * aspect.width / aspect.height), height: shortSide }
+    : { width: shortSide, height: toEven(shortSide * aspect.height / aspect.width) };
+}
+
+/**
+ * 書き出し設定から収め方を取得
+ * @param {Object} settings - 書き出し設定
+ * @returns {string} 収め方
+ */
+function getFitMode(settings = {}) {
+  return FIT_MODES.includes(settings.fitMode) ? settings.fitMode : DEFAULT_FIT_MODE;
+}
+
+/**
+ * 書き出し設定からフレームレートを取得
+ * @param {Object} settings - 書き出し設定
+ * @returns {string} フレームレート
+ */
+function getFrameRate(settings = {}) {
+  return settings.fps && settings.fps !== 'original' ? String(settings.fps) : DEFAULT_FPS;
+}
+
+/**
+ * クリップのリフレーム設定を正規化
+ * @param {Object|null} reframe - { mode, rect } 形式の設定（rectは元映像に対する0〜1の比率）
+ * @returns {{mode: string, rect: Object|null}|null} 正規化された設定（無効な場合はnull）
+ */
+function normalizeReframe(reframe) {
+  if (!reframe || typeof reframe !== 'object' || !REFRAME_MODES.includes(reframe.mode)) {
+    return null;
+  }
+  if (reframe.mode !== 'manual') {
+    return { mode: reframe.mode, rect: null };
+  }
+
+  const rect = reframe.rect || {};
+  const clamp = (value, min, max) => Math.min(max, Math.max(min, parseFloat(value)));
+  const x = clamp(rect.x, 0, 1);
+  const y = clamp(rect.y, 0, 1);
+  const w = clamp(rect.width, 0, 1 - x);
+  const h = clamp(rect.height, 0, 1 - y);
+  if (![x, y, w, h].every(isFinite) || w <= 0 || h <= 0) {
+    return null;
+  }
+  return { mode: 'manual', rect: { x, y, width: w, height: h } };
+}
+
+/**
+ * 入力の映像をキャンバスに揃えるフィルタを作成
+ * 非正方ピクセル（SAR≠1）の入力は先に正方ピクセルに展開してからキャンバスに収める
+ * ピクセルフォーマットは書き出しコーデックに合わせる（ProRes・DNxHRを4:2:0 8bitに落とさない）
+ * @param {string} inLabel - 入力ラベル
+ * @param {string} outLabel - 出力ラベル
+ * @param {{canvas: Object, fitMode: string, fps: string, pixFmt: string}} options - 揃える映像フォーマット
+ * @param {Object|null} reframe - 正規化済みのクリップのリフレーム設定（収め方より優先）
+ * @param {string|number} tag - 中間ラベルを一意にするための識別子
+ * @returns {string} フィルタ文字列
+ */
+function buildVideoConformFilter(inLabel, outLabel, options, reframe = null, tag = '') {
+  const { width, height } = options.canvas;
+  const mode = reframe ? reframe.mode : options.fitMode;
+  const output = ['setsar=1', `fps=${options.fps}`, `format=${options.pixFmt || DEFAULT_PIX_FMT}`].join(',');
+  const squarePixels = 'scale=trunc(iw*sar/2)*2:ih,setsar=1';
+  const cover = `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`;
+  const contain = `scale=${width}:${height}:force_original_aspect_ratio=decrease:force_divisible_by=2`;
+
+  // ぼかした背景（全体を覆うように拡大）の上に全体を収めた映像を重ねる
+  // overlayは既定でyuv420に変換するため、入力のフォーマットのまま重ねる
+  if (mode === 'blur') {
+    const bg = `[rb${tag}]`;
+    const fg = `[rf${tag}]`;
+    return [
+      `${inLabel}${squarePixels},split=2${bg}${fg}`,
+      `${bg}${cover},boxblur=${BLUR_RADIUS}:${BLUR_POWER}[rbb${tag}]`,
+      `${fg}${contain}[rfs${tag}]`,
+      `[rbb${tag}][rfs${tag}]overlay=(W-w)/2:(H-h)/2:format=auto,${output}${outLabel}`
+    ].join(';');
+  }
+
+  const parts = [squarePixels];
+  if (mode === 'manual') {
+    const { x, y, width: w, height: h } = reframe.rect;
+    parts.push(`crop=trunc(iw*${w.toFixed(4)}/2)*2:trunc(ih*${h.toFixed(4)}/2)*2:iw*${x.toFixed(4)}:ih*${y.toFixed(4)}`, cover);
+  } else if (mode === 'crop' || mode === 'fill') {
+    parts.push(cover);
+  } else {
+    const scaleSize = mode === 'fit' ? `'min(${width},iw)':'min(${height},ih)'` : `${width}:${height}`;
+    parts.push(
+      `scale=${scaleSize}:force_original_aspect_ratio=decrease:force_divisible_by=2`,
+      `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black`
+    );
+  }
+
+  return `${inLabel}${parts.join(',')},${output}${outLabel}`;
+}
+
+/**
+ * 入力の映像がキャンバスと異なる点を取得（ログ出力用）
+ * @param {Object|null} mediaInfo - FFmpegServiceCore.getMediaInfo の結果
+ * @param {{width: number, height: number}} canvas - キャンバスサイズ
+ * @param {string} fps - フレームレート
+ * @param {Object|null} reframe - 正規化済みのクリップのリフレーム設定
+ * @returns {string[]} 異なる点の説明
+ */
+function describeVideoConform(mediaInfo, canvas, fps, reframe = null) {
+  const differences = reframe ? [`リフレーム ${reframe.mode}`] : [];
+  const video = mediaInfo?.streams?.video?.[0];
+  if (!video) {
+    return differences;
+  }
+
+  if (video.width !== canvas.width || video.height !== canvas.height) {
+    differences.push(`解像度 ${video.width}x${video.height} → ${canvas.width}x${canvas.height}`);
+  }
+  if (video.sampleAspectRatio && video.sampleAspectRatio !== '1:1' && video.sampleAspectRatio !== '0:1') {
+    differences.push(`SAR ${video.sampleAspectRatio} → 1:1`);
+  }
+  if (video.frameRate && Math.abs(video.frameRate - parseFloat(fps)) >= 0.01) {
+    differences.push(`フレームレート ${video.frameRate.toFixed(2)} → ${fps}`);
+  }
+  return differences;
+}
+
+module.exports = {
+  FIT_MODES,
+  DEFAULT_FIT_MODE,
+  CANVAS_ASPECTS,
+  REFRAME_MODES,
+  getCanvasSize,
+  getFitMode,
+  getFrameRate,
+  normalizeReframe,
+  buildVideoConformFilter,
+  describeVideoConform
+};
@@ -1,11 +1,16 @@
 /**
  * ラウドネス測定タスク
  * オーディオファイルのラウドネスを測定します
+ * 通常はebur128で全区間を測定し、mode: 'quick' の場合のみ短い区間のサンプリングで概算します
  */
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const BaseTask = require('../core/base-task');
+const { runEbur128 } = require('../services/ffmpeg/ebur128');
+
+// 時系列（モーメンタリー/ショートターム）を記録する間隔（秒）
+const SERIES_INTERVAL = 0.5;
 
 class LoudnessTask extends BaseTask {
   constructor(params) {
@@ -13,6 +18,9 @@ class LoudnessTask extends BaseTask {
     this.type = 'loudness';
     this.cancellable = true;
     
+    // 測定モード（full: 全区間測定、quick: サンプリングによる概算）
+    this.mode = params.mode === 'quick' ? 'quick' : 'full';
+    
     // FFmpeg処理用の変数
     this.ffmpegProcess = null;
     
@@ -159,6 +167,94 @@ class LoudnessTask extends BaseTask {
     });
   }
 
+  /**
+   * ebur128で全区間のラウドネスを1パスで測定する
+   * @param {string} inputPath - 入力ファイルのパス
+   * @returns {Promise<Object>} - 統合ラウドネス・LRA・トゥルーピークと時系列
+   */
+  async measureFullProgram(inputPath) {
+    const { summary, momentary, shortTerm, truePeak, duration } = await runEbur128(inputPath, {
+      seriesInterval: SERIES_INTERVAL,
+      runFFmpeg: (args, options) => this.runFFmpeg(args, options),
+      onProgress: (ratio) => {
+        this.updateProgress(5 + Math.floor(ratio * 90), {
+          phase: 'measuring',
+          message: '全区間のラウドネスを測定中'
+        });
+      }
+    });
+    
+    return {
+      integrated_loudness: summary.integrated,
+      true_peak: summary.truePeak,
+      lra: summary.lra,
+      threshold: summary.threshold,
+      lra_low: summary.lraLow,
+      lra_high: summary.lraHigh,
+      momentary,
+      short_term: shortTerm,
+      true_peak_series: truePeak,
+      series_interval: SERIES_INTERVAL,
+      duration
+    };
+  }
+  
+  /**
+   * 短い区間のサンプリングでラウドネスを概算する（quickモード）
+   * ゲーティングを行わないため、全区間測定より精度は低い
+   * @param {string} inputPath - 入力ファイルのパス
+   * @param {string} ffmpegPath - FFmpegのパス
+   * @returns {Promise<Object>} - 概算したラウドネス
+   */
+  async estimateBySampling(inputPath, ffmpegPath) {
+    // 動画の長さを取得
+    this.updateProgress(5, { phase: 'duration_check' });
+    const duration = await this.getVideoDuration(inputPath, ffmpegPath);
+    
+    // サンプルポイントを生成
+    const samplePoints = this.generateSamplePoints(duration);
+    const totalSamples = samplePoints.length;
+    
+    this.updateProgress(10, { 
+      phase: 'sampling',
+      message: `${totalSamples}個のサンプルで概算します`
+    });
+    
+    // 各サンプルのラウドネスを測定
+    const sampleResults = [];
+    let currentSample = 0;
+    
+    for (const sample of samplePoints) {
+      currentSample++;
+      this.updateProgress(
+        10 + Math.floor((currentSample / totalSamples) * 80),
+        { 
+          phase: 'measuring',
+          message: `サンプル ${currentSample}/${totalSamples} を測定中`
+        }
+      );
+      
+      const result = await this.measureSampleLoudness(
+        inputPath, 
+        ffmpegPath, 
+        sample.start, 
+        sample.duration
+      );
+      
+      sampleResults.push(result);
+    }
+    
+    return {
+      integrated_loudness: this.calculateEnergyAverage(sampleResults.map(r => parseFloat(r.input_i))),
+      true_peak: this.calculateMaxValue(sampleResults.map(r => parseFloat(r.input_tp))),
+      lra: this.calculateAverage(sampleResults.map(r => parseFloat(r.input_lra))),
+      threshold: this.calculateAverage(sampleResults.map(r => parseFloat(r.input_thresh))),
+      samples: sampleResults,
+      sample_count: totalSamples,
+      duration
+    };
+  }
+
   /**
    * ラウドネス測定の実行
    */
@@ -192,79 +288,46 @@ class LoudnessTask extends BaseTask {
       
       const outputPath = path.join(tmpDir, `loudness_${this.id}.json`);
       
-      // 動画の長さを取得
-      this.updateProgress(5, { phase: 'duration_check' });
-      const duration = await this.getVideoDuration(inputPath, ffmpegPath);
-      
-      // サンプルポイントを生成
-      const samplePoints = this.generateSamplePoints(duration);
-      const totalSamples = samplePoints.length;
-      
-      this.updateProgress(10, { 
-        phase: 'sampling',
-        message: `${totalSamples}個のサンプルで測定します`
-      });
-      
-      // 各サンプルのラウドネスを測定
-      const sampleResults = [];
-      let currentSample = 0;
-      
-      for (const sample of samplePoints) {
-        currentSample++;
-        this.updateProgress(
-          10 + Math.floor((currentSample / totalSamples) * 80),
-          { 
-            phase: 'measuring',
-            message: `サンプル ${currentSample}/${totalSamples} を測定中`
-          }
-        );
-        
-        const result = await this.measureSampleLoudness(
-          inputPath, 
-          ffmpegPath, 
-          sample.start, 
-          sample.duration
-        );
-        
-        sampleResults.push(result);
-      }
-      
-      this.updateProgress(90, { phase: 'calculating' });
+      // 全区間測定、または指定された場合のみサンプリングで概算
+      const measured = this.mode === 'quick'
+        ? await this.estimateBySampling(inputPath, ffmpegPath)
+        : await this.measureFullProgram(inputPath);
       
-      // 平均値を計算
-      const averageLoudness = {
-        integrated_loudness: this.calculateAverage(sampleResults.map(r => parseFloat(r.input_i))),
-        true_peak: this.calculateMaxValue(sampleResults.map(r => parseFloat(r.input_tp))),
-        lra: this.calculateAverage(sampleResults.map(r => parseFloat(r.input_lra))),
-        threshold: this.calculateAverage(sampleResults.map(r => parseFloat(r.input_thresh)))
-      };
+      this.updateProgress(95, { phase: 'calculating' });
       
       // 結果をJSON形式で保存
       const resultData = {
-        ...averageLoudness,
-        samples: sampleResults,
-        sample_count: totalSamples,
-        duration: duration
+        ...measured,
+        mode: this.mode
       };
       
       fs.writeFileSync(outputPath, JSON.stringify(resultData), 'utf8');
       
       this.updateProgress(100, { phase: 'complete' });
       
-      // フォーマットされた結果
+      // フォーマットされた結果（時系列は全区間測定の場合のみ）
       const result = {
-        integrated_loudness: averageLoudness.integrated_loudness,
-        true_peak: averageLoudness.true_peak,
-        lra: averageLoudness.lra,
-        threshold: averageLoudness.threshold,
-        raw: resultData,
+        mode: this.mode,
+        estimated: this.mode === 'quick',
+        integrated_loudness: measured.integrated_loudness,
+        true_peak: measured.true_peak,
+        lra: measured.lra,
+        threshold: measured.threshold,
+        lra_low: measured.lra_low ?? null,
+        lra_high: measured.lra_high ?? null,
+        momentary: measured.momentary || null,
+        short_term: measured.short_term || null,
+        true_peak_series: measured.true_peak_series || null,
+        series_interval: measured.series_interval || null,
+        duration: measured.duration,
+        raw: this.mode === 'quick' ? resultData : null,
         filePath: outputPath
       };
       
       // デバッグログを追加
       console.log(`===== ラウドネス測定タスク完了 [${this.id}] =====`);
       console.log(`メディアパス: ${typeof this.mediaPath === 'object' ? JSON.stringify(this.mediaPath) : this.mediaPath}`);
-      console.log(`サンプル数: ${totalSamples}, 動画長: ${duration}秒`);
+      console.log(`測定モード: ${this.mode === 'quick' ? 'サンプリング概算' : '全区間'}, 動画長: ${measured.duration}秒`);
       console.log(`結果: ${JSON.stringify({
         lufs: result.integrated_loudness,
         truePeak: result.true_peak
@@ -289,6 +352,18 @@ class LoudnessTask extends BaseTask {
     return sum / values.length;
   }
   
+  /**
+   * ラウドネス値（LUFS）をエネルギー平均する
+   * @param {Array<number>} values - ラウドネス値の配列
+   * @returns {number} - 平均ラウドネス
+   */
+  calculateEnergyAverage(values) {
+    const finite = values.filter(value => isFinite(value));
+    if (!finite.length) return 0;
+    const energy = finite.reduce((sum, value) => sum + Math.pow(10, value / 10), 0) / finite.length;
+    return 10 * Math.log10(energy);
+  }
+  
   /**
    * 最大値を計算
    * @param {Array<number>} values - 数値の配列
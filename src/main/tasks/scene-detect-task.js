@@ -0,0 +1,153 @@
+/**
+ * シーン検出タスク
+ * sceneスコアで映像の切り替わりを検出し、シーンごとのサムネイルを生成します
+ */
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const BaseTask = require('../core/base-task');
+const { parseTimeString, getWorkFileKey, removeWorkFiles } = require('../services/ffmpeg/utils');
+
+// デフォルトのシーン切り替え判定閾値（0〜1、大きいほど検出が少ない）
+const DEFAULT_THRESHOLD = 0.4;
+
+// サムネイルの幅（px）
+const THUMBNAIL_WIDTH = 320;
+
+// 再検出されずに残ったサムネイルを削除するまでの日数
+const THUMBNAIL_MAX_AGE_DAYS = 7;
+
+class SceneDetectTask extends BaseTask {
+  constructor(params) {
+    super(params);
+    this.type = 'scenedetect';
+    this.cancellable = true;
+
+    const threshold = parseFloat(params.threshold);
+    this.threshold = isFinite(threshold) && threshold > 0 && threshold < 1 ? threshold : DEFAULT_THRESHOLD;
+  }
+
+  /**
+   * シーン検出の実行
+   */
+  async execute() {
+    if (!this.mediaPath) {
+      return this.fail('メディアパスが指定されていません');
+    }
+
+    try {
+      // mediaPathがオブジェクトの場合、pathプロパティを使用
+      const inputPath = typeof this.mediaPath === 'object' && this.mediaPath.path
+        ? this.mediaPath.path
+        : this.mediaPath;
+
+      // 入力ファイルの存在確認
+      if (!fs.existsSync(inputPath)) {
+        return this.fail(`入力ファイルが存在しません: ${inputPath}`);
+      }
+
+      // サムネイルの出力先（ファイル名の先頭に入力ファイルごとのキーを付ける）
+      const outputDir = path.join(os.homedir(), 'Super Watarec', 'scenes');
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+      }
+      const mediaKey = getWorkFileKey(inputPath);
+      const outputPattern = path.join(outputDir, `scene_${mediaKey}_${this.id}_%04d.jpg`);
+
+      this.removeOldThumbnails(outputDir, mediaKey);
+
+      console.log(`シーン検出タスク実行: ID=${this.id}, ファイル=${inputPath}, 閾値=${this.threshold}`);
+      this.updateProgress(0, { phase: 'detecting' });
+
+      const { times, duration } = await this.detectScenes(inputPath, outputPattern);
+
+      // 検出位置からシーン一覧を作成（先頭フレームは常に最初のシーン）
+      // サムネイルは抽出順の連番で書き出されるため、時刻とはインデックスで対応させる
+      const scenes = times.map((start, i) => {
+        const thumbnail = outputPattern.replace('%04d', String(i + 1).padStart(4, '0'));
+        return {
+          index: i,
+          start,
+          end: i < times.length - 1 ? times[i + 1] : duration,
+          thumbnail: fs.existsSync(thumbnail) ? thumbnail : null
+        };
+      });
+
+      const result = {
+        scenes,
+        cuts: scenes.slice(1).map(scene => scene.start),
+        threshold: this.threshold,
+        duration
+      };
+
+      console.log(`シーン検出タスク完了: ID=${this.id}, シーン数=${scenes.length}`);
+
+      this.updateProgress(100, { phase: 'complete' });
+      this.complete(result);
+      return result;
+    } catch (error) {
+      return this.fail(error);
+    }
+  }
+
+  /**
+   * 同じファイルの以前の検出結果と、一定期間経過したサムネイルを削除する
+   * @param {string} outputDir - サムネイルの出力先
+   * @param {string} mediaKey - 入力ファイルごとのキー
+   */
+  removeOldThumbnails(outputDir, mediaKey) {
+    const expireTime = Date.now() - THUMBNAIL_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    const count = removeWorkFiles(outputDir, (fileName, stat) =>
+      fileName.startsWith('scene_') &&
+      (fileName.startsWith(`scene_${mediaKey}_`) || stat.mtimeMs < expireTime));
+
+    if (count > 0) {
+      console.log(`古いシーンサムネイルを${count}件削除しました`);
+    }
+  }
+
+  /**
+   * sceneスコアで切り替わりフレームを抽出し、その時刻を取得する
+   * @param {string} inputPath - 入力ファイルのパス
+   * @param {string} outputPattern - サムネイルの出力パターン
+   * @returns {Promise<{times: number[], duration: number}>} 抽出したフレームの時刻（秒）と動画の長さ
+   */
+  async detectScenes(inputPath, outputPattern) {
+    const args = [
+      '-hide_banner',
+      '-i', inputPath,
+      '-an',
+      '-vf', `scale=${THUMBNAIL_WIDTH}:-2,select=eq(n\\,0)+gt(scene\\,${this.threshold}),showinfo`,
+      '-vsync', 'vfr',
+      '-q:v', '4',
+      '-y',
+      outputPattern
+    ];
+
+    const times = [];
+    let duration = 0;
+
+    await this.runFFmpeg(args, {
+      label: 'シーン検出',
+      onProgress: (ratio) => {
+        this.updateProgress(Math.min(99, Math.floor(ratio * 100)), { phase: 'detecting' });
+      },
+      onLine: (line) => {
+        const durationMatch = line.match(/Duration: (\d+:\d+:\d+\.\d+)/);
+        if (durationMatch && !duration) {
+          duration = parseTimeString(durationMatch[1]);
+        }
+
+        // showinfoの出力から抽出フレームの時刻を取得
+        const ptsMatch = line.includes('Parsed_showinfo') && line.match(/pts_time:\s*([\d.]+)/);
+        if (ptsMatch) {
+          times.push(parseFloat(ptsMatch[1]));
+        }
+      }
+    });
+
+    return { times, duration };
+  }
+}
+
+module.exports = SceneDetectTask;
@@ -0,0 +1,121 @@
+/**
+ * 無音検出タスク
+ * silencedetectフィルタで無音区間を検出します
+ */
+const fs = require('fs');
+const BaseTask = require('../core/base-task');
+const { parseTimeString } = require('../services/ffmpeg/utils');
+
+// デフォルトの検出設定
+const DEFAULT_THRESHOLD = -35; // dB
+const DEFAULT_MIN_DURATION = 0.5; // 秒
+
+class SilenceTask extends BaseTask {
+  constructor(params) {
+    super(params);
+    this.type = 'silence';
+    this.cancellable = true;
+
+    // 検出設定
+    const threshold = parseFloat(params.threshold);
+    const minDuration = parseFloat(params.minDuration);
+    this.threshold = isFinite(threshold) && threshold < 0 ? threshold : DEFAULT_THRESHOLD;
+    this.minDuration = isFinite(minDuration) && minDuration > 0 ? minDuration : DEFAULT_MIN_DURATION;
+  }
+
+  /**
+   * 無音検出の実行
+   */
+  async execute() {
+    if (!this.mediaPath) {
+      return this.fail('メディアパスが指定されていません');
+    }
+
+    try {
+      // mediaPathがオブジェクトの場合、pathプロパティを使用
+      const inputPath = typeof this.mediaPath === 'object' && this.mediaPath.path
+        ? this.mediaPath.path
+        : this.mediaPath;
+
+      // 入力ファイルの存在確認
+      if (!fs.existsSync(inputPath)) {
+        return this.fail(`入力ファイルが存在しません: ${inputPath}`);
+      }
+
+      console.log(`無音検出タスク実行: ID=${this.id}, ファイル=${inputPath}, 閾値=${this.threshold}dB, 最小長=${this.minDuration}秒`);
+      this.updateProgress(0, { phase: 'detecting' });
+
+      const { silences, duration } = await this.detectSilence(inputPath);
+
+      const result = {
+        silences,
+        threshold: this.threshold,
+        minDuration: this.minDuration,
+        duration,
+        totalSilence: silences.reduce((total, range) => total + range.duration, 0)
+      };
+
+      console.log(`無音検出タスク完了: ID=${this.id}, 無音区間=${silences.length}件, 合計=${result.totalSilence.toFixed(2)}秒`);
+
+      this.updateProgress(100, { phase: 'complete' });
+      this.complete(result);
+      return result;
+    } catch (error) {
+      return this.fail(error);
+    }
+  }
+
+  /**
+   * silencedetectを実行して無音区間を取得する
+   * @param {string} inputPath - 入力ファイルのパス
+   * @returns {Promise<{silences: Array<{start: number, end: number, duration: number}>, duration: number}>}
+   */
+  async detectSilence(inputPath) {
+    const args = [
+      '-hide_banner',
+      '-i', inputPath,
+      '-vn',
+      '-af', `silencedetect=noise=${this.threshold}dB:d=${this.minDuration}`,
+      '-f', 'null',
+      '-'
+    ];
+
+    const silences = [];
+    let duration = 0;
+    let pendingStart = null;
+
+    await this.runFFmpeg(args, {
+      label: '無音検出',
+      onProgress: (ratio) => {
+        this.updateProgress(Math.min(99, Math.floor(ratio * 100)), { phase: 'detecting' });
+      },
+      onLine: (line) => {
+        const durationMatch = line.match(/Duration: (\d+:\d+:\d+\.\d+)/);
+        if (durationMatch && !duration) {
+          duration = parseTimeString(durationMatch[1]);
+        }
+
+        const startMatch = line.match(/silence_start: (-?[\d.]+)/);
+        if (startMatch) {
+          pendingStart = Math.max(0, parseFloat(startMatch[1]));
+        }
+
+        const endMatch = line.match(/silence_end: ([\d.]+)/);
+        if (endMatch && pendingStart !== null) {
+          const end = parseFloat(endMatch[1]);
+          silences.push({ start: pendingStart, end, duration: end - pendingStart });
+          pendingStart = null;
+        }
+      }
+    });
+
+    // ファイル末尾まで無音が続いた場合は終了位置を補完
+    if (pendingStart !== null && duration > pendingStart) {
+      silences.push({ start: pendingStart, end: duration, duration: duration - pendingStart });
+    }
+
+    return { silences, duration };
+  }
+}
+
+module.exports = SilenceTask;
@@ -0,0 +1,137 @@
+/**
+ * ボイスエンハンスのA/B試聴タスク
+ * 指定位置から短い区間を切り出し、元の音声（A）とエンハンス後の音声（B）を書き出します
+ */
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const BaseTask = require('../core/base-task');
+const { getWorkFileKey, removeWorkFiles } = require('../services/ffmpeg/utils');
+const { getVoiceEnhancePreset, buildVoiceEnhanceFilter } = require('../services/ffmpeg/voice-enhance');
+
+// デフォルトの試聴区間の長さ（秒）
+const DEFAULT_PREVIEW_DURATION = 10;
+
+// 試聴区間の最大の長さ（秒）
+const MAX_PREVIEW_DURATION = 30;
+
+// 作り直されずに残った試聴用音声を削除するまでの時間（時間）
+const PREVIEW_MAX_AGE_HOURS = 24;
+
+class VoiceEnhancePreviewTask extends BaseTask {
+  constructor(params) {
+    super(params);
+    this.type = 'voice-enhance-preview';
+    this.cancellable = true;
+
+    this.preset = getVoiceEnhancePreset(params.preset);
+
+    const start = parseFloat(params.start);
+    this.start = isFinite(start) && start > 0 ? start : 0;
+
+    const duration = parseFloat(params.duration);
+    this.duration = isFinite(duration) && duration > 0
+      ? Math.min(duration, MAX_PREVIEW_DURATION)
+      : DEFAULT_PREVIEW_DURATION;
+  }
+
+  /**
+   * A/B試聴用の音声を作成
+   */
+  async execute() {
+    if (!this.mediaPath) {
+      return this.fail('メディアパスが指定されていません');
+    }
+    if (!this.preset) {
+      return this.fail('ボイスエンハンスのプリセットが指定されていません');
+    }
+
+    try {
+      // mediaPathがオブジェクトの場合、pathプロパティを使用
+      const inputPath = typeof this.mediaPath === 'object' && this.mediaPath.path
+        ? this.mediaPath.path
+        : this.mediaPath;
+
+      // 入力ファイルの存在確認
+      if (!fs.existsSync(inputPath)) {
+        return this.fail(`入力ファイルが存在しません: ${inputPath}`);
+      }
+
+      // 試聴用音声の出力先（ファイル名の先頭に入力ファイルごとのキーを付ける）
+      const outputDir = path.join(os.homedir(), 'Super Watarec', 'previews');
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+      }
+      const mediaKey = getWorkFileKey(inputPath);
+      const originalPath = path.join(outputDir, `voice_${mediaKey}_${this.id}_a.wav`);
+      const enhancedPath = path.join(outputDir, `voice_${mediaKey}_${this.id}_b.wav`);
+
+      this.removeOldPreviews(outputDir, mediaKey);
+
+      console.log(`ボイスエンハンス試聴タスク実行: ID=${this.id}, ファイル=${inputPath}, プリセット=${this.preset}, 開始=${this.start}秒, 長さ=${this.duration}秒`);
+
+      this.updateProgress(0, { phase: 'original' });
+      await this.renderSegment(inputPath, originalPath, null);
+
+      this.updateProgress(50, { phase: 'enhanced' });
+      await this.renderSegment(inputPath, enhancedPath, buildVoiceEnhanceFilter(this.preset));
+
+      const result = {
+        original: originalPath,
+        enhanced: enhancedPath,
+        start: this.start,
+        duration: this.duration,
+        preset: this.preset
+      };
+
+      console.log(`ボイスエンハンス試聴タスク完了: ID=${this.id}`);
+
+      this.updateProgress(100, { phase: 'complete' });
+      this.complete(result);
+      return result;
+    } catch (error) {
+      return this.fail(error);
+    }
+  }
+
+  /**
+   * 同じファイルの以前の試聴用音声と、一定時間経過した試聴用音声を削除する
+   * @param {string} outputDir - 試聴用音声の出力先
+   * @param {string} mediaKey - 入力ファイルごとのキー
+   */
+  removeOldPreviews(outputDir, mediaKey) {
+    const expireTime = Date.now() - PREVIEW_MAX_AGE_HOURS * 60 * 60 * 1000;
+    const count = removeWorkFiles(outputDir, (fileName, stat) =>
+      fileName.startsWith('voice_') &&
+      (fileName.startsWith(`voice_${mediaKey}_`) || stat.mtimeMs < expireTime));
+
+    if (count > 0) {
+      console.log(`古い試聴用音声を${count}件削除しました`);
+    }
+  }
+
+  /**
+   * 試聴区間の音声を書き出す
+   * @param {string} inputPath - 入力ファイルのパス
+   * @param {string} outputPath - 出力先のパス
+   * @param {string|null} audioFilter - 適用するフィルタ（元の音声の場合はnull）
+   * @returns {Promise<void>}
+   */
+  async renderSegment(inputPath, outputPath, audioFilter) {
+    const args = [
+      '-hide_banner',
+      '-ss', this.start.toString(),
+      '-t', this.duration.toString(),
+      '-i', inputPath,
+      '-vn'
+    ];
+    if (audioFilter) {
+      args.push('-af', audioFilter);
+    }
+    args.push('-ac', '2', '-ar', '48000', '-c:a', 'pcm_s16le', '-y', outputPath);
+
+    await this.runFFmpeg(args, { duration: this.duration, label: 'ボイスエンハンス試聴' });
+  }
+}
+
+module.exports = VoiceEnhancePreviewTask;
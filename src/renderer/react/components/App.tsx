@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { 
   Panel, 
   PanelGroup, 
@@ -9,7 +9,7 @@ import Header from './Header';
 import TimelinePane from './Timeline';
 import VideoPlayer, { VideoPlayerRef } from './VideoPlayer';
 import TrimPane from './Trim';
-import ExportSettings from './ExportSettings';
+import ExportSettings, { DEFAULT_EXPORT_SETTINGS } from './ExportSettings';
 import FooterTaskBar from './FooterTaskBar';
 import TaskDetailsPanel from './TaskDetailsPanel';
 import { formatDuration } from '../../utils/formatters';
@@ -19,9 +19,14 @@ import {
   useWaveform, 
   useThumbnail,
   useKeyboardShortcuts,
-  useFileDragDrop
+  useFileDragDrop,
+  useProjectFile,
+  useSessionAutosave
 } from '../hooks';
 import { MediaFile } from '../types';
+import type { ClipSegment, CropRect } from '../types/media';
+import type { ExportSettingsValues } from '../types/export';
+import { getCanvasRatio } from '../utils/reframe';
 
 // アプリケーションのメインコンポーネント
 const App: React.FC = () => {
@@ -51,9 +56,15 @@ const App: React.FC = () => {
     selectedMedia, 
     addMediaFiles, 
     updateMedia, 
+    updateTrimPoints,
+    updateSegments,
     deleteMediaFiles, 
     reorderMediaFiles, 
     selectMedia,
+    undo,
+    redo,
+    beginEditGroup,
+    endEditGroup,
     calculateTotalDuration: calcTotalDuration
   } = useMediaFiles();
 
@@ -64,14 +75,76 @@ const App: React.FC = () => {
   const [totalDuration, setTotalDuration] = useState(0); // 操作生成時間
   const [currentTime, setCurrentTime] = useState(0); // 現在の再生位置
   const [showTaskDetails, setShowTaskDetails] = useState(false); // タスク詳細パネルの表示状態
+  const [exportSettings, setExportSettings] = useState<ExportSettingsValues>(DEFAULT_EXPORT_SETTINGS);
+  const [reframeEditing, setReframeEditing] = useState(false); // プレーヤー上で切り取り範囲を編集中かどうか
   const appRef = useRef<HTMLDivElement>(null);
   const videoPlayerRef = useRef<VideoPlayerRef>(null);
 
   // ドラッグ＆ドロップのカスタムフックを使用
   const isDragging = useFileDragDrop(appRef, handleDropFiles);
 
+  // 直前の編集を元に戻す
+  const handleUndo = useCallback(() => {
+    const label = undo();
+    setStatus(label ? `元に戻しました: ${label}` : '元に戻す操作はありません');
+  }, [undo]);
+
+  // 元に戻した編集をやり直す
+  const handleRedo = useCallback(() => {
+    const label = redo();
+    setStatus(label ? `やり直しました: ${label}` : 'やり直す操作はありません');
+  }, [redo]);
+
   // キーボードショートカットのカスタムフックを使用
-  useKeyboardShortcuts(videoPlayerRef);
+  useKeyboardShortcuts(videoPlayerRef, { onUndo: handleUndo, onRedo: handleRedo });
+
+  // 書き出し設定の部分更新
+  const handleExportSettingsChange = useCallback((updates: Partial<ExportSettingsValues>) => {
+    setExportSettings(prev => ({ ...prev, ...updates }));
+  }, []);
+
+  // 波形に重ねるラウドネス曲線の目標値（書き出し設定のプリセット）
+  const loudnessTarget = useMemo(() => ({
+    integrated: exportSettings.targetLoudness,
+    truePeak: exportSettings.targetTruePeak
+  }), [exportSettings.targetLoudness, exportSettings.targetTruePeak]);
+
+  // 選択中のクリップが変わった場合・範囲指定以外のリフレームにした場合は切り取り範囲の編集を終了
+  useEffect(() => {
+    if (selectedMedia?.reframe?.mode !== 'manual') {
+      setReframeEditing(false);
+    }
+  }, [selectedMedia?.id, selectedMedia?.reframe?.mode]);
+
+  // プレーヤー上で編集した切り取り範囲を選択中のクリップに保持
+  const handleCropChange = useCallback((rect: CropRect) => {
+    if (!selectedMedia) return;
+    updateMedia(selectedMedia.id, { reframe: { mode: 'manual', rect } });
+  }, [selectedMedia?.id, updateMedia]);
+
+  // プロジェクトから読み込んだ書き出し設定を反映（未保存の項目は初期値）
+  const handleExportSettingsLoaded = useCallback((settings: ExportSettingsValues | null) => {
+    setExportSettings({ ...DEFAULT_EXPORT_SETTINGS, ...(settings || {}) });
+  }, []);
+
+  // プロジェクトファイルの保存・読み込み
+  const {
+    projectName,
+    recentProjects,
+    openProject,
+    saveProject
+  } = useProjectFile({
+    exportSettings,
+    onExportSettingsLoaded: handleExportSettingsLoaded,
+    onStatus: setStatus
+  });
+
+  // 編集状態の自動保存と異常終了後の復元
+  useSessionAutosave({
+    exportSettings,
+    onExportSettingsLoaded: handleExportSettingsLoaded,
+    onStatus: setStatus
+  });
 
   // mediaFiles が変更されたら合計時間を再計算
   useEffect(() => {
@@ -102,14 +175,17 @@ const App: React.FC = () => {
 
   // TrimPane からのトリムポイント更新を処理する関数
   const handleUpdateTrimPoints = (mediaId: string, trimStart: number | null, trimEnd: number | null) => {
-    updateMedia(mediaId, { 
-      trimStart, 
-      trimEnd
-    });
+    updateTrimPoints(mediaId, trimStart, trimEnd);
 
     setStatus(`トリムポイントを更新: ${formatDuration(trimStart || 0)} - ${formatDuration(trimEnd || 0)}`);
   };
 
+  // TrimPane からのクリップ内区間の更新を処理する関数
+  const handleUpdateSegments = (mediaId: string, segments: ClipSegment[] | null) => {
+    updateSegments(mediaId, segments);
+    setStatus(segments && segments.length > 1 ? `区間を更新: ${segments.length}区間` : '区間の分割を解除しました');
+  };
+
   // TrimPane からの再生位置変更要求を処理する関数
   const handleSeek = (time: number) => {
     if (videoPlayerRef.current) {
@@ -250,8 +326,13 @@ const App: React.FC = () => {
     >
       {/* ヘッダー */}
       <Header
+        projectName={projectName}
+        recentProjects={recentProjects}
         onAddFiles={handleAddFiles}
         onToggleExport={toggleExportSettings}
+        onOpenProject={openProject}
+        onSaveProject={() => saveProject()}
+        onSaveProjectAs={() => saveProject(true)}
       />
       
       {/* メインコンテンツとタスク管理のラッパー */}
@@ -281,7 +362,12 @@ const App: React.FC = () => {
           }}
         >
           {showExportSettings ? (
-            <ExportSettings onClose={() => setShowExportSettings(false)} mediaFiles={mediaFiles} />
+            <ExportSettings
+              onClose={() => setShowExportSettings(false)}
+              mediaFiles={mediaFiles}
+              settings={exportSettings}
+              onSettingsChange={handleExportSettingsChange}
+            />
           ) : (
             <PanelGroup direction="horizontal" className="panel-group">
               {/* 左パネル: タイムライン */}
@@ -295,6 +381,7 @@ const App: React.FC = () => {
                   onReorderMedia={handleReorderMedia}
                   onDeleteMedias={handleDeleteMedias}
                   onUpdateMedia={updateMedia}
+                  onUpdateSegments={handleUpdateSegments}
                 />
               </Panel>
               
@@ -309,6 +396,9 @@ const App: React.FC = () => {
                       ref={videoPlayerRef}
                       media={selectedMedia}
                       onTimeUpdate={setCurrentTime}
+                      cropEditing={reframeEditing}
+                      canvasRatio={getCanvasRatio(exportSettings.aspectRatio)}
+                      onCropChange={handleCropChange}
                     />
                   </Panel>
                   
@@ -320,7 +410,14 @@ const App: React.FC = () => {
                       selectedMedia={selectedMedia}
                       currentTime={currentTime}
                       onUpdateTrimPoints={handleUpdateTrimPoints}
+                      onUpdateSegments={handleUpdateSegments}
+                      onUpdateMedia={updateMedia}
                       onSeek={handleSeek}
+                      onTrimDragStart={beginEditGroup}
+                      onTrimDragEnd={endEditGroup}
+                      loudnessTarget={loudnessTarget}
+                      reframeEditing={reframeEditing}
+                      onReframeEditingChange={setReframeEditing}
                     />
                   </Panel>
                 </PanelGroup>
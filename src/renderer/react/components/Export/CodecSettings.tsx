@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Box,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  ListSubheader,
+  FormHelperText
+} from '@mui/material';
+import type { AudioCodecId, AudioCodecOption, CodecProfile, ExportSettingsValues } from '../../types/export';
+import RateControlSettings from './RateControlSettings';
+
+interface CodecSettingsProps {
+  settings: ExportSettingsValues;
+  onSettingsChange: (updates: Partial<ExportSettingsValues>) => void;
+  disabled?: boolean;
+}
+
+// コンテナの表示名
+const FORMAT_LABELS: Record<string, string> = {
+  mp4: 'MP4',
+  mov: 'MOV',
+  mkv: 'MKV'
+};
+
+// 音声ビットレートの選択肢（kbps）
+const AUDIO_BITRATES = [96, 128, 160, 192, 256, 320];
+
+// コーデックの種類ごとの説明
+const GROUP_DESCRIPTIONS: Record<string, string> = {
+  'ProRes': '編集ソフトでの再編集向けの中間コーデックです（MOVのみ）',
+  'DNxHR': '編集ソフトでの再編集向けの中間コーデックです'
+};
+
+/**
+ * 選択中のコーデックの説明（使用するエンコーダーを含む）
+ */
+const getDescription = (profile: CodecProfile | undefined): string => {
+  if (!profile) return '';
+  const encoder = `エンコーダー: ${profile.encoder}（${profile.hardware ? 'ハードウェア' : 'ソフトウェア'}）`;
+  const description = GROUP_DESCRIPTIONS[profile.group];
+  return description ? `${description} / ${encoder}` : encoder;
+};
+
+/**
+ * 書き出しコーデック・音声コーデック・フォーマットの設定コンポーネント
+ * コーデックの一覧はメインプロセスのコーデックプロファイルから取得し、
+ * 映像・音声コーデックの両方が対応するコンテナのみフォーマットに表示する
+ */
+const CodecSettings: React.FC<CodecSettingsProps> = ({ settings, onSettingsChange, disabled = false }) => {
+  const { codec, format, audioCodec, audioBitrate } = settings;
+  const [profiles, setProfiles] = useState<CodecProfile[]>([]);
+  const [audioCodecs, setAudioCodecs] = useState<AudioCodecOption[]>([]);
+
+  useEffect(() => {
+    const loadProfiles = async () => {
+      try {
+        const result = await window.api.invoke('get-codec-profiles');
+        setProfiles(result?.profiles || []);
+        setAudioCodecs(result?.audioCodecs || []);
+      } catch (error) {
+        console.error('コーデック一覧の取得エラー:', error);
+      }
+    };
+
+    loadProfiles();
+  }, []);
+
+  const profile = profiles.find(item => item.id === codec);
+  const audio = audioCodecs.find(item => item.id === audioCodec);
+
+  // 映像コーデックと共通のコンテナがある音声コーデックのみ選択できる
+  const availableAudioCodecs = useMemo(() => (
+    profile
+      ? audioCodecs.filter(item => item.formats.some(container => profile.formats.includes(container)))
+      : audioCodecs
+  ), [profile, audioCodecs]);
+  const formats = useMemo(() => (
+    profile
+      ? profile.formats.filter(container => !audio || audio.formats.includes(container))
+      : Object.keys(FORMAT_LABELS)
+  ), [profile, audio]);
+
+  // 組み合わせられない音声コーデック・フォーマットが選択されている場合は既定に変更
+  useEffect(() => {
+    if (!profile) return;
+    if (audio && !availableAudioCodecs.includes(audio)) {
+      onSettingsChange({ audioCodec: profile.audioCodec });
+    } else if (formats.length > 0 && !formats.includes(format)) {
+      onSettingsChange({ format: formats[0] });
+    }
+  }, [profile, audio, availableAudioCodecs, formats, format, onSettingsChange]);
+
+  // コーデックを変更した場合は音声コーデックもコーデックの既定（中間コーデックはPCM）に合わせる
+  const handleCodecChange = (value: string) => {
+    const next = profiles.find(item => item.id === value);
+    onSettingsChange(next ? { codec: value, audioCodec: next.audioCodec } : { codec: value });
+  };
+
+  // 種類ごとに見出しを付けて並べる
+  const menuItems: React.ReactNode[] = [];
+  profiles.forEach((item, index) => {
+    if (index === 0 || profiles[index - 1].group !== item.group) {
+      menuItems.push(<ListSubheader key={`group-${item.group}`}>{item.group}</ListSubheader>);
+    }
+    menuItems.push(<MenuItem key={item.id} value={item.id}>{item.label}</MenuItem>);
+  });
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+      <Box sx={{ display: 'flex', flexDirection: { xs: 'column', sm: 'row' }, gap: 2 }}>
+        <Box sx={{ flex: 2 }}>
+          <FormControl fullWidth>
+            <InputLabel id="codec-label">コーデック</InputLabel>
+            <Select
+              labelId="codec-label"
+              id="codec"
+              value={profile ? codec : ''}
+              onChange={(e) => handleCodecChange(e.target.value)}
+              disabled={disabled || profiles.length === 0}
+              label="コーデック"
+              size="small"
+            >
+              {menuItems}
+            </Select>
+            <FormHelperText>
+              {getDescription(profile)}
+            </FormHelperText>
+          </FormControl>
+        </Box>
+
+        <Box sx={{ flex: 1 }}>
+          <FormControl fullWidth>
+            <InputLabel id="format-label">フォーマット</InputLabel>
+            <Select
+              labelId="format-label"
+              id="format"
+              value={formats.includes(format) ? format : ''}
+              onChange={(e) => onSettingsChange({ format: e.target.value })}
+              disabled={disabled}
+              label="フォーマット"
+              size="small"
+            >
+              {formats.map(item => (
+                <MenuItem key={item} value={item}>{FORMAT_LABELS[item] || item.toUpperCase()}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+      </Box>
+
+      <Box sx={{ display: 'flex', flexDirection: { xs: 'column', sm: 'row' }, gap: 2 }}>
+        <Box sx={{ flex: 2 }}>
+          <FormControl fullWidth>
+            <InputLabel id="audio-codec-label">音声コーデック</InputLabel>
+            <Select
+              labelId="audio-codec-label"
+              id="audioCodec"
+              value={audio ? audioCodec : ''}
+              onChange={(e) => onSettingsChange({ audioCodec: e.target.value as AudioCodecId })}
+              disabled={disabled || availableAudioCodecs.length === 0}
+              label="音声コーデック"
+              size="small"
+            >
+              {availableAudioCodecs.map(item => (
+                <MenuItem key={item.id} value={item.id}>{item.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+
+        <Box sx={{ flex: 1 }}>
+          <FormControl fullWidth>
+            <InputLabel id="audio-bitrate-label">音声ビットレート</InputLabel>
+            <Select
+              labelId="audio-bitrate-label"
+              id="audioBitrate"
+              value={audioBitrate}
+              onChange={(e) => onSettingsChange({ audioBitrate: Number(e.target.value) })}
+              disabled={disabled || !audio?.bitrate}
+              label="音声ビットレート"
+              size="small"
+            >
+              {AUDIO_BITRATES.map(item => (
+                <MenuItem key={item} value={item}>{item} kbps</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+      </Box>
+
+      <RateControlSettings
+        settings={settings}
+        onSettingsChange={onSettingsChange}
+        disabled={disabled}
+        available={profile ? profile.rateControl : true}
+      />
+    </Box>
+  );
+};
+
+export default CodecSettings;
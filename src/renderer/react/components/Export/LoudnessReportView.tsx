@@ -0,0 +1,116 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { FolderOpen } from '@mui/icons-material';
+import type { LoudnessReportResult } from '../../types/export';
+
+interface LoudnessReportViewProps {
+  result: LoudnessReportResult;
+}
+
+// 測定値の表示（測定できない値は「-」）
+const formatValue = (value: number | null | undefined, unit: string) =>
+  typeof value === 'number' ? `${value.toFixed(1)} ${unit}` : '-';
+
+/**
+ * 書き出しタスクのラウドネスレポート表示コンポーネント
+ * 全体の測定値・適合判定・クリップごとの補正前後を表示する
+ */
+const LoudnessReportView: React.FC<LoudnessReportViewProps> = ({ result }) => {
+  const { report, jsonPath, csvPath, error } = result;
+
+  const handleShowInFolder = async (filePath?: string) => {
+    if (!filePath) return;
+    const response: any = await window.api.invoke('show-item-in-folder', filePath);
+    if (!response?.success) {
+      console.error('レポートの表示に失敗しました:', response?.error);
+    }
+  };
+
+  if (error || !report) {
+    return (
+      <Typography component="div" variant="caption" color="warning.main" sx={{ display: 'block', mt: 0.5 }}>
+        ラウドネスレポートを作成できませんでした{error ? `: ${error}` : ''}
+      </Typography>
+    );
+  }
+
+  const { program, target } = report;
+  const passed = program.withinTolerance && program.truePeakWithinLimit;
+
+  const summaryItems = [
+    { label: '統合ラウドネス', value: formatValue(program.integrated, 'LUFS') },
+    { label: 'LRA', value: formatValue(program.lra, 'LU') },
+    { label: '最大トゥルーピーク', value: formatValue(program.truePeak, 'dBTP') },
+    { label: '最大モーメンタリー', value: formatValue(program.maxMomentary, 'LUFS') },
+    { label: '最大ショートターム', value: formatValue(program.maxShortTerm, 'LUFS') }
+  ];
+
+  return (
+    <Paper variant="outlined" sx={{ p: 1, mt: 1, borderRadius: 1 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 1, mb: 0.5 }}>
+        <Typography component="div" variant="caption" sx={{ fontWeight: 'bold' }}>
+          ラウドネスレポート（目標 {target.integrated} LUFS / {target.truePeak} dBTP）
+        </Typography>
+        <Chip
+          label={passed ? '適合' : '不適合'}
+          color={passed ? 'success' : 'warning'}
+          size="small"
+          sx={{ height: 20, fontSize: '0.7rem' }}
+        />
+      </Box>
+
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', columnGap: 2, rowGap: 0.25 }}>
+        {summaryItems.map(item => (
+          <Typography key={item.label} component="span" variant="caption" color="text.secondary">
+            {item.label}: <strong>{item.value}</strong>
+          </Typography>
+        ))}
+      </Box>
+
+      {report.clips.length > 0 && (
+        <Table size="small" sx={{ mt: 1, '& td, & th': { fontSize: '0.7rem', py: 0.25, px: 0.5 } }}>
+          <TableHead>
+            <TableRow>
+              <TableCell>クリップ</TableCell>
+              <TableCell align="right">補正前</TableCell>
+              <TableCell align="right">補正後</TableCell>
+              <TableCell align="right">補正後TP</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {report.clips.map((clip, index) => (
+              <TableRow key={clip.clipId || index}>
+                <TableCell sx={{ wordBreak: 'break-all' }}>{clip.name}</TableCell>
+                <TableCell align="right">{formatValue(clip.before.integrated, 'LUFS')}</TableCell>
+                <TableCell align="right">{formatValue(clip.after.integrated, 'LUFS')}</TableCell>
+                <TableCell align="right">{formatValue(clip.after.truePeak, 'dBTP')}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+        <Button size="small" startIcon={<FolderOpen fontSize="small" />} onClick={() => handleShowInFolder(jsonPath)} disabled={!jsonPath}>
+          JSON
+        </Button>
+        <Button size="small" startIcon={<FolderOpen fontSize="small" />} onClick={() => handleShowInFolder(csvPath)} disabled={!csvPath}>
+          CSV
+        </Button>
+      </Box>
+    </Paper>
+  );
+};
+
+export default LoudnessReportView;
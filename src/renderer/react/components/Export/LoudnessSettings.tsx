@@ -0,0 +1,124 @@
+import React from 'react';
+import {
+  Box,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormHelperText,
+  TextField
+} from '@mui/material';
+import type { ExportSettingsValues, LoudnessPresetId, LoudnessScope } from '../../types/export';
+import { LOUDNESS_PRESETS, getLoudnessPresetSettings } from '../../utils/loudnessPresets';
+
+interface LoudnessSettingsProps {
+  settings: ExportSettingsValues;
+  onSettingsChange: (updates: Partial<ExportSettingsValues>) => void;
+  disabled?: boolean;
+}
+
+// 正規化の対象ごとの説明
+const SCOPE_DESCRIPTIONS: Record<LoudnessScope, string> = {
+  clip: 'クリップごとに目標ラウドネスへ揃えます（結合後の全体は目標と一致しない場合があります）',
+  program: '結合後の書き出し全体を目標ラウドネスに合わせます（クリップ間の音量差は保たれます）',
+  both: 'クリップごとに揃えた後、書き出し全体をもう一度目標に合わせます'
+};
+
+// カスタム目標値の入力項目（loudnormで指定できる範囲）
+const TARGET_FIELDS: Array<{
+  key: 'targetLoudness' | 'targetTruePeak' | 'targetLra';
+  label: string;
+  min: number;
+  max: number;
+}> = [
+  { key: 'targetLoudness', label: '統合ラウドネス (LUFS)', min: -70, max: -5 },
+  { key: 'targetTruePeak', label: 'トゥルーピーク上限 (dBTP)', min: -9, max: 0 },
+  { key: 'targetLra', label: 'ラウドネスレンジ (LU)', min: 1, max: 50 }
+];
+
+/**
+ * ラウドネス正規化の設定コンポーネント
+ * 配信先ごとのプリセットか、カスタムの目標値を選択する
+ */
+const LoudnessSettings: React.FC<LoudnessSettingsProps> = ({ settings, onSettingsChange, disabled = false }) => {
+  const isCustom = settings.loudnessPreset === 'custom';
+
+  // カスタム目標値の変更（範囲外や数値以外は無視する）
+  const handleTargetChange = (key: typeof TARGET_FIELDS[number]['key'], value: string) => {
+    const field = TARGET_FIELDS.find(item => item.key === key);
+    const number = parseFloat(value);
+    if (!field || !isFinite(number)) return;
+    onSettingsChange({ [key]: Math.min(field.max, Math.max(field.min, number)) });
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+      <Box sx={{ display: 'flex', flexDirection: { xs: 'column', sm: 'row' }, gap: 2 }}>
+        <Box sx={{ flex: 1 }}>
+          <FormControl fullWidth>
+            <InputLabel id="loudness-preset-label">ラウドネス目標</InputLabel>
+            <Select
+              labelId="loudness-preset-label"
+              id="loudnessPreset"
+              value={settings.loudnessPreset}
+              onChange={(e) => onSettingsChange(getLoudnessPresetSettings(e.target.value as LoudnessPresetId))}
+              disabled={disabled}
+              label="ラウドネス目標"
+              size="small"
+            >
+              {LOUDNESS_PRESETS.map(preset => (
+                <MenuItem key={preset.id} value={preset.id}>
+                  {preset.label}（{preset.integrated} LUFS）
+                </MenuItem>
+              ))}
+              <MenuItem value="custom">カスタム</MenuItem>
+            </Select>
+            <FormHelperText>
+              {settings.targetLoudness} LUFS / トゥルーピーク {settings.targetTruePeak} dBTP / LRA {settings.targetLra} LU
+            </FormHelperText>
+          </FormControl>
+        </Box>
+
+        <Box sx={{ flex: 1 }}>
+          <FormControl fullWidth>
+            <InputLabel id="loudness-scope-label">ラウドネス調整</InputLabel>
+            <Select
+              labelId="loudness-scope-label"
+              id="loudnessScope"
+              value={settings.loudnessScope}
+              onChange={(e) => onSettingsChange({ loudnessScope: e.target.value as LoudnessScope })}
+              disabled={disabled}
+              label="ラウドネス調整"
+              size="small"
+            >
+              <MenuItem value="clip">クリップごと</MenuItem>
+              <MenuItem value="program">書き出し全体</MenuItem>
+              <MenuItem value="both">クリップごと＋書き出し全体</MenuItem>
+            </Select>
+            <FormHelperText>{SCOPE_DESCRIPTIONS[settings.loudnessScope]}</FormHelperText>
+          </FormControl>
+        </Box>
+      </Box>
+
+      {isCustom && (
+        <Box sx={{ display: 'flex', flexDirection: { xs: 'column', sm: 'row' }, gap: 2 }}>
+          {TARGET_FIELDS.map(field => (
+            <TextField
+              key={field.key}
+              label={field.label}
+              type="number"
+              size="small"
+              value={settings[field.key]}
+              onChange={(e) => handleTargetChange(field.key, e.target.value)}
+              inputProps={{ min: field.min, max: field.max, step: 0.5 }}
+              disabled={disabled}
+              sx={{ flex: 1 }}
+            />
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default LoudnessSettings;
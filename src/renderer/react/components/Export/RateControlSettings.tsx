@@ -0,0 +1,124 @@
+import React from 'react';
+import {
+  Box,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormHelperText,
+  Slider,
+  TextField,
+  Typography
+} from '@mui/material';
+import type { ExportSettingsValues, RateControlMode } from '../../types/export';
+
+interface RateControlSettingsProps {
+  settings: ExportSettingsValues;
+  onSettingsChange: (updates: Partial<ExportSettingsValues>) => void;
+  disabled?: boolean;
+  available?: boolean; // 選択中のコーデックでレート制御を指定できるか
+}
+
+// レート制御の方式ごとの表示名と説明
+const RATE_CONTROL_OPTIONS: Array<{ value: RateControlMode; label: string; description: string }> = [
+  { value: 'quality', label: '画質優先（CRF）', description: '画質を一定に保ちます。ファイルサイズは内容によって変わります' },
+  { value: 'cbr', label: '固定ビットレート', description: '常に指定したビットレートでエンコードします（配信サービス向け）' },
+  { value: 'abr', label: '平均ビットレート', description: '全体の平均が指定したビットレートになるようにエンコードします' },
+  { value: 'vbr_2pass', label: '2パス可変ビットレート', description: '1回目で解析し、2回目で指定したビットレートに合わせて配分します（時間は約2倍）' },
+  { value: 'target_size', label: 'ファイルサイズ指定', description: 'トリミング後の全体の長さから、指定したサイズに収まるビットレートを計算します（2パス）' }
+];
+
+// 数値入力の範囲（メインプロセスでも同じ範囲に収める）
+const VIDEO_BITRATE_RANGE = { min: 0.1, max: 500 };
+const TARGET_SIZE_RANGE = { min: 1, max: 100000 };
+
+/**
+ * 映像のレート制御の設定コンポーネント
+ * 画質（CRF）・ビットレート・目標ファイルサイズのいずれかを指定する
+ */
+const RateControlSettings: React.FC<RateControlSettingsProps> = ({ settings, onSettingsChange, disabled = false, available = true }) => {
+  const { rateControl, quality, videoBitrate, targetSize } = settings;
+  const option = RATE_CONTROL_OPTIONS.find(item => item.value === rateControl) || RATE_CONTROL_OPTIONS[0];
+  const usesBitrate = rateControl === 'cbr' || rateControl === 'abr' || rateControl === 'vbr_2pass';
+
+  // 数値入力の変更（範囲外や数値以外は無視する）
+  const handleNumberChange = (key: 'videoBitrate' | 'targetSize', value: string, range: { min: number; max: number }) => {
+    const number = parseFloat(value);
+    if (!isFinite(number)) return;
+    onSettingsChange({ [key]: Math.min(range.max, Math.max(range.min, number)) });
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+      <Box sx={{ display: 'flex', flexDirection: { xs: 'column', sm: 'row' }, gap: 2 }}>
+        <Box sx={{ flex: 1 }}>
+          <FormControl fullWidth>
+            <InputLabel id="rate-control-label">画質・ビットレート</InputLabel>
+            <Select
+              labelId="rate-control-label"
+              id="rateControl"
+              value={rateControl}
+              onChange={(e) => onSettingsChange({ rateControl: e.target.value as RateControlMode })}
+              disabled={disabled || !available}
+              label="画質・ビットレート"
+              size="small"
+            >
+              {RATE_CONTROL_OPTIONS.map(item => (
+                <MenuItem key={item.value} value={item.value}>{item.label}</MenuItem>
+              ))}
+            </Select>
+            <FormHelperText>
+              {available ? option.description : '中間コーデックはプロファイルごとに画質が決まっているため指定できません'}
+            </FormHelperText>
+          </FormControl>
+        </Box>
+
+        {available && usesBitrate && (
+          <TextField
+            label="映像ビットレート (Mbps)"
+            type="number"
+            size="small"
+            value={videoBitrate}
+            onChange={(e) => handleNumberChange('videoBitrate', e.target.value, VIDEO_BITRATE_RANGE)}
+            inputProps={{ ...VIDEO_BITRATE_RANGE, step: 0.5 }}
+            disabled={disabled}
+            sx={{ flex: 1 }}
+          />
+        )}
+
+        {available && rateControl === 'target_size' && (
+          <TextField
+            label="目標ファイルサイズ (MB)"
+            type="number"
+            size="small"
+            value={targetSize}
+            onChange={(e) => handleNumberChange('targetSize', e.target.value, TARGET_SIZE_RANGE)}
+            inputProps={{ ...TARGET_SIZE_RANGE, step: 10 }}
+            disabled={disabled}
+            sx={{ flex: 1 }}
+          />
+        )}
+      </Box>
+
+      {available && rateControl === 'quality' && (
+        <Box sx={{ px: 1 }}>
+          <Typography variant="body2" color="text.secondary">
+            画質（CRF）: {quality}（小さいほど高画質・大きいファイル）
+          </Typography>
+          <Slider
+            value={quality}
+            onChange={(_, value) => onSettingsChange({ quality: value as number })}
+            min={0}
+            max={51}
+            step={1}
+            marks={[{ value: 18, label: '18' }, { value: 23, label: '23' }, { value: 28, label: '28' }]}
+            disabled={disabled}
+            size="small"
+          />
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default RateControlSettings;
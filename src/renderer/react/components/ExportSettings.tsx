@@ -19,19 +19,47 @@ import {
   useTheme
 } from '@mui/material';
 import { Close, FolderOpen, Send } from '@mui/icons-material';
+import type { CanvasAspect, ExportSettingsValues, VideoFitMode } from '../types/export';
+import { CANVAS_ASPECT_OPTIONS } from '../utils/reframe';
+import LoudnessSettings from './Export/LoudnessSettings';
+import CodecSettings from './Export/CodecSettings';
+import { DEFAULT_LOUDNESS_PRESET } from '../utils/loudnessPresets';
+import { useMusic } from '../hooks';
 
 interface ExportSettingsProps {
   onClose?: () => void;
   mediaFiles?: any[];
+  settings: ExportSettingsValues;
+  onSettingsChange: (updates: Partial<ExportSettingsValues>) => void;
 }
 
+// 書き出し設定の初期値
+export const DEFAULT_EXPORT_SETTINGS: ExportSettingsValues = {
+  resolution: '1080p',
+  aspectRatio: '16:9',
+  fps: '30',
+  fitMode: 'letterbox',
+  codec: 'h265',
+  format: 'mp4',
+  rateControl: 'quality',
+  quality: 23,
+  videoBitrate: 20,
+  targetSize: 100,
+  audioCodec: 'aac',
+  audioBitrate: 192,
+  trimMode: 'fast',
+  loudnessScope: 'clip',
+  loudnessPreset: DEFAULT_LOUDNESS_PRESET.id,
+  targetLoudness: DEFAULT_LOUDNESS_PRESET.integrated,
+  targetTruePeak: DEFAULT_LOUDNESS_PRESET.truePeak,
+  targetLra: DEFAULT_LOUDNESS_PRESET.lra
+};
+
 // 書き出し設定コンポーネント
-const ExportSettings: React.FC<ExportSettingsProps> = ({ onClose, mediaFiles = [] }) => {
+const ExportSettings: React.FC<ExportSettingsProps> = ({ onClose, mediaFiles = [], settings, onSettingsChange }) => {
   const theme = useTheme();
-  const [resolution, setResolution] = useState('1080p');
-  const [fps, setFps] = useState('30');
-  const [codec, setCodec] = useState('h265');
-  const [format, setFormat] = useState('mp4');
+  const { resolution, aspectRatio, fps, fitMode, trimMode } = settings;
+  const { musicTrack } = useMusic();
   const [isExporting, setIsExporting] = useState(false);
   const [outputPath, setOutputPath] = useState('');
   const [progress, setProgress] = useState(0);
@@ -203,13 +231,9 @@ const ExportSettings: React.FC<ExportSettingsProps> = ({ onClose, mediaFiles = [
       // 実際のエクスポート処理を呼び出す
       const result = await window.api.exportCombinedVideo({
         mediaFiles,
+        musicTrack: musicTrack.clips.length > 0 ? musicTrack : null,
         outputPath,
-        settings: {
-          resolution,
-          fps,
-          codec,
-          format
-        }
+        settings
       });
       
       if (result.success) {
@@ -298,6 +322,29 @@ const ExportSettings: React.FC<ExportSettingsProps> = ({ onClose, mediaFiles = [
             )}
           </Box>
           
+          {/* キャンバスの縦横比（配信先） */}
+          <Box>
+            <FormControl fullWidth>
+              <InputLabel id="aspect-ratio-label">縦横比</InputLabel>
+              <Select
+                labelId="aspect-ratio-label"
+                id="aspectRatio"
+                value={aspectRatio}
+                onChange={(e) => onSettingsChange({ aspectRatio: e.target.value as CanvasAspect })}
+                disabled={isExporting}
+                label="縦横比"
+                size="small"
+              >
+                {CANVAS_ASPECT_OPTIONS.map(option => (
+                  <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                ))}
+              </Select>
+              <FormHelperText>
+                縦長・正方形の場合は解像度の高さが短辺になります。クリップごとの収め方はリフレームで指定できます
+              </FormHelperText>
+            </FormControl>
+          </Box>
+          
           {/* 解像度とフレームレート設定 */}
           <Box sx={{ display: 'flex', flexDirection: { xs: 'column', sm: 'row' }, gap: 2 }}>
             {/* 解像度設定 */}
@@ -308,7 +355,7 @@ const ExportSettings: React.FC<ExportSettingsProps> = ({ onClose, mediaFiles = [
                   labelId="resolution-label"
                   id="resolution"
                   value={resolution}
-                  onChange={(e) => setResolution(e.target.value)}
+                  onChange={(e) => onSettingsChange({ resolution: e.target.value })}
                   disabled={isExporting}
                   label="解像度"
                   size="small"
@@ -329,7 +376,7 @@ const ExportSettings: React.FC<ExportSettingsProps> = ({ onClose, mediaFiles = [
                   labelId="fps-label"
                   id="fps"
                   value={fps}
-                  onChange={(e) => setFps(e.target.value)}
+                  onChange={(e) => onSettingsChange({ fps: e.target.value })}
                   disabled={isExporting}
                   label="フレームレート"
                   size="small"
@@ -340,66 +387,79 @@ const ExportSettings: React.FC<ExportSettingsProps> = ({ onClose, mediaFiles = [
                 </Select>
               </FormControl>
             </Box>
+            
+            {/* 解像度・縦横比が異なる素材の収め方 */}
+            <Box sx={{ flex: 1 }}>
+              <FormControl fullWidth>
+                <InputLabel id="fit-mode-label">素材の収め方</InputLabel>
+                <Select
+                  labelId="fit-mode-label"
+                  id="fitMode"
+                  value={fitMode}
+                  onChange={(e) => onSettingsChange({ fitMode: e.target.value as VideoFitMode })}
+                  disabled={isExporting}
+                  label="素材の収め方"
+                  size="small"
+                >
+                  <MenuItem value="letterbox">黒帯を付けて全体を表示</MenuItem>
+                  <MenuItem value="fill">画面いっぱいに切り取り</MenuItem>
+                  <MenuItem value="fit">拡大せず中央に配置</MenuItem>
+                </Select>
+              </FormControl>
+            </Box>
           </Box>
           
-          {/* コーデック設定 */}
+          {/* コーデックとフォーマット設定 */}
+          <CodecSettings
+            settings={settings}
+            onSettingsChange={onSettingsChange}
+            disabled={isExporting}
+          />
+          
+          {/* トリミング方式設定 */}
           <Box>
             <FormControl fullWidth>
-              <InputLabel id="codec-label">コーデック</InputLabel>
+              <InputLabel id="trim-mode-label">トリミング方式</InputLabel>
               <Select
-                labelId="codec-label"
-                id="codec"
-                value={codec}
-                onChange={(e) => setCodec(e.target.value)}
+                labelId="trim-mode-label"
+                id="trimMode"
+                value={trimMode}
+                onChange={(e) => onSettingsChange({ trimMode: e.target.value as ExportSettingsValues['trimMode'] })}
                 disabled={isExporting}
-                label="コーデック"
+                label="トリミング方式"
                 size="small"
               >
-                <MenuItem value="h264">H.264 (HW アクセラレーション)</MenuItem>
-                <MenuItem value="h265">H.265/HEVC (HW アクセラレーション)</MenuItem>
-                <MenuItem value="prores_hq">ProRes HQ</MenuItem>
+                <MenuItem value="fast">高速（キーフレーム単位）</MenuItem>
+                <MenuItem value="smart">スマートカット（フレーム精度・高速、試験的）</MenuItem>
+                <MenuItem value="accurate">再エンコード（フレーム精度・低速）</MenuItem>
               </Select>
               <FormHelperText>
-                Appleシリコン向けハードウェアエンコードを使用して高速処理
+                {trimMode === 'smart'
+                  ? 'カット位置付近のみ再エンコードし、残りはそのままコピーします（失敗した場合は再エンコードに切り替えます）'
+                  : 'スマートカットはカット位置付近のみ再エンコードし、残りはそのままコピーします'}
               </FormHelperText>
             </FormControl>
           </Box>
           
-          {/* フォーマットと出力先設定 */}
-          <Box sx={{ display: 'flex', flexDirection: { xs: 'column', sm: 'row' }, gap: 2 }}>
-            {/* フォーマット設定 */}
-            <Box sx={{ flex: 1 }}>
-              <FormControl fullWidth>
-                <InputLabel id="format-label">フォーマット</InputLabel>
-                <Select
-                  labelId="format-label"
-                  id="format"
-                  value={format}
-                  onChange={(e) => setFormat(e.target.value)}
-                  disabled={isExporting}
-                  label="フォーマット"
-                  size="small"
-                >
-                  <MenuItem value="mp4">MP4</MenuItem>
-                  <MenuItem value="mov">MOV</MenuItem>
-                  <MenuItem value="mkv">MKV</MenuItem>
-                </Select>
-              </FormControl>
-            </Box>
-            
-            {/* 出力先設定 */}
-            <Box sx={{ flex: 1 }}>
-              <Button
-                variant="outlined"
-                startIcon={<FolderOpen />}
-                onClick={handleSelectOutputPath}
-                disabled={isExporting}
-                fullWidth
-                sx={{ height: '40px' }}
-              >
-                出力先を選択
-              </Button>
-            </Box>
+          {/* ラウドネス調整設定 */}
+          <LoudnessSettings
+            settings={settings}
+            onSettingsChange={onSettingsChange}
+            disabled={isExporting}
+          />
+          
+          {/* 出力先設定 */}
+          <Box>
+            <Button
+              variant="outlined"
+              startIcon={<FolderOpen />}
+              onClick={handleSelectOutputPath}
+              disabled={isExporting}
+              fullWidth
+              sx={{ height: '40px' }}
+            >
+              出力先を選択
+            </Button>
           </Box>
           
           {/* 出力パス表示 */}
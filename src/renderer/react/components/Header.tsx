@@ -1,16 +1,51 @@
-import React from 'react';
-import { AppBar, Toolbar, Typography, Button, Box, useTheme } from '@mui/material';
+import React, { useState } from 'react';
+import {
+  AppBar,
+  Toolbar,
+  Typography,
+  Button,
+  Box,
+  Menu,
+  MenuItem,
+  ListItemText,
+  Divider,
+  useTheme
+} from '@mui/material';
 import AddIcon from '@mui/icons-material/Add';
 import PublishIcon from '@mui/icons-material/Publish';
+import FolderOpenIcon from '@mui/icons-material/FolderOpen';
+import SaveIcon from '@mui/icons-material/Save';
+import HistoryIcon from '@mui/icons-material/History';
+import type { RecentProject } from '../types/project';
 
 interface HeaderProps {
+  projectName?: string | null;
+  recentProjects?: RecentProject[];
   onAddFiles: () => void;
   onToggleExport: () => void;
+  onOpenProject: (filePath?: string) => void;
+  onSaveProject: () => void;
+  onSaveProjectAs: () => void;
 }
 
 // ヘッダーコンポーネント
-const Header: React.FC<HeaderProps> = ({ onAddFiles, onToggleExport }) => {
+const Header: React.FC<HeaderProps> = ({
+  projectName,
+  recentProjects = [],
+  onAddFiles,
+  onToggleExport,
+  onOpenProject,
+  onSaveProject,
+  onSaveProjectAs
+}) => {
   const theme = useTheme();
+  const [recentAnchor, setRecentAnchor] = useState<HTMLElement | null>(null);
+
+  // 最近使ったプロジェクトを開く
+  const handleOpenRecent = (filePath: string) => {
+    setRecentAnchor(null);
+    onOpenProject(filePath);
+  };
   
   return (
     <AppBar 
@@ -25,10 +60,31 @@ const Header: React.FC<HeaderProps> = ({ onAddFiles, onToggleExport }) => {
       }}
     >
       <Toolbar variant="dense" sx={{ minHeight: '48px', px: 2 }}>
-        <Typography variant="h6" component="h1" sx={{ flexGrow: 1, fontWeight: 'bold' }}>
+        <Typography variant="h6" component="h1" sx={{ fontWeight: 'bold' }}>
           Super Watarec
         </Typography>
+        <Typography variant="body2" color="text.secondary" noWrap sx={{ flexGrow: 1, ml: 2 }}>
+          {projectName || '名称未設定'}
+        </Typography>
         <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button size="small" onClick={() => onOpenProject()} startIcon={<FolderOpenIcon />}>
+            開く
+          </Button>
+          <Button
+            size="small"
+            onClick={(e) => setRecentAnchor(e.currentTarget)}
+            disabled={recentProjects.length === 0}
+            startIcon={<HistoryIcon />}
+          >
+            最近使った項目
+          </Button>
+          <Button size="small" onClick={onSaveProject} startIcon={<SaveIcon />}>
+            保存
+          </Button>
+          <Button size="small" onClick={onSaveProjectAs}>
+            別名で保存
+          </Button>
+          <Divider orientation="vertical" flexItem />
           <Button 
             size="small"
             variant="contained" 
@@ -48,9 +104,26 @@ const Header: React.FC<HeaderProps> = ({ onAddFiles, onToggleExport }) => {
             書き出し設定
           </Button>
         </Box>
+
+        {/* 最近使ったプロジェクトのメニュー */}
+        <Menu
+          anchorEl={recentAnchor}
+          open={Boolean(recentAnchor)}
+          onClose={() => setRecentAnchor(null)}
+        >
+          {recentProjects.map(project => (
+            <MenuItem key={project.filePath} onClick={() => handleOpenRecent(project.filePath)}>
+              <ListItemText
+                primary={project.name}
+                secondary={project.filePath}
+                secondaryTypographyProps={{ noWrap: true, sx: { maxWidth: 360 } }}
+              />
+            </MenuItem>
+          ))}
+        </Menu>
       </Toolbar>
     </AppBar>
   );
 };
 
-export default Header;
\ No newline at end of file
+export default Header;
@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Box } from '@mui/material';
+import type { CropRect } from '../types/media';
+import { fitCropRect, getDefaultCropRect } from '../utils/reframe';
+
+interface ReframeOverlayProps {
+  videoWidth: number;
+  videoHeight: number;
+  rect: CropRect | null;
+  canvasRatio: number; // 書き出しキャンバスの縦横比（幅 / 高さ）
+  onChange: (rect: CropRect) => void;
+}
+
+// ドラッグ操作の状態（move: 範囲の移動 / draw: 新しい範囲の作成）
+interface DragState {
+  mode: 'move' | 'draw';
+  startX: number;
+  startY: number;
+  startRect: CropRect;
+}
+
+/**
+ * プレーヤー上に切り取り範囲を表示・編集するオーバーレイ
+ * 範囲内のドラッグで移動、範囲外のドラッグで新しい範囲を作成する（縦横比はキャンバスに固定）
+ */
+const ReframeOverlay: React.FC<ReframeOverlayProps> = ({ videoWidth, videoHeight, rect, canvasRatio, onChange }) => {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const dragRef = useRef<DragState | null>(null);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [draft, setDraft] = useState<CropRect | null>(null);
+
+  const videoRatio = videoWidth > 0 && videoHeight > 0 ? videoWidth / videoHeight : 16 / 9;
+
+  // プレーヤーの大きさの変化を追従
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return;
+    const observer = new ResizeObserver(entries => {
+      const { width, height } = entries[0].contentRect;
+      setSize({ width, height });
+    });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  // 範囲が未設定の場合は中央の最大範囲を設定
+  useEffect(() => {
+    if (!rect && videoWidth > 0 && videoHeight > 0) {
+      onChange(getDefaultCropRect(videoRatio, canvasRatio));
+    }
+  }, [rect, videoWidth, videoHeight, videoRatio, canvasRatio, onChange]);
+
+  // object-fit: contain で表示されている映像の領域
+  const contentWidth = Math.min(size.width, size.height * videoRatio);
+  const contentHeight = contentWidth / videoRatio;
+  const contentLeft = (size.width - contentWidth) / 2;
+  const contentTop = (size.height - contentHeight) / 2;
+
+  // マウス位置を映像に対する比率に変換
+  const toRatio = useCallback((e: React.PointerEvent) => {
+    const bounds = containerRef.current!.getBoundingClientRect();
+    return {
+      x: (e.clientX - bounds.left - contentLeft) / contentWidth,
+      y: (e.clientY - bounds.top - contentTop) / contentHeight
+    };
+  }, [contentLeft, contentTop, contentWidth, contentHeight]);
+
+  const current = draft || rect;
+
+  const handlePointerDown = useCallback((e: React.PointerEvent) => {
+    if (!current || contentWidth <= 0) return;
+    const point = toRatio(e);
+    const inside = point.x >= current.x && point.x <= current.x + current.width &&
+      point.y >= current.y && point.y <= current.y + current.height;
+    dragRef.current = { mode: inside ? 'move' : 'draw', startX: point.x, startY: point.y, startRect: current };
+    (e.target as Element).setPointerCapture(e.pointerId);
+  }, [current, contentWidth, toRatio]);
+
+  const handlePointerMove = useCallback((e: React.PointerEvent) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const point = toRatio(e);
+
+    if (drag.mode === 'move') {
+      setDraft(fitCropRect({
+        ...drag.startRect,
+        x: drag.startRect.x + point.x - drag.startX,
+        y: drag.startRect.y + point.y - drag.startY
+      }, videoRatio, canvasRatio));
+      return;
+    }
+
+    // 開始点を角として、ドラッグした方向に範囲を広げる
+    const width = Math.abs(point.x - drag.startX);
+    const height = width * videoRatio / canvasRatio;
+    setDraft(fitCropRect({
+      x: point.x < drag.startX ? drag.startX - width : drag.startX,
+      y: point.y < drag.startY ? drag.startY - height : drag.startY,
+      width,
+      height
+    }, videoRatio, canvasRatio));
+  }, [toRatio, videoRatio, canvasRatio]);
+
+  const handlePointerUp = useCallback(() => {
+    dragRef.current = null;
+    if (draft) {
+      onChange(draft);
+      setDraft(null);
+    }
+  }, [draft, onChange]);
+
+  return (
+    <Box ref={containerRef} sx={{ position: 'absolute', inset: 0, zIndex: 5 }}>
+      <Box
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        sx={{
+          position: 'absolute',
+          left: contentLeft,
+          top: contentTop,
+          width: contentWidth,
+          height: contentHeight,
+          overflow: 'hidden',
+          cursor: 'crosshair'
+        }}
+      >
+        {current && (
+          <Box
+            sx={{
+              position: 'absolute',
+              left: current.x * contentWidth,
+              top: current.y * contentHeight,
+              width: current.width * contentWidth,
+              height: current.height * contentHeight,
+              border: '2px solid',
+              borderColor: 'primary.main',
+              boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.5)',
+              pointerEvents: 'none'
+            }}
+          />
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default ReframeOverlay;
@@ -6,15 +6,19 @@ import {
 } from '@mui/material';
 import { 
   Cancel, Refresh, AudioFile, Movie,
-  ImageAspectRatio, Save, BarChart 
+  ImageAspectRatio, Save, BarChart, RecordVoiceOver
 } from '@mui/icons-material';
 import { useTasks } from '../hooks';
 import { Task as TaskInfo } from '../types/tasks';
+import LoudnessReportView from './Export/LoudnessReportView';
 
 // タスク種類の日本語表示
 const taskTypeLabels: Record<string, string> = {
   waveform: '波形生成',
   loudness: 'ラウドネス解析',
+  silence: '無音検出',
+  scenedetect: 'シーン検出',
+  'voice-enhance-preview': 'ボイスエンハンス試聴',
   thumbnail: 'サムネイル生成',
   encode: 'エンコード',
   export: '書き出し'
@@ -24,6 +28,9 @@ const taskTypeLabels: Record<string, string> = {
 const taskTypeIcons: Record<string, React.ReactElement> = {
   waveform: <AudioFile fontSize="small" color="info" />,
   loudness: <BarChart fontSize="small" color="info" />,
+  silence: <AudioFile fontSize="small" color="warning" />,
+  scenedetect: <Movie fontSize="small" color="info" />,
+  'voice-enhance-preview': <RecordVoiceOver fontSize="small" color="info" />,
   thumbnail: <ImageAspectRatio fontSize="small" color="success" />,
   encode: <Movie fontSize="small" color="primary" />,
   export: <Save fontSize="small" color="secondary" />
@@ -279,6 +286,11 @@ const TaskItem: React.FC<TaskItemProps> = ({ task }) => {
                 {task.data.details}
               </Typography>
             )}
+            
+            {/* 書き出しタスクのラウドネスレポート */}
+            {task.type === 'export' && task.status === 'completed' && task.metadata?.loudnessReport && (
+              <LoudnessReportView result={task.metadata.loudnessReport} />
+            )}
           </Box>
         }
       />
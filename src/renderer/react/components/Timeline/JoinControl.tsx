@@ -0,0 +1,121 @@
+import React from 'react';
+import { AudioCrossfade, VideoTransition } from '../../types/media';
+
+interface JoinControlProps {
+  media: any;
+  onUpdateJoin: (mediaId: string, updates: any) => void;
+}
+
+// 選択可能なクロスフェード時間（秒）
+const CROSSFADE_DURATIONS = [0, 0.25, 0.5, 1, 2];
+
+// 選択可能なクロスフェードカーブ（ffmpeg acrossfade の curve 名）
+const CROSSFADE_CURVES = [
+  { value: 'tri', label: '直線' },
+  { value: 'qsin', label: 'サイン (1/4)' },
+  { value: 'hsin', label: 'サイン (1/2)' },
+  { value: 'esin', label: '指数サイン' },
+  { value: 'log', label: '対数' },
+  { value: 'exp', label: '指数' }
+];
+
+// 選択可能な映像トランジション
+const TRANSITION_TYPES = [
+  { value: '', label: 'カット' },
+  { value: 'dissolve', label: 'ディゾルブ' },
+  { value: 'fade_black', label: '黒フェード' },
+  { value: 'slide', label: 'スライド' },
+  { value: 'wipe', label: 'ワイプ' }
+];
+
+// 選択可能なトランジション時間（秒）
+const TRANSITION_DURATIONS = [0.25, 0.5, 1, 2];
+
+/**
+ * タイムライン上の隣接クリップ間のつなぎ目設定を表示するコンポーネント
+ * 設定はつなぎ目の前側のクリップに保持する
+ */
+const JoinControl: React.FC<JoinControlProps> = ({ media, onUpdateJoin }) => {
+  const crossfade: AudioCrossfade | null = media.audioCrossfade || null;
+  const transition: VideoTransition | null = media.transition || null;
+  const curve = crossfade?.curve || 'tri';
+  // トランジションがある場合、音声はトランジションと同じ長さでクロスフェードする
+  const audioDuration = transition ? transition.duration : (crossfade?.duration || 0);
+
+  const handleTransitionTypeChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    const type = e.target.value;
+    onUpdateJoin(media.id, {
+      transition: type ? { type, duration: transition?.duration || 0.5 } : null
+    });
+  };
+
+  const handleTransitionDurationChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    if (!transition) return;
+    onUpdateJoin(media.id, {
+      transition: { ...transition, duration: parseFloat(e.target.value) }
+    });
+  };
+
+  const handleCrossfadeDurationChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    const newDuration = parseFloat(e.target.value);
+    onUpdateJoin(media.id, {
+      audioCrossfade: newDuration > 0 ? { duration: newDuration, curve } : null
+    });
+  };
+
+  const handleCurveChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    onUpdateJoin(media.id, {
+      audioCrossfade: { duration: audioDuration, curve: e.target.value }
+    });
+  };
+
+  return (
+    <div
+      className={`media-join ${audioDuration > 0 ? 'active' : ''}`}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="media-join-row">
+        <span className="media-join-label">映像トランジション</span>
+        <select value={transition?.type || ''} onChange={handleTransitionTypeChange}>
+          {TRANSITION_TYPES.map(option => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        {transition && (
+          <select value={transition.duration} onChange={handleTransitionDurationChange}>
+            {TRANSITION_DURATIONS.map(value => (
+              <option key={value} value={value}>{value}秒</option>
+            ))}
+          </select>
+        )}
+      </div>
+      <div className="media-join-row">
+        <span className="media-join-label">音声クロスフェード</span>
+        {transition ? (
+          <span className="media-join-note">トランジションに合わせる</span>
+        ) : (
+          <select value={audioDuration} onChange={handleCrossfadeDurationChange}>
+            {CROSSFADE_DURATIONS.map(value => (
+              <option key={value} value={value}>
+                {value > 0 ? `${value}秒` : 'なし'}
+              </option>
+            ))}
+          </select>
+        )}
+        {audioDuration > 0 && (
+          <select value={curve} onChange={handleCurveChange}>
+            {CROSSFADE_CURVES.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default JoinControl;
@@ -1,6 +1,7 @@
 import React from 'react';
 import { DragDropContext, Droppable, Draggable, DropResult } from '@hello-pangea/dnd';
 import MediaItem from './MediaItem';
+import JoinControl from './JoinControl';
 
 interface MediaListProps {
   mediaFiles: any[];
@@ -15,6 +16,7 @@ interface MediaListProps {
   onMediaClick: (mediaId: string, e: React.MouseEvent) => void;
   onMeasureLoudness: (media: any, e: React.MouseEvent) => void;
   onToggleLoudnessNormalization: (media: any, e: React.ChangeEvent<HTMLInputElement>) => void;
+  onUpdateJoin?: (mediaId: string, updates: any) => void;
 }
 
 /**
@@ -32,7 +34,8 @@ const MediaList: React.FC<MediaListProps> = ({
   onDragEnd,
   onMediaClick,
   onMeasureLoudness,
-  onToggleLoudnessNormalization
+  onToggleLoudnessNormalization,
+  onUpdateJoin
 }) => {
   return (
     <DragDropContext onDragEnd={onDragEnd}>
@@ -65,6 +68,9 @@ const MediaList: React.FC<MediaListProps> = ({
                       onMeasureLoudness={onMeasureLoudness}
                       onToggleLoudnessNormalization={onToggleLoudnessNormalization}
                     />
+                    {onUpdateJoin && index < mediaFiles.length - 1 && (
+                      <JoinControl media={media} onUpdateJoin={onUpdateJoin} />
+                    )}
                   </div>
                 )}
               </Draggable>
@@ -0,0 +1,126 @@
+import React from 'react';
+import { Box, FormControlLabel, IconButton, Switch, TextField, Tooltip, Typography } from '@mui/material';
+import { DeleteOutline, WarningAmber } from '@mui/icons-material';
+import type { MusicClip } from '../../types/media';
+import { GAIN_MAX, GAIN_MIN, GAIN_STEP } from '../../utils/audioEnvelope';
+
+interface MusicClipItemProps {
+  clip: MusicClip;
+  onUpdate: (clipId: string, updates: Partial<MusicClip>) => void;
+  onRemove: (clipId: string) => void;
+}
+
+// 数値入力の共通スタイル
+const inputSx = { width: 84, '& input': { fontSize: '0.75rem', py: 0.5 } };
+
+/**
+ * BGMトラック上の1クリップの設定（開始位置・使用範囲・ループ・フェード・音量）
+ */
+const MusicClipItem: React.FC<MusicClipItemProps> = ({ clip, onUpdate, onRemove }) => {
+  const trimEnd = clip.trimEnd ?? clip.duration;
+
+  // 数値入力の変更（空欄や不正な値は無視し、指定範囲に収める）
+  const handleNumberChange = (key: keyof MusicClip, min: number, max: number) =>
+    (e: React.ChangeEvent<HTMLInputElement>) => {
+      const value = parseFloat(e.target.value);
+      if (isNaN(value)) return;
+      onUpdate(clip.id, { [key]: Math.min(max, Math.max(min, value)) });
+    };
+
+  // 使用終了位置が素材の終わりの場合はnullとして保持
+  const handleTrimEndChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const value = parseFloat(e.target.value);
+    if (isNaN(value)) return;
+    const clamped = Math.min(clip.duration, Math.max(clip.trimStart, value));
+    onUpdate(clip.id, { trimEnd: clamped >= clip.duration ? null : clamped });
+  };
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', py: 0.5 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, width: 160, minWidth: 0 }}>
+        {clip.missing && (
+          <Tooltip title="素材ファイルが見つかりません">
+            <WarningAmber fontSize="small" color="warning" />
+          </Tooltip>
+        )}
+        <Typography variant="caption" noWrap title={clip.path}>
+          {clip.name}
+        </Typography>
+      </Box>
+
+      <TextField
+        size="small"
+        type="number"
+        label="開始 (秒)"
+        value={clip.start}
+        onChange={handleNumberChange('start', 0, Number.MAX_SAFE_INTEGER)}
+        inputProps={{ min: 0, step: 0.5 }}
+        sx={inputSx}
+      />
+      <TextField
+        size="small"
+        type="number"
+        label="素材の使用開始"
+        value={clip.trimStart}
+        onChange={handleNumberChange('trimStart', 0, trimEnd)}
+        inputProps={{ min: 0, max: trimEnd, step: 0.5 }}
+        sx={inputSx}
+      />
+      <TextField
+        size="small"
+        type="number"
+        label="素材の使用終了"
+        value={Number(trimEnd.toFixed(2))}
+        onChange={handleTrimEndChange}
+        inputProps={{ min: clip.trimStart, max: clip.duration, step: 0.5 }}
+        sx={inputSx}
+      />
+      <FormControlLabel
+        control={
+          <Switch
+            size="small"
+            checked={clip.loop}
+            onChange={(e) => onUpdate(clip.id, { loop: e.target.checked })}
+          />
+        }
+        label={<Typography variant="caption">ループ</Typography>}
+        sx={{ mr: 0 }}
+      />
+      <TextField
+        size="small"
+        type="number"
+        label="フェードイン"
+        value={clip.fadeIn}
+        onChange={handleNumberChange('fadeIn', 0, 30)}
+        inputProps={{ min: 0, step: 0.5 }}
+        sx={inputSx}
+      />
+      <TextField
+        size="small"
+        type="number"
+        label="フェードアウト"
+        value={clip.fadeOut}
+        onChange={handleNumberChange('fadeOut', 0, 30)}
+        inputProps={{ min: 0, step: 0.5 }}
+        sx={inputSx}
+      />
+      <TextField
+        size="small"
+        type="number"
+        label="音量 (dB)"
+        value={clip.gain}
+        onChange={handleNumberChange('gain', GAIN_MIN, GAIN_MAX)}
+        inputProps={{ min: GAIN_MIN, max: GAIN_MAX, step: GAIN_STEP }}
+        sx={inputSx}
+      />
+
+      <Tooltip title="BGMを削除">
+        <IconButton size="small" onClick={() => onRemove(clip.id)}>
+          <DeleteOutline fontSize="small" />
+        </IconButton>
+      </Tooltip>
+    </Box>
+  );
+};
+
+export default MusicClipItem;
@@ -0,0 +1,79 @@
+import React, { useCallback } from 'react';
+import { Box, Button, CircularProgress, MenuItem, Select, Typography } from '@mui/material';
+import { LibraryMusic } from '@mui/icons-material';
+import type { MusicDucking } from '../../types/media';
+import { useMusic } from '../../hooks';
+import MusicClipItem from './MusicClipItem';
+
+// 選択可能なダッキングの強さ
+const DUCKING_OPTIONS: { value: MusicDucking; label: string }[] = [
+  { value: 'off', label: 'ダッキングなし' },
+  { value: 'light', label: 'ダッキング（弱）' },
+  { value: 'normal', label: 'ダッキング（標準）' },
+  { value: 'strong', label: 'ダッキング（強）' }
+];
+
+/**
+ * BGMトラック（タイムラインの2本目の音声レーン）
+ * 書き出し時にセリフの下にミックスされ、セリフがある間は自動的に音量が下がる
+ */
+const MusicLane: React.FC = () => {
+  const { musicTrack, isLoading, addMusicFiles, updateMusicClip, removeMusicClip, setDucking } = useMusic();
+
+  // BGMファイルを選択して追加
+  const handleAddMusic = useCallback(async () => {
+    try {
+      const filePaths: string[] = await window.api.invoke('open-audio-file-dialog');
+      if (filePaths && filePaths.length > 0) {
+        await addMusicFiles(filePaths);
+      }
+    } catch (error) {
+      console.error('BGMファイル選択エラー:', error);
+    }
+  }, [addMusicFiles]);
+
+  return (
+    <Box sx={{ borderTop: 1, borderColor: 'divider', p: 1, flexShrink: 0 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+        <Typography variant="caption" color="text.secondary">
+          BGM
+        </Typography>
+
+        <Select
+          size="small"
+          value={musicTrack.ducking}
+          onChange={(e) => setDucking(e.target.value as MusicDucking)}
+          sx={{ fontSize: '0.75rem', height: 28 }}
+        >
+          {DUCKING_OPTIONS.map(option => (
+            <MenuItem key={option.value} value={option.value} sx={{ fontSize: '0.75rem' }}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </Select>
+
+        <Button
+          size="small"
+          variant="outlined"
+          onClick={handleAddMusic}
+          disabled={isLoading}
+          startIcon={isLoading ? <CircularProgress size={14} /> : <LibraryMusic fontSize="small" />}
+          sx={{ fontSize: '0.75rem' }}
+        >
+          BGMを追加
+        </Button>
+      </Box>
+
+      {musicTrack.clips.map(clip => (
+        <MusicClipItem
+          key={clip.id}
+          clip={clip}
+          onUpdate={updateMusicClip}
+          onRemove={removeMusicClip}
+        />
+      ))}
+    </Box>
+  );
+};
+
+export default MusicLane;
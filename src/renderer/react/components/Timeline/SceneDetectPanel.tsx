@@ -0,0 +1,160 @@
+import React, { useState, useCallback } from 'react';
+import { Box, Button, Typography, Select, MenuItem, CircularProgress, Tooltip } from '@mui/material';
+import { Movie, ContentCut } from '@mui/icons-material';
+import type { ClipSegment, DetectedScene, MediaFile } from '../../types/media';
+import { useTasks } from '../../hooks';
+import { getClipSegments, splitSegmentsAt } from '../../utils/segments';
+import { pathToSecureFileUrl } from '../../utils/fileUrl';
+
+interface SceneDetectPanelProps {
+  media: MediaFile;
+  onUpdateMedia: (mediaId: string, updates: Partial<MediaFile>) => void;
+  onUpdateSegments: (mediaId: string, segments: ClipSegment[] | null) => void;
+  formatDuration: (seconds: number) => string;
+}
+
+// 選択可能な検出感度（sceneスコアの閾値）
+const SENSITIVITIES = [
+  { value: 0.25, label: '高感度' },
+  { value: 0.4, label: '標準' },
+  { value: 0.6, label: '低感度' }
+];
+
+/**
+ * 選択中のクリップのシーン検出と、検出シーンでの分割を行うパネル
+ */
+const SceneDetectPanel: React.FC<SceneDetectPanelProps> = ({
+  media,
+  onUpdateMedia,
+  onUpdateSegments,
+  formatDuration
+}) => {
+  const { monitorTaskStatus } = useTasks();
+  const [threshold, setThreshold] = useState(0.4);
+  const [detecting, setDetecting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const scenes: DetectedScene[] = media.scenes || [];
+
+  // シーン検出タスクを実行
+  const handleDetect = useCallback(async () => {
+    setDetecting(true);
+    setError(null);
+
+    try {
+      const result: any = await window.api.invoke('create-task', 'scenedetect', {
+        mediaId: media.id,
+        mediaPath: media.path,
+        threshold
+      });
+
+      if (!result?.taskId) {
+        throw new Error('タスク作成に失敗しました');
+      }
+
+      monitorTaskStatus(result.taskId, (taskResult) => {
+        setDetecting(false);
+        const detected = taskResult?.data?.scenes;
+        if (Array.isArray(detected)) {
+          console.log(`シーン検出完了: ${detected.length}シーン`);
+          onUpdateMedia(media.id, { scenes: detected });
+        } else {
+          setError('シーン検出の結果を取得できませんでした');
+        }
+      }, (errorMessage) => {
+        setDetecting(false);
+        setError(errorMessage);
+      });
+    } catch (error: any) {
+      console.error('シーン検出タスク作成エラー:', error);
+      setDetecting(false);
+      setError(error.message || '不明なエラー');
+    }
+  }, [media.id, media.path, threshold, monitorTaskStatus, onUpdateMedia]);
+
+  // 検出したシーンの境界でクリップを分割
+  const handleSplitAtScenes = useCallback(() => {
+    const cuts = scenes.slice(1).map(scene => scene.start);
+    if (cuts.length === 0) return;
+
+    onUpdateSegments(media.id, splitSegmentsAt(getClipSegments(media), cuts));
+  }, [media, scenes, onUpdateSegments]);
+
+  return (
+    <Box sx={{ borderTop: 1, borderColor: 'divider', p: 1, flexShrink: 0 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+        <Typography variant="caption" color="text.secondary" noWrap sx={{ maxWidth: 160 }}>
+          シーン検出: {media.name}
+        </Typography>
+
+        <Select
+          size="small"
+          value={threshold}
+          onChange={(e) => setThreshold(Number(e.target.value))}
+          sx={{ fontSize: '0.75rem', height: 28 }}
+        >
+          {SENSITIVITIES.map(option => (
+            <MenuItem key={option.value} value={option.value} sx={{ fontSize: '0.75rem' }}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </Select>
+
+        <Button
+          size="small"
+          variant="outlined"
+          onClick={handleDetect}
+          disabled={detecting}
+          startIcon={detecting ? <CircularProgress size={14} /> : <Movie fontSize="small" />}
+          sx={{ fontSize: '0.75rem' }}
+        >
+          検出
+        </Button>
+
+        <Tooltip title="検出したシーンの境界でクリップを区間に分割">
+          <span>
+            <Button
+              size="small"
+              variant="contained"
+              onClick={handleSplitAtScenes}
+              disabled={detecting || scenes.length < 2}
+              startIcon={<ContentCut fontSize="small" />}
+              sx={{ fontSize: '0.75rem' }}
+            >
+              シーンで分割
+            </Button>
+          </span>
+        </Tooltip>
+
+        {error && (
+          <Typography variant="caption" color="error">
+            {error}
+          </Typography>
+        )}
+      </Box>
+
+      {scenes.length > 0 && (
+        <Box sx={{ display: 'flex', gap: 0.5, overflowX: 'auto', mt: 1, pb: 0.5 }}>
+          {scenes.map(scene => (
+            <Box key={scene.index} sx={{ flexShrink: 0, width: 96, textAlign: 'center' }}>
+              {scene.thumbnail ? (
+                <img
+                  src={pathToSecureFileUrl(scene.thumbnail)}
+                  alt={`シーン${scene.index + 1}`}
+                  style={{ width: '100%', borderRadius: 2, display: 'block' }}
+                />
+              ) : (
+                <Box sx={{ width: '100%', aspectRatio: '16 / 9', borderRadius: '2px', bgcolor: 'action.hover' }} />
+              )}
+              <Typography variant="caption" color="text.secondary" sx={{ fontSize: '0.65rem' }}>
+                {formatDuration(scene.start)} - {formatDuration(scene.end)}
+              </Typography>
+            </Box>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default SceneDetectPanel;
@@ -4,6 +4,9 @@ import { Box, Paper, Typography, Button, IconButton, Divider, useTheme } from '@
 import { Delete, SelectAll, Clear, CloudUpload, VolumeUp, VolumeOff } from '@mui/icons-material';
 import { useThumbnail, useTasks } from '../../hooks';
 import MediaList from './MediaList';
+import SceneDetectPanel from './SceneDetectPanel';
+import MusicLane from './MusicLane';
+import type { ClipSegment } from '../../types/media';
 
 interface TimelinePaneProps {
   mediaFiles: any[];
@@ -14,6 +17,7 @@ interface TimelinePaneProps {
   onReorderMedia?: (result: { source: number; destination: number }) => void;
   onDeleteMedias?: (mediaIds: string[]) => void;
   onUpdateMedia?: (mediaId: string, updates: any) => void;
+  onUpdateSegments?: (mediaId: string, segments: ClipSegment[] | null) => void;
 }
 
 interface LoudnessResult {
@@ -38,7 +42,8 @@ const TimelinePane: React.FC<TimelinePaneProps> = ({
   onDropFiles,
   onReorderMedia,
   onDeleteMedias,
-  onUpdateMedia
+  onUpdateMedia,
+  onUpdateSegments
 }) => {
   // フック
   const { getThumbnailForMedia } = useThumbnail();
@@ -760,9 +765,21 @@ const TimelinePane: React.FC<TimelinePaneProps> = ({
             onMediaClick={handleMediaClick}
             onMeasureLoudness={handleMeasureLoudness}
             onToggleLoudnessNormalization={handleToggleLoudnessNormalization}
+            onUpdateJoin={onUpdateMedia}
           />
         )}
       </Box>
+      
+      <MusicLane />
+      
+      {selectedMedia && onUpdateMedia && onUpdateSegments && (
+        <SceneDetectPanel
+          media={selectedMedia}
+          onUpdateMedia={onUpdateMedia}
+          onUpdateSegments={onUpdateSegments}
+          formatDuration={formatDuration}
+        />
+      )}
     </Box>
   );
 };
@@ -0,0 +1,75 @@
+import React from 'react';
+import { Box, IconButton, TextField, Tooltip, Typography } from '@mui/material';
+import { RestartAlt } from '@mui/icons-material';
+import type { AudioEnvelope } from '../../types/media';
+import { EMPTY_AUDIO_ENVELOPE, GAIN_MAX, GAIN_MIN, GAIN_STEP } from '../../utils/audioEnvelope';
+
+interface EnvelopeControlsProps {
+  envelope: AudioEnvelope | null;
+  onChange: (envelope: AudioEnvelope) => void; // 範囲の調整は呼び出し側で行う
+  onReset: () => void;
+}
+
+const inputSx = { width: 96, '& input': { fontSize: '0.75rem', py: 0.5 } };
+
+/**
+ * クリップの音量・フェードコントロールコンポーネント
+ * 波形上のハンドルと同じ値を数値で編集する
+ */
+const EnvelopeControls: React.FC<EnvelopeControlsProps> = ({ envelope, onChange, onReset }) => {
+  const current = envelope || EMPTY_AUDIO_ENVELOPE;
+
+  // 数値入力の変更（空欄や不正な値は無視）
+  const handleChange = (key: keyof AudioEnvelope) => (e: React.ChangeEvent<HTMLInputElement>) => {
+    const value = parseFloat(e.target.value);
+    if (!isNaN(value)) {
+      onChange({ ...current, [key]: value });
+    }
+  };
+
+  return (
+    <Box sx={{ px: 1.5, pb: 1.5, display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+      <Typography variant="caption" color="text.secondary">
+        音量・フェード
+      </Typography>
+
+      <TextField
+        size="small"
+        type="number"
+        label="音量 (dB)"
+        value={current.gain}
+        onChange={handleChange('gain')}
+        inputProps={{ min: GAIN_MIN, max: GAIN_MAX, step: GAIN_STEP }}
+        sx={inputSx}
+      />
+      <TextField
+        size="small"
+        type="number"
+        label="フェードイン (秒)"
+        value={Number(current.fadeIn.toFixed(2))}
+        onChange={handleChange('fadeIn')}
+        inputProps={{ min: 0, step: 0.1 }}
+        sx={inputSx}
+      />
+      <TextField
+        size="small"
+        type="number"
+        label="フェードアウト (秒)"
+        value={Number(current.fadeOut.toFixed(2))}
+        onChange={handleChange('fadeOut')}
+        inputProps={{ min: 0, step: 0.1 }}
+        sx={inputSx}
+      />
+
+      <Tooltip title="音量・フェードをリセット">
+        <span>
+          <IconButton size="small" onClick={onReset} disabled={!envelope}>
+            <RestartAlt fontSize="small" />
+          </IconButton>
+        </span>
+      </Tooltip>
+    </Box>
+  );
+};
+
+export default EnvelopeControls;
@@ -0,0 +1,130 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  FormControlLabel,
+  Switch,
+  CircularProgress
+} from '@mui/material';
+import { BarChart } from '@mui/icons-material';
+import type { LoudnessCurve, MediaFile } from '../../types/media';
+import { useTasks } from '../../hooks';
+
+interface LoudnessControlsProps {
+  media: MediaFile;
+  visible: boolean;
+  loudnessTarget: { integrated: number; truePeak: number };
+  onToggleVisible: (visible: boolean) => void;
+  onMeasured: (curve: LoudnessCurve) => void;
+}
+
+/**
+ * ラウドネス曲線コントロールコンポーネント
+ * 全区間のラウドネス測定タスクを実行し、ショートタームの時系列をクリップに保持する
+ */
+const LoudnessControls: React.FC<LoudnessControlsProps> = ({
+  media,
+  visible,
+  loudnessTarget,
+  onToggleVisible,
+  onMeasured
+}) => {
+  const { monitorTaskStatus } = useTasks();
+  const [measuring, setMeasuring] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const curve = media.loudnessCurve || null;
+
+  // トゥルーピークが上限を超えた点の数
+  const clippingCount = useMemo(() => {
+    if (!curve) return 0;
+    return curve.truePeak.filter(peak => peak !== null && peak > loudnessTarget.truePeak).length;
+  }, [curve, loudnessTarget.truePeak]);
+
+  // ラウドネス測定タスク（全区間）を実行
+  const handleMeasure = useCallback(async () => {
+    setMeasuring(true);
+    setError(null);
+
+    try {
+      const result: any = await window.api.invoke('create-task', 'loudness', {
+        mediaId: media.id,
+        mediaPath: media.path,
+        mode: 'full'
+      });
+
+      if (!result?.taskId) {
+        throw new Error('タスク作成に失敗しました');
+      }
+
+      monitorTaskStatus(result.taskId, (taskResult) => {
+        setMeasuring(false);
+        const data = taskResult?.data;
+        if (data && Array.isArray(data.short_term)) {
+          onMeasured({
+            interval: data.series_interval,
+            shortTerm: data.short_term,
+            truePeak: Array.isArray(data.true_peak_series) ? data.true_peak_series : [],
+            integrated: typeof data.integrated_loudness === 'number' ? data.integrated_loudness : null
+          });
+          onToggleVisible(true);
+        } else {
+          setError('ラウドネスの時系列を取得できませんでした');
+        }
+      }, (errorMessage) => {
+        setMeasuring(false);
+        setError(errorMessage);
+      });
+    } catch (error: any) {
+      console.error('ラウドネス測定タスク作成エラー:', error);
+      setMeasuring(false);
+      setError(error.message || '不明なエラー');
+    }
+  }, [media.id, media.path, monitorTaskStatus, onMeasured, onToggleVisible]);
+
+  return (
+    <Box sx={{ px: 1.5, pb: 1.5, display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+      <Typography variant="caption" color="text.secondary">
+        ラウドネス
+      </Typography>
+
+      <FormControlLabel
+        control={
+          <Switch
+            size="small"
+            checked={visible && Boolean(curve)}
+            onChange={(e) => onToggleVisible(e.target.checked)}
+            disabled={!curve}
+          />
+        }
+        label={<Typography variant="caption">曲線を表示</Typography>}
+        sx={{ mr: 0 }}
+      />
+
+      <Button
+        size="small"
+        variant="outlined"
+        onClick={handleMeasure}
+        disabled={measuring}
+        startIcon={measuring ? <CircularProgress size={14} /> : <BarChart fontSize="small" />}
+        sx={{ fontSize: '0.75rem' }}
+      >
+        {curve ? '再測定' : '測定'}
+      </Button>
+
+      {error ? (
+        <Typography variant="caption" color="error">
+          {error}
+        </Typography>
+      ) : curve && (
+        <Typography variant="caption" color="text.secondary">
+          統合 {curve.integrated !== null ? curve.integrated.toFixed(1) : '-'} LUFS（目標 {loudnessTarget.integrated} LUFS）
+          {clippingCount > 0 && ` / トゥルーピーク超過 ${clippingCount}箇所`}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default LoudnessControls;
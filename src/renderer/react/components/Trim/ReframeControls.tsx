@@ -0,0 +1,72 @@
+import React from 'react';
+import { Box, Button, MenuItem, Select, Typography } from '@mui/material';
+import { Crop } from '@mui/icons-material';
+import type { MediaFile, ReframeMode } from '../../types/media';
+
+interface ReframeControlsProps {
+  media: MediaFile;
+  editing: boolean; // プレーヤー上で切り取り範囲を編集中かどうか
+  onEditingChange: (editing: boolean) => void;
+  onUpdateMedia: (mediaId: string, updates: Partial<MediaFile>) => void;
+}
+
+// 'auto' は書き出し設定の収め方を使う
+const MODES: { value: ReframeMode | 'auto'; label: string }[] = [
+  { value: 'auto', label: '書き出し設定に従う' },
+  { value: 'crop', label: '中央を切り取り' },
+  { value: 'blur', label: 'ぼかし背景に配置' },
+  { value: 'manual', label: '範囲を指定' }
+];
+
+/**
+ * クリップのリフレーム（縦長・正方形のキャンバスへの収め方）コントロールコンポーネント
+ * 範囲を指定する場合はプレーヤー上で切り取り範囲をドラッグして編集する
+ */
+const ReframeControls: React.FC<ReframeControlsProps> = ({ media, editing, onEditingChange, onUpdateMedia }) => {
+  const mode = media.reframe?.mode || 'auto';
+
+  const handleModeChange = (value: ReframeMode | 'auto') => {
+    if (value === 'auto') {
+      onUpdateMedia(media.id, { reframe: null });
+      return;
+    }
+    // 範囲は前回指定したものを維持（未指定の場合はプレーヤー上で中央に作成）
+    onUpdateMedia(media.id, { reframe: { mode: value, rect: value === 'manual' ? media.reframe?.rect || null : null } });
+    onEditingChange(value === 'manual');
+  };
+
+  return (
+    <Box sx={{ px: 1.5, pb: 1.5, display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+      <Typography variant="caption" color="text.secondary">
+        リフレーム
+      </Typography>
+
+      <Select
+        size="small"
+        value={mode}
+        onChange={(e) => handleModeChange(e.target.value as ReframeMode | 'auto')}
+        sx={{ fontSize: '0.75rem', height: 28 }}
+      >
+        {MODES.map(option => (
+          <MenuItem key={option.value} value={option.value} sx={{ fontSize: '0.75rem' }}>
+            {option.label}
+          </MenuItem>
+        ))}
+      </Select>
+
+      {mode === 'manual' && (
+        <Button
+          size="small"
+          variant={editing ? 'contained' : 'outlined'}
+          onClick={() => onEditingChange(!editing)}
+          startIcon={<Crop fontSize="small" />}
+          sx={{ fontSize: '0.75rem' }}
+        >
+          {editing ? '範囲の編集を終了' : 'プレーヤーで範囲を編集'}
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+export default ReframeControls;
@@ -0,0 +1,153 @@
+import React, { useState, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  Select,
+  MenuItem,
+  Tooltip,
+  CircularProgress
+} from '@mui/material';
+import { VolumeOff, ContentCut } from '@mui/icons-material';
+import type { MediaFile, TimeRange } from '../../types/media';
+import { useTasks } from '../../hooks';
+
+interface SilenceControlsProps {
+  media: MediaFile;
+  onDetected: (ranges: TimeRange[]) => void;
+  onRemoveSilences: () => void;
+}
+
+// 選択可能な無音判定の閾値（dB）
+const THRESHOLDS = [-50, -45, -40, -35, -30, -25];
+
+// 選択可能な最小無音長（秒）
+const MIN_DURATIONS = [0.3, 0.5, 1, 2];
+
+/**
+ * 無音検出コントロールコンポーネント
+ * 無音検出タスクを実行し、検出結果をクリップに保持する
+ */
+const SilenceControls: React.FC<SilenceControlsProps> = ({
+  media,
+  onDetected,
+  onRemoveSilences
+}) => {
+  const { monitorTaskStatus } = useTasks();
+  const [threshold, setThreshold] = useState(-35);
+  const [minDuration, setMinDuration] = useState(0.5);
+  const [detecting, setDetecting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const silentRanges = media.silentRanges || [];
+
+  // 無音検出タスクを実行
+  const handleDetect = useCallback(async () => {
+    setDetecting(true);
+    setError(null);
+
+    try {
+      const result: any = await window.api.invoke('create-task', 'silence', {
+        mediaId: media.id,
+        mediaPath: media.path,
+        threshold,
+        minDuration
+      });
+
+      if (!result?.taskId) {
+        throw new Error('タスク作成に失敗しました');
+      }
+
+      monitorTaskStatus(result.taskId, (taskResult) => {
+        setDetecting(false);
+        const silences = taskResult?.data?.silences;
+        if (Array.isArray(silences)) {
+          console.log(`無音検出完了: ${silences.length}件`);
+          onDetected(silences.map((range: TimeRange) => ({ start: range.start, end: range.end })));
+        } else {
+          setError('無音検出の結果を取得できませんでした');
+        }
+      }, (errorMessage) => {
+        setDetecting(false);
+        setError(errorMessage);
+      });
+    } catch (error: any) {
+      console.error('無音検出タスク作成エラー:', error);
+      setDetecting(false);
+      setError(error.message || '不明なエラー');
+    }
+  }, [media.id, media.path, threshold, minDuration, monitorTaskStatus, onDetected]);
+
+  return (
+    <Box sx={{ px: 1.5, pb: 1.5, display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+      <Typography variant="caption" color="text.secondary">
+        無音検出
+      </Typography>
+
+      <Select
+        size="small"
+        value={threshold}
+        onChange={(e) => setThreshold(Number(e.target.value))}
+        sx={{ fontSize: '0.75rem', height: 28 }}
+      >
+        {THRESHOLDS.map(value => (
+          <MenuItem key={value} value={value} sx={{ fontSize: '0.75rem' }}>
+            {value} dB以下
+          </MenuItem>
+        ))}
+      </Select>
+
+      <Select
+        size="small"
+        value={minDuration}
+        onChange={(e) => setMinDuration(Number(e.target.value))}
+        sx={{ fontSize: '0.75rem', height: 28 }}
+      >
+        {MIN_DURATIONS.map(value => (
+          <MenuItem key={value} value={value} sx={{ fontSize: '0.75rem' }}>
+            {value}秒以上
+          </MenuItem>
+        ))}
+      </Select>
+
+      <Button
+        size="small"
+        variant="outlined"
+        onClick={handleDetect}
+        disabled={detecting}
+        startIcon={detecting ? <CircularProgress size={14} /> : <VolumeOff fontSize="small" />}
+        sx={{ fontSize: '0.75rem' }}
+      >
+        検出
+      </Button>
+
+      <Tooltip title="検出した無音区間を全てカット">
+        <span>
+          <Button
+            size="small"
+            variant="contained"
+            color="warning"
+            onClick={onRemoveSilences}
+            disabled={detecting || silentRanges.length === 0}
+            startIcon={<ContentCut fontSize="small" />}
+            sx={{ fontSize: '0.75rem' }}
+          >
+            無音を全て削除
+          </Button>
+        </span>
+      </Tooltip>
+
+      {error ? (
+        <Typography variant="caption" color="error">
+          {error}
+        </Typography>
+      ) : silentRanges.length > 0 && (
+        <Typography variant="caption" color="text.secondary">
+          {silentRanges.length}件 / 合計{silentRanges.reduce((total, range) => total + (range.end - range.start), 0).toFixed(1)}秒
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default SilenceControls;
@@ -16,7 +16,8 @@ import {
   SkipNext,
   RestartAlt,
   ArrowForward,
-  ArrowBack
+  ArrowBack,
+  DeleteOutline
 } from '@mui/icons-material';
 
 interface TrimControlsProps {
@@ -27,6 +28,9 @@ interface TrimControlsProps {
   onSetTrimStart: (time: number) => void;
   onSetTrimEnd: (time: number) => void;
   onResetTrim: () => void;
+  segmentCount: number;
+  onSplit: () => void;
+  onDeleteSegment: () => void;
 }
 
 /**
@@ -39,7 +43,10 @@ const TrimControls: React.FC<TrimControlsProps> = ({
   currentTime,
   onSetTrimStart,
   onSetTrimEnd,
-  onResetTrim
+  onResetTrim,
+  segmentCount,
+  onSplit,
+  onDeleteSegment
 }) => {
   // 現在位置をトリム開始点にセット
   const handleSetTrimStart = () => {
@@ -111,6 +118,33 @@ const TrimControls: React.FC<TrimControlsProps> = ({
               </IconButton>
             </span>
           </Tooltip>
+
+          <Divider orientation="vertical" flexItem />
+
+          <Tooltip title="現在位置で分割">
+            <span>
+              <IconButton 
+                size="small"
+                onClick={onSplit}
+                disabled={duration <= 0}
+              >
+                <ContentCut fontSize="small" />
+              </IconButton>
+            </span>
+          </Tooltip>
+
+          <Tooltip title="選択中の区間を削除">
+            <span>
+              <IconButton 
+                size="small"
+                color="error"
+                onClick={onDeleteSegment}
+                disabled={segmentCount <= 1}
+              >
+                <DeleteOutline fontSize="small" />
+              </IconButton>
+            </span>
+          </Tooltip>
         </Box>
         
         {/* トリム範囲を右側に表示 */}
@@ -126,7 +160,7 @@ const TrimControls: React.FC<TrimControlsProps> = ({
                 whiteSpace: 'nowrap'
               }}
             >
-              長さ: {formatTime(trimEnd - trimStart)}
+              {segmentCount > 1 ? `${segmentCount}区間 / 選択区間の長さ` : '長さ'}: {formatTime(trimEnd - trimStart)}
             </Typography>
           </Box>
         )}
@@ -0,0 +1,159 @@
+import React, { useState, useCallback, useEffect, useRef } from 'react';
+import { Box, Button, ButtonGroup, CircularProgress, MenuItem, Select, Typography } from '@mui/material';
+import { RecordVoiceOver } from '@mui/icons-material';
+import type { MediaFile, VoiceEnhancePreset } from '../../types/media';
+import { useTasks } from '../../hooks';
+
+interface VoiceEnhanceControlsProps {
+  media: MediaFile;
+  currentTime: number;
+  onUpdateMedia: (mediaId: string, updates: Partial<MediaFile>) => void;
+}
+
+// 試聴用に書き出した区間のA（元の音声）とB（エンハンス後）
+interface VoicePreview {
+  original: string;
+  enhanced: string;
+  preset: VoiceEnhancePreset;
+}
+
+const PRESETS: { value: VoiceEnhancePreset; label: string }[] = [
+  { value: 'off', label: 'オフ' },
+  { value: 'light', label: '弱' },
+  { value: 'medium', label: '中' },
+  { value: 'strong', label: '強' }
+];
+
+// 試聴区間の長さ（秒）
+const PREVIEW_DURATION = 10;
+
+const toFileUrl = (filePath: string) => filePath.startsWith('file://') ? filePath : `file://${filePath}`;
+
+/**
+ * ボイスエンハンス（ノイズ除去・ディエッサー・コンプレッサー）コントロールコンポーネント
+ * 再生位置から短い区間を書き出し、元の音声とA/Bで聴き比べられる
+ */
+const VoiceEnhanceControls: React.FC<VoiceEnhanceControlsProps> = ({ media, currentTime, onUpdateMedia }) => {
+  const { monitorTaskStatus } = useTasks();
+  const [rendering, setRendering] = useState(false);
+  const [preview, setPreview] = useState<VoicePreview | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const audioRef = useRef<HTMLAudioElement | null>(null);
+  const playingPathRef = useRef<string | null>(null);
+
+  const preset: VoiceEnhancePreset = media.voiceEnhance || 'off';
+
+  // クリップが変わったら試聴音声を破棄
+  useEffect(() => {
+    setPreview(null);
+    setError(null);
+    playingPathRef.current = null;
+  }, [media.id]);
+
+  const handlePresetChange = useCallback((value: VoiceEnhancePreset) => {
+    onUpdateMedia(media.id, { voiceEnhance: value === 'off' ? null : value });
+    setPreview(null);
+    playingPathRef.current = null;
+  }, [media.id, onUpdateMedia]);
+
+  // 再生位置から試聴区間を書き出すタスクを実行
+  const handleRenderPreview = useCallback(async () => {
+    if (preset === 'off') return;
+    setRendering(true);
+    setError(null);
+
+    try {
+      const result: any = await window.api.invoke('create-task', 'voice-enhance-preview', {
+        mediaId: media.id,
+        mediaPath: media.path,
+        preset,
+        start: currentTime,
+        duration: PREVIEW_DURATION
+      });
+
+      if (!result?.taskId) {
+        throw new Error('タスク作成に失敗しました');
+      }
+
+      monitorTaskStatus(result.taskId, (taskResult) => {
+        setRendering(false);
+        const data = taskResult?.data;
+        if (data?.original && data?.enhanced) {
+          setPreview({ original: data.original, enhanced: data.enhanced, preset });
+        } else {
+          setError('試聴用の音声を取得できませんでした');
+        }
+      }, (errorMessage) => {
+        setRendering(false);
+        setError(errorMessage);
+      });
+    } catch (error: any) {
+      console.error('ボイスエンハンス試聴タスク作成エラー:', error);
+      setRendering(false);
+      setError(error.message || '不明なエラー');
+    }
+  }, [media.id, media.path, preset, currentTime, monitorTaskStatus]);
+
+  // AまたはBを再生（切り替え時は同じ位置から再生を続ける）
+  const handlePlay = useCallback((filePath: string) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    if (playingPathRef.current !== filePath) {
+      const position = playingPathRef.current ? audio.currentTime : 0;
+      playingPathRef.current = filePath;
+      audio.src = toFileUrl(filePath);
+      audio.currentTime = position;
+    }
+    audio.play().catch(err => console.error('試聴音声の再生エラー:', err));
+  }, []);
+
+  return (
+    <Box sx={{ px: 1.5, pb: 1.5, display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+      <Typography variant="caption" color="text.secondary">
+        ボイスエンハンス
+      </Typography>
+
+      <Select
+        size="small"
+        value={preset}
+        onChange={(e) => handlePresetChange(e.target.value as VoiceEnhancePreset)}
+        sx={{ fontSize: '0.75rem', height: 28 }}
+      >
+        {PRESETS.map(option => (
+          <MenuItem key={option.value} value={option.value} sx={{ fontSize: '0.75rem' }}>
+            {option.label}
+          </MenuItem>
+        ))}
+      </Select>
+
+      <Button
+        size="small"
+        variant="outlined"
+        onClick={handleRenderPreview}
+        disabled={rendering || preset === 'off'}
+        startIcon={rendering ? <CircularProgress size={14} /> : <RecordVoiceOver fontSize="small" />}
+        sx={{ fontSize: '0.75rem' }}
+      >
+        試聴を作成
+      </Button>
+
+      {preview && (
+        <ButtonGroup size="small" variant="contained">
+          <Button onClick={() => handlePlay(preview.original)} sx={{ fontSize: '0.75rem' }}>A 元の音声</Button>
+          <Button onClick={() => handlePlay(preview.enhanced)} sx={{ fontSize: '0.75rem' }}>B エンハンス後</Button>
+          <Button onClick={() => audioRef.current?.pause()} sx={{ fontSize: '0.75rem' }}>停止</Button>
+        </ButtonGroup>
+      )}
+      <audio ref={audioRef} />
+
+      {error && (
+        <Typography variant="caption" color="error">
+          {error}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default VoiceEnhanceControls;
@@ -1,18 +1,42 @@
 import React, { useRef, useEffect, useState, useCallback } from 'react';
 import { Box, Typography, useTheme } from '@mui/material';
+import type { AudioEnvelope, ClipSegment, LoudnessCurve, TimeRange } from '../../types/media';
+import { EMPTY_AUDIO_ENVELOPE } from '../../utils/audioEnvelope';
+import {
+  ENVELOPE_HANDLE_SIZE,
+  drawEnvelope,
+  drawLoudnessCurve,
+  drawSegments,
+  drawSilentRanges,
+  getEnvelopeHandles,
+  yToGain
+} from './waveformOverlays';
+import type { EnvelopeHandle } from './waveformOverlays';
 
 interface WaveformDisplayProps {
   waveformData: number[];
   duration: number;
   trimStart: number | null;
   trimEnd: number | null;
+  segments?: ClipSegment[] | null; // 複数区間の場合のみ（trimStart/trimEndは選択中の区間）
+  silentRanges?: TimeRange[] | null;
+  loudnessCurve?: LoudnessCurve | null; // 指定した場合はショートタームラウドネスを重ねて表示
+  loudnessTarget?: { integrated: number; truePeak: number };
+  audioEnvelope?: AudioEnvelope | null;
+  envelopeRange?: { start: number; end: number } | null; // 指定した場合は音量・フェードのハンドルを表示
   currentTime: number;
   seeking: boolean;
   onSetTrimStart: (time: number) => void;
   onSetTrimEnd: (time: number) => void;
   onSeek: (time: number) => void;
+  onEnvelopeChange?: (envelope: AudioEnvelope) => void; // 範囲の調整は呼び出し側で行う
+  onTrimDragStart?: () => void; // トリム・音量ハンドルのドラッグ開始（連続した更新を1つの操作にまとめる）
+  onTrimDragEnd?: () => void;
 }
 
+// ラウドネスの目標値が指定されない場合の初期値（YouTube）
+const DEFAULT_LOUDNESS_TARGET = { integrated: -14, truePeak: -1 };
+
 /**
  * 波形表示コンポーネント
  */
@@ -21,16 +45,26 @@ const WaveformDisplay: React.FC<WaveformDisplayProps> = ({
   duration,
   trimStart,
   trimEnd,
+  segments = null,
+  silentRanges = null,
+  loudnessCurve = null,
+  loudnessTarget = DEFAULT_LOUDNESS_TARGET,
+  audioEnvelope = null,
+  envelopeRange = null,
   currentTime,
   seeking,
   onSetTrimStart,
   onSetTrimEnd,
-  onSeek
+  onSeek,
+  onEnvelopeChange,
+  onTrimDragStart,
+  onTrimDragEnd
 }) => {
   const canvasRef = useRef<HTMLCanvasElement>(null);
   const containerRef = useRef<HTMLDivElement>(null);
   const [isResizing, setIsResizing] = useState<'start' | 'end' | null>(null);
   const [isDragging, setIsDragging] = useState(false);
+  const [draggingHandle, setDraggingHandle] = useState<EnvelopeHandle | null>(null);
   const [canvasSize, setCanvasSize] = useState({ width: 0, height: 0 });
   
   // テーマを最上位レベルで取得
@@ -41,6 +75,11 @@ const WaveformDisplay: React.FC<WaveformDisplayProps> = ({
           background: '#1e1e1e', 
           waveform: '#4285f4', 
           trimArea: 'rgba(0, 120, 215, 0.2)', 
+          removedArea: 'rgba(0, 0, 0, 0.45)',
+          splitMarker: 'rgba(255, 255, 255, 0.6)',
+          silence: 'rgba(255, 167, 38, 0.25)',
+          envelope: '#ffca28',
+          loudness: { loud: '#ef5350', quiet: '#42a5f5', inRange: '#66bb6a', targetLine: 'rgba(255, 255, 255, 0.7)', clipping: 'rgba(244, 67, 54, 0.6)' },
           playhead: '#ff5722', 
           trimMarker: '#0078d7' 
         } 
@@ -48,6 +87,11 @@ const WaveformDisplay: React.FC<WaveformDisplayProps> = ({
           background: '#f0f0f0', 
           waveform: '#0078d7', 
           trimArea: 'rgba(0, 120, 215, 0.2)', 
+          removedArea: 'rgba(0, 0, 0, 0.2)',
+          splitMarker: 'rgba(0, 0, 0, 0.5)',
+          silence: 'rgba(245, 124, 0, 0.25)',
+          envelope: '#f57f17',
+          loudness: { loud: '#d32f2f', quiet: '#1565c0', inRange: '#2e7d32', targetLine: 'rgba(0, 0, 0, 0.6)', clipping: 'rgba(211, 47, 47, 0.6)' },
           playhead: '#d70040', 
           trimMarker: '#0078d7' 
         };
@@ -189,14 +233,21 @@ const WaveformDisplay: React.FC<WaveformDisplayProps> = ({
         }
       }
       
-      // トリム範囲を色付きで表示
-      if (trimStart !== null && trimEnd !== null) {
+      // トリム範囲を色付きで表示（複数区間の場合は区間ごと）
+      if (segments && segments.length > 1) {
+        drawSegments(ctx, segments, duration, canvasSize, colors);
+      } else if (trimStart !== null && trimEnd !== null) {
         ctx.fillStyle = colors.trimArea;
         const startX = (trimStart / duration) * canvasSize.width;
         const endX = (trimEnd / duration) * canvasSize.width;
         ctx.fillRect(startX, 0, endX - startX, canvasSize.height);
       }
       
+      // 検出された無音区間を表示
+      if (silentRanges && silentRanges.length > 0) {
+        drawSilentRanges(ctx, silentRanges, duration, canvasSize, colors.silence);
+      }
+      
       // 波形に関する追加のデバッグ情報を出力
       console.log('波形描画詳細:', {
         'データサンプル': waveformData.slice(0, 5).map(v => Number(v).toFixed(2)),
@@ -238,6 +289,16 @@ const WaveformDisplay: React.FC<WaveformDisplayProps> = ({
       // パスを一度に塗りつぶす
       ctx.fill();
       
+      // ショートタームラウドネスの曲線を重ねて表示
+      if (loudnessCurve && loudnessCurve.shortTerm.length > 0) {
+        drawLoudnessCurve(ctx, loudnessCurve, duration, canvasSize, loudnessTarget, colors.loudness);
+      }
+      
+      // クリップの音量・フェードを描画
+      if (envelopeRange && onEnvelopeChange) {
+        drawEnvelope(ctx, audioEnvelope || EMPTY_AUDIO_ENVELOPE, envelopeRange, duration, canvasSize, colors.envelope);
+      }
+      
       // 現在位置のマーカーを描画
       const currentX = (currentTime / duration) * canvasSize.width;
       ctx.strokeStyle = colors.playhead;
@@ -262,7 +323,7 @@ const WaveformDisplay: React.FC<WaveformDisplayProps> = ({
     } catch (error) {
       console.error('波形描画エラー:', error);
     }
-  }, [waveformData, duration, trimStart, trimEnd, currentTime, drawTrimMarker, canvasSize, colors]);
+  }, [waveformData, duration, trimStart, trimEnd, segments, silentRanges, loudnessCurve, loudnessTarget, audioEnvelope, envelopeRange, onEnvelopeChange, currentTime, drawTrimMarker, canvasSize, colors]);
 
   // キャンバスサイズの設定とリサイズ監視
   useEffect(() => {
@@ -348,7 +409,7 @@ const WaveformDisplay: React.FC<WaveformDisplayProps> = ({
         }
       });
     }
-  }, [canvasSize, waveformData, duration, trimStart, trimEnd, currentTime, drawWaveform]);
+  }, [canvasSize, waveformData, duration, trimStart, trimEnd, segments, silentRanges, loudnessCurve, audioEnvelope, currentTime, drawWaveform]);
 
   // マウスイベントハンドラー
   const handleMouseDown = (e: React.MouseEvent) => {
@@ -359,12 +420,29 @@ const WaveformDisplay: React.FC<WaveformDisplayProps> = ({
 
     const rect = canvas.getBoundingClientRect();
     const mouseX = e.clientX - rect.left;
+    const mouseY = e.clientY - rect.top;
     const time = (mouseX / rect.width) * duration;
 
+    // 音量・フェードのハンドルを優先して判定
+    if (envelopeRange && onEnvelopeChange) {
+      const handles = getEnvelopeHandles(audioEnvelope || EMPTY_AUDIO_ENVELOPE, envelopeRange, duration, rect);
+      const handle = (Object.keys(handles) as EnvelopeHandle[]).find(key =>
+        Math.abs(mouseX - handles[key].x) <= ENVELOPE_HANDLE_SIZE &&
+        Math.abs(mouseY - handles[key].y) <= ENVELOPE_HANDLE_SIZE
+      );
+      if (handle) {
+        onTrimDragStart?.();
+        setDraggingHandle(handle);
+        return;
+      }
+    }
+
     // トリムポイント付近をドラッグしているか判定
     if (trimStart !== null && Math.abs(time - trimStart) < duration * 0.02) {
+      onTrimDragStart?.();
       setIsResizing('start');
     } else if (trimEnd !== null && Math.abs(time - trimEnd) < duration * 0.02) {
+      onTrimDragStart?.();
       setIsResizing('end');
     } else {
       // トリムポイント以外の場所をクリックした場合は、シークとして扱う
@@ -379,6 +457,21 @@ const WaveformDisplay: React.FC<WaveformDisplayProps> = ({
     const canvas = canvasRef.current;
     if (!canvas) return;
 
+    if (draggingHandle && envelopeRange && onEnvelopeChange) {
+      const rect = canvas.getBoundingClientRect();
+      const time = ((e.clientX - rect.left) / rect.width) * duration;
+      const envelope = audioEnvelope || EMPTY_AUDIO_ENVELOPE;
+
+      if (draggingHandle === 'fadeIn') {
+        onEnvelopeChange({ ...envelope, fadeIn: time - envelopeRange.start });
+      } else if (draggingHandle === 'fadeOut') {
+        onEnvelopeChange({ ...envelope, fadeOut: envelopeRange.end - time });
+      } else {
+        onEnvelopeChange({ ...envelope, gain: yToGain(e.clientY - rect.top, rect.height) });
+      }
+      return;
+    }
+
     if (isResizing || isDragging) {
       const rect = canvas.getBoundingClientRect();
       const mouseX = e.clientX - rect.left;
@@ -399,14 +492,20 @@ const WaveformDisplay: React.FC<WaveformDisplayProps> = ({
   };
 
   const handleMouseUp = () => {
+    if (isResizing || draggingHandle) {
+      onTrimDragEnd?.();
+    }
     setIsResizing(null);
+    setDraggingHandle(null);
     setIsDragging(false);
   };
 
   // マウスがウィンドウから出た場合のハンドリング
   useEffect(() => {
     const handleGlobalMouseUp = () => {
+      onTrimDragEnd?.();
       setIsResizing(null);
+      setDraggingHandle(null);
       setIsDragging(false);
     };
 
@@ -415,7 +514,7 @@ const WaveformDisplay: React.FC<WaveformDisplayProps> = ({
     return () => {
       window.removeEventListener('mouseup', handleGlobalMouseUp);
     };
-  }, []);
+  }, [onTrimDragEnd]);
 
   return (
     <Box 
@@ -463,6 +562,7 @@ const WaveformDisplay: React.FC<WaveformDisplayProps> = ({
               fontSize: '0.7rem',
               color: theme.palette.primary.main
             }}>
+              {segments && segments.length > 1 && `${segments.length}区間 / 選択中: `}
               {formatTime(trimStart)} - {formatTime(trimEnd)} ({formatTime(trimEnd - trimStart)})
             </Typography>
           ) : (
@@ -493,7 +593,7 @@ const WaveformDisplay: React.FC<WaveformDisplayProps> = ({
             left: 0,
             width: '100%',
             height: '100%',
-            cursor: isResizing ? 'col-resize' : (seeking ? 'grabbing' : 'crosshair')
+            cursor: isResizing ? 'col-resize' : (draggingHandle ? 'grabbing' : (seeking ? 'grabbing' : 'crosshair'))
           }}
           onMouseDown={handleMouseDown}
           onMouseMove={handleMouseMove}
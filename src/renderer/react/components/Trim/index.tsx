@@ -1,15 +1,32 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { Box, Typography, CircularProgress, Paper, Divider, useTheme } from '@mui/material';
-import type { MediaFile, MediaFileWithTaskIds } from '../../types/media';
+import type { AudioEnvelope, ClipSegment, LoudnessCurve, MediaFile, MediaFileWithTaskIds, TimeRange } from '../../types/media';
 import { useWaveform } from '../../hooks';
+import { getClipSegments, findSegmentAt, splitSegmentAt, removeSegment, removeRanges, updateSegmentRange } from '../../utils/segments';
+import { clampAudioEnvelope, getEnvelopeRange } from '../../utils/audioEnvelope';
 import WaveformDisplay from './WaveformDisplay';
 import TrimControls from './TrimControls';
+import SilenceControls from './SilenceControls';
+import LoudnessControls from './LoudnessControls';
+import EnvelopeControls from './EnvelopeControls';
+import VoiceEnhanceControls from './VoiceEnhanceControls';
+import ReframeControls from './ReframeControls';
+
+// 無音区間を削除する際に前後に残す余白（秒）
+const SILENCE_PADDING = 0.1;
 
 interface TrimPaneProps {
   selectedMedia: MediaFile | null;
   currentTime: number;
   onUpdateTrimPoints: (mediaId: string, trimStart: number | null, trimEnd: number | null) => void;
+  onUpdateSegments: (mediaId: string, segments: ClipSegment[] | null) => void;
+  onUpdateMedia: (mediaId: string, updates: Partial<MediaFile>) => void;
   onSeek: (time: number) => void;
+  onTrimDragStart?: () => void;
+  onTrimDragEnd?: () => void;
+  loudnessTarget: { integrated: number; truePeak: number }; // 書き出し設定の目標ラウドネス
+  reframeEditing: boolean; // プレーヤー上でリフレームの切り取り範囲を編集中かどうか
+  onReframeEditingChange: (editing: boolean) => void;
 }
 
 /**
@@ -19,7 +36,14 @@ const TrimPane: React.FC<TrimPaneProps> = ({
   selectedMedia, 
   currentTime, 
   onUpdateTrimPoints,
-  onSeek
+  onUpdateSegments,
+  onUpdateMedia,
+  onSeek,
+  onTrimDragStart,
+  onTrimDragEnd,
+  loudnessTarget,
+  reframeEditing,
+  onReframeEditingChange
 }) => {
   // 波形データフック
   const { 
@@ -34,6 +58,29 @@ const TrimPane: React.FC<TrimPaneProps> = ({
   const [trimEnd, setTrimEnd] = useState<number | null>(null);
   const [seeking, setSeeking] = useState(false);
   const [duration, setDuration] = useState(0);
+  const [selectedSegmentId, setSelectedSegmentId] = useState<string | null>(null);
+  const [showLoudness, setShowLoudness] = useState(false);
+  
+  // 複数区間に分割されている場合のセグメント一覧
+  const segments = useMemo(() => {
+    return selectedMedia?.segments && selectedMedia.segments.length > 1
+      ? getClipSegments(selectedMedia)
+      : null;
+  }, [selectedMedia]);
+  
+  // 操作対象の区間（再生位置を含む区間を選択し、区間外では直前の選択を維持）
+  const activeSegment = useMemo(() => {
+    if (!segments) return null;
+    return segments.find(segment => segment.id === selectedSegmentId) || segments[0];
+  }, [segments, selectedSegmentId]);
+  
+  useEffect(() => {
+    if (!segments) return;
+    const segment = findSegmentAt(segments, currentTime);
+    if (segment) {
+      setSelectedSegmentId(segment.id);
+    }
+  }, [segments, currentTime]);
   
   // メディアが変更されたときの処理
   useEffect(() => {
@@ -84,8 +131,13 @@ const TrimPane: React.FC<TrimPaneProps> = ({
     }
   };
   
-  // トリム開始位置を設定
+  // トリム開始位置を設定（複数区間の場合は選択中の区間の開始位置）
   const handleSetTrimStart = useCallback((time: number) => {
+    if (selectedMedia && segments && activeSegment) {
+      onUpdateSegments(selectedMedia.id, updateSegmentRange(segments, activeSegment.id, time, activeSegment.end));
+      return;
+    }
+    
     setTrimStart(time);
     
     if (selectedMedia && time !== null) {
@@ -99,10 +151,15 @@ const TrimPane: React.FC<TrimPaneProps> = ({
         onUpdateTrimPoints(selectedMedia.id, time, end);
       }
     }
-  }, [selectedMedia, trimEnd, onUpdateTrimPoints]);
+  }, [selectedMedia, trimEnd, segments, activeSegment, onUpdateTrimPoints, onUpdateSegments]);
   
-  // トリム終了位置を設定
+  // トリム終了位置を設定（複数区間の場合は選択中の区間の終了位置）
   const handleSetTrimEnd = useCallback((time: number) => {
+    if (selectedMedia && segments && activeSegment) {
+      onUpdateSegments(selectedMedia.id, updateSegmentRange(segments, activeSegment.id, activeSegment.start, time));
+      return;
+    }
+    
     setTrimEnd(time);
     
     if (selectedMedia && time !== null) {
@@ -116,7 +173,7 @@ const TrimPane: React.FC<TrimPaneProps> = ({
         onUpdateTrimPoints(selectedMedia.id, start, time);
       }
     }
-  }, [selectedMedia, trimStart, onUpdateTrimPoints]);
+  }, [selectedMedia, trimStart, segments, activeSegment, onUpdateTrimPoints, onUpdateSegments]);
   
   // トリム設定をリセット
   const handleResetTrim = useCallback(() => {
@@ -124,9 +181,81 @@ const TrimPane: React.FC<TrimPaneProps> = ({
     setTrimEnd(null);
     
     if (selectedMedia) {
+      if (segments) {
+        onUpdateSegments(selectedMedia.id, null);
+      }
       onUpdateTrimPoints(selectedMedia.id, null, null);
     }
-  }, [selectedMedia, onUpdateTrimPoints]);
+  }, [selectedMedia, segments, onUpdateTrimPoints, onUpdateSegments]);
+  
+  // 現在位置で区間を分割
+  const handleSplit = useCallback(() => {
+    if (!selectedMedia) return;
+    
+    const baseSegments = segments || getClipSegments({ ...selectedMedia, trimStart, trimEnd });
+    const newSegments = splitSegmentAt(baseSegments, currentTime);
+    if (!newSegments) {
+      console.log(`分割できない位置です: ${currentTime}秒`);
+      return;
+    }
+    
+    onUpdateSegments(selectedMedia.id, newSegments);
+  }, [selectedMedia, segments, trimStart, trimEnd, currentTime, onUpdateSegments]);
+  
+  // 無音検出結果をクリップに保持
+  const handleSilenceDetected = useCallback((ranges: TimeRange[]) => {
+    if (!selectedMedia) return;
+    onUpdateMedia(selectedMedia.id, { silentRanges: ranges });
+  }, [selectedMedia, onUpdateMedia]);
+  
+  // ラウドネス測定結果（ショートタームの時系列）をクリップに保持
+  const handleLoudnessMeasured = useCallback((curve: LoudnessCurve) => {
+    if (!selectedMedia) return;
+    onUpdateMedia(selectedMedia.id, { loudnessCurve: curve });
+  }, [selectedMedia, onUpdateMedia]);
+  
+  // 音量・フェードを適用する範囲（書き出しに残す最初の区間の開始から最後の区間の終了まで）
+  const envelopeRange = useMemo(() => {
+    return selectedMedia ? getEnvelopeRange({ ...selectedMedia, trimStart, trimEnd }) : null;
+  }, [selectedMedia, trimStart, trimEnd]);
+  
+  // 音量・フェードを範囲内に収めてクリップに保持
+  const handleEnvelopeChange = useCallback((envelope: AudioEnvelope) => {
+    if (!selectedMedia || !envelopeRange) return;
+    onUpdateMedia(selectedMedia.id, {
+      audioEnvelope: clampAudioEnvelope(envelope, envelopeRange.end - envelopeRange.start)
+    });
+  }, [selectedMedia, envelopeRange, onUpdateMedia]);
+  
+  const handleEnvelopeReset = useCallback(() => {
+    if (!selectedMedia) return;
+    onUpdateMedia(selectedMedia.id, { audioEnvelope: null });
+  }, [selectedMedia, onUpdateMedia]);
+  
+  // 検出された無音区間を全て取り除いて区間に分割
+  const handleRemoveSilences = useCallback(() => {
+    if (!selectedMedia || !selectedMedia.silentRanges?.length) return;
+    
+    const baseSegments = segments || getClipSegments({ ...selectedMedia, trimStart, trimEnd });
+    const newSegments = removeRanges(baseSegments, selectedMedia.silentRanges, SILENCE_PADDING);
+    if (newSegments.length === 0) {
+      console.log('無音区間を削除すると残る区間がありません');
+      return;
+    }
+    
+    onUpdateSegments(selectedMedia.id, newSegments);
+  }, [selectedMedia, segments, trimStart, trimEnd, onUpdateSegments]);
+  
+  // 選択中の区間を削除
+  const handleDeleteSegment = useCallback(() => {
+    if (!selectedMedia || !segments || !activeSegment) return;
+    
+    const newSegments = removeSegment(segments, activeSegment.id);
+    if (newSegments) {
+      setSelectedSegmentId(null);
+      onUpdateSegments(selectedMedia.id, newSegments);
+    }
+  }, [selectedMedia, segments, activeSegment, onUpdateSegments]);
   
   // シーク操作の処理
   const handleSeek = useCallback((time: number) => {
@@ -278,13 +407,22 @@ const TrimPane: React.FC<TrimPaneProps> = ({
               <WaveformDisplay
                 waveformData={waveformData}
                 duration={duration}
-                trimStart={trimStart}
-                trimEnd={trimEnd}
+                trimStart={activeSegment ? activeSegment.start : trimStart}
+                trimEnd={activeSegment ? activeSegment.end : trimEnd}
+                segments={segments}
+                silentRanges={selectedMedia.silentRanges}
+                loudnessCurve={showLoudness ? selectedMedia.loudnessCurve : null}
+                loudnessTarget={loudnessTarget}
+                audioEnvelope={selectedMedia.audioEnvelope}
+                envelopeRange={envelopeRange}
                 currentTime={currentTime}
                 seeking={seeking}
                 onSetTrimStart={handleSetTrimStart}
                 onSetTrimEnd={handleSetTrimEnd}
                 onSeek={handleSeek}
+                onEnvelopeChange={handleEnvelopeChange}
+                onTrimDragStart={onTrimDragStart}
+                onTrimDragEnd={onTrimDragEnd}
               />
             </>
           ) : (
@@ -310,13 +448,44 @@ const TrimPane: React.FC<TrimPaneProps> = ({
           }}
         >
           <TrimControls
-            trimStart={trimStart}
-            trimEnd={trimEnd}
+            trimStart={activeSegment ? activeSegment.start : trimStart}
+            trimEnd={activeSegment ? activeSegment.end : trimEnd}
             duration={duration}
             currentTime={currentTime}
             onSetTrimStart={handleSetTrimStart}
             onSetTrimEnd={handleSetTrimEnd}
             onResetTrim={handleResetTrim}
+            segmentCount={segments ? segments.length : 1}
+            onSplit={handleSplit}
+            onDeleteSegment={handleDeleteSegment}
+          />
+          <SilenceControls
+            media={selectedMedia}
+            onDetected={handleSilenceDetected}
+            onRemoveSilences={handleRemoveSilences}
+          />
+          <LoudnessControls
+            media={selectedMedia}
+            visible={showLoudness}
+            loudnessTarget={loudnessTarget}
+            onToggleVisible={setShowLoudness}
+            onMeasured={handleLoudnessMeasured}
+          />
+          <EnvelopeControls
+            envelope={selectedMedia.audioEnvelope || null}
+            onChange={handleEnvelopeChange}
+            onReset={handleEnvelopeReset}
+          />
+          <VoiceEnhanceControls
+            media={selectedMedia}
+            currentTime={currentTime}
+            onUpdateMedia={onUpdateMedia}
+          />
+          <ReframeControls
+            media={selectedMedia}
+            editing={reframeEditing}
+            onEditingChange={onReframeEditingChange}
+            onUpdateMedia={onUpdateMedia}
           />
         </Box>
       </Box>
@@ -0,0 +1,243 @@
+/**
+ * 波形キャンバスに重ねて描画するオーバーレイのヘルパー
+ */
+import type { AudioEnvelope, ClipSegment, LoudnessCurve, TimeRange } from '../../types/media';
+import { GAIN_MAX, GAIN_MIN } from '../../utils/audioEnvelope';
+
+interface CanvasSize {
+  width: number;
+  height: number;
+}
+
+/**
+ * 時間をキャンバス上のX座標に変換
+ */
+export const timeToX = (time: number, duration: number, width: number): number => {
+  return duration > 0 ? (time / duration) * width : 0;
+};
+
+/**
+ * クリップ内の残す区間と、区間間の削除部分を描画
+ */
+export const drawSegments = (
+  ctx: CanvasRenderingContext2D,
+  segments: ClipSegment[],
+  duration: number,
+  size: CanvasSize,
+  colors: { trimArea: string; removedArea: string; splitMarker: string }
+) => {
+  // 残す区間
+  ctx.fillStyle = colors.trimArea;
+  segments.forEach(segment => {
+    const startX = timeToX(segment.start, duration, size.width);
+    const endX = timeToX(segment.end, duration, size.width);
+    ctx.fillRect(startX, 0, endX - startX, size.height);
+  });
+
+  // 区間の間の削除部分
+  ctx.fillStyle = colors.removedArea;
+  for (let i = 0; i < segments.length - 1; i++) {
+    const gapStartX = timeToX(segments[i].end, duration, size.width);
+    const gapEndX = timeToX(segments[i + 1].start, duration, size.width);
+    if (gapEndX > gapStartX) {
+      ctx.fillRect(gapStartX, 0, gapEndX - gapStartX, size.height);
+    }
+  }
+
+  // 区間の境界（分割位置）
+  ctx.strokeStyle = colors.splitMarker;
+  ctx.lineWidth = 1;
+  ctx.setLineDash([4, 3]);
+  segments.forEach(segment => {
+    [segment.start, segment.end].forEach(time => {
+      const x = timeToX(time, duration, size.width);
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, size.height);
+      ctx.stroke();
+    });
+  });
+  ctx.setLineDash([]);
+};
+
+/**
+ * 検出された無音区間を描画
+ */
+export const drawSilentRanges = (
+  ctx: CanvasRenderingContext2D,
+  ranges: TimeRange[],
+  duration: number,
+  size: CanvasSize,
+  color: string
+) => {
+  ctx.fillStyle = color;
+  ranges.forEach(range => {
+    const startX = timeToX(range.start, duration, size.width);
+    const endX = timeToX(range.end, duration, size.width);
+    // 下端に帯を描いて区間の位置を分かりやすくする
+    ctx.fillRect(startX, 0, Math.max(1, endX - startX), size.height);
+    ctx.fillRect(startX, size.height - 4, Math.max(1, endX - startX), 4);
+  });
+};
+
+// ラウドネス曲線の表示範囲（LUFS）
+const LOUDNESS_FLOOR = -60;
+const LOUDNESS_CEILING = 0;
+
+// 目標からこの差（LU）を超えた区間を大きすぎる/小さすぎるとして色分けする
+const LOUDNESS_BAND_LU = 3;
+
+/**
+ * ラウドネス値をキャンバス上のY座標に変換
+ */
+const loudnessToY = (value: number, height: number): number => {
+  const ratio = (value - LOUDNESS_FLOOR) / (LOUDNESS_CEILING - LOUDNESS_FLOOR);
+  return height * (1 - Math.min(1, Math.max(0, ratio)));
+};
+
+/**
+ * ショートタームラウドネスの曲線、目標ラウドネスの線、トゥルーピーク超過位置を描画
+ */
+export const drawLoudnessCurve = (
+  ctx: CanvasRenderingContext2D,
+  curve: LoudnessCurve,
+  duration: number,
+  size: CanvasSize,
+  target: { integrated: number; truePeak: number },
+  colors: { loud: string; quiet: string; inRange: string; targetLine: string; clipping: string }
+) => {
+  // 目標ラウドネスの線
+  const targetY = loudnessToY(target.integrated, size.height);
+  ctx.strokeStyle = colors.targetLine;
+  ctx.lineWidth = 1;
+  ctx.setLineDash([6, 4]);
+  ctx.beginPath();
+  ctx.moveTo(0, targetY);
+  ctx.lineTo(size.width, targetY);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.fillStyle = colors.targetLine;
+  ctx.font = '10px Arial';
+  ctx.textAlign = 'left';
+  ctx.fillText(`${target.integrated} LUFS`, 4, targetY - 3);
+
+  // ショートタームの曲線（目標との差で色分け、測定できない区間は途切れさせる）
+  ctx.lineWidth = 2;
+  for (let i = 1; i < curve.shortTerm.length; i++) {
+    const previous = curve.shortTerm[i - 1];
+    const value = curve.shortTerm[i];
+    if (previous === null || value === null || previous < LOUDNESS_FLOOR || value < LOUDNESS_FLOOR) continue;
+
+    const deviation = value - target.integrated;
+    ctx.strokeStyle = deviation > LOUDNESS_BAND_LU
+      ? colors.loud
+      : deviation < -LOUDNESS_BAND_LU ? colors.quiet : colors.inRange;
+    ctx.beginPath();
+    ctx.moveTo(timeToX((i - 1) * curve.interval, duration, size.width), loudnessToY(previous, size.height));
+    ctx.lineTo(timeToX(i * curve.interval, duration, size.width), loudnessToY(value, size.height));
+    ctx.stroke();
+  }
+
+  // トゥルーピークが上限を超えた位置（上端のマーカー）
+  ctx.fillStyle = colors.clipping;
+  curve.truePeak.forEach((peak, i) => {
+    if (peak === null || peak <= target.truePeak) return;
+    const x = timeToX(i * curve.interval, duration, size.width);
+    ctx.beginPath();
+    ctx.moveTo(x - 4, 0);
+    ctx.lineTo(x + 4, 0);
+    ctx.lineTo(x, 7);
+    ctx.closePath();
+    ctx.fill();
+    ctx.fillRect(x - 0.5, 0, 1, size.height);
+  });
+};
+
+// 音量の線を描く高さの範囲（キャンバスの高さに対する割合）
+const GAIN_TOP_RATIO = 0.15;
+const GAIN_BOTTOM_RATIO = 0.85;
+
+// 音量・フェードのハンドルの大きさ（px）
+export const ENVELOPE_HANDLE_SIZE = 8;
+
+export type EnvelopeHandle = 'fadeIn' | 'fadeOut' | 'gain';
+
+/**
+ * 音量（dB）をキャンバス上のY座標に変換
+ */
+const gainToY = (gain: number, height: number): number => {
+  const ratio = (gain - GAIN_MIN) / (GAIN_MAX - GAIN_MIN);
+  const top = height * GAIN_TOP_RATIO;
+  const bottom = height * GAIN_BOTTOM_RATIO;
+  return bottom - (bottom - top) * Math.min(1, Math.max(0, ratio));
+};
+
+/**
+ * キャンバス上のY座標を音量（dB）に変換
+ */
+export const yToGain = (y: number, height: number): number => {
+  const top = height * GAIN_TOP_RATIO;
+  const bottom = height * GAIN_BOTTOM_RATIO;
+  return GAIN_MIN + (GAIN_MAX - GAIN_MIN) * (bottom - y) / (bottom - top);
+};
+
+/**
+ * 音量・フェードのハンドル位置を取得
+ * フェードのハンドルはフェードの終わり（始まり）、音量のハンドルはその間の中央に置く
+ */
+export const getEnvelopeHandles = (
+  envelope: AudioEnvelope,
+  range: { start: number; end: number },
+  duration: number,
+  size: CanvasSize
+): Record<EnvelopeHandle, { x: number; y: number }> => {
+  const y = gainToY(envelope.gain, size.height);
+  const fadeInX = timeToX(range.start + envelope.fadeIn, duration, size.width);
+  const fadeOutX = timeToX(range.end - envelope.fadeOut, duration, size.width);
+  return {
+    fadeIn: { x: fadeInX, y },
+    fadeOut: { x: fadeOutX, y },
+    gain: { x: (fadeInX + fadeOutX) / 2, y }
+  };
+};
+
+/**
+ * 音量・フェードの線とハンドルを描画
+ */
+export const drawEnvelope = (
+  ctx: CanvasRenderingContext2D,
+  envelope: AudioEnvelope,
+  range: { start: number; end: number },
+  duration: number,
+  size: CanvasSize,
+  color: string
+) => {
+  const handles = getEnvelopeHandles(envelope, range, duration, size);
+  const startX = timeToX(range.start, duration, size.width);
+  const endX = timeToX(range.end, duration, size.width);
+
+  // フェード部分は下端から音量の線まで立ち上がる
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(startX, envelope.fadeIn > 0 ? size.height : handles.fadeIn.y);
+  ctx.lineTo(handles.fadeIn.x, handles.fadeIn.y);
+  ctx.lineTo(handles.fadeOut.x, handles.fadeOut.y);
+  ctx.lineTo(endX, envelope.fadeOut > 0 ? size.height : handles.fadeOut.y);
+  ctx.stroke();
+
+  // ハンドル（フェードは四角、音量は丸）
+  const half = ENVELOPE_HANDLE_SIZE / 2;
+  ctx.fillStyle = color;
+  [handles.fadeIn, handles.fadeOut].forEach(handle => {
+    ctx.fillRect(handle.x - half, handle.y - half, ENVELOPE_HANDLE_SIZE, ENVELOPE_HANDLE_SIZE);
+  });
+  ctx.beginPath();
+  ctx.arc(handles.gain.x, handles.gain.y, half, 0, Math.PI * 2);
+  ctx.fill();
+
+  // 音量の表示
+  ctx.font = '10px Arial';
+  ctx.textAlign = 'center';
+  ctx.fillText(`${envelope.gain > 0 ? '+' : ''}${envelope.gain.toFixed(1)} dB`, handles.gain.x, handles.gain.y - half - 3);
+};
@@ -14,12 +14,17 @@ import {
   VolumeMute
 } from '@mui/icons-material';
 import Logger from '../utils/logger';
+import type { CropRect } from '../types/media';
+import ReframeOverlay from './ReframeOverlay';
 
 interface VideoPlayerProps {
   media: any | null;
   onPlaybackStateChange?: (isPlaying: boolean) => void;
   onPlaybackRateChange?: (rate: number) => void;
   onTimeUpdate?: (time: number) => void;
+  cropEditing?: boolean; // リフレームの切り取り範囲を編集中かどうか
+  canvasRatio?: number; // 書き出しキャンバスの縦横比（幅 / 高さ）
+  onCropChange?: (rect: CropRect) => void;
 }
 
 export interface VideoPlayerRef {
@@ -40,9 +45,13 @@ const VideoPlayer = forwardRef<VideoPlayerRef, VideoPlayerProps>(({
   media,
   onPlaybackStateChange,
   onPlaybackRateChange,
-  onTimeUpdate
+  onTimeUpdate,
+  cropEditing = false,
+  canvasRatio = 16 / 9,
+  onCropChange
 }, ref) => {
   const videoRef = useRef<HTMLVideoElement>(null);
+  const [videoSize, setVideoSize] = useState({ width: 0, height: 0 });
   const [isPlaying, setIsPlaying] = useState(false);
   const [playbackRate, setPlaybackRate] = useState(1);
   const [isReversePlayback, setIsReversePlayback] = useState(false);
@@ -369,6 +378,11 @@ const VideoPlayer = forwardRef<VideoPlayerRef, VideoPlayerProps>(({
               onPlay={() => setIsPlaying(true)}
               onPause={() => setIsPlaying(false)}
               onEnded={() => stopPlayback()} // 再生終了時に停止
+              onLoadedMetadata={() => {
+                if (videoRef.current) {
+                  setVideoSize({ width: videoRef.current.videoWidth, height: videoRef.current.videoHeight });
+                }
+              }}
               onTimeUpdate={() => { 
                 if (videoRef.current && onTimeUpdate) {
                   onTimeUpdate(videoRef.current.currentTime);
@@ -404,6 +418,17 @@ const VideoPlayer = forwardRef<VideoPlayerRef, VideoPlayerProps>(({
               </Typography>
             </Box>
           )}
+          
+          {/* リフレームの切り取り範囲の編集 */}
+          {media && cropEditing && onCropChange && (
+            <ReframeOverlay
+              videoWidth={videoSize.width}
+              videoHeight={videoSize.height}
+              rect={media.reframe?.rect || null}
+              canvasRatio={canvasRatio}
+              onChange={onCropChange}
+            />
+          )}
         </Box>
         
         <Box 
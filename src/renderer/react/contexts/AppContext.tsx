@@ -1,6 +1,7 @@
 import React, { ReactNode } from 'react';
 import { TaskProvider } from './TaskContext';
 import { MediaProvider } from './MediaContext';
+import { MusicProvider } from './MusicContext';
 import { WaveformProvider } from './WaveformContext';
 import { ThumbnailProvider } from './ThumbnailContext';
 
@@ -14,7 +15,9 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
       <WaveformProvider>
         <ThumbnailProvider>
           <MediaProvider>
-            {children}
+            <MusicProvider>
+              {children}
+            </MusicProvider>
           </MediaProvider>
         </ThumbnailProvider>
       </WaveformProvider>
@@ -28,5 +31,6 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
  */
 export { useTasks } from './TaskContext';
 export { useMedia } from './MediaContext';
+export { useMusic } from './MusicContext';
 export { useWaveform } from './WaveformContext';
 export { useThumbnail } from './ThumbnailContext';
@@ -1,6 +1,8 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
-import { MediaFile, MediaFileWithTaskIds, MediaContextState, MediaContextActions, MediaContextValue } from '../types/media';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { MediaFile, MediaFileWithTaskIds, MediaContextState, MediaContextActions, MediaContextValue, ClipSegment, MusicTrack } from '../types/media';
 import { useWaveform, useThumbnail } from '../hooks';
+import { getSegmentsDuration } from '../utils/segments';
+import { EditSnapshot, HistoryState, createHistory, isDerivedUpdate, pushHistory, restoreMediaFiles, restoreMusicTrack } from '../utils/history';
 
 // グローバル window オブジェクトに nodeCrypto の型定義を追加
 declare global {
@@ -11,15 +13,21 @@ declare global {
   }
 }
 
+// BGMトラックの初期値
+export const EMPTY_MUSIC_TRACK: MusicTrack = { clips: [], ducking: 'normal' };
+
 /**
  * メディアコンテキストのデフォルト値
  */
 const defaultMediaContextValue: MediaContextValue = {
   // 状態
   mediaFiles: [],
+  musicTrack: EMPTY_MUSIC_TRACK,
   selectedMedia: null,
   isLoading: false,
   error: null,
+  canUndo: false,
+  canRedo: false,
   
   // アクション
   addMediaFiles: async () => [],
@@ -28,6 +36,13 @@ const defaultMediaContextValue: MediaContextValue = {
   selectMedia: () => {},
   updateMedia: () => {},
   updateTrimPoints: () => {},
+  updateSegments: () => {},
+  replaceMediaFiles: () => {},
+  updateMusicTrack: () => {},
+  undo: () => null,
+  redo: () => null,
+  beginEditGroup: () => {},
+  endEditGroup: () => {},
   calculateTotalDuration: () => 0,
   initializeMediaProcessing: async () => {}
 };
@@ -38,12 +53,22 @@ const MediaContext = createContext<MediaContextValue>(defaultMediaContextValue);
 /**
  * メディアファイル管理プロバイダーコンポーネント
  * アプリケーション全体でメディアファイル管理機能を提供します
+ * BGMトラックも同じ編集履歴で元に戻せるよう、ここで保持します（操作はMusicContextから行う）
  */
 export const MediaProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
   const [mediaFiles, setMediaFiles] = useState<MediaFile[]>([]);
+  const [musicTrack, setMusicTrack] = useState<MusicTrack>(EMPTY_MUSIC_TRACK);
   const [selectedMedia, setSelectedMedia] = useState<MediaFile | null>(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [historyState, setHistoryState] = useState<HistoryState>(createHistory);
+  
+  // 連続した更新でも最新の一覧から操作できるよう、メディア一覧・BGMトラック・履歴を参照でも保持
+  const mediaFilesRef = useRef<MediaFile[]>([]);
+  const musicTrackRef = useRef<MusicTrack>(EMPTY_MUSIC_TRACK);
+  const historyRef = useRef<HistoryState>(historyState);
+  // ドラッグ中など、複数の更新を1つの操作にまとめている間の状態
+  const editGroupRef = useRef({ active: false, recorded: false });
   
   // 波形生成フックとサムネイル生成フックを使用
   const waveformHook = useWaveform();
@@ -53,25 +78,79 @@ export const MediaProvider: React.FC<{ children: React.ReactNode }> = ({ childre
   const getThumbnailForMedia = thumbnailHook.getThumbnailForMedia;
 
   /**
-   * メディア情報の更新
+   * 履歴を更新
    */
-  const updateMedia = useCallback((mediaId: string, updates: Partial<MediaFile>) => {
-    if (!mediaId) return;
+  const setHistory = useCallback((history: HistoryState) => {
+    historyRef.current = history;
+    setHistoryState(history);
+  }, []);
 
-    setMediaFiles(prevFiles => {
-      return prevFiles.map(file => {
-        if (file.id === mediaId) {
-          return { ...file, ...updates };
-        }
-        return file;
-      });
-    });
+  /**
+   * メディア一覧を反映し、選択中のメディアも最新の内容に揃える
+   */
+  const commitMediaFiles = useCallback((nextFiles: MediaFile[]) => {
+    mediaFilesRef.current = nextFiles;
+    setMediaFiles(nextFiles);
+    setSelectedMedia(prev => prev ? nextFiles.find(file => file.id === prev.id) || null : null);
+  }, []);
+
+  /**
+   * BGMトラックを反映
+   */
+  const commitMusicTrack = useCallback((nextTrack: MusicTrack) => {
+    musicTrackRef.current = nextTrack;
+    setMusicTrack(nextTrack);
+  }, []);
+
+  /**
+   * メディア一覧・BGMトラックを更新し、編集操作であれば履歴に記録する
+   * @param next 更新する状態（省略した項目は現在の状態のまま）
+   * @param label 履歴に表示する操作名（nullの場合は記録しない）
+   */
+  const applyEdit = useCallback((next: Partial<EditSnapshot>, label: string | null) => {
+    const before: EditSnapshot = { mediaFiles: mediaFilesRef.current, musicTrack: musicTrackRef.current };
+    const after: EditSnapshot = { ...before, ...next };
+    if (next.mediaFiles) commitMediaFiles(next.mediaFiles);
+    if (next.musicTrack) commitMusicTrack(next.musicTrack);
 
-    // 選択中のメディアが更新対象の場合は、そちらも更新
-    if (selectedMedia && selectedMedia.id === mediaId) {
-      setSelectedMedia(prev => prev ? { ...prev, ...updates } : null);
+    if (label) {
+      const group = editGroupRef.current;
+      setHistory(pushHistory(historyRef.current, { label, before, after }, group.active && group.recorded));
+      if (group.active) {
+        group.recorded = true;
+      }
     }
-  }, [selectedMedia]);
+  }, [commitMediaFiles, commitMusicTrack, setHistory]);
+
+  /**
+   * メディア一覧を更新し、編集操作であれば履歴に記録する
+   * @param label 履歴に表示する操作名（nullの場合は記録しない）
+   */
+  const applyMediaFiles = useCallback((nextFiles: MediaFile[], label: string | null) => {
+    applyEdit({ mediaFiles: nextFiles }, label);
+  }, [applyEdit]);
+
+  /**
+   * 指定メディアの項目を更新
+   */
+  const applyMediaUpdate = useCallback((mediaId: string, updates: Partial<MediaFile>, label: string | null) => {
+    if (!mediaId) return;
+
+    applyMediaFiles(mediaFilesRef.current.map(file => {
+      if (file.id === mediaId) {
+        return { ...file, ...updates };
+      }
+      return file;
+    }), label);
+  }, [applyMediaFiles]);
+
+  /**
+   * メディア情報の更新
+   * 解析結果などの派生項目だけの更新は履歴に記録しない
+   */
+  const updateMedia = useCallback((mediaId: string, updates: Partial<MediaFile>) => {
+    applyMediaUpdate(mediaId, updates, isDerivedUpdate(updates) ? null : 'クリップの編集');
+  }, [applyMediaUpdate]);
 
   /**
    * メディアの処理初期化（波形・サムネイル生成）
@@ -168,7 +247,7 @@ export const MediaProvider: React.FC<{ children: React.ReactNode }> = ({ childre
         console.log(`メディア情報を取得中: ${filePath}`);
         
         // 既に同じパスのメディアが存在するかチェック
-        const existingMedia = mediaFiles.find(m => m.path === filePath);
+        const existingMedia = mediaFilesRef.current.find(m => m.path === filePath);
         if (existingMedia) {
           console.log(`既に追加済みのメディアです: ${filePath}`);
           continue;
@@ -208,8 +287,10 @@ export const MediaProvider: React.FC<{ children: React.ReactNode }> = ({ childre
       }
       
       // 状態を更新
-      setMediaFiles(prevMediaFiles => [...prevMediaFiles, ...newMediaFiles]);
-      console.log(`${newMediaFiles.length}件のメディアを追加しました。総数: ${mediaFiles.length + newMediaFiles.length}`);
+      if (newMediaFiles.length > 0) {
+        applyMediaFiles([...mediaFilesRef.current, ...newMediaFiles], '素材の追加');
+      }
+      console.log(`${newMediaFiles.length}件のメディアを追加しました。総数: ${mediaFilesRef.current.length}`);
       
       // サムネイルと波形データの初期取得も行う（初期処理の場合）
       for (const media of newMediaFiles) {
@@ -223,7 +304,7 @@ export const MediaProvider: React.FC<{ children: React.ReactNode }> = ({ childre
     }
     
     return newMediaFiles;
-  }, [mediaFiles.length, initializeMediaProcessing]);
+  }, [applyMediaFiles, initializeMediaProcessing]);
 
   /**
    * メディアファイルの並び替え
@@ -231,13 +312,11 @@ export const MediaProvider: React.FC<{ children: React.ReactNode }> = ({ childre
   const reorderMediaFiles = useCallback((sourceIndex: number, destinationIndex: number) => {
     if (sourceIndex === destinationIndex) return;
     
-    setMediaFiles(prevFiles => {
-      const result = [...prevFiles];
-      const [removed] = result.splice(sourceIndex, 1);
-      result.splice(destinationIndex, 0, removed);
-      return result;
-    });
-  }, []);
+    const result = [...mediaFilesRef.current];
+    const [removed] = result.splice(sourceIndex, 1);
+    result.splice(destinationIndex, 0, removed);
+    applyMediaFiles(result, 'クリップの並び替え');
+  }, [applyMediaFiles]);
 
   /**
    * メディアファイルの削除
@@ -245,17 +324,14 @@ export const MediaProvider: React.FC<{ children: React.ReactNode }> = ({ childre
   const deleteMediaFiles = useCallback((mediaIds: string[]) => {
     if (!mediaIds || mediaIds.length === 0) return;
 
-    setMediaFiles(prevFiles => {
-      const newFiles = prevFiles.filter(file => !mediaIds.includes(file.id));
-      return newFiles;
-    });
+    const remainingFiles = mediaFilesRef.current.filter(file => !mediaIds.includes(file.id));
+    applyMediaFiles(remainingFiles, 'クリップの削除');
 
     // 選択中のメディアが削除された場合、選択を解除または変更
     if (selectedMedia && mediaIds.includes(selectedMedia.id)) {
-      const remainingFiles = mediaFiles.filter(file => !mediaIds.includes(file.id));
       setSelectedMedia(remainingFiles.length > 0 ? remainingFiles[0] : null);
     }
-  }, [mediaFiles, selectedMedia]);
+  }, [selectedMedia, applyMediaFiles]);
 
   /**
    * メディアファイルの選択
@@ -268,30 +344,127 @@ export const MediaProvider: React.FC<{ children: React.ReactNode }> = ({ childre
    * トリムポイントの更新
    */
   const updateTrimPoints = useCallback((mediaId: string, trimStart: number | null, trimEnd: number | null) => {
-    updateMedia(mediaId, { trimStart, trimEnd });
-  }, [updateMedia]);
+    applyMediaUpdate(mediaId, { trimStart, trimEnd }, 'トリム');
+  }, [applyMediaUpdate]);
+
+  /**
+   * クリップ内セグメントの更新
+   * 複数区間の場合は trimStart/trimEnd を全体の範囲に揃え、1区間以下ならセグメントを解除する
+   */
+  const updateSegments = useCallback((mediaId: string, segments: ClipSegment[] | null) => {
+    if (!segments || segments.length === 0) {
+      applyMediaUpdate(mediaId, { segments: null }, '区間の編集');
+      return;
+    }
+
+    const sorted = [...segments].sort((a, b) => a.start - b.start);
+    if (sorted.length === 1) {
+      applyMediaUpdate(mediaId, { segments: null, trimStart: sorted[0].start, trimEnd: sorted[0].end }, '区間の編集');
+      return;
+    }
+
+    applyMediaUpdate(mediaId, {
+      segments: sorted,
+      trimStart: sorted[0].start,
+      trimEnd: sorted[sorted.length - 1].end
+    }, '区間の編集');
+  }, [applyMediaUpdate]);
+
+  /**
+   * メディア一覧をまとめて置き換え（プロジェクト読み込み時など）
+   * 保存済みのタスクIDを引き継ぎつつ、波形・サムネイルを再取得する
+   */
+  const replaceMediaFiles = useCallback((files: MediaFile[]) => {
+    mediaFilesRef.current = files;
+    setMediaFiles(files);
+    setSelectedMedia(null);
+    setError(null);
+    setHistory(createHistory());
+
+    files
+      .filter(media => !media.missing)
+      .forEach(media => {
+        initializeMediaProcessing(media as MediaFileWithTaskIds);
+      });
+  }, [initializeMediaProcessing, setHistory]);
+
+  /**
+   * BGMトラックを更新し、編集操作であれば履歴に記録する
+   * @param updater 最新のトラックから新しいトラックを作成する関数
+   * @param label 履歴に表示する操作名（nullの場合は記録しない）
+   */
+  const updateMusicTrack = useCallback((updater: (track: MusicTrack) => MusicTrack, label: string | null) => {
+    applyEdit({ musicTrack: updater(musicTrackRef.current) }, label);
+  }, [applyEdit]);
+
+  /**
+   * 履歴の状態を復元（解析結果などは現在の値を引き継ぐ）
+   */
+  const restoreSnapshot = useCallback((snapshot: EditSnapshot) => {
+    editGroupRef.current = { active: false, recorded: false };
+    commitMediaFiles(restoreMediaFiles(snapshot.mediaFiles, mediaFilesRef.current));
+    commitMusicTrack(restoreMusicTrack(snapshot.musicTrack, musicTrackRef.current));
+  }, [commitMediaFiles, commitMusicTrack]);
+
+  /**
+   * 直前の操作を元に戻す
+   * @returns 元に戻した操作名（履歴がない場合はnull）
+   */
+  const undo = useCallback((): string | null => {
+    const history = historyRef.current;
+    const entry = history.past[history.past.length - 1];
+    if (!entry) return null;
+
+    restoreSnapshot(entry.before);
+    setHistory({ past: history.past.slice(0, -1), future: [entry, ...history.future] });
+    return entry.label;
+  }, [restoreSnapshot, setHistory]);
+
+  /**
+   * 元に戻した操作をやり直す
+   * @returns やり直した操作名（履歴がない場合はnull）
+   */
+  const redo = useCallback((): string | null => {
+    const history = historyRef.current;
+    const entry = history.future[0];
+    if (!entry) return null;
+
+    restoreSnapshot(entry.after);
+    setHistory({ past: [...history.past, entry], future: history.future.slice(1) });
+    return entry.label;
+  }, [restoreSnapshot, setHistory]);
+
+  /**
+   * 以降の更新を1つの操作としてまとめる（トリムハンドルのドラッグ開始時など）
+   */
+  const beginEditGroup = useCallback(() => {
+    editGroupRef.current = { active: true, recorded: false };
+  }, []);
+
+  /**
+   * 操作のまとめを終了
+   */
+  const endEditGroup = useCallback(() => {
+    editGroupRef.current = { active: false, recorded: false };
+  }, []);
 
   /**
    * 合計時間の計算
    */
   const calculateTotalDuration = useCallback(() => {
-    return mediaFiles.reduce((total, file) => {
-      const startTime = file.trimStart ?? 0;
-      const endTime = file.trimEnd ?? file.duration;
-      const duration = (endTime !== undefined && startTime !== undefined) 
-        ? endTime - startTime 
-        : (file.duration ?? 0);
-      return total + (duration > 0 ? duration : 0);
-    }, 0);
+    return mediaFiles.reduce((total, file) => total + getSegmentsDuration(file), 0);
   }, [mediaFiles]);
 
   // コンテキスト値の構築
   const contextValue: MediaContextValue = {
     // 状態
     mediaFiles,
+    musicTrack,
     selectedMedia,
     isLoading,
     error,
+    canUndo: historyState.past.length > 0,
+    canRedo: historyState.future.length > 0,
     
     // アクション
     addMediaFiles,
@@ -300,6 +473,13 @@ export const MediaProvider: React.FC<{ children: React.ReactNode }> = ({ childre
     selectMedia,
     updateMedia,
     updateTrimPoints,
+    updateSegments,
+    replaceMediaFiles,
+    updateMusicTrack,
+    undo,
+    redo,
+    beginEditGroup,
+    endEditGroup,
     calculateTotalDuration,
     initializeMediaProcessing
   };
@@ -0,0 +1,138 @@
+import React, { createContext, useContext, useState, useCallback } from 'react';
+import type { MusicClip, MusicDucking, MusicTrack } from '../types/media';
+import { EMPTY_MUSIC_TRACK, useMedia } from './MediaContext';
+
+// 新しく追加するBGMクリップの初期値
+const DEFAULT_MUSIC_CLIP_SETTINGS = {
+  trimStart: 0,
+  trimEnd: null,
+  loop: false,
+  fadeIn: 1,
+  fadeOut: 2,
+  gain: -6
+};
+
+interface MusicContextValue {
+  musicTrack: MusicTrack;
+  isLoading: boolean;
+  addMusicFiles: (filePaths: string[]) => Promise<MusicClip[]>;
+  updateMusicClip: (clipId: string, updates: Partial<MusicClip>) => void;
+  removeMusicClip: (clipId: string) => void;
+  setDucking: (ducking: MusicDucking) => void;
+  replaceMusicTrack: (track: MusicTrack | null) => void;
+}
+
+const MusicContext = createContext<MusicContextValue>({
+  musicTrack: EMPTY_MUSIC_TRACK,
+  isLoading: false,
+  addMusicFiles: async () => [],
+  updateMusicClip: () => {},
+  removeMusicClip: () => {},
+  setDucking: () => {},
+  replaceMusicTrack: () => {}
+});
+
+/**
+ * クリップのタイムライン上の終了位置（ループしない場合）
+ */
+const getClipEnd = (clip: MusicClip): number => {
+  return clip.start + (clip.trimEnd ?? clip.duration) - clip.trimStart;
+};
+
+/**
+ * BGMトラック管理プロバイダーコンポーネント
+ * タイムラインの動画クリップとは別の音声レーンとしてBGMを操作します
+ * トラック自体はクリップの編集と同じ履歴で元に戻せるよう、MediaContextで保持しています
+ */
+export const MusicProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
+  const { musicTrack, updateMusicTrack } = useMedia();
+  const [isLoading, setIsLoading] = useState(false);
+
+  /**
+   * BGMファイルを追加（前のクリップの後ろに並べる）
+   * @param filePaths ファイルパスの配列
+   */
+  const addMusicFiles = useCallback(async (filePaths: string[]): Promise<MusicClip[]> => {
+    if (!filePaths || filePaths.length === 0) return [];
+
+    setIsLoading(true);
+    const newClips: MusicClip[] = [];
+    let addedClips: MusicClip[] = [];
+    try {
+      for (const filePath of filePaths) {
+        const mediaInfo = await window.api.getMediaInfo(filePath);
+        if (!mediaInfo || !mediaInfo.duration) {
+          console.error(`BGMの情報を取得できませんでした: ${filePath}`);
+          continue;
+        }
+
+        const clip: MusicClip = {
+          id: window.nodeCrypto.generateUUID(),
+          path: filePath,
+          name: mediaInfo.name || filePath.split(/[\\/]/).pop() || 'unknown',
+          duration: mediaInfo.duration,
+          start: 0,
+          ...DEFAULT_MUSIC_CLIP_SETTINGS
+        };
+        newClips.push(clip);
+      }
+
+      // 情報の取得中に他の編集があっても最新のトラックの後ろに並べる
+      if (newClips.length > 0) {
+        updateMusicTrack(track => {
+          let start = track.clips.reduce((end, clip) => Math.max(end, getClipEnd(clip)), 0);
+          addedClips = newClips.map(clip => {
+            const placed = { ...clip, start };
+            start = getClipEnd(placed);
+            return placed;
+          });
+          return { ...track, clips: [...track.clips, ...addedClips] };
+        }, 'BGMの追加');
+      }
+      console.log(`${addedClips.length}件のBGMを追加しました`);
+    } catch (error) {
+      console.error('BGM追加中にエラーが発生しました:', error);
+    } finally {
+      setIsLoading(false);
+    }
+    return addedClips;
+  }, [updateMusicTrack]);
+
+  const updateMusicClip = useCallback((clipId: string, updates: Partial<MusicClip>) => {
+    updateMusicTrack(track => ({
+      ...track,
+      clips: track.clips.map(clip => clip.id === clipId ? { ...clip, ...updates } : clip)
+    }), 'BGMの編集');
+  }, [updateMusicTrack]);
+
+  const removeMusicClip = useCallback((clipId: string) => {
+    updateMusicTrack(track => ({ ...track, clips: track.clips.filter(clip => clip.id !== clipId) }), 'BGMの削除');
+  }, [updateMusicTrack]);
+
+  const setDucking = useCallback((ducking: MusicDucking) => {
+    updateMusicTrack(track => ({ ...track, ducking }), 'ダッキングの変更');
+  }, [updateMusicTrack]);
+
+  /**
+   * BGMトラック全体を置き換え（プロジェクトの読み込み・セッションの復元、履歴には記録しない）
+   */
+  const replaceMusicTrack = useCallback((track: MusicTrack | null) => {
+    updateMusicTrack(() => (track && Array.isArray(track.clips) ? { ...EMPTY_MUSIC_TRACK, ...track } : EMPTY_MUSIC_TRACK), null);
+  }, [updateMusicTrack]);
+
+  return (
+    <MusicContext.Provider value={{
+      musicTrack,
+      isLoading,
+      addMusicFiles,
+      updateMusicClip,
+      removeMusicClip,
+      setDucking,
+      replaceMusicTrack
+    }}>
+      {children}
+    </MusicContext.Provider>
+  );
+};
+
+export const useMusic = () => useContext(MusicContext);
@@ -124,7 +124,8 @@ export const TaskProvider: React.FC<{ children: React.ReactNode }> = ({ children
             error: task.error,
             createdAt: createdAt,
             completedAt: completedAt,
-            data: taskData
+            data: taskData,
+            metadata: task.metadata
           };
         });
         
@@ -414,7 +415,8 @@ export const TaskProvider: React.FC<{ children: React.ReactNode }> = ({ children
             error: task.error,
             createdAt: createdAt,
             completedAt: completedAt,
-            data: taskData
+            data: taskData,
+            metadata: task.metadata
           };
         });
         
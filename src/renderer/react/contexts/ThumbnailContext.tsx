@@ -2,6 +2,7 @@ import React, { createContext, useContext, useState, useCallback, useRef, useEff
 import { MediaFileWithTaskIds } from '../types/media';
 import { ThumbnailGenerateParams, ThumbnailGenerateResponse } from '../types/media';
 import { Logger } from '../utils/logger';
+import { pathToSecureFileUrl } from '../utils/fileUrl';
 
 // 処理済みメディアのグローバルキャッシュ (コンポーネントのマウント/アンマウントに影響されない)
 const PROCESSED_MEDIA_CACHE = new Map<string, string>();
@@ -52,35 +53,6 @@ export const ThumbnailProvider: React.FC<{ children: React.ReactNode }> = ({ chi
   // 前回の処理が完了していることを確認するためのRef
   const lastProcessedMedia = useRef<string | null>(null);
 
-  // pathToSecureFileUrlヘルパー関数を追加
-  const pathToSecureFileUrl = (filePath: string): string => {
-    if (!filePath) return '';
-    
-    console.log('[ThumbnailContext] 元のパス:', filePath);
-    
-    // fileプロトコルから始まる場合は変換
-    if (filePath.startsWith('file://')) {
-      filePath = filePath.slice(7);
-    }
-    
-    // Windows対応（バックスラッシュをスラッシュに変換）
-    const normalizedPath = filePath.replace(/\\/g, '/');
-    
-    try {
-      // URLエンコードを適切に適用
-      const encodedPath = encodeURIComponent(normalizedPath)
-        .replace(/%2F/g, '/') // スラッシュはそのまま
-        .replace(/%20/g, ' '); // 可読性のためにスペースを戻す（任意）
-      
-      const secureUrl = `secure-file://${encodedPath}`;
-      console.log('[ThumbnailContext] 変換後URL:', secureUrl);
-      return secureUrl;
-    } catch (error) {
-      console.error('[ThumbnailContext] URL変換エラー:', error);
-      return `secure-file://${normalizedPath}`;
-    }
-  };
-
   /**
    * エラー状態をリセットする関数
    */
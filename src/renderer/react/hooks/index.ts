@@ -6,6 +6,7 @@
 // 直接コンテキストフックをエクスポート（中間レイヤー削除）
 export { useTasks } from '../contexts/TaskContext';
 export { useMedia as useMediaFiles } from '../contexts/MediaContext';
+export { useMusic } from '../contexts/MusicContext';
 export { useWaveform } from '../contexts/WaveformContext';
 export { useThumbnail } from '../contexts/ThumbnailContext';
 
@@ -14,3 +15,6 @@ export { useKeyboardShortcuts } from './keyboard';
 
 // ドラッグ＆ドロップ関連フック
 export { useFileDragDrop } from './dragdrop';
+
+// プロジェクトファイル関連フック
+export { useProjectFile, useSessionAutosave } from './project';
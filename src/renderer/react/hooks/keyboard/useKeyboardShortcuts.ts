@@ -1,13 +1,22 @@
 import { useEffect, RefObject } from 'react';
 import { VideoPlayerRef } from '../../components/VideoPlayer';
 
+interface EditShortcutHandlers {
+  onUndo?: () => void;
+  onRedo?: () => void;
+}
+
 /**
  * キーボードショートカットを管理するカスタムフック
  * 
  * @param videoPlayerRef ビデオプレーヤーへの参照
+ * @param editHandlers 元に戻す/やり直しのハンドラー
  * @returns void
  */
-export const useKeyboardShortcuts = (videoPlayerRef: RefObject<VideoPlayerRef>) => {
+export const useKeyboardShortcuts = (
+  videoPlayerRef: RefObject<VideoPlayerRef>,
+  { onUndo, onRedo }: EditShortcutHandlers = {}
+) => {
   useEffect(() => {
     /**
      * 再生速度を変更する共通関数
@@ -59,6 +68,17 @@ export const useKeyboardShortcuts = (videoPlayerRef: RefObject<VideoPlayerRef>)
         return;
       }
 
+      // Cmd/Ctrl+Z: 元に戻す、Shift+Cmd/Ctrl+Z: やり直し
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) {
+          onRedo?.();
+        } else {
+          onUndo?.();
+        }
+        return;
+      }
+
       switch (e.key.toLowerCase()) {
         case ' ':
           e.preventDefault(); // スクロールを防止
@@ -85,7 +105,7 @@ export const useKeyboardShortcuts = (videoPlayerRef: RefObject<VideoPlayerRef>)
     return () => {
       window.removeEventListener('keydown', handleKeyDown);
     };
-  }, [videoPlayerRef]);
+  }, [videoPlayerRef, onUndo, onRedo]);
 };
 
 export default useKeyboardShortcuts;
@@ -0,0 +1,2 @@
+export { default as useProjectFile } from './useProjectFile';
+export { default as useSessionAutosave } from './useSessionAutosave';
@@ -0,0 +1,114 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useMedia } from '../../contexts/MediaContext';
+import { useMusic } from '../../contexts/MusicContext';
+import type { ExportSettingsValues } from '../../types/export';
+import type { LoadedProject, RecentProject } from '../../types/project';
+
+interface UseProjectFileOptions {
+  exportSettings: ExportSettingsValues;
+  onExportSettingsLoaded: (settings: ExportSettingsValues | null) => void;
+  onStatus: (message: string) => void;
+}
+
+/**
+ * プロジェクトファイル（.swproj）の保存・読み込みを管理するカスタムフック
+ *
+ * @param options 書き出し設定と状態通知のコールバック
+ * @returns 現在のプロジェクト情報と操作関数
+ */
+export const useProjectFile = ({ exportSettings, onExportSettingsLoaded, onStatus }: UseProjectFileOptions) => {
+  const { mediaFiles, replaceMediaFiles } = useMedia();
+  const { musicTrack, replaceMusicTrack } = useMusic();
+  const [projectPath, setProjectPath] = useState<string | null>(null);
+  const [projectName, setProjectName] = useState<string | null>(null);
+  const [recentProjects, setRecentProjects] = useState<RecentProject[]>([]);
+
+  // 最近使ったプロジェクトの一覧を取得
+  const refreshRecentProjects = useCallback(async () => {
+    try {
+      const result = await window.api.invoke('get-recent-projects');
+      setRecentProjects(result?.projects || []);
+    } catch (error) {
+      console.error('最近使ったプロジェクトの取得エラー:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshRecentProjects();
+  }, [refreshRecentProjects]);
+
+  /**
+   * プロジェクトを開く
+   * @param filePath 開くファイルのパス（省略時はダイアログで選択）
+   */
+  const openProject = useCallback(async (filePath?: string) => {
+    try {
+      const result = await window.api.invoke('open-project', filePath);
+      if (result?.canceled) return;
+      if (!result?.success) {
+        onStatus(`プロジェクトを開けませんでした: ${result?.error || '不明なエラー'}`);
+        return;
+      }
+
+      const project: LoadedProject = result.project;
+      replaceMediaFiles(project.mediaFiles);
+      replaceMusicTrack(project.musicTrack || null);
+      onExportSettingsLoaded(project.exportSettings);
+      setProjectPath(project.filePath);
+      setProjectName(project.name);
+
+      const missingCount = project.mediaFiles.filter(media => media.missing).length;
+      onStatus(missingCount > 0
+        ? `プロジェクト「${project.name}」を開きました（見つからない素材: ${missingCount}件）`
+        : `プロジェクト「${project.name}」を開きました`);
+    } catch (error) {
+      console.error('プロジェクト読み込みエラー:', error);
+      onStatus('プロジェクトの読み込み中にエラーが発生しました');
+    } finally {
+      refreshRecentProjects();
+    }
+  }, [replaceMediaFiles, replaceMusicTrack, onExportSettingsLoaded, onStatus, refreshRecentProjects]);
+
+  /**
+   * プロジェクトを保存
+   * @param saveAs 別名で保存する場合はtrue
+   */
+  const saveProject = useCallback(async (saveAs: boolean = false) => {
+    try {
+      const result = await window.api.invoke('save-project', {
+        project: {
+          name: projectName || undefined,
+          mediaFiles,
+          musicTrack,
+          exportSettings
+        },
+        filePath: projectPath,
+        saveAs
+      });
+      if (result?.canceled) return;
+      if (!result?.success) {
+        onStatus(`プロジェクトを保存できませんでした: ${result?.error || '不明なエラー'}`);
+        return;
+      }
+
+      setProjectPath(result.filePath);
+      setProjectName(result.name);
+      onStatus(`プロジェクト「${result.name}」を保存しました`);
+    } catch (error) {
+      console.error('プロジェクト保存エラー:', error);
+      onStatus('プロジェクトの保存中にエラーが発生しました');
+    } finally {
+      refreshRecentProjects();
+    }
+  }, [projectName, projectPath, mediaFiles, musicTrack, exportSettings, onStatus, refreshRecentProjects]);
+
+  return {
+    projectPath,
+    projectName,
+    recentProjects,
+    openProject,
+    saveProject
+  };
+};
+
+export default useProjectFile;
@@ -0,0 +1,70 @@
+import { useEffect, useCallback } from 'react';
+import { useMedia } from '../../contexts/MediaContext';
+import { useMusic } from '../../contexts/MusicContext';
+import type { ExportSettingsValues } from '../../types/export';
+import type { MediaFile, MusicTrack } from '../../types/media';
+
+// 編集後にスナップショットを送信するまでの待ち時間（ミリ秒）
+const SNAPSHOT_DEBOUNCE_MS = 2000;
+
+interface SessionSnapshot {
+  mediaFiles: MediaFile[];
+  musicTrack?: MusicTrack | null;
+  exportSettings: ExportSettingsValues | null;
+}
+
+interface UseSessionAutosaveOptions {
+  exportSettings: ExportSettingsValues;
+  onExportSettingsLoaded: (settings: ExportSettingsValues | null) => void;
+  onStatus: (message: string) => void;
+}
+
+/**
+ * 編集状態をメインプロセスに送って自動保存し、異常終了後の復元を受け取るカスタムフック
+ *
+ * @param options 書き出し設定と状態通知のコールバック
+ */
+export const useSessionAutosave = ({ exportSettings, onExportSettingsLoaded, onStatus }: UseSessionAutosaveOptions) => {
+  const { mediaFiles, replaceMediaFiles } = useMedia();
+  const { musicTrack, replaceMusicTrack } = useMusic();
+
+  // 編集が落ち着いたらスナップショットを送信（保存はメインプロセスが定期的に行う）
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      window.api.invoke('update-session-snapshot', { mediaFiles, musicTrack, exportSettings })
+        .catch((error: any) => console.error('セッションのスナップショット送信エラー:', error));
+    }, SNAPSHOT_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [mediaFiles, musicTrack, exportSettings]);
+
+  // 復元待ちのセッションがあれば取り出して反映
+  const restoreSession = useCallback(async () => {
+    try {
+      const result = await window.api.invoke('take-restored-session');
+      const snapshot: SessionSnapshot | null = result?.snapshot || null;
+      if (!snapshot) return;
+
+      replaceMediaFiles(snapshot.mediaFiles);
+      replaceMusicTrack(snapshot.musicTrack || null);
+      onExportSettingsLoaded(snapshot.exportSettings);
+      onStatus(`前回のセッションを復元しました（${snapshot.mediaFiles.length}クリップ）`);
+    } catch (error) {
+      console.error('セッション復元エラー:', error);
+    }
+  }, [replaceMediaFiles, replaceMusicTrack, onExportSettingsLoaded, onStatus]);
+
+  useEffect(() => {
+    restoreSession();
+    // preloadのonは登録解除用の関数を返す
+    const unsubscribe: unknown = window.api.on('session-restore-available', restoreSession);
+
+    return () => {
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
+    };
+  }, [restoreSession]);
+};
+
+export default useSessionAutosave;
@@ -14,6 +14,7 @@ declare global {
           fps: string;
           codec: string;
           format: string;
+          trimMode?: 'fast' | 'smart' | 'accurate';
         }
       }) => Promise<{ success: boolean; outputPath?: string; error?: string }>;
       measureLoudness: (filePath: string) => Promise<{
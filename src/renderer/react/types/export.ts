@@ -0,0 +1,115 @@
+/**
+ * 書き出し設定に関連する型定義
+ */
+
+// ラウドネス正規化の対象（クリップごと / 結合後の全体 / 両方）
+export type LoudnessScope = 'clip' | 'program' | 'both';
+
+// ラウドネス目標値のプリセット（配信先ごと、customは任意の値）
+export type LoudnessPresetId = 'youtube' | 'spotify' | 'apple_podcasts' | 'ebu_r128' | 'atsc_a85' | 'custom';
+
+// キャンバスとアスペクト比が異なる素材の収め方（黒帯 / 切り取り / 拡大しない）
+export type VideoFitMode = 'letterbox' | 'fill' | 'fit';
+
+// 書き出しキャンバスの縦横比（YouTube / ショート・リール / Instagram）
+export type CanvasAspect = '16:9' | '9:16' | '1:1' | '4:5';
+
+// 映像のレート制御（画質優先 / 固定ビットレート / 平均ビットレート / 2パス可変ビットレート / 目標ファイルサイズ）
+export type RateControlMode = 'quality' | 'cbr' | 'abr' | 'vbr_2pass' | 'target_size';
+
+// 書き出しの音声コーデック
+export type AudioCodecId = 'aac' | 'opus' | 'pcm';
+
+// 書き出しコーデックのプロファイル（メインプロセスのコーデックプロファイル表から取得）
+export interface CodecProfile {
+  id: string;
+  label: string;
+  group: string; // 配信向け / ProRes / DNxHR
+  formats: string[]; // 対応するコンテナ（先頭が既定）
+  audioCodec: AudioCodecId; // 既定の音声コーデック
+  encoder: string; // 使用するFFmpegのエンコーダー（H.264/H.265は対応状況から選択）
+  hardware: boolean; // ハードウェアエンコーダーかどうか
+  rateControl: boolean; // レート制御を指定できるか（中間コーデックはプロファイルで画質が決まる）
+}
+
+// 書き出しの音声コーデックの選択肢（メインプロセスから取得）
+export interface AudioCodecOption {
+  id: AudioCodecId;
+  label: string;
+  formats: string[]; // 対応するコンテナ
+  bitrate: boolean; // ビットレートを指定できるか
+}
+
+// 書き出し設定（プロジェクトにも保存される）
+export interface ExportSettingsValues {
+  resolution: string;
+  aspectRatio: CanvasAspect;
+  fps: string;
+  fitMode: VideoFitMode;
+  codec: string;
+  format: string;
+  rateControl: RateControlMode;
+  quality: number; // CRF（0〜51、小さいほど高画質）
+  videoBitrate: number; // 映像ビットレート（Mbps、固定・平均・2パスの場合）
+  targetSize: number; // 目標ファイルサイズ（MB）
+  audioCodec: AudioCodecId;
+  audioBitrate: number; // 音声ビットレート（kbps）
+  trimMode: 'fast' | 'smart' | 'accurate';
+  loudnessScope: LoudnessScope;
+  loudnessPreset: LoudnessPresetId;
+  targetLoudness: number; // 統合ラウドネス（LUFS）
+  targetTruePeak: number; // トゥルーピーク上限（dBTP）
+  targetLra: number; // ラウドネスレンジ（LU）
+}
+
+// ラウドネスの測定値（測定できない値はnull）
+export interface LoudnessValues {
+  integrated: number | null;
+  truePeak: number | null;
+  lra?: number | null;
+}
+
+// 書き出し後に作成されるラウドネスレポート
+export interface LoudnessReport {
+  version: number;
+  standard: string;
+  generatedAt: string;
+  outputFile: string;
+  target: {
+    preset: LoudnessPresetId | null;
+    integrated: number;
+    truePeak: number;
+    lra: number;
+    tolerance: number;
+  };
+  normalizationScope: LoudnessScope;
+  program: {
+    duration: number | null;
+    integrated: number | null;
+    lra: number | null;
+    truePeak: number | null;
+    maxMomentary: number | null;
+    maxShortTerm: number | null;
+    threshold: number | null;
+    deviation: number | null;
+    withinTolerance: boolean;
+    truePeakWithinLimit: boolean;
+    before: LoudnessValues | null;
+  };
+  clips: Array<{
+    clipId: string | null;
+    name: string;
+    mode: string;
+    before: LoudnessValues;
+    after: LoudnessValues;
+    withinTolerance: boolean;
+  }>;
+}
+
+// 書き出しタスクの結果に含まれるレポート情報
+export interface LoudnessReportResult {
+  jsonPath?: string;
+  csvPath?: string;
+  report?: LoudnessReport;
+  error?: string;
+}
@@ -7,3 +7,5 @@
 export * from './tasks';
 export * from './media';
 export * from './api';
+export * from './export';
+export * from './project';
@@ -2,6 +2,73 @@
  * メディアファイル管理に関連する型定義
  */
 
+// 次のクリップとのつなぎ目の音声クロスフェード設定
+export interface AudioCrossfade {
+  duration: number; // 秒
+  curve: string;    // ffmpeg acrossfade のカーブ名
+}
+
+// 次のクリップとのつなぎ目の映像トランジション設定
+export interface VideoTransition {
+  type: 'dissolve' | 'fade_black' | 'slide' | 'wipe';
+  duration: number; // 秒
+}
+
+// 時間範囲（秒）
+export interface TimeRange {
+  start: number;
+  end: number;
+}
+
+// シーン検出タスクで検出されたシーン
+export interface DetectedScene {
+  index: number;
+  start: number;     // 秒
+  end: number;       // 秒
+  thumbnail: string | null; // サムネイル画像のファイルパス（書き出せなかった場合はnull）
+}
+
+// ラウドネス測定タスク（全区間測定）で得られる時系列
+export interface LoudnessCurve {
+  interval: number;               // 1点あたりの秒数
+  shortTerm: (number | null)[];   // ショートターム（3秒）ラウドネス（LUFS）
+  truePeak: (number | null)[];    // 区間内の最大トゥルーピーク（dBTP）
+  integrated: number | null;      // 統合ラウドネス（LUFS）
+}
+
+// クリップごとの音量とフェード（書き出し時にvolume/afadeで適用）
+export interface AudioEnvelope {
+  gain: number;    // 音量（dB）
+  fadeIn: number;  // フェードインの長さ（秒）
+  fadeOut: number; // フェードアウトの長さ（秒）
+}
+
+// クリップごとのボイスエンハンス（ノイズ除去・ディエッサー・コンプレッサー）の強さ
+export type VoiceEnhancePreset = 'off' | 'light' | 'medium' | 'strong';
+
+// クリップごとのリフレーム（中央を切り取り / ぼかした背景に配置 / 指定した範囲を切り取り）
+export type ReframeMode = 'crop' | 'blur' | 'manual';
+
+// 元映像に対する切り取り範囲（0〜1の比率）
+export interface CropRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface ClipReframe {
+  mode: ReframeMode;
+  rect: CropRect | null; // manualの場合のみ使用
+}
+
+// クリップ内で書き出しに残す区間
+export interface ClipSegment {
+  id: string;
+  start: number; // 秒
+  end: number;   // 秒
+}
+
 // メディアファイルの基本構造
 export interface MediaFile {
   id: string;
@@ -12,12 +79,47 @@ export interface MediaFile {
   duration?: number;
   trimStart?: number | null;
   trimEnd?: number | null;
+  segments?: ClipSegment[] | null; // 複数区間を残す場合のみ設定（trimStart/trimEndは全体の範囲）
+  silentRanges?: TimeRange[] | null; // 無音検出タスクで検出された無音区間
+  scenes?: DetectedScene[] | null;   // シーン検出タスクで検出されたシーン
+  loudnessCurve?: LoudnessCurve | null; // ラウドネス測定タスクで得られたショートタームの時系列
   waveformTaskId?: string;
   thumbnailTaskId?: string;
   thumbnail?: string;
+  audioCrossfade?: AudioCrossfade | null;
+  transition?: VideoTransition | null;
+  audioEnvelope?: AudioEnvelope | null; // 未設定または変化なしの場合はnull
+  voiceEnhance?: VoiceEnhancePreset | null; // 書き出し時にAudioEnhanceStepで適用（オフの場合はnull）
+  reframe?: ClipReframe | null; // 書き出し設定の収め方を使う場合はnull
+  missing?: boolean; // プロジェクト読み込み時に素材ファイルが見つからなかった場合にtrue
   [key: string]: any;
 }
 
+// BGMのダッキング（セリフがある間BGMを下げる）の強さ
+export type MusicDucking = 'off' | 'light' | 'normal' | 'strong';
+
+// BGMトラック上のクリップ
+export interface MusicClip {
+  id: string;
+  path: string;
+  name: string;
+  duration: number;          // 素材の長さ（秒）
+  start: number;             // 書き出し全体の中での開始位置（秒）
+  trimStart: number;         // 素材の使用開始位置（秒）
+  trimEnd: number | null;    // 素材の使用終了位置（秒、nullは素材の終わりまで）
+  loop: boolean;             // 次のクリップ（なければ全体の終わり）まで繰り返す
+  fadeIn: number;            // 秒
+  fadeOut: number;           // 秒
+  gain: number;              // dB
+  missing?: boolean;
+}
+
+// BGMトラック（タイムラインの2本目の音声レーン）
+export interface MusicTrack {
+  clips: MusicClip[];
+  ducking: MusicDucking;
+}
+
 // 拡張されたMediaFile型（コンパイラ問題の回避用）
 export interface MediaFileWithTaskIds extends MediaFile {
   waveformTaskId?: string;
@@ -62,9 +164,12 @@ export interface WaveformDataResponse {
 // メディアコンテキストの状態
 export interface MediaContextState {
   mediaFiles: MediaFile[];
+  musicTrack: MusicTrack;
   selectedMedia: MediaFile | null;
   isLoading: boolean;
   error: string | null;
+  canUndo: boolean;
+  canRedo: boolean;
 }
 
 // メディアコンテキストのアクション
@@ -75,6 +180,13 @@ export interface MediaContextActions {
   selectMedia: (media: MediaFile | null) => void;
   updateMedia: (mediaId: string, updates: Partial<MediaFile>) => void;
   updateTrimPoints: (mediaId: string, trimStart: number | null, trimEnd: number | null) => void;
+  updateSegments: (mediaId: string, segments: ClipSegment[] | null) => void;
+  replaceMediaFiles: (files: MediaFile[]) => void;
+  updateMusicTrack: (updater: (track: MusicTrack) => MusicTrack, label: string | null) => void;
+  undo: () => string | null;
+  redo: () => string | null;
+  beginEditGroup: () => void;
+  endEditGroup: () => void;
   calculateTotalDuration: () => number;
   initializeMediaProcessing: (media: MediaFile) => Promise<void>;
 }
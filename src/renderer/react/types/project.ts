@@ -0,0 +1,26 @@
+/**
+ * プロジェクトファイル（.swproj）に関連する型定義
+ */
+import type { MediaFile, MusicTrack } from './media';
+import type { ExportSettingsValues } from './export';
+
+// 保存・読み込みするプロジェクトの内容
+export interface ProjectData {
+  name?: string;
+  mediaFiles: MediaFile[];
+  musicTrack?: MusicTrack | null;
+  exportSettings: ExportSettingsValues | null;
+}
+
+// 読み込んだプロジェクト（メディアのパスは絶対パスに解決済み）
+export interface LoadedProject extends ProjectData {
+  filePath: string;
+  name: string;
+}
+
+// 最近使ったプロジェクト
+export interface RecentProject {
+  filePath: string;
+  name: string;
+  openedAt: string;
+}
@@ -15,6 +15,7 @@ export interface Task {
   createdAt: string;
   completedAt?: string | null;
   data?: any;
+  metadata?: Record<string, any>; // タスク固有の付加情報（書き出しのラウドネスレポートなど）
 }
 
 // タスク結果
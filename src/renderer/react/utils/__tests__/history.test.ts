@@ -0,0 +1,117 @@
+import type { MediaFile, MusicClip, MusicTrack } from '../../types/media';
+import {
+  MAX_HISTORY_SIZE,
+  createHistory,
+  isDerivedUpdate,
+  pushHistory,
+  restoreMediaFiles,
+  restoreMusicTrack,
+  HistoryEntry
+} from '../history';
+
+const createMedia = (id: string, overrides: Partial<MediaFile> = {}): MediaFile => ({
+  id,
+  path: `/tmp/${id}.mp4`,
+  name: `${id}.mp4`,
+  type: 'video/mp4',
+  size: 0,
+  duration: 10,
+  ...overrides
+});
+
+const createMusicClip = (id: string, overrides: Partial<MusicClip> = {}): MusicClip => ({
+  id,
+  path: `/tmp/${id}.mp3`,
+  name: `${id}.mp3`,
+  duration: 60,
+  start: 0,
+  trimStart: 0,
+  trimEnd: null,
+  loop: false,
+  fadeIn: 1,
+  fadeOut: 2,
+  gain: -6,
+  ...overrides
+});
+
+const musicTrack: MusicTrack = { clips: [], ducking: 'normal' };
+
+const createEntry = (label: string, trimStart: number): HistoryEntry => ({
+  label,
+  before: { mediaFiles: [createMedia('a')], musicTrack },
+  after: { mediaFiles: [createMedia('a', { trimStart })], musicTrack }
+});
+
+describe('isDerivedUpdate', () => {
+  test('解析結果だけの更新は履歴に記録しない', () => {
+    expect(isDerivedUpdate({ silentRanges: [], loudnessCurve: null })).toBe(true);
+    expect(isDerivedUpdate({ scenes: [], trimStart: 1 })).toBe(false);
+    expect(isDerivedUpdate({})).toBe(false);
+  });
+});
+
+describe('pushHistory', () => {
+  test('操作を追加するとやり直し用の履歴を破棄する', () => {
+    const history = { past: [createEntry('トリム', 1)], future: [createEntry('分割', 2)] };
+    const result = pushHistory(history, createEntry('削除', 3), false);
+
+    expect(result.past.map(entry => entry.label)).toEqual(['トリム', '削除']);
+    expect(result.future).toEqual([]);
+  });
+
+  test('統合する場合は直前の操作の変更前を残して変更後だけを更新する', () => {
+    const first = createEntry('トリム', 1);
+    const result = pushHistory({ past: [first], future: [] }, createEntry('トリム', 2), true);
+
+    expect(result.past).toHaveLength(1);
+    expect(result.past[0].before).toBe(first.before);
+    expect(result.past[0].after.mediaFiles[0].trimStart).toBe(2);
+  });
+
+  test('履歴がない場合は統合せずに追加する', () => {
+    expect(pushHistory(createHistory(), createEntry('トリム', 1), true).past).toHaveLength(1);
+  });
+
+  test('最大数を超えた古い操作を破棄する', () => {
+    let history = createHistory();
+    for (let i = 0; i < MAX_HISTORY_SIZE + 5; i++) {
+      history = pushHistory(history, createEntry(`操作${i}`, i), false);
+    }
+
+    expect(history.past).toHaveLength(MAX_HISTORY_SIZE);
+    expect(history.past[0].label).toBe('操作5');
+  });
+});
+
+describe('restoreMediaFiles', () => {
+  test('編集内容は履歴の値に戻し、解析結果は現在の値を引き継ぐ', () => {
+    const target = [createMedia('a', { trimStart: 1 }), createMedia('b')];
+    const current = [createMedia('a', { trimStart: 4, silentRanges: [{ start: 0, end: 1 }], missing: false })];
+
+    const [a, b] = restoreMediaFiles(target, current);
+
+    expect(a.trimStart).toBe(1);
+    expect(a.silentRanges).toEqual([{ start: 0, end: 1 }]);
+    expect(a.missing).toBe(false);
+    expect(b).toBe(target[1]);
+  });
+
+  test('現在の一覧にないクリップも履歴の順序で復元する', () => {
+    const target = [createMedia('b'), createMedia('a')];
+    expect(restoreMediaFiles(target, []).map(media => media.id)).toEqual(['b', 'a']);
+  });
+});
+
+describe('restoreMusicTrack', () => {
+  test('BGMの編集内容は履歴の値に戻し、素材ファイルの有無は現在の値を引き継ぐ', () => {
+    const target: MusicTrack = { clips: [createMusicClip('m1', { gain: -6 }), createMusicClip('m2')], ducking: 'strong' };
+    const current: MusicTrack = { clips: [createMusicClip('m1', { gain: 0, missing: true })], ducking: 'off' };
+
+    const restored = restoreMusicTrack(target, current);
+
+    expect(restored.ducking).toBe('strong');
+    expect(restored.clips.map(clip => clip.id)).toEqual(['m1', 'm2']);
+    expect(restored.clips[0]).toMatchObject({ gain: -6, missing: true });
+    expect(restored.clips[1]).toBe(target.clips[1]);
+  });
+});
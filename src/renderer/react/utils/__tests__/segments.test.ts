@@ -0,0 +1,133 @@
+import type { ClipSegment, MediaFile } from '../../types/media';
+import {
+  getClipSegments,
+  splitSegmentAt,
+  splitSegmentsAt,
+  removeSegment,
+  updateSegmentRange,
+  removeRanges,
+  getSegmentsDuration
+} from '../segments';
+
+let uuidCount = 0;
+(globalThis as any).window = {
+  nodeCrypto: { generateUUID: () => `uuid-${++uuidCount}` }
+};
+
+const createMedia = (overrides: Partial<MediaFile> = {}): MediaFile => ({
+  id: 'media-1',
+  path: '/tmp/clip.mp4',
+  name: 'clip.mp4',
+  type: 'video/mp4',
+  size: 0,
+  duration: 20,
+  ...overrides
+});
+
+// IDを除いた範囲だけを比較する
+const toRanges = (segments: ClipSegment[] | null) =>
+  segments && segments.map(({ start, end }) => ({ start, end }));
+
+describe('getClipSegments', () => {
+  test('セグメントが未設定の場合はトリム範囲を1つの区間として扱う', () => {
+    expect(getClipSegments(createMedia({ trimStart: 2, trimEnd: 15 }))).toEqual([{ id: 'main', start: 2, end: 15 }]);
+    expect(getClipSegments(createMedia())).toEqual([{ id: 'main', start: 0, end: 20 }]);
+  });
+
+  test('セグメントを開始位置順に返す', () => {
+    const segments = [{ id: 'b', start: 10, end: 15 }, { id: 'a', start: 0, end: 5 }];
+    expect(getClipSegments(createMedia({ segments })).map(segment => segment.id)).toEqual(['a', 'b']);
+  });
+});
+
+describe('splitSegmentAt', () => {
+  const segments: ClipSegment[] = [{ id: 'a', start: 0, end: 10 }, { id: 'b', start: 12, end: 20 }];
+
+  test('指定位置を含むセグメントを2つに分割する', () => {
+    const result = splitSegmentAt(segments, 4);
+
+    expect(toRanges(result)).toEqual([{ start: 0, end: 4 }, { start: 4, end: 10 }, { start: 12, end: 20 }]);
+    expect(result![0].id).not.toBe(result![1].id);
+    expect(result![2]).toBe(segments[1]);
+  });
+
+  test('セグメントの外や端に近すぎる位置では分割しない', () => {
+    expect(splitSegmentAt(segments, 11)).toBeNull();
+    expect(splitSegmentAt(segments, 0.05)).toBeNull();
+    expect(splitSegmentAt(segments, 9.95)).toBeNull();
+  });
+
+  test('複数位置での分割は分割できない位置を無視する', () => {
+    expect(toRanges(splitSegmentsAt(segments, [15, 11, 5]))).toEqual([
+      { start: 0, end: 5 },
+      { start: 5, end: 10 },
+      { start: 12, end: 15 },
+      { start: 15, end: 20 }
+    ]);
+  });
+});
+
+describe('removeSegment / updateSegmentRange', () => {
+  const segments: ClipSegment[] = [
+    { id: 'a', start: 0, end: 5 },
+    { id: 'b', start: 6, end: 10 },
+    { id: 'c', start: 12, end: 20 }
+  ];
+
+  test('最後の1つのセグメントは削除しない', () => {
+    expect(removeSegment(segments, 'b')!.map(segment => segment.id)).toEqual(['a', 'c']);
+    expect(removeSegment([segments[0]], 'a')).toBeNull();
+  });
+
+  test('前後のセグメントと重ならないように範囲を制限する', () => {
+    expect(updateSegmentRange(segments, 'b', 3, 14)[1]).toEqual({ id: 'b', start: 5, end: 12 });
+  });
+
+  test('範囲は最小長より短くしない', () => {
+    const updated = updateSegmentRange(segments, 'b', 8, 7)[1];
+    expect(updated.start).toBeCloseTo(6.9);
+    expect(updated.end).toBeCloseTo(7);
+  });
+});
+
+describe('removeRanges', () => {
+  const segment: ClipSegment = { id: 'a', start: 0, end: 10 };
+
+  test('範囲を取り除いてセグメントを分ける', () => {
+    const result = removeRanges([segment], [{ start: 6, end: 8 }, { start: 2, end: 4 }]);
+
+    expect(toRanges(result)).toEqual([{ start: 0, end: 2 }, { start: 4, end: 6 }, { start: 8, end: 10 }]);
+    expect(new Set(result.map(piece => piece.id)).size).toBe(3);
+  });
+
+  test('余白は区間の内側にあるつなぎ目にだけ付ける', () => {
+    expect(toRanges(removeRanges([segment], [{ start: 0, end: 2 }, { start: 4, end: 6 }, { start: 9, end: 10 }], 0.2))).toEqual([
+      { start: 1.8, end: 4.2 },
+      { start: 5.8, end: 9.2 }
+    ]);
+  });
+
+  test('最小長未満の断片は残さない', () => {
+    expect(toRanges(removeRanges([segment], [{ start: 0.05, end: 5 }]))).toEqual([{ start: 5, end: 10 }]);
+    expect(removeRanges([segment], [{ start: 0, end: 10 }])).toEqual([]);
+  });
+
+  test('余白を付けると最小長未満になる範囲は取り除かない', () => {
+    expect(removeRanges([segment], [{ start: 4, end: 4.4 }], 0.2)).toEqual([segment]);
+  });
+
+  test('範囲と重ならないセグメントはそのまま残す', () => {
+    const other: ClipSegment = { id: 'b', start: 12, end: 20 };
+    const result = removeRanges([segment, other], [{ start: 2, end: 4 }]);
+
+    expect(result[result.length - 1]).toEqual(other);
+  });
+});
+
+describe('getSegmentsDuration', () => {
+  test('書き出し後の長さはセグメントの長さの合計', () => {
+    const segments = [{ id: 'a', start: 0, end: 5 }, { id: 'b', start: 8, end: 10.5 }];
+    expect(getSegmentsDuration(createMedia({ segments }))).toBeCloseTo(7.5);
+    expect(getSegmentsDuration(createMedia({ trimStart: 5 }))).toBe(15);
+  });
+});
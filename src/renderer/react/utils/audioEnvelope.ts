@@ -0,0 +1,41 @@
+/**
+ * クリップの音量・フェード（エンベロープ）のユーティリティ
+ */
+import type { AudioEnvelope, MediaFile } from '../types/media';
+import { getClipSegments } from './segments';
+
+// 音量の調整範囲（dB）
+export const GAIN_MIN = -24;
+export const GAIN_MAX = 12;
+
+// 音量の調整単位（dB）
+export const GAIN_STEP = 0.5;
+
+export const EMPTY_AUDIO_ENVELOPE: AudioEnvelope = { gain: 0, fadeIn: 0, fadeOut: 0 };
+
+/**
+ * クリップの書き出し範囲（最初の区間の開始から最後の区間の終了まで）を取得
+ * フェードインは範囲の先頭、フェードアウトは範囲の末尾に適用される
+ */
+export const getEnvelopeRange = (media: MediaFile): { start: number; end: number } => {
+  const segments = getClipSegments(media);
+  return { start: segments[0].start, end: segments[segments.length - 1].end };
+};
+
+/**
+ * 音量・フェードを有効な範囲に収める
+ * フェードの合計はクリップの長さを超えないようにし、変化がない場合はnullを返す
+ * @param envelope 音量・フェード
+ * @param clipLength クリップの書き出し範囲の長さ（秒）
+ */
+export const clampAudioEnvelope = (envelope: AudioEnvelope, clipLength: number): AudioEnvelope | null => {
+  const gain = Math.min(GAIN_MAX, Math.max(GAIN_MIN, Math.round(envelope.gain / GAIN_STEP) * GAIN_STEP));
+  const maxFade = Math.max(0, clipLength);
+  const fadeIn = Math.min(maxFade, Math.max(0, envelope.fadeIn));
+  const fadeOut = Math.min(maxFade - fadeIn, Math.max(0, envelope.fadeOut));
+
+  if (gain === 0 && fadeIn === 0 && fadeOut === 0) {
+    return null;
+  }
+  return { gain, fadeIn, fadeOut };
+};
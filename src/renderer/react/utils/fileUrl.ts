@@ -0,0 +1,30 @@
+/**
+ * ローカルファイルのパスをレンダラーで表示可能なURLに変換するユーティリティ
+ */
+
+/**
+ * ファイルパスをsecure-fileプロトコルのURLに変換
+ */
+export const pathToSecureFileUrl = (filePath: string): string => {
+  if (!filePath) return '';
+
+  // fileプロトコルから始まる場合は変換
+  if (filePath.startsWith('file://')) {
+    filePath = filePath.slice(7);
+  }
+
+  // Windows対応（バックスラッシュをスラッシュに変換）
+  const normalizedPath = filePath.replace(/\\/g, '/');
+
+  try {
+    // URLエンコードを適切に適用
+    const encodedPath = encodeURIComponent(normalizedPath)
+      .replace(/%2F/g, '/') // スラッシュはそのまま
+      .replace(/%20/g, ' '); // 可読性のためにスペースを戻す（任意）
+
+    return `secure-file://${encodedPath}`;
+  } catch (error) {
+    console.error('URL変換エラー:', error);
+    return `secure-file://${normalizedPath}`;
+  }
+};
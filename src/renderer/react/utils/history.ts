@@ -0,0 +1,107 @@
+/**
+ * 編集履歴（元に戻す/やり直し）のユーティリティ
+ * 各操作は実行前後のメディア一覧とBGMトラックを持つコマンドとして記録する
+ */
+import type { MediaFile, MusicTrack } from '../types/media';
+
+// 保持する履歴の最大数
+export const MAX_HISTORY_SIZE = 100;
+
+// 解析結果やキャッシュなど、編集操作ではない項目（履歴に記録せず、元に戻しても保持する）
+const DERIVED_KEYS = [
+  'waveformTaskId',
+  'thumbnailTaskId',
+  'thumbnail',
+  'lufs',
+  'lufsGain',
+  'loudnessInfo',
+  'silentRanges',
+  'scenes',
+  'loudnessCurve',
+  'missing'
+];
+
+// 履歴に記録する編集状態
+export interface EditSnapshot {
+  mediaFiles: MediaFile[];
+  musicTrack: MusicTrack;
+}
+
+// 履歴の1操作
+export interface HistoryEntry {
+  label: string;
+  before: EditSnapshot;
+  after: EditSnapshot;
+}
+
+// 履歴スタック
+export interface HistoryState {
+  past: HistoryEntry[];
+  future: HistoryEntry[];
+}
+
+export const createHistory = (): HistoryState => ({ past: [], future: [] });
+
+/**
+ * 更新内容が解析結果などの派生項目だけか判定
+ */
+export const isDerivedUpdate = (updates: Partial<MediaFile>): boolean => {
+  const keys = Object.keys(updates);
+  return keys.length > 0 && keys.every(key => DERIVED_KEYS.includes(key));
+};
+
+/**
+ * 操作を履歴に追加（やり直し用の履歴は破棄する）
+ * @param merge trueの場合は直前の操作に統合する（ドラッグ中の連続更新など）
+ */
+export const pushHistory = (history: HistoryState, entry: HistoryEntry, merge: boolean): HistoryState => {
+  const last = history.past[history.past.length - 1];
+  if (merge && last) {
+    return {
+      past: [...history.past.slice(0, -1), { ...last, after: entry.after }],
+      future: []
+    };
+  }
+
+  return {
+    past: [...history.past, entry].slice(-MAX_HISTORY_SIZE),
+    future: []
+  };
+};
+
+/**
+ * 履歴のメディア一覧を復元する
+ * 派生項目は現在の値を引き継ぎ、復元後に解析結果が失われないようにする
+ */
+export const restoreMediaFiles = (target: MediaFile[], current: MediaFile[]): MediaFile[] => {
+  const currentById = new Map(current.map(media => [media.id, media]));
+
+  return target.map(media => {
+    const latest = currentById.get(media.id);
+    if (!latest) return media;
+
+    const derived: Partial<MediaFile> = {};
+    DERIVED_KEYS.forEach(key => {
+      if (latest[key] !== undefined) {
+        derived[key] = latest[key];
+      }
+    });
+    return { ...media, ...derived };
+  });
+};
+
+/**
+ * 履歴のBGMトラックを復元する
+ * 素材ファイルの有無（missing）は現在の値を引き継ぐ
+ */
+export const restoreMusicTrack = (target: MusicTrack, current: MusicTrack): MusicTrack => {
+  const currentById = new Map(current.clips.map(clip => [clip.id, clip]));
+
+  return {
+    ...target,
+    clips: target.clips.map(clip => {
+      const latest = currentById.get(clip.id);
+      return latest && latest.missing !== undefined ? { ...clip, missing: latest.missing } : clip;
+    })
+  };
+};
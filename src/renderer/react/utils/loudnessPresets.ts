@@ -0,0 +1,47 @@
+/**
+ * 配信先ごとのラウドネス目標値のプリセット
+ * 統合ラウドネス（LUFS）、トゥルーピーク上限（dBTP）、ラウドネスレンジ（LU）を持つ
+ */
+import type { ExportSettingsValues, LoudnessPresetId } from '../types/export';
+
+export interface LoudnessPreset {
+  id: LoudnessPresetId;
+  label: string;
+  integrated: number;
+  truePeak: number;
+  lra: number;
+}
+
+export const LOUDNESS_PRESETS: LoudnessPreset[] = [
+  { id: 'youtube', label: 'YouTube', integrated: -14, truePeak: -1, lra: 11 },
+  { id: 'spotify', label: 'Spotify', integrated: -14, truePeak: -1, lra: 11 },
+  { id: 'apple_podcasts', label: 'Apple Podcasts', integrated: -16, truePeak: -1, lra: 11 },
+  { id: 'ebu_r128', label: 'EBU R128（放送）', integrated: -23, truePeak: -1, lra: 15 },
+  { id: 'atsc_a85', label: 'ATSC A/85（放送）', integrated: -24, truePeak: -2, lra: 15 }
+];
+
+export const DEFAULT_LOUDNESS_PRESET = LOUDNESS_PRESETS[0];
+
+/**
+ * プリセットIDからプリセットを取得（カスタムの場合はnull）
+ */
+export const getLoudnessPreset = (id: LoudnessPresetId): LoudnessPreset | null =>
+  LOUDNESS_PRESETS.find(preset => preset.id === id) || null;
+
+/**
+ * プリセットを選択したときの書き出し設定の更新内容
+ * カスタムの場合は現在の目標値をそのまま引き継ぐ
+ */
+export const getLoudnessPresetSettings = (id: LoudnessPresetId): Partial<ExportSettingsValues> => {
+  const preset = getLoudnessPreset(id);
+  if (!preset) {
+    return { loudnessPreset: id };
+  }
+
+  return {
+    loudnessPreset: id,
+    targetLoudness: preset.integrated,
+    targetTruePeak: preset.truePeak,
+    targetLra: preset.lra
+  };
+};
@@ -0,0 +1,51 @@
+/**
+ * 書き出しキャンバスの縦横比とクリップのリフレーム（切り取り範囲）のユーティリティ
+ */
+import type { CanvasAspect } from '../types/export';
+import type { CropRect } from '../types/media';
+
+// 書き出しキャンバスの縦横比の選択肢
+export const CANVAS_ASPECT_OPTIONS: { value: CanvasAspect; label: string; ratio: number }[] = [
+  { value: '16:9', label: '16:9（YouTube）', ratio: 16 / 9 },
+  { value: '9:16', label: '9:16（ショート・リール）', ratio: 9 / 16 },
+  { value: '1:1', label: '1:1（Instagram 正方形）', ratio: 1 },
+  { value: '4:5', label: '4:5（Instagram 縦長）', ratio: 4 / 5 }
+];
+
+// 切り取り範囲の最小の幅（元映像に対する比率）
+const MIN_CROP_WIDTH = 0.05;
+
+/**
+ * キャンバスの縦横比（幅 / 高さ）を取得
+ */
+export const getCanvasRatio = (aspect: CanvasAspect | undefined): number => {
+  return (CANVAS_ASPECT_OPTIONS.find(option => option.value === aspect) || CANVAS_ASPECT_OPTIONS[0]).ratio;
+};
+
+/**
+ * 切り取り範囲をキャンバスの縦横比に合わせ、元映像の内側に収める
+ * @param rect 切り取り範囲（xとyは基準点、幅を優先して高さを決める）
+ * @param videoRatio 元映像の縦横比（幅 / 高さ）
+ * @param canvasRatio キャンバスの縦横比（幅 / 高さ）
+ */
+export const fitCropRect = (rect: CropRect, videoRatio: number, canvasRatio: number): CropRect => {
+  // 比率の座標系でキャンバスの縦横比になる高さ / 幅
+  const heightPerWidth = videoRatio / canvasRatio;
+  const maxWidth = Math.min(1, 1 / heightPerWidth);
+  const width = Math.min(maxWidth, Math.max(MIN_CROP_WIDTH, rect.width));
+  const height = width * heightPerWidth;
+  return {
+    x: Math.min(1 - width, Math.max(0, rect.x)),
+    y: Math.min(1 - height, Math.max(0, rect.y)),
+    width,
+    height
+  };
+};
+
+/**
+ * 元映像の中央にキャンバスの縦横比で最大の切り取り範囲を作成
+ */
+export const getDefaultCropRect = (videoRatio: number, canvasRatio: number): CropRect => {
+  const rect = fitCropRect({ x: 0, y: 0, width: 1, height: 1 }, videoRatio, canvasRatio);
+  return { ...rect, x: (1 - rect.width) / 2, y: (1 - rect.height) / 2 };
+};
@@ -0,0 +1,144 @@
+/**
+ * クリップ内の区間（セグメント）操作ユーティリティ
+ * セグメントはクリップ内で書き出しに残す範囲を表す
+ */
+import type { ClipSegment, MediaFile, TimeRange } from '../types/media';
+
+// 分割・削除で作られる区間の最小長（秒）
+export const MIN_SEGMENT_DURATION = 0.1;
+
+/**
+ * セグメントIDを生成
+ */
+const createSegmentId = (): string => window.nodeCrypto.generateUUID();
+
+/**
+ * クリップの書き出し対象区間を取得
+ * セグメントが未設定の場合は trimStart/trimEnd を1つの区間として扱う
+ */
+export const getClipSegments = (media: MediaFile): ClipSegment[] => {
+  if (media.segments && media.segments.length > 0) {
+    return [...media.segments].sort((a, b) => a.start - b.start);
+  }
+
+  return [{
+    id: 'main',
+    start: media.trimStart ?? 0,
+    end: media.trimEnd ?? media.duration ?? 0
+  }];
+};
+
+/**
+ * 指定位置を含むセグメントを取得
+ */
+export const findSegmentAt = (segments: ClipSegment[], time: number): ClipSegment | null => {
+  return segments.find(segment => time >= segment.start && time <= segment.end) || null;
+};
+
+/**
+ * 指定位置でセグメントを2つに分割
+ * @returns 分割後のセグメント一覧（分割できない位置の場合はnull）
+ */
+export const splitSegmentAt = (segments: ClipSegment[], time: number): ClipSegment[] | null => {
+  const target = findSegmentAt(segments, time);
+  if (!target ||
+      time - target.start < MIN_SEGMENT_DURATION ||
+      target.end - time < MIN_SEGMENT_DURATION) {
+    return null;
+  }
+
+  return segments.flatMap(segment => segment === target
+    ? [
+        { id: createSegmentId(), start: segment.start, end: time },
+        { id: createSegmentId(), start: time, end: segment.end }
+      ]
+    : [segment]);
+};
+
+/**
+ * 複数の位置でセグメントを分割（分割できない位置は無視）
+ */
+export const splitSegmentsAt = (segments: ClipSegment[], times: number[]): ClipSegment[] => {
+  return [...times]
+    .sort((a, b) => a - b)
+    .reduce((current, time) => splitSegmentAt(current, time) || current, segments);
+};
+
+/**
+ * セグメントを削除（最後の1つは削除しない）
+ */
+export const removeSegment = (segments: ClipSegment[], segmentId: string): ClipSegment[] | null => {
+  if (segments.length <= 1) return null;
+  return segments.filter(segment => segment.id !== segmentId);
+};
+
+/**
+ * セグメントの範囲を更新（前後のセグメントと重ならないように制限）
+ */
+export const updateSegmentRange = (
+  segments: ClipSegment[],
+  segmentId: string,
+  start: number,
+  end: number
+): ClipSegment[] => {
+  const index = segments.findIndex(segment => segment.id === segmentId);
+  if (index === -1) return segments;
+
+  const minStart = index > 0 ? segments[index - 1].end : 0;
+  const maxEnd = index < segments.length - 1 ? segments[index + 1].start : Infinity;
+  const newStart = Math.max(minStart, Math.min(start, end - MIN_SEGMENT_DURATION));
+  const newEnd = Math.min(maxEnd, Math.max(end, newStart + MIN_SEGMENT_DURATION));
+
+  return segments.map((segment, i) => i === index
+    ? { ...segment, start: newStart, end: newEnd }
+    : segment);
+};
+
+/**
+ * セグメントから指定範囲を取り除く（無音区間の一括削除など）
+ * @param padding 取り除く範囲の前後に残す余白（秒）
+ * @returns 取り除いた後のセグメント一覧（最小長未満の断片は破棄）
+ */
+export const removeRanges = (
+  segments: ClipSegment[],
+  ranges: TimeRange[],
+  padding: number = 0
+): ClipSegment[] => {
+  const sortedRanges = [...ranges].sort((a, b) => a.start - b.start);
+
+  return segments.flatMap(segment => {
+    const pieces: ClipSegment[] = [];
+    let cursor = segment.start;
+
+    // 余白は区間の内側にあるつなぎ目にだけ付ける（区間の先頭・末尾に細切れを残さない）
+    const cuts = sortedRanges
+      .map(range => ({
+        start: range.start > segment.start ? range.start + padding : range.start,
+        end: range.end < segment.end ? range.end - padding : range.end
+      }))
+      .filter(range => range.end - range.start >= MIN_SEGMENT_DURATION);
+
+    cuts.forEach(cut => {
+      if (cut.end <= cursor || cut.start >= segment.end) return;
+      if (cut.start - cursor >= MIN_SEGMENT_DURATION) {
+        pieces.push({ id: createSegmentId(), start: cursor, end: cut.start });
+      }
+      cursor = Math.max(cursor, cut.end);
+    });
+
+    if (segment.end - cursor >= MIN_SEGMENT_DURATION) {
+      pieces.push({ id: cursor === segment.start ? segment.id : createSegmentId(), start: cursor, end: segment.end });
+    }
+    return pieces;
+  });
+};
+
+/**
+ * クリップの書き出し後の長さ（秒）を計算
+ */
+export const getSegmentsDuration = (media: MediaFile): number => {
+  return getClipSegments(media).reduce((total, segment) => {
+    const length = segment.end - segment.start;
+    return total + (length > 0 ? length : 0);
+  }, 0);
+};